@@ -21,12 +21,14 @@ const demoFiles = [
     'demo-jmon-files/demo-13-advanced-effects.json',
     'demo-jmon-files/demo-14-masterpiece.json',
     'demo-jmon-files/demo-15-sampler-modulation-test.json',
+    'demo-jmon-files/demo-16-drum-kit.json',
 ];
 
 let compositions = {};
 let currentComposition = null;
 let audioStarted = false;
 let isPlaying = false;
+let currentPlayer = null;
 let currentMidi = null;
 let currentAbc = null;
 let currentSc = null;
@@ -151,8 +153,14 @@ playButton.addEventListener('click', async () => {
     }
     if (!currentComposition) { showStatus('No composition loaded', 'warning'); return; }
     try {
-        Tone.Transport.stop(); Tone.Transport.cancel();
-        await jmonTone.playComposition(currentComposition);
+        if (currentPlayer) currentPlayer.dispose();
+        currentPlayer = await jmonTone.playComposition(currentComposition);
+        currentPlayer.on('end', () => {
+            isPlaying = false;
+            playButton.disabled = false;
+            stopButton.disabled = true;
+            showStatus('Finished');
+        });
         isPlaying = true;
         playButton.disabled = true;
         stopButton.disabled = false;
@@ -163,8 +171,7 @@ playButton.addEventListener('click', async () => {
 });
 
 stopButton.addEventListener('click', () => {
-    Tone.Transport.stop();
-    Tone.Transport.cancel();
+    if (currentPlayer) currentPlayer.stop();
     isPlaying = false;
     playButton.disabled = false;
     stopButton.disabled = true;
@@ -203,7 +210,7 @@ downloadAbcButton.addEventListener('click', () => {
 convertMidiButton.addEventListener('click', () => {
     if (!currentComposition) return;
     try {
-        currentMidi = JmonToMidi.convertToMidi(currentComposition);
+        currentMidi = JmonToMidi.toMidiBytes(currentComposition);
         downloadMidiButton.disabled = false;
         showStatus('MIDI conversion successful!', 'success');
     } catch (error) {
@@ -0,0 +1,1038 @@
+/**
+ * jmon-abc-import.js - Convert ABC notation to jmon
+ *
+ * Parses ABC 2.1 tunes without Tone.js and builds a jmon composition that converts back with JmonToAbc.
+ * Header fields give metadata, meter, unit length, tempo and key; voices become sequences;
+ * repeats and endings are played out; w: lyrics, P: parts and "^text" annotations become annotations.
+ */
+
+(function(global) {
+    'use strict';
+
+    // Check if already loaded
+    if (global.AbcToJmon) {
+        return;
+    }
+
+class AbcToJmon {
+    /**
+     * Velocities (0-127) of the ABC dynamics decorations
+     */
+    static DYNAMICS = {
+        pppp: 12, ppp: 16, pp: 33, p: 49, mp: 64, mf: 80, f: 96, ff: 112, fff: 127, ffff: 127
+    };
+
+    /**
+     * ABC decorations (long form and single-character shorthands) and the jmon articulation names they become
+     */
+    static DECORATIONS = {
+        staccato: 'staccato', '.': 'staccato', wedge: 'staccatissimo', accent: 'accent', emphasis: 'accent', '>': 'accent',
+        L: 'accent', tenuto: 'tenuto', marcato: 'marcato', '^': 'marcato', fermata: 'fermata', H: 'fermata',
+        trill: 'trill', T: 'trill', mordent: 'mordent', lowermordent: 'mordent', uppermordent: 'mordent',
+        pralltriller: 'mordent', M: 'mordent', P: 'mordent', turn: 'turn', roll: 'turn', '~': 'turn'
+    };
+
+    /**
+     * Fifths of each mode relative to its major (ionian) key
+     */
+    static MODES = { maj: 0, ion: 0, '': 0, m: -3, min: -3, aeo: -3, dor: -2, phr: -4, lyd: 1, mix: -1, loc: -5 };
+
+    /**
+     * Split a file into its tunes
+     * @param {string} text - ABC file contents
+     * @returns {Array} Tunes { number, title, text } in file order
+     */
+    static splitTunes(text) {
+        const tunes = [];
+        let current = null;
+
+        String(text).split(/\r\n|\r|\n/).forEach(line => {
+            const start = line.match(/^X:\s*(\d*)/);
+            if (start) {
+                current = { number: start[1] === '' ? tunes.length + 1 : parseInt(start[1], 10), title: null, lines: [] };
+                tunes.push(current);
+            }
+            if (!current) return;
+            if (!current.title && /^T:/.test(line)) current.title = line.slice(2).trim();
+            current.lines.push(line);
+        });
+
+        return tunes.map(({ number, title, lines }) => ({ number, title, text: lines.join('\n') }));
+    }
+
+    /**
+     * Convert an ABC tune to a jmon composition
+     * @param {string} text - ABC text (a single tune, or a file of tunes)
+     * @param {Object} options - Conversion options
+     * @param {number} options.tune - X: number of the tune to convert (defaults to the first tune)
+     * @param {string} options.name - Composition name (defaults to the first T: title)
+     * @returns {Object} jmon composition
+     */
+    static convert(text, options = {}) {
+        if (typeof jmonTone === 'undefined') {
+            throw new Error('jmonTone library is required. Make sure jmon-tone.js is loaded.');
+        }
+
+        const tunes = this.splitTunes(text);
+        // A fragment without X: is read as a single tune
+        const tune = options.tune !== undefined ? tunes.find(candidate => candidate.number === options.tune) :
+            (tunes[0] || { number: 1, text: String(text) });
+        if (!tune) {
+            throw new Error(`ABC tune X:${options.tune} not found`);
+        }
+
+        const context = this._parseTune(tune.text);
+        const voices = context.voiceOrder.map(id => context.voices[id]).filter(voice => voice.items.some(item => item.type === 'note'));
+        if (voices.length === 0) {
+            throw new Error('Invalid ABC: tune has no notes');
+        }
+
+        // Play each voice out in time: repeats expanded, lengths and pitches resolved
+        const played = voices.map(voice => this._playVoice(voice, context));
+
+        const composition = {
+            format: jmonTone.FORMAT_IDENTIFIER,
+            version: '1.0',
+            bpm: context.header.bpm || 120,
+            metadata: { name: options.name || context.header.title || 'Imported ABC' }
+        };
+        if (context.header.author) composition.metadata.author = context.header.author;
+        if (context.header.description) composition.metadata.description = context.header.description;
+
+        // Meter first (from the first voice that changes it): every other position is written against it
+        composition.timeSignature = context.header.meter;
+        const byBeats = (a, b) => a.beats - b.beats;
+        const unique = changes => changes.sort(byBeats).filter((change, index, all) => index === 0 || change.beats > all[index - 1].beats);
+        unique(played.flatMap(voice => voice.meters)).forEach(change => {
+            const map = composition.timeSignatureMap || (composition.timeSignatureMap = []);
+            const current = map.length > 0 ? map[map.length - 1].timeSignature : composition.timeSignature;
+            if (change.timeSignature !== current) {
+                map.push({ time: jmonTone.beatsToBarsBeatsTicks(composition, change.beats), timeSignature: change.timeSignature });
+            }
+        });
+
+        const meterOnly = jmonTone.createTimeline(composition);
+        const position = beats => jmonTone.beatsToBarsBeatsTicks(meterOnly, beats);
+
+        unique(played.flatMap(voice => voice.tempos)).forEach(change => {
+            if (change.beats === 0) {
+                composition.bpm = change.bpm;
+            } else {
+                (composition.tempoMap || (composition.tempoMap = [])).push({ time: position(change.beats), bpm: change.bpm });
+            }
+        });
+
+        composition.keySignature = context.header.key.keySignature;
+        unique(played.flatMap(voice => voice.keys)).forEach(change => {
+            const map = composition.keySignatureMap || (composition.keySignatureMap = []);
+            const current = map.length > 0 ? map[map.length - 1].keySignature : composition.keySignature;
+            if (change.keySignature !== current) {
+                map.push({ time: position(change.beats), keySignature: change.keySignature });
+            }
+        });
+
+        // One default synth per voice, all routed to the master output
+        composition.audioGraph = voices.map((voice, index) => ({ id: `voice${index + 1}`, type: 'PolySynth', options: {} }));
+        composition.audioGraph.push({ id: 'master', type: 'Destination', options: {} });
+        composition.connections = voices.map((voice, index) => [`voice${index + 1}`, 'master']);
+        composition.sequences = voices.map((voice, index) => ({
+            ...this._buildSequence(voice, played[index], position, index),
+            synthRef: `voice${index + 1}`
+        }));
+
+        // Parts and annotations written in every voice are kept once
+        const seen = new Set();
+        const annotations = played.flatMap(voice => voice.annotations).sort(byBeats)
+            .filter(annotation => {
+                const key = annotation.type === 'lyric' ? null : `${annotation.type}:${annotation.beats}:${annotation.text}`;
+                if (key && seen.has(key)) return false;
+                if (key) seen.add(key);
+                return true;
+            })
+            .map(annotation => ({ text: annotation.text, time: position(annotation.beats), type: annotation.type }));
+        if (annotations.length > 0) {
+            composition.annotations = annotations;
+        }
+
+        if (context.skipped.grace > 0) {
+            console.warn(`⚠️  AbcToJmon: ${context.skipped.grace} grace note group(s) skipped`);
+        }
+        if (context.skipped.overlay > 0) {
+            console.warn(`⚠️  AbcToJmon: ${context.skipped.overlay} voice overlay(s) (&) skipped`);
+        }
+
+        console.log(`🎼 AbcToJmon: Imported X:${tune.number} with ${voices.length} voice(s)`);
+        return composition;
+    }
+
+    /**
+     * Read the header and body lines of a tune into per-voice item lists (helper function)
+     * @param {string} text - Tune text
+     * @returns {Object} Parse context { header, voices, voiceOrder, percmap, skipped }
+     */
+    static _parseTune(text) {
+        const context = {
+            header: { meter: '4/4', unit: null, bpm: null, key: this.parseKey('C'), clef: null },
+            voices: {},
+            voiceOrder: [],
+            percmap: {},
+            skipped: { grace: 0, overlay: 0 },
+            voice: null,
+            inBody: false,
+            nextId: 0
+        };
+        let pendingTempo = null;
+        let continued = '';
+
+        String(text).split(/\r\n|\r|\n/).forEach(rawLine => {
+            // Continuation lines end with a backslash
+            if (/\\\s*$/.test(rawLine) && !/^[A-Za-z]:/.test(rawLine)) {
+                continued += rawLine.replace(/\\\s*$/, ' ');
+                return;
+            }
+            const line = continued + rawLine;
+            continued = '';
+
+            const directive = line.match(/^%%percmap\s+(\S+)\s+(\S+)/);
+            if (directive) {
+                const midi = /^\d+$/.test(directive[2]) ? parseInt(directive[2], 10) : jmonTone.noteNameToMidiNote(directive[2]);
+                if (midi !== null && midi !== undefined) context.percmap[directive[1]] = midi;
+                return;
+            }
+            if (/^%/.test(line) || line.trim() === '') return;
+
+            // In the body only some fields may start a line; anything else is music (E:| is a note and a repeat)
+            const field = line.match(context.inBody ? /^([IKLMNPQTVWrsw+]):(.*)$/ : /^([A-Za-z+]):(.*)$/);
+            if (field) {
+                const [, name, value] = field;
+                if (!context.inBody) {
+                    pendingTempo = this._readHeaderField(name, value.trim(), context) || pendingTempo;
+                    if (name === 'K') {
+                        // The unit length defaults from the meter; Q: without a unit counts in it
+                        context.inBody = true;
+                        context.header.unit = context.header.unit || this._defaultUnit(context.header.meter);
+                        if (pendingTempo) context.header.bpm = this.parseTempo(pendingTempo, context.header.unit);
+                    }
+                } else {
+                    this._readBodyField(name, value.trim(), context);
+                }
+                return;
+            }
+
+            if (context.inBody) {
+                this._parseMusic(line, context);
+            }
+        });
+
+        if (!context.inBody) {
+            throw new Error('Invalid ABC: missing K: field');
+        }
+        if (context.voiceOrder.length === 0) this._selectVoice(context, '1');
+        return context;
+    }
+
+    /**
+     * Read a header field (helper function)
+     * @param {string} name - Field letter
+     * @param {string} value - Field value
+     * @param {Object} context - Parse context
+     * @returns {string|null} Q: value, read once the unit length is known
+     */
+    static _readHeaderField(name, value, context) {
+        const header = context.header;
+        switch (name) {
+            case 'T':
+                if (!header.title) header.title = value;
+                break;
+            case 'C':
+                header.author = header.author ? `${header.author}, ${value}` : value;
+                break;
+            case 'N':
+                header.description = header.description ? `${header.description}\n${value}` : value;
+                break;
+            case 'M':
+                header.meter = this.parseMeter(value) || header.meter;
+                break;
+            case 'L':
+                header.unit = this.parseFraction(value) || header.unit;
+                break;
+            case 'Q':
+                return value;
+            case 'K': {
+                header.key = this.parseKey(value);
+                header.clef = header.key.clef;
+                break;
+            }
+            case 'V':
+                // Declares the voice; music before the first body V: line goes to the first voice
+                this._selectVoice(context, value);
+                context.voice = null;
+                break;
+        }
+        return null;
+    }
+
+    /**
+     * Read a field line in the tune body: K/M/L/Q changes, voice switches, lyrics and parts (helper function)
+     * @param {string} name - Field letter
+     * @param {string} value - Field value
+     * @param {Object} context - Parse context
+     */
+    static _readBodyField(name, value, context) {
+        if (name === 'V') {
+            this._selectVoice(context, value);
+            return;
+        }
+        if (name === 'w') {
+            this._readLyrics(value, context);
+            return;
+        }
+        if (['K', 'M', 'L', 'Q', 'P', 'T'].includes(name)) {
+            this._pushField(name, value, context);
+        }
+    }
+
+    /**
+     * Add a K/M/L/Q field change or a P:/T: section label to the current voice (helper function)
+     * @param {string} name - Field letter
+     * @param {string} value - Field value
+     * @param {Object} context - Parse context
+     */
+    static _pushField(name, value, context) {
+        const voice = this._currentVoice(context);
+        switch (name) {
+            case 'K': {
+                const key = this.parseKey(value);
+                voice.items.push({ type: 'key', key });
+                if (key.clef) voice.clef = key.clef;
+                break;
+            }
+            case 'M': {
+                const meter = this.parseMeter(value);
+                if (meter) voice.items.push({ type: 'meter', meter });
+                break;
+            }
+            case 'L': {
+                const unit = this.parseFraction(value);
+                if (unit) voice.items.push({ type: 'unit', unit });
+                break;
+            }
+            case 'Q':
+                voice.items.push({ type: 'tempo', value });
+                break;
+            case 'P':
+                if (value) voice.items.push({ type: 'annotation', annotationType: 'rehearsal', text: value });
+                break;
+            case 'T':
+                if (value) voice.items.push({ type: 'annotation', annotationType: 'marker', text: value });
+                break;
+        }
+    }
+
+    /**
+     * Switch to (and declare on first use) a voice from a V: field (helper function)
+     * @param {Object} context - Parse context
+     * @param {string} value - V: field value: id, then name="..." and clef=... properties
+     * @returns {Object} Voice
+     */
+    static _selectVoice(context, value) {
+        const id = (value.match(/^\s*(\S+)/) || [null, '1'])[1];
+        if (!context.voices[id]) {
+            context.voices[id] = { id, name: null, clef: context.header.clef, items: [], lines: [] };
+            context.voiceOrder.push(id);
+        }
+        const voice = context.voices[id];
+        const name = value.match(/(?:^|\s)(?:name|nm)="([^"]*)"/) || value.match(/(?:^|\s)(?:name|nm)=(\S+)/);
+        if (name) voice.name = name[1];
+        const clef = value.match(/(?:^|\s)clef=(\S+)/) || value.match(/(?:^|\s)(perc|treble|bass|alto|tenor)(?:\s|$)/);
+        if (clef) voice.clef = clef[1];
+        context.voice = voice;
+        return voice;
+    }
+
+    /**
+     * Voice that music lines go to: the selected one, or a default first voice (helper function)
+     * @param {Object} context - Parse context
+     * @returns {Object} Voice
+     */
+    static _currentVoice(context) {
+        if (!context.voice) {
+            const voice = context.voiceOrder.length > 0 ? context.voices[context.voiceOrder[0]] : this._selectVoice(context, '1');
+            context.voice = voice;
+        }
+        return context.voice;
+    }
+
+    /**
+     * Tokenize one line of music into the current voice's items (helper function)
+     * Items: note (with pitches, or rest), bar, ending, tuplet, inline field changes and annotations.
+     * @param {string} line - Music line
+     * @param {Object} context - Parse context
+     */
+    static _parseMusic(line, context) {
+        const lineItems = [];
+        const pending = { decorations: [], annotations: [] };
+        let brokenFactor = 1;
+        let skipUntilBar = false;
+        let i = 0;
+        const voice = () => this._currentVoice(context);
+        const lastNote = () => {
+            const items = voice().items;
+            for (let index = items.length - 1; index >= 0; index--) {
+                if (items[index].type === 'note') return items[index];
+                if (items[index].type === 'bar') return null;
+            }
+            return null;
+        };
+        const push = item => {
+            voice().items.push(item);
+            lineItems.push({ voice: voice(), item });
+        };
+
+        while (i < line.length) {
+            const rest = line.slice(i);
+            const ch = line[i];
+            let match;
+
+            if (ch === '%') break;
+
+            // Inline fields: [K:..] [M:..] [L:..] [Q:..] [V:..] [P:..]
+            if ((match = rest.match(/^\[([A-Za-z]):([^\]]*)\]/))) {
+                if (match[1] === 'V') {
+                    this._selectVoice(context, match[2]);
+                } else {
+                    this._pushField(match[1], match[2].trim(), context);
+                }
+                i += match[0].length;
+                continue;
+            }
+
+            // Barlines, optionally followed by an ending number (|1, :|2)
+            if ((match = rest.match(/^(\[\|:*|:*\|[|\]]*:*|:{2,})(\d+(?:[,-]\d+)*)?/))) {
+                const bar = match[1];
+                push({
+                    type: 'bar',
+                    startRepeat: /:$/.test(bar),
+                    endRepeat: /^:/.test(bar),
+                    sectionEnd: /\|\||\]|^\[/.test(bar),
+                    ending: match[2] ? this._parseEndings(match[2]) : null
+                });
+                skipUntilBar = false;
+                brokenFactor = 1;
+                i += match[0].length;
+                continue;
+            }
+            if ((match = rest.match(/^\[(\d+(?:[,-]\d+)*)/))) {
+                // |[2 and :| [2 are the same as |2 and :|2
+                const items = voice().items;
+                const previous = items[items.length - 1];
+                if (previous && previous.type === 'bar' && !previous.ending) {
+                    previous.ending = this._parseEndings(match[1]);
+                } else {
+                    push({ type: 'ending', ending: this._parseEndings(match[1]) });
+                }
+                i += match[0].length;
+                continue;
+            }
+
+            if (skipUntilBar) {
+                i++;
+                continue;
+            }
+
+            if (' \t`y$\\)'.includes(ch)) {
+                i++;
+                continue;
+            }
+
+            if (ch === '&') {
+                // Voice overlays would need a second sequence: the rest of the bar is skipped
+                context.skipped.overlay++;
+                skipUntilBar = true;
+                i++;
+                continue;
+            }
+
+            if (ch === '"') {
+                const end = line.indexOf('"', i + 1);
+                const text = line.slice(i + 1, end === -1 ? line.length : end);
+                // "^text" (and _ < > @) are annotations; other quoted strings are chord symbols
+                if (/^[\^_<>@]/.test(text) && text.length > 1) pending.annotations.push(text.slice(1));
+                i = end === -1 ? line.length : end + 1;
+                continue;
+            }
+
+            if (ch === '!' || ch === '+') {
+                const end = line.indexOf(ch, i + 1);
+                if (end === -1) {
+                    i++;
+                    continue;
+                }
+                pending.decorations.push(line.slice(i + 1, end));
+                i = end + 1;
+                continue;
+            }
+
+            if (ch === '{') {
+                const end = line.indexOf('}', i);
+                context.skipped.grace++;
+                i = end === -1 ? line.length : end + 1;
+                continue;
+            }
+
+            if (ch === '(') {
+                match = rest.match(/^\((\d+)(?::(\d*))?(?::(\d*))?/);
+                if (match) {
+                    push({
+                        type: 'tuplet',
+                        p: parseInt(match[1], 10),
+                        q: match[2] ? parseInt(match[2], 10) : null,
+                        r: match[3] ? parseInt(match[3], 10) : null
+                    });
+                    i += match[0].length;
+                } else {
+                    // Slur start
+                    i++;
+                }
+                continue;
+            }
+
+            if (ch === '-') {
+                const note = lastNote();
+                if (note) note.pitches.forEach(pitch => { pitch.tie = true; });
+                i++;
+                continue;
+            }
+
+            if ((match = rest.match(/^(<+|>+)/))) {
+                // Broken rhythm: a>b dots the first note and halves the second
+                const short = Math.pow(0.5, match[1].length);
+                const note = lastNote();
+                if (note) note.length *= match[1][0] === '>' ? 2 - short : short;
+                brokenFactor = match[1][0] === '>' ? short : 2 - short;
+                i += match[0].length;
+                continue;
+            }
+
+            if ('.~THLMPSOuv'.includes(ch)) {
+                pending.decorations.push(ch);
+                i++;
+                continue;
+            }
+
+            // Multi-measure rest
+            if ((match = rest.match(/^[ZX](\d*)/))) {
+                push({ type: 'multiRest', bars: match[1] ? parseInt(match[1], 10) : 1 });
+                i += match[0].length;
+                continue;
+            }
+
+            // Notes, rests and chords
+            let note = null;
+            if ((match = rest.match(/^([zx])(\d*\/*\d*)/))) {
+                note = { type: 'note', rest: true, pitches: [], length: this._parseLength(match[2]) };
+            } else if (ch === '[' && (match = rest.match(/^\[((?:[=^_/]*[A-Ga-g][,']*\d*\/*\d*-?\s*)+)\](\d*\/*\d*)/))) {
+                const pitches = [];
+                let first = null;
+                const pitchPattern = /([=^_/]*)([A-Ga-g])([,']*)(\d*\/*\d*)(-?)/g;
+                let pitchMatch;
+                while ((pitchMatch = pitchPattern.exec(match[1])) !== null) {
+                    if (first === null) first = this._parseLength(pitchMatch[4]);
+                    pitches.push(this._pitchToken(pitchMatch));
+                }
+                // A chord lasts as long as its first note, times the length after the bracket
+                note = { type: 'note', rest: false, pitches, length: first * this._parseLength(match[2]) };
+            } else if ((match = rest.match(/^([=^_/]*)([A-Ga-g])([,']*)(\d*\/*\d*)(-?)/))) {
+                note = { type: 'note', rest: false, pitches: [this._pitchToken(match)], length: this._parseLength(match[4]) };
+            }
+
+            if (!note) {
+                i++;
+                continue;
+            }
+
+            note.id = context.nextId++;
+            note.length *= brokenFactor;
+            brokenFactor = 1;
+            note.decorations = pending.decorations.splice(0);
+            note.annotations = pending.annotations.splice(0);
+            // Notes held over from a tie take no lyric syllable
+            const previous = lastNote();
+            note.continuation = !note.rest && previous !== null && !previous.rest &&
+                note.pitches.every(pitch => previous.pitches.some(other => other.tie && other.letter.toLowerCase() === pitch.letter.toLowerCase()));
+            push(note);
+            i += match[0].length;
+        }
+
+        // Lyric lines that follow align with the notes of this line
+        const voices = [...new Set(lineItems.map(entry => entry.voice))];
+        voices.forEach(lineVoice => {
+            lineVoice.lines.push({ items: lineItems.filter(entry => entry.voice === lineVoice).map(entry => entry.item), verses: 0 });
+        });
+        context.lastLineVoice = voices.length > 0 ? voices[voices.length - 1] : context.lastLineVoice;
+    }
+
+    /**
+     * Parse a pitch token matched as [accidental, letter, octave marks, length, tie] (helper function)
+     * @param {Array} match - Regex match
+     * @returns {Object} { accidental, letter, octave, written, tie }
+     */
+    static _pitchToken(match) {
+        const [, accidental, letter, marks, , tie] = match;
+        const octave = (letter === letter.toLowerCase() ? 5 : 4) +
+            (marks.match(/'/g) || []).length - (marks.match(/,/g) || []).length;
+        return { accidental, letter: letter.toUpperCase(), octave, written: `${accidental}${letter}${marks}`, tie: tie === '-' };
+    }
+
+    /**
+     * Parse an ABC length suffix ('', '2', '/2', '/', '//', '3/2') (helper function)
+     * @param {string} text - Length suffix
+     * @returns {number} Multiple of the unit note length
+     */
+    static _parseLength(text) {
+        const match = (text || '').match(/^(\d*)(\/*)(\d*)$/);
+        if (!match) return 1;
+        const numerator = match[1] ? parseInt(match[1], 10) : 1;
+        if (!match[2]) return numerator;
+        const denominator = match[3] ? parseInt(match[3], 10) * Math.pow(2, match[2].length - 1) : Math.pow(2, match[2].length);
+        return numerator / denominator;
+    }
+
+    /**
+     * Parse ending numbers such as '1', '2', '1,3' or '1-3' (helper function)
+     * @param {string} text - Ending numbers
+     * @returns {Array<number>} Passes the ending is played on
+     */
+    static _parseEndings(text) {
+        return text.split(',').flatMap(part => {
+            const [from, to] = part.split('-').map(number => parseInt(number, 10));
+            if (!to) return [from];
+            return Array.from({ length: Math.max(0, to - from + 1) }, (_, index) => from + index);
+        });
+    }
+
+    /**
+     * Split a w: line into syllables and attach them to the notes of the last music line of its voice (helper function)
+     * '-' splits syllables, '_' holds the previous syllable, '*' skips a note, '~' joins words, '|' moves to the next bar.
+     * @param {string} text - w: field value
+     * @param {Object} context - Parse context
+     */
+    static _readLyrics(text, context) {
+        const voice = context.lastLineVoice;
+        const line = voice && voice.lines[voice.lines.length - 1];
+        if (!line) return;
+
+        const syllables = [];
+        let current = '';
+        const flush = hyphen => {
+            if (current !== '') syllables.push({ text: current, hyphen });
+            current = '';
+        };
+        for (let index = 0; index < text.length; index++) {
+            const ch = text[index];
+            if (ch === '\\' && text[index + 1] === '-') {
+                current += '-';
+                index++;
+            } else if (ch === ' ' || ch === '\t') {
+                flush(false);
+            } else if (ch === '-') {
+                if (current === '' && syllables.length > 0 && syllables[syllables.length - 1].text !== undefined) {
+                    syllables[syllables.length - 1].hyphen = true;
+                } else {
+                    flush(true);
+                }
+            } else if (ch === '_' || ch === '*') {
+                flush(false);
+                syllables.push({ skip: true });
+            } else if (ch === '|') {
+                flush(false);
+                syllables.push({ bar: true });
+            } else if (ch === '~') {
+                current += ' ';
+            } else {
+                current += ch;
+            }
+        }
+        flush(false);
+
+        // Verse n of a line goes on the n-th time its notes are played
+        const verse = line.verses++;
+        let index = 0;
+        syllables.forEach(syllable => {
+            if (syllable.bar) {
+                while (index < line.items.length && line.items[index].type !== 'bar') index++;
+                index++;
+                return;
+            }
+            while (index < line.items.length &&
+                (line.items[index].type !== 'note' || line.items[index].rest || line.items[index].continuation)) index++;
+            const note = line.items[index++];
+            if (!note || syllable.skip) return;
+            (note.lyrics || (note.lyrics = []))[verse] = syllable.hyphen ? `${syllable.text}-` : syllable.text;
+        });
+    }
+
+    /**
+     * Expand repeats and endings into the order the items are played (helper function)
+     * @param {Array} items - Voice items
+     * @returns {Array} Items in playing order (repeated items appear more than once)
+     */
+    static _expandRepeats(items) {
+        const played = [];
+        const completed = new Set();
+        let start = 0;
+        let pass = 1;
+        let skipping = false;
+
+        for (let index = 0; index < items.length; index++) {
+            const item = items[index];
+            const isBar = item.type === 'bar' || item.type === 'ending';
+
+            if (skipping) {
+                // Skip an ending not played on this pass, up to the end of the repeat or the next ending
+                if (!isBar || !(item.endRepeat || item.sectionEnd || item.ending)) continue;
+                skipping = false;
+            }
+
+            if (item.type === 'bar' && item.endRepeat && !completed.has(index)) {
+                completed.add(index);
+                played.push(item);
+                index = start - 1;
+                pass++;
+                continue;
+            }
+            if (item.type === 'bar' && item.endRepeat && !item.ending) {
+                // Second time through: the repeat is done (an ending on the bar still counts passes)
+                start = index + 1;
+                pass = 1;
+            }
+            if (item.type === 'bar' && item.startRepeat) {
+                start = index + 1;
+                pass = 1;
+            }
+            if (item.type === 'bar' && item.sectionEnd && !item.endRepeat && !item.startRepeat && !item.ending) {
+                start = index + 1;
+                pass = 1;
+            }
+            if (isBar && item.ending && !item.ending.includes(pass)) {
+                played.push(item);
+                skipping = true;
+                continue;
+            }
+
+            played.push(item);
+        }
+
+        return played;
+    }
+
+    /**
+     * Play a voice out in time: lengths, tuplets, pitches with key and bar accidentals, ties, dynamics (helper function)
+     * @param {Object} voice - Parsed voice
+     * @param {Object} context - Parse context
+     * @returns {Object} { notes, meters, keys, tempos, annotations } with positions in quarter notes
+     */
+    static _playVoice(voice, context) {
+        const result = { notes: [], meters: [], keys: [], tempos: [], annotations: [] };
+        const drums = voice.clef === 'perc';
+        const occurrences = new Map();
+        const ties = new Map();
+        let position = 0;
+        let unit = context.header.unit;
+        let meter = context.header.meter;
+        let key = context.header.key;
+        let barAccidentals = {};
+        let tuplet = null;
+        let velocity = null;
+
+        this._expandRepeats(voice.items).forEach(item => {
+            switch (item.type) {
+                case 'bar':
+                case 'ending':
+                    barAccidentals = {};
+                    break;
+                case 'key':
+                    key = item.key;
+                    result.keys.push({ beats: position, keySignature: key.keySignature });
+                    break;
+                case 'meter':
+                    meter = item.meter;
+                    result.meters.push({ beats: position, timeSignature: meter });
+                    break;
+                case 'unit':
+                    unit = item.unit;
+                    break;
+                case 'tempo': {
+                    const bpm = this.parseTempo(item.value, unit);
+                    if (bpm) result.tempos.push({ beats: position, bpm });
+                    break;
+                }
+                case 'annotation':
+                    result.annotations.push({ beats: position, type: item.annotationType, text: item.text });
+                    break;
+                case 'tuplet': {
+                    // (p:q:r - p notes in the time of q, for the next r notes
+                    const compound = /^(6|9|12)\//.test(meter);
+                    const q = item.q || ({ 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[item.p] || (compound ? 3 : 2));
+                    tuplet = { factor: q / item.p, remaining: item.r || item.p };
+                    break;
+                }
+                case 'multiRest': {
+                    const { numerator, denominator } = jmonTone.parseTimeSignature(meter);
+                    position += item.bars * numerator * 4 / denominator;
+                    break;
+                }
+                case 'note': {
+                    let duration = item.length * unit * 4;
+                    if (tuplet) {
+                        duration *= tuplet.factor;
+                        if (--tuplet.remaining <= 0) tuplet = null;
+                    }
+
+                    const occurrence = occurrences.get(item.id) || 0;
+                    occurrences.set(item.id, occurrence + 1);
+                    item.annotations.forEach(text => result.annotations.push({ beats: position, type: 'marker', text }));
+
+                    const dynamic = item.decorations.find(decoration => this.DYNAMICS[decoration] !== undefined);
+                    if (dynamic) velocity = Math.round(this.DYNAMICS[dynamic] / 127 * 1000) / 1000;
+
+                    if (!item.rest) {
+                        const lyric = item.lyrics && item.lyrics[occurrence];
+                        if (lyric) result.annotations.push({ beats: position, type: 'lyric', text: lyric });
+
+                        const articulation = [...new Set(item.decorations.map(decoration => this.DECORATIONS[decoration]).filter(Boolean))].join(' ');
+                        item.pitches.forEach(pitch => {
+                            const resolved = this._resolvePitch(pitch, key, barAccidentals, drums ? context.percmap : null);
+                            const open = ties.get(resolved.midi);
+                            if (open && Math.abs(open.end - position) < 1e-9) {
+                                open.end = position + duration;
+                                if (!pitch.tie) ties.delete(resolved.midi);
+                                return;
+                            }
+                            const note = {
+                                start: position,
+                                end: position + duration,
+                                ...resolved,
+                                velocity,
+                                articulation: articulation || undefined
+                            };
+                            result.notes.push(note);
+                            if (pitch.tie) ties.set(resolved.midi, note);
+                        });
+                    }
+                    position += duration;
+                    break;
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Resolve the sounding pitch of a written note from its accidental, the bar's accidentals and the key (helper function)
+     * @param {Object} pitch - Pitch token from _pitchToken()
+     * @param {Object} key - Key from parseKey()
+     * @param {Object} barAccidentals - Accidentals written earlier in the bar, updated in place
+     * @param {Object|null} percmap - %%percmap table for percussion voices
+     * @returns {Object} { midi, name, microtuning }
+     */
+    static _resolvePitch(pitch, key, barAccidentals, percmap) {
+        const steps = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        const position = `${pitch.letter}${pitch.octave}`;
+        let alter;
+        let microtuning;
+
+        if (pitch.accidental.includes('/')) {
+            // Quarter-tone accidentals (^/ _/) become microtuning
+            microtuning = pitch.accidental.startsWith('^') ? 0.5 : -0.5;
+            alter = 0;
+        } else if (pitch.accidental) {
+            alter = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[pitch.accidental] || 0;
+            barAccidentals[position] = alter;
+        } else if (barAccidentals[position] !== undefined) {
+            alter = barAccidentals[position];
+        } else {
+            alter = key.accidentals[pitch.letter] || 0;
+        }
+
+        const midi = (pitch.octave + 1) * 12 + steps[pitch.letter] + alter;
+        if (percmap && percmap[pitch.written] !== undefined) {
+            const drum = percmap[pitch.written];
+            return { midi: drum, name: jmonTone.drumPieceName(drum) || jmonTone.midiNoteToNoteName(drum) };
+        }
+        if (percmap) {
+            return { midi, name: jmonTone.drumPieceName(midi) || jmonTone.midiNoteToNoteName(midi) };
+        }
+
+        const name = Math.abs(alter) <= 1 ?
+            `${pitch.letter}${alter === 1 ? '#' : (alter === -1 ? 'b' : '')}${pitch.octave}` :
+            jmonTone.midiNoteToNoteName(midi);
+        return microtuning !== undefined ? { midi, name, microtuning } : { midi, name };
+    }
+
+    /**
+     * Build the jmon sequence of a voice, with notes starting and ending together as chords (helper function)
+     * @param {Object} voice - Parsed voice
+     * @param {Object} played - Voice result from _playVoice()
+     * @param {Function} position - Converts quarter notes to bars:beats:ticks
+     * @param {number} index - Voice index (0-based)
+     * @returns {Object} jmon sequence (without synthRef)
+     */
+    static _buildSequence(voice, played, position, index) {
+        const chords = [];
+        played.notes
+            .sort((a, b) => a.start - b.start || a.midi - b.midi)
+            .forEach(note => {
+                const chord = chords[chords.length - 1];
+                if (chord && chord.start === note.start && chord.end === note.end && chord.velocity === note.velocity &&
+                    chord.articulation === note.articulation && chord.microtuning === note.microtuning) {
+                    chord.names.push(note.name);
+                } else {
+                    chords.push({ ...note, names: [note.name] });
+                }
+            });
+
+        const sequence = { label: voice.name || `Voice ${index + 1}` };
+        if (voice.clef === 'perc') sequence.midiChannel = jmonTone.GM_DRUM_CHANNEL;
+
+        sequence.notes = chords.map(chord => {
+            const converted = {
+                note: chord.names.length === 1 ? chord.names[0] : chord.names,
+                time: position(chord.start),
+                duration: this.beatsToDuration(chord.end - chord.start)
+            };
+            if (chord.velocity !== null) converted.velocity = chord.velocity;
+            if (chord.articulation) converted.articulation = chord.articulation;
+            if (chord.microtuning !== undefined) converted.microtuning = chord.microtuning;
+            return converted;
+        });
+        return sequence;
+    }
+
+    /**
+     * Parse a K: field: tonic, mode, explicit accidentals and clef
+     * Modes other than major and minor keep their signature under the major key that shares it (D dorian -> C).
+     * @param {string} value - K: field value (e.g., 'G', 'Am', 'Ddor', 'D exp _b ^f', 'C clef=perc', 'none')
+     * @returns {Object} { keySignature, fifths, accidentals: { letter: alter }, clef }
+     */
+    static parseKey(value) {
+        const text = String(value).trim();
+        const clefMatch = text.match(/(?:^|\s)clef=(\S+)/) || text.match(/(?:^|\s)(perc|treble|bass|alto|tenor)(?:\s|$)/);
+        const clef = clefMatch ? clefMatch[1] : (/^perc/i.test(text) ? 'perc' : null);
+        const match = text.match(/^([A-G])([#b]?)\s*([A-Za-z]*)/);
+
+        let fifths = 0;
+        let minor = false;
+        if (match && !/^(none|perc)/i.test(text)) {
+            const letterFifths = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 }[match[1]];
+            const mode = match[3].toLowerCase();
+            const modeKey = mode === 'm' ? 'm' : mode.slice(0, 3);
+            const modeFifths = this.MODES[modeKey] !== undefined ? this.MODES[modeKey] : 0;
+            fifths = letterFifths + (match[2] === '#' ? 7 : (match[2] === 'b' ? -7 : 0)) + modeFifths;
+            minor = ['m', 'min', 'aeo'].includes(modeKey);
+            if (Math.abs(fifths) > 7) fifths -= Math.sign(fifths) * 12;
+        }
+
+        const accidentals = {};
+        'FCGDAEB'.slice(0, Math.max(0, fifths)).split('').forEach(letter => { accidentals[letter] = 1; });
+        'BEADGCF'.slice(0, Math.max(0, -fifths)).split('').forEach(letter => { accidentals[letter] = -1; });
+
+        // Explicit accidentals after the key (K:D exp _b) change single notes of the signature
+        const rest = match ? text.slice(match[0].length) : text;
+        (rest.match(/(?:^|\s)(\^\^|\^|__|_|=)([A-Ga-g])(?=\s|$)/g) || []).forEach(token => {
+            const [, accidental, letter] = token.trim().match(/^(\^\^|\^|__|_|=)([A-Ga-g])$/);
+            accidentals[letter.toUpperCase()] = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[accidental];
+        });
+
+        const major = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+        const minorKeys = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+        const keySignature = minor ? `${minorKeys[fifths + 7]}m` : major[fifths + 7];
+        return { keySignature, fifths, accidentals, clef };
+    }
+
+    /**
+     * Parse an M: field
+     * @param {string} value - M: field value ('6/8', 'C', 'C|', '2+3/8', 'none')
+     * @returns {string|null} jmon time signature, or null for free meter
+     */
+    static parseMeter(value) {
+        const text = String(value).trim();
+        if (text === 'C') return '4/4';
+        if (text === 'C|') return '2/2';
+        const match = text.match(/^\(?([\d+]+)\)?\/(\d+)/);
+        if (!match) return null;
+        const numerator = match[1].split('+').reduce((sum, part) => sum + (parseInt(part, 10) || 0), 0);
+        return `${numerator}/${match[2]}`;
+    }
+
+    /**
+     * Parse a fraction such as '1/8' (helper for L: and Q:)
+     * @param {string} value - Fraction text
+     * @returns {number|null} Value as a fraction of a whole note
+     */
+    static parseFraction(value) {
+        const match = String(value).trim().match(/^(\d+)\/(\d+)/);
+        if (!match) return null;
+        return parseInt(match[1], 10) / parseInt(match[2], 10);
+    }
+
+    /**
+     * Parse a Q: field into quarter-note beats per minute
+     * @param {string} value - Q: field value ('1/4=120', '3/8=60', '"Allegro" 1/4=132', '1/8 3/8=50', or a bare number in units of L:)
+     * @param {number} unit - Unit note length (fraction of a whole note)
+     * @returns {number|null} Beats per minute, or null for a text-only tempo
+     */
+    static parseTempo(value, unit) {
+        const text = String(value).replace(/"[^"]*"/g, ' ').trim();
+        const equation = text.match(/^(.*)=\s*(\d+(?:\.\d+)?)/);
+        if (equation) {
+            const beat = (equation[1].match(/\d+\/\d+/g) || []).reduce((sum, fraction) => sum + this.parseFraction(fraction), 0);
+            const perMinute = parseFloat(equation[2]);
+            return Math.round(perMinute * (beat || unit) * 4 * 1000) / 1000;
+        }
+        const bare = text.match(/^(\d+(?:\.\d+)?)$/);
+        return bare ? Math.round(parseFloat(bare[1]) * unit * 4 * 1000) / 1000 : null;
+    }
+
+    /**
+     * Default unit note length of a meter: 1/16 below 3/4, 1/8 otherwise (helper function)
+     * @param {string} meter - Time signature
+     * @returns {number} Unit note length
+     */
+    static _defaultUnit(meter) {
+        const { numerator, denominator } = jmonTone.parseTimeSignature(meter);
+        return numerator / denominator < 0.75 ? 1 / 16 : 1 / 8;
+    }
+
+    /**
+     * Express a length as a jmon duration: a note value when exact, ticks otherwise
+     * @param {number} beats - Length in quarter notes
+     * @returns {string} Duration such as "4n", "8t" or "0:0:720"
+     */
+    static beatsToDuration(beats) {
+        const ticks = Math.round(beats * jmonTone.TICKS_PER_BEAT);
+
+        if (ticks > 0) {
+            for (const value of [1, 2, 4, 8, 16, 32, 64]) {
+                const straight = jmonTone.TICKS_PER_BEAT * 4 / value;
+                if (ticks === straight) return `${value}n`;
+                if (ticks === straight * 2 / 3) return `${value}t`;
+            }
+        }
+
+        return `0:0:${ticks}`;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AbcToJmon;
+}
+
+// Export for browsers (global) - avoid redeclaration
+if (typeof window !== 'undefined') {
+    window.AbcToJmon = window.AbcToJmon || AbcToJmon;
+}
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
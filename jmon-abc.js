@@ -2,7 +2,7 @@
  * jmon-to-abc.js - Convert jmon format to ABC notation
  * 
  * Converts jmon compositions to ABC score format for traditional music notation.
- * Supports multi-voice scores, ornamentations, and dynamic markings.
+ * Supports multi-voice scores, percussion-clef drum parts, ornamentations, and dynamic markings.
  */
 
 (function(global) {
@@ -15,62 +15,63 @@
 
 class JmonToAbc {
     /**
-     * Helper function to parse time strings with fallback
-     * @param {string|number} timeString - time value
-     * @param {number} bpm - beats per minute
-     * @returns {number} parsed time in seconds
+     * Drum staff positions (ABC notes on the percussion clef) and noteheads for GM drum map notes
+     * Kick and toms sit in the spaces, snare on the middle space, cymbals above the staff with x heads.
      */
-    static parseTimeString(timeString, bpm) {
-        if (typeof timeString === 'number') return timeString;
-        if (typeof timeString !== 'string') return 0;
-        
-        try {
-            // Try to use jmonTone method if available
-            if (jmonTone && jmonTone._parseTimeString) {
-                return jmonTone._parseTimeString(timeString, bpm);
-            }
-        } catch (e) {
-            // Fallback parsing
-        }
-        
-        // Enhanced bars:beats:ticks format support (e.g., "2:1:240")
-        if (timeString.includes(':')) {
-            const parts = timeString.split(':').map(parseFloat);
-            const bars = parts[0] || 0;
-            const beats = parts[1] || 0;
-            const ticks = parts[2] || 0;
-            
-            const beatLength = 60 / bpm; // seconds per beat
-            const barLength = beatLength * 4; // Assuming 4/4 time
-            const tickLength = beatLength / 480; // Standard MIDI ticks per quarter note
-            
-            return bars * barLength + beats * beatLength + ticks * tickLength;
-        }
-        
-        // Handle Tone.js note values (4n, 8n, etc.)
-        if (timeString.match(/^\d+[nthq]$/)) {
-            const noteValue = parseInt(timeString);
-            const noteType = timeString.slice(-1);
-            const beatLength = 60 / bpm;
-            
-            switch (noteType) {
-                case 'n': return beatLength * (4 / noteValue); // note values
-                case 't': return beatLength * (4 / noteValue) * (2/3); // triplets
-                case 'h': return beatLength * 2; // half note
-                case 'q': return beatLength; // quarter note
-                default: return beatLength;
-            }
-        }
-        
-        return parseFloat(timeString) || 0;
-    }
+    static PERCUSSION_STAFF = {
+        35: { note: 'E' }, 36: { note: 'F' }, 37: { note: 'c', head: 'x' }, 38: { note: 'c' },
+        39: { note: '^c', head: 'x' }, 40: { note: '_c' }, 41: { note: 'G' }, 42: { note: 'g', head: 'x' },
+        43: { note: 'A' }, 44: { note: 'D', head: 'x' }, 45: { note: 'B' }, 46: { note: '^g', head: 'x' },
+        47: { note: 'd' }, 48: { note: '^d' }, 49: { note: 'a', head: 'x' }, 50: { note: 'e' },
+        51: { note: 'f', head: 'x' }, 52: { note: '^a', head: 'x' }, 53: { note: '^f', head: 'harmonic' },
+        54: { note: '^e', head: 'triangle' }, 55: { note: '_a', head: 'x' }, 56: { note: '_e', head: 'triangle' },
+        57: { note: 'b', head: 'x' }, 59: { note: '_f', head: 'x' }
+    };
+
+    /**
+     * ABC decorations for jmon articulation names
+     */
+    static ARTICULATIONS = {
+        staccato: '.', staccatissimo: '!wedge!', accent: '!accent!', tenuto: '!tenuto!', marcato: '!marcato!',
+        fermata: '!fermata!', trill: '!trill!', mordent: '!mordent!', turn: '!turn!'
+    };
+
+    /**
+     * Pitch class of each natural note, and its place on the circle of fifths (for key signatures)
+     */
+    static LETTER_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+    static LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+
+    /**
+     * Tuplets tried by the exporter, in order: [p, q, division] puts p notes in the time of q,
+     * with boundaries on 1/(p * division) of the span (division 2 lets notes of half a tuplet value in)
+     */
+    static TUPLETS = [[3, 2, 1], [5, 4, 1], [6, 4, 1], [5, 4, 2], [6, 4, 2]];
+
+    /**
+     * Spans, in ticks, that tuplet groups can fill: a whole note down to a sixteenth
+     */
+    static TUPLET_SPANS = [1920, 960, 480, 240, 120];
+
+    /**
+     * Free staff positions handed out, in order, to drum notes without a PERCUSSION_STAFF entry
+     */
+    static PERCUSSION_SPARE_NOTES = [
+        "c'", "d'", "e'", "f'", "g'", "a'", "b'", "^c'", "^d'", "^f'", "^g'", "^a'",
+        'C', '^C', '^D', '^F', '^G', '^A', 'B,', 'A,', 'G,', 'F,', 'E,', 'D,', 'C,'
+    ];
 
     /**
      * Convert a jmon composition to ABC notation
      * @param {Object} composition - jmon composition object or any compatible format
+     * @param {Object} options - Conversion options
+     * @param {string} options.unitLength - Default note length written to L: (default '1/8')
+     * @param {number} options.quantize - Grid, in divisions of the L: unit, that note starts and ends snap to (default 8)
+     * @param {number} options.barsPerLine - Measures per line of music (default 4)
+     * @param {boolean} options.lyrics - Write lyric annotations as w: lines under the first pitched voice
      * @returns {string} ABC notation string
      */
-    static convertToAbc(composition) {
+    static convertToAbc(composition, options = {}) {
         // Smart normalize: convert various formats to jmon
         const normalizedComposition = jmonTone ? jmonTone.normalize(composition) : composition;
         
@@ -79,15 +80,25 @@ class JmonToAbc {
             throw new Error('Invalid jmon composition');
         }
 
+        const layout = this.createLayout(normalizedComposition, options);
+
         let abc = '';
         // ABC Header
-        abc += this.generateAbcHeader(normalizedComposition);
+        const percussion = this.getPercussionMap(normalizedComposition);
+        const sequences = normalizedComposition.sequences || [];
+        const singleDrumVoice = sequences.length === 1 && jmonTone.isDrumSequence(normalizedComposition, sequences[0]);
+        abc += this.generateAbcHeader(normalizedComposition, { clef: singleDrumVoice ? 'perc' : null, unitLength: layout.unitLength });
+
+        // Drum sounds behind each percussion staff position, for playback
+        percussion.forEach(({ note, head }, midiNote) => {
+            abc += `%%percmap ${note} ${midiNote}${head ? ` ${head}` : ''}\n`;
+        });
 
         // Multi-voice: ajouter %%score et déclarations V: dans l'en-tête
         if (normalizedComposition.sequences && normalizedComposition.sequences.length > 1) {
             // Déclaration des voix
             normalizedComposition.sequences.forEach((sequence, index) => {
-                abc += `V:${index + 1} name=\"${sequence.label || `Voice ${index + 1}`}\"\n`;
+                abc += this.generateVoiceDeclaration(sequence, index, normalizedComposition) + '\n';
             });
             // Ligne %%score
             const scoreLine = '%%score ' + normalizedComposition.sequences.map((_, i) => `V:${i+1}`).join(' ');
@@ -97,20 +108,323 @@ class JmonToAbc {
         // Génération des voix/tracks
         if (normalizedComposition.sequences && normalizedComposition.sequences.length > 0) {
             if (normalizedComposition.sequences.length > 1) {
-                abc += this.generateMultiVoiceAbc(normalizedComposition);
+                abc += this.generateMultiVoiceAbc(normalizedComposition, layout);
             } else {
-                abc += this.generateSingleVoiceAbc(normalizedComposition.sequences[0], normalizedComposition);
+                abc += this.generateSingleVoiceAbc(normalizedComposition.sequences[0], normalizedComposition,
+                    singleDrumVoice ? percussion : null, layout);
             }
         }
         return abc;
     }
 
+    /**
+     * Measure layout shared by every voice: the L: unit, the quantize grid and the measures of the meter
+     * @param {Object} composition - normalized jmon composition
+     * @param {Object} options - Conversion options (see convertToAbc)
+     * @returns {Object} { unitLength, unitTicks, gridTicks, barsPerLine, lyrics, timeline, measures, keySignature, fields,
+     *   voices: [{ notes, tuplets }] }
+     */
+    static createLayout(composition, options = {}) {
+        const unitLength = options.unitLength || '1/8';
+        const [numerator, denominator] = unitLength.split('/').map(Number);
+        if (!(numerator > 0) || !(denominator > 0)) {
+            throw new Error(`Invalid ABC unit length: ${unitLength}`);
+        }
+
+        const unitTicks = jmonTone.TICKS_PER_BEAT * 4 * numerator / denominator;
+        const gridTicks = Math.max(1, Math.round(unitTicks / (options.quantize || 8)));
+        const timeline = jmonTone.createTimeline(composition);
+        const layout = {
+            unitLength,
+            unitTicks,
+            gridTicks,
+            barsPerLine: Math.max(1, options.barsPerLine || 4),
+            lyrics: !!options.lyrics,
+            timeline
+        };
+
+        // Every voice gets the same number of measures
+        const sequences = composition.sequences || [];
+        const collected = sequences.map((sequence, index) => this.collectVoiceNotes(composition, index));
+        const lastTick = Math.max(1, ...collected.flat().map(note => Math.round(note.end / gridTicks) * gridTicks));
+        layout.measures = [];
+        for (let bar = 0, start = 0; start < lastTick; bar++) {
+            const segment = [...timeline.meterMap].reverse().find(s => s.bar <= bar);
+            const length = Math.round(segment.barLength * jmonTone.TICKS_PER_BEAT);
+            layout.measures.push({ start, end: start + length, segment });
+            start += length;
+        }
+
+        layout.keySignature = this.convertKeySignature(composition.keySignature || 'C');
+        layout.fields = this.getInlineFields(composition, timeline, layout.measures);
+        layout.voices = collected.map(notes => this.quantizeVoice(notes, layout));
+
+        if (layout.lyrics) {
+            const lyricVoice = sequences.findIndex(sequence => !jmonTone.isDrumSequence(composition, sequence));
+            if (lyricVoice !== -1) this.attachLyrics(composition, timeline, layout.voices[lyricVoice].notes);
+        }
+        return layout;
+    }
+
+    /**
+     * Inline fields for meter, key and tempo changes after the header, at the tick where each takes effect
+     * Meter changes fall on their barline; tempo ramps carry the words (accel., rit.) shown where they begin.
+     * @param {Object} composition - normalized jmon composition
+     * @param {Object} timeline - Timeline from jmonTone.createTimeline
+     * @param {Array} measures - Measures from createLayout()
+     * @returns {Array} Fields { tick, field, text, key, words } sorted by tick (meter, key, then tempo at the same tick)
+     */
+    static getInlineFields(composition, timeline, measures) {
+        const toTick = beats => Math.round(beats * jmonTone.TICKS_PER_BEAT);
+        const fields = [];
+
+        timeline.meterMap.filter(segment => segment.bar > 0 && measures[segment.bar]).forEach(segment => {
+            fields.push({ tick: measures[segment.bar].start, field: 'M', text: `[M:${segment.numerator}/${segment.denominator}]` });
+        });
+
+        (composition.keySignatureMap || []).forEach(change => {
+            const tick = toTick(jmonTone.timeToBeats(timeline, change.time));
+            const key = this.convertKeySignature(change.keySignature);
+            fields.push({ tick, field: 'K', text: `[K:${key}]`, key });
+        });
+
+        timeline.tempoMap.forEach(segment => {
+            const words = segment.endBpm > segment.bpm ? 'accel.' : (segment.endBpm < segment.bpm ? 'rit.' : null);
+            // The header Q: already gives the opening tempo
+            if (segment.beats === 0 && segment.bpm === (composition.bpm || 120) && !words) return;
+            fields.push({ tick: toTick(segment.beats), field: 'Q', text: `[Q:1/4=${Math.round(segment.bpm)}]`, words });
+        });
+
+        const order = ['M', 'K', 'Q'];
+        return fields.sort((a, b) => a.tick - b.tick || order.indexOf(a.field) - order.indexOf(b.field));
+    }
+
+    /**
+     * Notes of one sequence, played out straight, as one voice: overlapping notes are shortened
+     * @param {Object} composition - normalized jmon composition
+     * @param {number} sequenceIndex - Index of the sequence
+     * @returns {Array} Notes { start, end, pitches, articulation } in unquantized ticks, sorted by start
+     */
+    static collectVoiceNotes(composition, sequenceIndex) {
+        const sequence = composition.sequences[sequenceIndex];
+        // Notation is written straight: no swing
+        const rendered = jmonTone.render({ ...composition, sequences: [sequence] }, { swing: 0 });
+        const groups = new Map();
+
+        rendered.events.filter(event => event.type === 'noteOn').forEach(event => {
+            const key = `${event.noteIndex}:${event.repeat || 0}`;
+            if (!groups.has(key)) {
+                const note = sequence.notes[event.noteIndex];
+                groups.set(key, {
+                    start: event.ticks,
+                    end: event.ticks + event.duration.ticks,
+                    articulation: note.articulation,
+                    names: [].concat(note.note),
+                    pitches: []
+                });
+            }
+            // Keep written note names for spelling, MIDI numbers otherwise
+            const group = groups.get(key);
+            const name = group.names[group.pitches.length];
+            group.pitches.push({ midi: event.note, name: typeof name === 'string' ? name : event.note });
+        });
+
+        const notes = [...groups.values()]
+            .filter(note => note.end > note.start)
+            .sort((a, b) => a.start - b.start);
+
+        // One voice per ABC voice: a note that starts under the previous one cuts it short
+        let trimmed = 0;
+        notes.forEach((note, index) => {
+            const next = notes.slice(index + 1).find(other => other.start > note.start);
+            if (next && next.start < note.end) {
+                note.end = next.start;
+                trimmed++;
+            }
+            delete note.names;
+        });
+        if (trimmed > 0) {
+            console.warn(`⚠️  JmonToAbc: ${trimmed} overlapping note(s) in "${sequence.label}" shortened to fit one voice`);
+        }
+        return notes;
+    }
+
+    /**
+     * Snap a voice to the quantize grid, or to the tuplet grid inside tuplets, and merge notes starting together into chords
+     * @param {Array} notes - Voice notes from collectVoiceNotes()
+     * @param {Object} layout - Layout from createLayout() (measures and gridTicks)
+     * @returns {Object} { notes, tuplets } with notes in ticks, sorted by start, and tuplets from findTuplets()
+     */
+    static quantizeVoice(notes, layout) {
+        const tuplets = this.findTuplets(notes, layout);
+        const snap = ticks => {
+            const tuplet = tuplets.find(t => ticks > t.start && ticks < t.end);
+            if (tuplet) return tuplet.start + Math.round((ticks - tuplet.start) / tuplet.unit) * tuplet.unit;
+            return Math.round(ticks / layout.gridTicks) * layout.gridTicks;
+        };
+
+        const snapped = notes
+            .map(note => ({ ...note, start: snap(note.start), end: snap(note.end), pitches: [...note.pitches] }))
+            .filter(note => note.end > note.start);
+
+        // Chords of notes starting together: keep the first duration
+        const voice = snapped.filter((note, index) => {
+            const previous = snapped[index - 1];
+            if (previous && previous.start === note.start) {
+                previous.pitches.push(...note.pitches.filter(p => !previous.pitches.some(q => q.midi === p.midi)));
+                return false;
+            }
+            return true;
+        });
+        voice.forEach((note, index) => {
+            note.pitches.sort((a, b) => a.midi - b.midi);
+            if (voice[index + 1]) note.end = Math.min(note.end, voice[index + 1].start);
+        });
+        return { notes: voice, tuplets };
+    }
+
+    /**
+     * Find tuplet groups: spans of a 16th up to a whole note whose note boundaries fall on a division by 3, 5 or 6
+     * (or a subdivision of one) and not on the quantize grid. Spans near the beat length are tried first, and a span
+     * with a straight half that no note crosses is left to a shorter span.
+     * @param {Array} notes - Voice notes from collectVoiceNotes()
+     * @param {Object} layout - Layout from createLayout() (measures and gridTicks)
+     * @returns {Array} Tuplets { start, end, p, q, unit } sorted by start, unit being the tick grid inside the span
+     */
+    static findTuplets(notes, layout) {
+        const grid = layout.gridTicks;
+        const tolerance = Math.max(1, grid / 8);
+        const onGrid = (ticks, unit) => Math.abs(ticks - Math.round(ticks / unit) * unit) <= tolerance;
+        const tuplets = [];
+
+        layout.measures.forEach(measure => {
+            const beatTicks = this._beatTicks(measure.segment);
+            const spans = this.TUPLET_SPANS
+                .filter(span => span <= measure.end - measure.start)
+                .sort((a, b) => Math.abs(Math.log2(a / beatTicks)) - Math.abs(Math.log2(b / beatTicks)) || a - b);
+
+            // Starts step by the span, or by the meter's note value if shorter: the eighth in compound
+            // meters, so tuplets that follow a dotted beat are found too
+            const noteTicks = jmonTone.TICKS_PER_BEAT * 4 / measure.segment.denominator;
+
+            spans.forEach(span => {
+                for (let start = measure.start; start + span <= measure.end; start += Math.min(span, noteTicks)) {
+                    const end = start + span;
+                    if (tuplets.some(tuplet => tuplet.start < end && tuplet.end > start)) continue;
+
+                    const inside = notes.filter(note => note.start < end - tolerance && note.end > start + tolerance);
+                    if (!inside.some(note => note.start >= start - tolerance)) continue;
+                    if (inside.some(note => note.start < start - tolerance || note.end > end + tolerance)) continue;
+
+                    const boundaries = [...new Set(inside.flatMap(note => [note.start - start, note.end - start]))]
+                        .filter(ticks => ticks > tolerance && ticks < span - tolerance);
+                    if (boundaries.every(ticks => onGrid(ticks, grid))) continue;
+                    // Plain notes at either end stay outside: a shorter span or a later start catches the tuplet
+                    if (onGrid(Math.min(...boundaries), grid) || onGrid(Math.max(...boundaries), grid)) continue;
+
+                    const half = span / 2;
+                    const crossed = inside.some(note => note.start < start + half - tolerance && note.end > start + half + tolerance);
+                    if (!crossed && (boundaries.filter(ticks => ticks < half).every(ticks => onGrid(ticks, grid)) ||
+                        boundaries.filter(ticks => ticks > half).every(ticks => onGrid(ticks, grid)))) continue;
+
+                    const match = this.TUPLETS.find(([p, q, division]) => {
+                        const unit = span / (p * division);
+                        return Number.isInteger(unit) && Number.isInteger(span / (q * division)) &&
+                            boundaries.every(ticks => onGrid(ticks, unit));
+                    });
+                    if (match) {
+                        const [p, q, division] = match;
+                        tuplets.push({ start, end, p, q, unit: span / (p * division) });
+                    }
+                }
+            });
+        });
+
+        return tuplets.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Beat length of a meter segment: the denominator note, or a dotted beat in compound meters (helper function)
+     * @param {Object} segment - Meter segment from the timeline's meterMap
+     * @returns {number} Beat length in ticks
+     */
+    static _beatTicks(segment) {
+        const { numerator, denominator } = segment;
+        const compound = numerator % 3 === 0 && numerator > 3 && denominator >= 8;
+        return jmonTone.TICKS_PER_BEAT * 4 / denominator * (compound ? 3 : 1);
+    }
+
+    /**
+     * Attach lyric annotations to the first free note at or after each syllable (helper function)
+     * @param {Object} composition - jmon composition
+     * @param {Object} timeline - Timeline from jmonTone.createTimeline
+     * @param {Array} notes - Voice notes from quantizeVoice()
+     */
+    static attachLyrics(composition, timeline, notes) {
+        (composition.annotations || [])
+            .filter(annotation => annotation.type === 'lyric')
+            .map(annotation => ({ ...annotation, tick: Math.round(jmonTone.timeToBeats(timeline, annotation.time) * jmonTone.TICKS_PER_BEAT) }))
+            .sort((a, b) => a.tick - b.tick)
+            .forEach(lyric => {
+                const note = notes.find(candidate => candidate.end > lyric.tick && candidate.lyric === undefined);
+                if (!note) {
+                    console.warn(`⚠️  JmonToAbc: No note for lyric "${lyric.text}" at ${lyric.time}`);
+                    return;
+                }
+                note.lyric = lyric.text;
+            });
+    }
+
+    /**
+     * Generate the V: line of a voice, with the percussion clef for drum sequences
+     * @param {Object} sequence - jmon sequence
+     * @param {number} index - Voice index (0-based)
+     * @param {Object} composition - full composition for context
+     * @returns {string} ABC voice declaration (without newline)
+     */
+    static generateVoiceDeclaration(sequence, index, composition) {
+        const clef = jmonTone.isDrumSequence(composition, sequence) ? ' clef=perc' : '';
+        return `V:${index + 1} name="${sequence.label || `Voice ${index + 1}`}"${clef}`;
+    }
+
+    /**
+     * Assign percussion staff positions to the drum notes used by the composition
+     * @param {Object} composition - jmon composition
+     * @returns {Map} MIDI note -> { note, head } (ABC note and optional notehead), empty without drum sequences
+     */
+    static getPercussionMap(composition) {
+        const percussion = new Map();
+        const spare = this.PERCUSSION_SPARE_NOTES.filter(note =>
+            !Object.values(this.PERCUSSION_STAFF).some(position => position.note === note));
+
+        (composition.sequences || [])
+            .filter(sequence => jmonTone.isDrumSequence(composition, sequence))
+            .forEach(sequence => (sequence.notes || []).forEach(note => {
+                [].concat(note.note).forEach(piece => {
+                    const midiNote = typeof piece === 'number' ? piece : jmonTone.noteNameToMidiNote(String(piece));
+                    if (percussion.has(midiNote)) return;
+                    if (this.PERCUSSION_STAFF[midiNote]) {
+                        percussion.set(midiNote, this.PERCUSSION_STAFF[midiNote]);
+                    } else if (spare.length > 0) {
+                        percussion.set(midiNote, { note: spare.shift(), head: 'triangle' });
+                    } else {
+                        console.warn(`⚠️  JmonToAbc: No free percussion staff position for drum note ${midiNote}`);
+                    }
+                });
+            }));
+
+        return percussion;
+    }
+
     /**
      * Generate ABC header section
      * @param {Object} composition - jmon composition
+     * @param {Object} options - Header options
+     * @param {string} options.clef - Clef for the K: line (e.g. 'perc' for a single drum voice)
+     * @param {string} options.unitLength - Default note length for the L: line (default '1/8')
      * @returns {string} ABC header
      */
-    static generateAbcHeader(composition) {
+    static generateAbcHeader(composition, options = {}) {
         let header = '';
         
         // Index number (required)
@@ -137,32 +451,16 @@ class JmonToAbc {
         const timeSignature = composition.timeSignature || '4/4';
         header += `M:${timeSignature}\n`;
         
-        // Default note length (usually 1/4 for quarter notes)
-        header += 'L:1/4\n';
+        // Default note length: note lengths in the tune are multiples of it
+        header += `L:${options.unitLength || '1/8'}\n`;
         
         // Tempo
         const bpm = composition.bpm || 120;
         header += `Q:1/4=${bpm}\n`;
         
-        // Add tempo changes as comments if present
-        if (composition.tempoMap && composition.tempoMap.length > 0) {
-            header += '% Tempo changes:\n';
-            composition.tempoMap.forEach(change => {
-                header += `% Time ${change.time}: ${change.bpm} BPM\n`;
-            });
-        }
-        
         // Key signature (MUST be last in header)
         const keySignature = composition.keySignature || 'C';
-        header += `K:${this.convertKeySignature(keySignature)}\n`;
-        
-        // Add key changes as comments if present
-        if (composition.keySignatureMap && composition.keySignatureMap.length > 0) {
-            header += '% Key changes:\n';
-            composition.keySignatureMap.forEach(change => {
-                header += `% Time ${change.time}: ${this.convertKeySignature(change.keySignature)}\n`;
-            });
-        }
+        header += `K:${this.convertKeySignature(keySignature)}${options.clef ? ` clef=${options.clef}` : ''}\n`;
         
         return header;
     }
@@ -212,62 +510,243 @@ class JmonToAbc {
     }
 
     /**
-     * Generate single voice ABC notation
+     * Generate single voice ABC notation: barlines at every measure, notes tied across barlines, rests in the gaps
      * @param {Object} sequence - jmon sequence
      * @param {Object} composition - full composition for context
+     * @param {Map} percussion - Percussion staff map from getPercussionMap(), for drum voices
+     * @param {Object} layout - Layout from createLayout() (created with default options when omitted)
      * @returns {string} ABC notation
      */
-    static generateSingleVoiceAbc(sequence, composition) {
-        let abc = '';
-        
-        // Sort notes by time
-        const sortedNotes = [...sequence.notes].sort((a, b) => {
-            const timeA = this.parseTimeString(a.time, composition.bpm || 120);
-            const timeB = this.parseTimeString(b.time, composition.bpm || 120);
-            return timeA - timeB;
+    static generateSingleVoiceAbc(sequence, composition, percussion = null, layout = null) {
+        layout = layout || this.createLayout(composition);
+        const index = (composition.sequences || []).indexOf(sequence);
+        const { notes, tuplets } = index !== -1 ? layout.voices[index] :
+            this.quantizeVoice(this.collectVoiceNotes({ ...composition, sequences: [sequence] }, 0), layout);
+        const lyrics = layout.lyrics && notes.some(note => note.lyric !== undefined);
+
+        const lines = [];
+        let line = '';
+        let syllables = [];
+        layout.measures.forEach((measure, bar) => {
+            line += this.generateMeasureAbc(notes, measure, layout, {
+                percussion, tuplets, syllables: lyrics ? syllables : null, directions: index <= 0
+            });
+
+            if (bar === layout.measures.length - 1) {
+                line += ' |]';
+            } else if ((bar + 1) % layout.barsPerLine === 0) {
+                line += ' |';
+            } else {
+                line += ' | ';
+                return;
+            }
+
+            lines.push(line);
+            if (syllables.some(syllable => syllable !== '*')) {
+                lines.push(`w:${syllables.map((syllable, i) => (i > 0 && !syllables[i - 1].endsWith('-') ? ' ' : '') + syllable).join('')}`);
+            }
+            line = '';
+            syllables = [];
         });
 
-        // Generate notes with proper spacing
-        sortedNotes.forEach((note, index) => {
-            // Add space between notes (except for first note)
-            if (index > 0) {
-                abc += ' ';
+        return lines.join('\n');
+    }
+
+    /**
+     * Write the notes and rests of one measure, beaming notes shorter than a quarter within each beat or tuplet
+     * @param {Array} notes - Voice notes from quantizeVoice()
+     * @param {Object} measure - { start, end, segment } from createLayout()
+     * @param {Object} layout - Layout from createLayout()
+     * @param {Object} options - Voice options
+     * @param {Map} options.percussion - Percussion staff map, for drum voices (which take no key changes)
+     * @param {Array} options.tuplets - Tuplets of the voice from quantizeVoice()
+     * @param {Array} options.syllables - Receives one w: syllable ('*' for none) per note starting in the measure
+     * @param {boolean} options.directions - Write tempo words (accel., rit.) with the tempo changes
+     * @returns {string} ABC measure contents, without barline
+     */
+    static generateMeasureAbc(notes, measure, layout, options = {}) {
+        const { percussion, syllables, directions } = options;
+        const inMeasure = notes.filter(note => note.start < measure.end && note.end > measure.start);
+        const tuplets = (options.tuplets || []).filter(tuplet => tuplet.start >= measure.start && tuplet.end <= measure.end);
+        const fields = layout.fields.filter(field => field.tick >= measure.start && field.tick < measure.end &&
+            !(percussion && field.field === 'K'));
+        const fieldText = field => field.text + (directions && field.words ? ` "^${field.words}"` : '');
+
+        // Fields inside an empty measure would be lost in a whole-measure rest
+        if (inMeasure.length === 0 && fields.every(field => field.tick === measure.start)) {
+            return [...fields.map(fieldText), 'Z'].join(' ');
+        }
+
+        const beatTicks = this._beatTicks(measure.segment);
+        const edges = [...fields.map(field => field.tick), ...tuplets.flatMap(tuplet => [tuplet.start, tuplet.end])];
+        const tokens = fields.map(field => ({ start: field.tick, text: fieldText(field), field: true, beamable: false }));
+
+        // Split start..stop at the given ticks into writable lengths; inside a tuplet, lengths are written at p/q
+        const split = (start, stop, breaks) => {
+            const pieces = [];
+            [...new Set(breaks.filter(tick => tick > start && tick < stop))].sort((a, b) => a - b).concat(stop).forEach(end => {
+                const tuplet = tuplets.find(t => start >= t.start && start < t.end);
+                const scale = tuplet ? tuplet.p / tuplet.q : 1;
+                const shortest = tuplet ? Math.min(layout.gridTicks, tuplet.unit * scale) : layout.gridTicks;
+                this.lengthPieces((end - start) * scale, shortest).forEach(written => {
+                    pieces.push({ start, ticks: written / scale, length: this.ticksToAbcLength(written, layout), tuplet });
+                    start += written / scale;
+                });
+                start = end;
+            });
+            return pieces;
+        };
+        const push = (piece, text, rest) => {
+            tokens.push({
+                start: piece.start,
+                tuplet: piece.tuplet,
+                beat: piece.tuplet ? `t${piece.tuplet.start}` : Math.floor((piece.start - measure.start) / beatTicks),
+                text,
+                beamable: !rest && piece.ticks < jmonTone.TICKS_PER_BEAT
+            });
+        };
+        // Rests fill up to the next beat first, then take whole beats, and break where a field or tuplet begins
+        const addRest = (start, end) => {
+            const nextBeat = measure.start + Math.ceil((start - measure.start) / beatTicks) * beatTicks;
+            split(start, end, [nextBeat, ...edges]).forEach(piece => push(piece, 'z' + piece.length, true));
+        };
+
+        // Notes are spelled in the key in force where they start; accidentals hold until the barline or a key change
+        const keyFields = [{ tick: -1, key: layout.keySignature }, ...layout.fields.filter(field => field.field === 'K')];
+        const keyAt = tick => keyFields.filter(field => field.tick <= tick).pop();
+        let keyField = null;
+        let key = null;
+        let accidentals = new Map();
+
+        let position = measure.start;
+        inMeasure.forEach(note => {
+            if (note.start > position) addRest(position, note.start);
+
+            const start = Math.max(note.start, measure.start);
+            const end = Math.min(note.end, measure.end);
+            if (keyAt(start) !== keyField) {
+                keyField = keyAt(start);
+                key = this.keyInfo(keyField.key);
+                accidentals = new Map();
             }
-            
-            // Convert note (without dynamics for now to test)
-            abc += this.convertNoteToAbcSimple(note, composition);
+            const pitches = note.pitches.map(pitch => (percussion ?
+                this.convertDrumNoteToAbc(pitch.midi, percussion) : this.convertSingleNoteToAbc(pitch.name, key, accidentals)));
+            const written = pitches.length > 1 ? `[${pitches.join('')}]` : pitches[0];
+
+            // A field under a held note splits it, tied, so the field lands on its tick
+            const pieces = split(start, end, edges);
+            pieces.forEach((piece, i) => {
+                const first = i === 0 && note.start >= measure.start;
+                const tied = i < pieces.length - 1 || note.end > measure.end;
+                const decorations = first ? this.articulationToAbc(note.articulation) : '';
+                push(piece, decorations + written + piece.length + (tied ? '-' : ''), false);
+            });
+
+            // Notes held over a tie take no syllable
+            if (syllables && note.start >= measure.start) {
+                syllables.push(note.lyric !== undefined ? note.lyric.replace(/ /g, '~') : '*');
+            }
+            position = end;
         });
+        if (position < measure.end) addRest(position, measure.end);
 
-        // Add bar line and end
-        abc += ' |]';
+        // Fields go before the note or rest starting at their tick
+        tokens.sort((a, b) => a.start - b.start || (a.field ? 0 : 1) - (b.field ? 0 : 1));
+        const opened = new Set();
+        return tokens.map((token, i) => {
+            const previous = tokens[i - 1];
+            const beamed = previous && previous.beamable && token.beamable && previous.beat === token.beat;
+            let text = token.text;
+            if (token.tuplet && !opened.has(token.tuplet)) {
+                opened.add(token.tuplet);
+                text = this.tupletToAbc(token.tuplet, tokens.filter(other => other.tuplet === token.tuplet).length) + text;
+            }
+            return (i > 0 && !beamed ? ' ' : '') + text;
+        }).join('');
+    }
 
-        return abc;
+    /**
+     * ABC tuplet marker: (3 for a plain triplet, (p:q for p notes, (p:q:r otherwise
+     * @param {Object} tuplet - Tuplet { p, q } from findTuplets()
+     * @param {number} count - Notes and rests in the tuplet
+     * @returns {string} ABC tuplet marker
+     */
+    static tupletToAbc(tuplet, count) {
+        if (count === tuplet.p) return tuplet.p === 3 && tuplet.q === 2 ? '(3' : `(${tuplet.p}:${tuplet.q}`;
+        return `(${tuplet.p}:${tuplet.q}:${count}`;
+    }
+
+    /**
+     * Split a duration into writable note lengths (plain, dotted or double-dotted), longest first
+     * @param {number} ticks - Duration in ticks
+     * @param {number} gridTicks - Shortest length to write; leftover ticks stretch the last length
+     * @returns {Array<number>} Lengths in ticks, summing to ticks
+     */
+    static lengthPieces(ticks, gridTicks = 1) {
+        const candidates = [];
+        for (let length = jmonTone.TICKS_PER_BEAT * 8; length >= gridTicks && length >= 1; length /= 2) {
+            [length * 1.75, length * 1.5, length].filter(Number.isInteger).forEach(value => candidates.push(value));
+        }
+        candidates.sort((a, b) => b - a);
+
+        const pieces = [];
+        let remaining = ticks;
+        candidates.forEach(candidate => {
+            while (remaining >= candidate) {
+                pieces.push(candidate);
+                remaining -= candidate;
+            }
+        });
+        if (remaining > 0) {
+            if (pieces.length === 0) pieces.push(0);
+            pieces[pieces.length - 1] += remaining;
+        }
+        return pieces;
+    }
+
+    /**
+     * Write a length in ticks as a multiple of the L: unit (helper function)
+     * @param {number} ticks - Length in ticks
+     * @param {Object} layout - Layout from createLayout()
+     * @returns {string} ABC length suffix ('' for one unit)
+     */
+    static ticksToAbcLength(ticks, layout) {
+        return this.beatsToAbcNotation(ticks / jmonTone.TICKS_PER_BEAT, layout.unitTicks / jmonTone.TICKS_PER_BEAT);
+    }
+
+    /**
+     * ABC decorations for a jmon articulation (space-separated names such as 'accent fermata')
+     * @param {string} articulation - jmon articulation
+     * @returns {string} Decorations to write before the note
+     */
+    static articulationToAbc(articulation) {
+        if (!articulation) return '';
+        return String(articulation).split(/\s+/).map(name => this.ARTICULATIONS[name] || '').join('');
     }
     
     /**
      * Simple note conversion without complex formatting
+     * Drum voices pass a percussion map and write staff positions instead of pitches.
      */
-    static convertNoteToAbcSimple(note, composition) {
+    static convertNoteToAbcSimple(note, composition, percussion = null) {
         let abcNote = '';
+        const convert = n => (percussion ? this.convertDrumNoteToAbc(n, percussion) : this.convertSingleNoteToAbc(n));
 
         // Handle chords
         if (Array.isArray(note.note)) {
             abcNote += '[';
             note.note.forEach((n, index) => {
                 if (index > 0) abcNote += '';
-                abcNote += this.convertSingleNoteToAbc(n);
+                abcNote += convert(n);
             });
             abcNote += ']';
         } else {
-            abcNote += this.convertSingleNoteToAbc(note.note);
+            abcNote += convert(note.note);
         }
 
-        // Add duration
-        let duration = note.duration;
-        if (typeof note.duration === 'string') {
-            duration = this.parseTimeString(note.duration, composition.bpm || 120);
-        }
-        abcNote += this.durationToAbcNotation(duration, composition.bpm || 120);
+        // Add duration (in beats, resolved against meter and tempo)
+        const { durationBeats } = jmonTone.resolveNoteTiming(composition, note);
+        abcNote += this.beatsToAbcNotation(durationBeats);
 
         return abcNote;
     }
@@ -275,17 +754,22 @@ class JmonToAbc {
     /**
      * Generate multi-voice ABC notation
      * @param {Object} composition - jmon composition
+     * @param {Object} layout - Layout from createLayout() (created with default options when omitted)
      * @returns {string} ABC notation
      */
-    static generateMultiVoiceAbc(composition) {
+    static generateMultiVoiceAbc(composition, layout = null) {
         let abc = '';
         
+        layout = layout || this.createLayout(composition);
+        const percussion = this.getPercussionMap(composition);
+        
         composition.sequences.forEach((sequence, index) => {
             // Voice header
-            abc += `V:${index + 1} name="${sequence.label || `Voice ${index + 1}`}"\n`;
+            abc += this.generateVoiceDeclaration(sequence, index, composition) + '\n';
             
             // Generate voice content
-            abc += this.generateSingleVoiceAbc(sequence, composition);
+            const drums = jmonTone.isDrumSequence(composition, sequence);
+            abc += this.generateSingleVoiceAbc(sequence, composition, drums ? percussion : null, layout);
             abc += '\n';
         });
 
@@ -313,13 +797,9 @@ class JmonToAbc {
             abcNote += this.convertSingleNoteToAbc(note.note);
         }
 
-        // Add duration
-        let duration = note.duration;
-        if (typeof note.duration === 'string') {
-            // Use the class parseTimeString helper
-            duration = this.parseTimeString(note.duration, composition.bpm || 120);
-        }
-        abcNote += this.durationToAbcNotation(duration, composition.bpm || 120);
+        // Add duration (in beats, resolved against meter and tempo)
+        const { durationBeats } = jmonTone.resolveNoteTiming(composition, note);
+        abcNote += this.beatsToAbcNotation(durationBeats);
 
         // Add dynamics based on velocity (using standard ABC dynamics)
         if (note.velocity !== undefined) {
@@ -384,63 +864,118 @@ class JmonToAbc {
     }
 
     /**
-     * Convert a single note name or MIDI number to ABC notation
-     * @param {string|number} note - note name or MIDI number
-     * @returns {string} ABC note
+     * Convert a drum note (kit piece name or GM drum map number) to its percussion staff position
+     * @param {string|number} note - kit piece name, note name or MIDI number
+     * @param {Map} percussion - Percussion staff map from getPercussionMap()
+     * @returns {string} ABC note on the percussion clef
      */
-    static convertSingleNoteToAbc(note) {
-        let noteName;
-        
-        if (typeof note === 'number') {
-            // Convert MIDI number to note name
-            const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-            const octave = Math.floor(note / 12) - 1;
-            const noteIndex = note % 12;
-            noteName = noteNames[noteIndex] + octave;
-        } else {
-            noteName = note;
+    static convertDrumNoteToAbc(note, percussion) {
+        const midiNote = typeof note === 'number' ? note : jmonTone.noteNameToMidiNote(String(note));
+        const position = percussion.get(midiNote);
+        return position ? position.note : this.convertSingleNoteToAbc(midiNote);
+    }
+
+    /**
+     * Convert a single note name or MIDI number to ABC notation, spelled for the key
+     * Without bar accidentals, any note off the key signature gets its accidental.
+     * @param {string|number} note - note name or MIDI number (kit piece names use their GM drum map pitch)
+     * @param {Object} key - Key from keyInfo() (default C major)
+     * @param {Map} accidentals - Accidentals written earlier in the bar, updated in place (omit to write every one)
+     * @returns {string} ABC note (C4 is 'C', C3 'C,', C5 'c', C6 "c'")
+     */
+    static convertSingleNoteToAbc(note, key = null, accidentals = null) {
+        if (typeof note === 'string' && jmonTone.drumNoteNumber(note) !== null) {
+            note = jmonTone.drumNoteNumber(note);
         }
 
-        // Parse note name (e.g., "C4", "F#3", "Bb5")
-        const match = noteName.match(/^([A-G])(#|b)?(-?\d+)$/);
-        if (!match) {
-            console.warn('Invalid note name:', noteName);
+        key = key || this.keyInfo('C');
+        const spelled = this.spellPitch(note, key);
+        if (!spelled) {
+            console.warn('Invalid note name:', note);
             return 'C';
         }
 
-        const [, noteChar, accidental, octaveStr] = match;
-        const octave = parseInt(octaveStr);
+        // Readers carry an accidental either to the same pitch in every octave or in the same octave only:
+        // write one whenever either reading would get the pitch wrong
+        const { letter, alter, octave } = spelled;
+        const keyAlter = key.alters[letter] || 0;
+        let write = alter !== keyAlter;
+        if (accidentals) {
+            const expected = [accidentals.get(letter), accidentals.get(`${letter}${octave}`)]
+                .map(carried => (carried !== undefined ? carried : keyAlter));
+            write = expected.some(carried => carried !== alter);
+            if (write) {
+                accidentals.set(letter, alter);
+                accidentals.set(`${letter}${octave}`, alter);
+            }
+        }
 
-        // Convert to ABC notation
-        let abcNote = noteChar;
+        const accidental = write ? { '-2': '__', '-1': '_', 0: '=', 1: '^', 2: '^^' }[alter] : '';
+        // ABC notation: C,, C, C c c' c''  (octave 2, 3, 4, 5, 6, 7)
+        return octave >= 5
+            ? accidental + letter.toLowerCase() + "'".repeat(octave - 5)
+            : accidental + letter + ','.repeat(4 - octave);
+    }
 
-        // Add accidentals
-        if (accidental === '#') {
-            abcNote = '^' + abcNote;
-        } else if (accidental === 'b') {
-            abcNote = '_' + abcNote;
+    /**
+     * Spelling of a key: letter alterations of its signature, and the spelling of each pitch class
+     * In the scale (plus the raised seventh of minor keys) notes are spelled as the key spells them;
+     * other notes take sharps in sharp keys and flats in flat keys.
+     * @param {string} keySignature - Key as written to K: (e.g. 'F', 'Bb', 'F#m')
+     * @returns {Object} { fifths, minor, alters: { letter: alter }, scale: { pitchClass: { letter, alter } }, chromatic }
+     */
+    static keyInfo(keySignature) {
+        const match = String(keySignature).match(/^([A-G])([#b]?)(m?)/);
+        const [, tonic, tonicAccidental, minor] = match || [null, 'C', '', ''];
+        const tonicAlter = tonicAccidental === '#' ? 1 : (tonicAccidental === 'b' ? -1 : 0);
+        const fifths = this.LETTER_FIFTHS[tonic] + 7 * tonicAlter - (minor ? 3 : 0);
+
+        const alters = {};
+        'FCGDAEB'.slice(0, Math.max(0, fifths)).split('').forEach(letter => { alters[letter] = 1; });
+        'BEADGCF'.slice(0, Math.max(0, -fifths)).split('').forEach(letter => { alters[letter] = -1; });
+
+        const scale = {};
+        const pitchClass = (letter, alter) => (((this.LETTER_PITCHES[letter] + alter) % 12) + 12) % 12;
+        Object.keys(this.LETTER_PITCHES).forEach(letter => {
+            scale[pitchClass(letter, alters[letter] || 0)] = { letter, alter: alters[letter] || 0 };
+        });
+        if (minor) {
+            const letters = 'CDEFGAB';
+            const seventh = letters[(letters.indexOf(tonic) + 6) % 7];
+            const alter = (alters[seventh] || 0) + 1;
+            scale[pitchClass(seventh, alter)] = { letter: seventh, alter };
         }
 
-        // Handle octaves in ABC notation correctly
-        // ABC notation: C,, C, C c c' c''
-        // Octave 3 = C,  Octave 4 = C  Octave 5 = c  Octave 6 = c'
-        if (octave <= 3) {
-            abcNote = abcNote.toUpperCase();
-            // Add commas for lower octaves
-            for (let i = octave; i < 3; i++) {
-                abcNote += ',';
-            }
-        } else if (octave === 4) {
-            abcNote = abcNote.toUpperCase();
-        } else {
-            abcNote = abcNote.toLowerCase();
-            // Add apostrophes for higher octaves
-            for (let i = 5; i <= octave; i++) {
-                abcNote += "'";
-            }
+        const chromatic = fifths > 0 ? ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'] :
+            fifths < 0 ? ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'] :
+            ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        return { fifths, minor: !!minor, alters, scale, chromatic };
+    }
+
+    /**
+     * Spell a pitch for a key: the key's spelling when the note is in its scale, else the written name, else the key's default
+     * @param {string|number} note - note name (e.g. 'A#4') or MIDI number
+     * @param {Object} key - Key from keyInfo()
+     * @returns {Object|null} { letter, alter, octave }, null for an unreadable note name
+     */
+    static spellPitch(note, key) {
+        const parse = name => {
+            const match = String(name).match(/^([A-G])(#|b)?(-?\d+)?$/);
+            return match && { letter: match[1], alter: match[2] === '#' ? 1 : (match[2] === 'b' ? -1 : 0), octave: match[3] };
+        };
+
+        let midi = note;
+        let written = null;
+        if (typeof note !== 'number') {
+            written = parse(note);
+            if (!written || written.octave === undefined) return null;
+            midi = (parseInt(written.octave, 10) + 1) * 12 + this.LETTER_PITCHES[written.letter] + written.alter;
         }
 
-        return abcNote;
+        const pitchClass = ((Math.round(midi) % 12) + 12) % 12;
+        const { letter, alter } = key.scale[pitchClass] || written || parse(key.chromatic[pitchClass]);
+        const octave = Math.round((Math.round(midi) - alter - this.LETTER_PITCHES[letter]) / 12) - 1;
+        return { letter, alter, octave };
     }
 
     /**
@@ -451,28 +986,27 @@ class JmonToAbc {
      */
     static durationToAbcNotation(duration, bpm) {
         const beatLength = 60 / bpm; // quarter note duration
-        const ratio = duration / beatLength;
-
-        // Common note durations
-        if (Math.abs(ratio - 4) < 0.1) return '4';      // whole note
-        if (Math.abs(ratio - 2) < 0.1) return '2';      // half note
-        if (Math.abs(ratio - 1) < 0.1) return '';       // quarter note (default)
-        if (Math.abs(ratio - 0.5) < 0.1) return '/2';   // eighth note
-        if (Math.abs(ratio - 0.25) < 0.1) return '/4';  // sixteenth note
-        if (Math.abs(ratio - 0.125) < 0.1) return '/8'; // thirty-second note
-        
-        // Dotted notes
-        if (Math.abs(ratio - 1.5) < 0.1) return '3/2';  // dotted quarter
-        if (Math.abs(ratio - 0.75) < 0.1) return '3/4'; // dotted eighth
-        if (Math.abs(ratio - 3) < 0.1) return '3';      // dotted half
-        
-        // Triplets
-        if (Math.abs(ratio - 2/3) < 0.1) return '2/3';  // quarter triplet
-        if (Math.abs(ratio - 1/3) < 0.1) return '/3';   // eighth triplet
+        return this.beatsToAbcNotation(duration / beatLength);
+    }
 
-        // For other durations, use fractional notation
-        const numerator = Math.round(ratio * 8);
-        return numerator === 8 ? '' : `${numerator}/8`;
+    /**
+     * Convert a length in quarter-note beats to ABC notation: an exact multiple of the unit note length
+     * @param {number} ratio - duration in quarter notes
+     * @param {number} unitBeats - L: unit in quarter notes (default 1, for L:1/4)
+     * @returns {string} ABC duration notation ('' for one unit, '/' for half a unit)
+     */
+    static beatsToAbcNotation(ratio, unitBeats = 1) {
+        // Fractions of 1/1920 unit cover dotted, triplet and quintuplet lengths
+        const resolution = 1920;
+        const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+        const units = Math.max(1, Math.round(ratio / unitBeats * resolution));
+        const divisor = gcd(units, resolution);
+        const numerator = units / divisor;
+        const denominator = resolution / divisor;
+
+        if (denominator === 1) return numerator === 1 ? '' : String(numerator);
+        if (numerator === 1) return denominator === 2 ? '/' : `/${denominator}`;
+        return `${numerator}/${denominator}`;
     }
 
     /**
@@ -585,38 +1119,24 @@ class JmonToAbc {
     /**
      * Generate ABC notation with lyrics from annotations
      * @param {Object} composition - jmon composition with annotations or any compatible format
+     * @param {Object} options - Conversion options (see convertToAbc)
      * @returns {string} ABC notation with lyrics
      */
-    static convertWithLyrics(composition) {
+    static convertWithLyrics(composition, options = {}) {
         // Smart normalize: convert various formats to jmon
         const normalizedComposition = jmonTone ? jmonTone.normalize(composition) : composition;
-        let abc = this.convertToAbc(composition);
+        // Lyrics go on w: lines under each line of the first pitched voice
+        let abc = this.convertToAbc(composition, { ...options, lyrics: true });
         
-        // Add lyrics from annotations
         if (normalizedComposition.annotations && Array.isArray(normalizedComposition.annotations)) {
-            const lyrics = normalizedComposition.annotations
-                .filter(ann => ann.type === 'lyric')
-                .sort((a, b) => {
-                    const timeA = this.parseTimeString(a.time, normalizedComposition.bpm || 120);
-                    const timeB = this.parseTimeString(b.time, normalizedComposition.bpm || 120);
-                    return timeA - timeB;
-                });
-                
-            if (lyrics.length > 0) {
-                abc += '\nw: ';
-                lyrics.forEach((lyric, index) => {
-                    if (index > 0) abc += ' ';
-                    abc += lyric.text;
-                });
-                abc += '\n';
-            }
+            const timeline = jmonTone.createTimeline(normalizedComposition);
             
             // Add rehearsal marks and comments
             const markers = normalizedComposition.annotations
                 .filter(ann => ann.type === 'marker' || ann.type === 'rehearsal')
                 .sort((a, b) => {
-                    const timeA = this.parseTimeString(a.time, normalizedComposition.bpm || 120);
-                    const timeB = this.parseTimeString(b.time, normalizedComposition.bpm || 120);
+                    const timeA = jmonTone.timeToBeats(timeline, a.time);
+                    const timeB = jmonTone.timeToBeats(timeline, b.time);
                     return timeA - timeB;
                 });
             
@@ -643,6 +1163,3 @@ if (typeof window !== 'undefined') {
 }
 
 })(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
-
-// ES Module export for Observable and modern bundlers
-export default JmonToAbc;
\ No newline at end of file
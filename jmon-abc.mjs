@@ -0,0 +1,10 @@
+/**
+ * jmon-abc.mjs - ES module entry for Observable and modern bundlers
+ * 
+ * jmon-abc.js stays a classic script so Node.js can require() it; importing it
+ * defines window.JmonToAbc, which this module exports as its default.
+ */
+
+import './jmon-abc.js';
+
+export default globalThis.JmonToAbc;
@@ -0,0 +1,1244 @@
+/**
+ * jmon-dsp.js - Render jmon compositions to PCM without Web Audio
+ *
+ * A small pure-JavaScript synthesis engine for Node.js (CI, golden-file tests) that follows the
+ * Tone.js player: the same audioGraph nodes and connections to "master", note timing from
+ * jmonTone.render(), and the same pitch bend and CC modulation rules. Rendering is deterministic.
+ * Covers Synth, PolySynth, AMSynth, FMSynth, MonoSynth and Sampler (WAV files read from disk),
+ * and the Filter, Delay, FeedbackDelay, Reverb and Compressor effects.
+ */
+
+(function(global) {
+    'use strict';
+
+    // Check if already loaded
+    if (global.JmonDsp) {
+        return;
+    }
+
+    // In Node.js, load jmonTone next to this file when it is not already a global
+    if (typeof jmonTone === 'undefined' && typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        global.jmonTone = require('./jmon-tone.js');
+    }
+
+// Exponential envelope segments reach -60 dB at their stated time
+const DECAY_CONSTANT = Math.log(1000);
+
+// Freeverb comb and allpass lengths at 44.1 kHz, right channel spread by 23 samples
+const COMB_TUNING = [1116, 1188, 1277, 1356, 1422, 1491, 1557, 1617];
+const ALLPASS_TUNING = [556, 441, 341, 225];
+const STEREO_SPREAD = 23;
+const REVERB_INPUT_GAIN = 0.045;
+const REVERB_DAMPING = 0.2;
+
+class JmonDsp {
+    /**
+     * Tone.js defaults of the synths the renderer covers
+     */
+    static SYNTH_DEFAULTS = {
+        Synth: {
+            oscillator: { type: 'triangle' },
+            envelope: { attack: 0.005, decay: 0.1, sustain: 0.3, release: 1 }
+        },
+        MonoSynth: {
+            oscillator: { type: 'sawtooth' },
+            envelope: { attack: 0.005, decay: 0.1, sustain: 0.9, release: 1 },
+            filter: { type: 'lowpass', Q: 1, rolloff: -12 },
+            filterEnvelope: { attack: 0.6, decay: 0.2, sustain: 0.5, release: 2, baseFrequency: 200, octaves: 3, exponent: 2 }
+        },
+        AMSynth: {
+            harmonicity: 3,
+            oscillator: { type: 'sine' },
+            envelope: { attack: 0.01, decay: 0.01, sustain: 1, release: 0.5 },
+            modulation: { type: 'square' },
+            modulationEnvelope: { attack: 0.5, decay: 0, sustain: 1, release: 0.5 }
+        },
+        FMSynth: {
+            harmonicity: 3,
+            modulationIndex: 10,
+            oscillator: { type: 'sine' },
+            envelope: { attack: 0.01, decay: 0.01, sustain: 1, release: 0.5 },
+            modulation: { type: 'square' },
+            modulationEnvelope: { attack: 0.5, decay: 0, sustain: 1, release: 0.5 }
+        }
+    };
+
+    /**
+     * Render a composition to PCM samples
+     * @param {Object} composition - jmon composition (or any compatible format)
+     * @param {Object} options - Render options
+     * @param {number} options.sampleRate - Sample rate in Hz (default 44100)
+     * @param {number} options.channels - 1 (mono) or 2 (stereo, default)
+     * @param {number} options.tail - Seconds rendered after the last note (default: estimated release and effect tails)
+     * @param {string} options.baseDir - Directory Sampler paths are resolved against (default: as given)
+     * @param {Function} options.readFile - Reads a sample file, path => bytes (default: fs.readFileSync)
+     * @returns {Object} { sampleRate, duration, channelData: Float32Array per channel }
+     */
+    static render(composition, options = {}) {
+        if (typeof jmonTone === 'undefined') {
+            throw new Error('jmonTone library is required. Make sure jmon-tone.js is loaded.');
+        }
+
+        const normalizedComposition = jmonTone.normalize(composition);
+        if (!normalizedComposition.connections || normalizedComposition.connections.length === 0) {
+            throw new Error('Missing audio graph connections. Please define connections in the audioGraph.');
+        }
+
+        const sampleRate = options.sampleRate || 44100;
+        const timeline = jmonTone.createTimeline(normalizedComposition);
+        const rendered = jmonTone.render(normalizedComposition);
+        const tail = options.tail !== undefined ? options.tail : jmonTone._estimateTail(normalizedComposition, timeline);
+        const duration = rendered.duration.seconds + tail;
+        const context = {
+            sampleRate,
+            length: Math.ceil(duration * sampleRate),
+            timeline,
+            baseDir: options.baseDir || '',
+            readFile: options.readFile || (path => this._readFile(path))
+        };
+
+        const nodes = this._createNodes(normalizedComposition, context);
+        const toneHints = normalizedComposition.converterHints?.tone || {};
+        const tuning = jmonTone.createTuning(normalizedComposition.tuning);
+
+        jmonTone._playableNotes(normalizedComposition, rendered).forEach(event => {
+            const node = nodes.get(event.synthRef);
+            if (!node || !node.isSource) return;
+
+            const t0 = event.seconds;
+            const duration = event.duration.seconds;
+            // Modulation times are relative to the note start
+            const modulationTime = time => t0 + jmonTone.durationToSeconds(timeline, time, event.beats);
+
+            const voices = node.trigger(event.note, t0, duration, tuning);
+            this._applyModulations({ node, voices, note: event.note, t0, duration, modulationTime, toneHints, nodes });
+        });
+
+        const [left, right] = this._processGraph(normalizedComposition, nodes, context);
+        const channelData = options.channels === 1
+            ? [Float32Array.from(left, (sample, i) => (sample + right[i]) / 2)]
+            : [left, right];
+
+        console.log(`✅ JmonDsp: Rendered ${duration.toFixed(2)}s at ${sampleRate} Hz`);
+        return { sampleRate, duration, channelData };
+    }
+
+    /**
+     * Render a composition to a WAV file
+     * @param {Object} composition - jmon composition (or any compatible format)
+     * @param {Object} options - render() options, plus:
+     * @param {number|string} options.bitDepth - 16 (default), 24, or 32/'float' for 32-bit float
+     * @param {boolean|number} options.normalize - Scale the peak to -1 dBFS (true) or to the given dBFS
+     * @returns {ArrayBuffer} WAV file
+     */
+    static renderToWav(composition, options = {}) {
+        let { sampleRate, channelData } = this.render(composition, options);
+        if (options.normalize) {
+            channelData = jmonTone.normalizePeak(channelData, options.normalize === true ? -1 : options.normalize);
+        }
+        return jmonTone.encodeWav(channelData, sampleRate, { bitDepth: options.bitDepth });
+    }
+
+    /**
+     * Decode a WAV file
+     * Reads 8/16/24/32-bit PCM and 32/64-bit float files, including WAVE_FORMAT_EXTENSIBLE headers.
+     * @param {Uint8Array|ArrayBuffer} data - Raw .wav file bytes
+     * @returns {Object} { sampleRate, channelData: Float32Array per channel }
+     */
+    static decodeWav(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const text = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+        if (bytes.length < 12 || text(0, 4) !== 'RIFF' || text(8, 4) !== 'WAVE') {
+            throw new Error('Invalid WAV file: missing RIFF/WAVE header');
+        }
+
+        let format = null;
+        let dataChunk = null;
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const id = text(offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            if (id === 'fmt ') {
+                format = {
+                    code: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitDepth: view.getUint16(body + 14, true)
+                };
+                // WAVE_FORMAT_EXTENSIBLE keeps the real format code in its sub-format GUID
+                if (format.code === 0xFFFE && size >= 26) {
+                    format.code = view.getUint16(body + 24, true);
+                }
+            } else if (id === 'data') {
+                dataChunk = { offset: body, size: Math.min(size, bytes.length - body) };
+            }
+
+            // Chunks are padded to an even size
+            offset = body + size + (size % 2);
+        }
+
+        if (!format || !dataChunk) {
+            throw new Error('Invalid WAV file: missing fmt or data chunk');
+        }
+
+        const { code, channels, bitDepth } = format;
+        const bytesPerSample = bitDepth / 8;
+        let read;
+        if (code === 1 && bitDepth === 8) read = offset => (view.getUint8(offset) - 128) / 128;
+        else if (code === 1 && bitDepth === 16) read = offset => view.getInt16(offset, true) / 0x8000;
+        else if (code === 1 && bitDepth === 24) read = offset => ((view.getUint8(offset + 2) << 24 | view.getUint8(offset + 1) << 16 | view.getUint8(offset) << 8) >> 8) / 0x800000;
+        else if (code === 1 && bitDepth === 32) read = offset => view.getInt32(offset, true) / 0x80000000;
+        else if (code === 3 && bitDepth === 32) read = offset => view.getFloat32(offset, true);
+        else if (code === 3 && bitDepth === 64) read = offset => view.getFloat64(offset, true);
+        else throw new Error(`Unsupported WAV format: code ${code}, ${bitDepth}-bit`);
+
+        const frames = Math.floor(dataChunk.size / (bytesPerSample * channels));
+        const channelData = Array.from({ length: channels }, () => new Float32Array(frames));
+        for (let frame = 0; frame < frames; frame++) {
+            for (let channel = 0; channel < channels; channel++) {
+                channelData[channel][frame] = read(dataChunk.offset + (frame * channels + channel) * bytesPerSample);
+            }
+        }
+
+        return { sampleRate: format.sampleRate, channelData };
+    }
+
+    /**
+     * Create the renderer nodes of an audio graph (helper function)
+     * Unsupported synths fall back to Synth and unsupported effects pass their input through, with a warning.
+     * @param {Object} composition - Normalized jmon composition
+     * @param {Object} context - Render context
+     * @returns {Map} Nodes by id
+     */
+    static _createNodes(composition, context) {
+        const nodes = new Map();
+        const globalEnvelope = composition.synthConfig?.options?.envelope || {};
+
+        (composition.audioGraph || []).forEach(node => {
+            const options = node.options || {};
+
+            if (node.type === 'Destination') {
+                nodes.set(node.id, { type: 'Destination' });
+            } else if (node.type === 'Sampler' && options.urls) {
+                const sampler = new DspSampler(node.id, options, globalEnvelope, context);
+                if (sampler.samples.length > 0) {
+                    nodes.set(node.id, sampler);
+                } else {
+                    console.warn(`⚠️  Sampler ${node.id} has no loadable samples, using Synth`);
+                    nodes.set(node.id, new DspSynth('Synth', {}));
+                }
+            } else if (jmonTone.isEffectNode(node.type)) {
+                nodes.set(node.id, this._createEffect(node, context));
+            } else if (jmonTone.isSynthNode(node.type)) {
+                if (!this.SYNTH_DEFAULTS[node.type] && node.type !== 'PolySynth') {
+                    console.warn(`⚠️  ${node.type} is not supported by the DSP renderer, using Synth for ${node.id}`);
+                    nodes.set(node.id, new DspSynth('Synth', {}));
+                } else {
+                    nodes.set(node.id, new DspSynth(node.type, options));
+                }
+            }
+        });
+
+        return nodes;
+    }
+
+    /**
+     * Create a renderer effect with the defaults of jmonTone.createEffect (helper function)
+     * @param {Object} node - audioGraph effect node
+     * @param {Object} context - Render context
+     * @returns {Object} Effect node
+     */
+    static _createEffect(node, context) {
+        const options = node.options || {};
+        const seconds = time => jmonTone.durationToSeconds(context.timeline, time, 0);
+
+        switch (node.type) {
+            case 'Filter':
+                return new DspFilter({
+                    frequency: options.frequency || 350,
+                    type: options.type || 'lowpass',
+                    rolloff: options.rolloff || -12,
+                    Q: options.Q || 1,
+                    gain: options.gain || 0
+                });
+            case 'Delay':
+                return new DspDelay({
+                    delayTime: seconds(options.delayTime || 0.25),
+                    maxDelay: options.maxDelay || 1,
+                    feedback: 0,
+                    wet: null
+                }, context);
+            case 'FeedbackDelay':
+                return new DspDelay({
+                    delayTime: seconds(options.delayTime || '8n'),
+                    maxDelay: Math.max(1, seconds(options.delayTime || '8n')),
+                    feedback: options.feedback || 0.4,
+                    wet: options.wet || 0.5
+                }, context);
+            case 'Reverb':
+                return new DspReverb({
+                    decay: options.decay || 1.5,
+                    preDelay: options.preDelay || 0.01,
+                    wet: options.wet || 0.4
+                });
+            case 'Compressor':
+                return new DspCompressor({
+                    threshold: options.threshold || -24,
+                    ratio: options.ratio || 12,
+                    attack: options.attack || 0.003,
+                    release: options.release || 0.25,
+                    knee: options.knee || 30
+                });
+            default:
+                console.warn(`⚠️  ${node.type} is not supported by the DSP renderer, passing ${node.id} through`);
+                return { isEffect: true, params: {}, process: input => input };
+        }
+    }
+
+    /**
+     * Apply the pitch bend and CC modulations of one note, as the Tone.js player does (helper function)
+     * @param {Object} context - Modulation context
+     * @param {Object} context.node - Synth or Sampler node playing the note
+     * @param {Array} context.voices - Voices started for the note
+     * @param {Object} context.note - jmon note with modulations
+     * @param {number} context.t0 - Note start in seconds
+     * @param {number} context.duration - Note duration in seconds
+     * @param {Function} context.modulationTime - Converts a modulation time (relative to the note) to seconds
+     * @param {Object} context.toneHints - converterHints.tone
+     * @param {Map} context.nodes - Renderer nodes by id
+     */
+    static _applyModulations({ node, voices, note, t0, duration, modulationTime, toneHints, nodes }) {
+        const modulations = note.modulations || [];
+
+        // Pitch bend: ±8192 is ±1200 cents, ramped exponentially and reset at the note end
+        const bends = modulations.filter(m => m.type === 'pitchBend');
+        bends.forEach((bend, idx) => {
+            const ratio = Math.pow(2, bend.value / 8192);
+            const bendTime = modulationTime(bend.time);
+            voices.forEach(voice => {
+                if (idx === 0) {
+                    voice.rate.setValueAtTime(ratio, bendTime);
+                } else {
+                    voice.rate.exponentialRampToValueAtTime(ratio, bendTime);
+                }
+            });
+        });
+        if (bends.length > 0) {
+            voices.forEach(voice => voice.rate.exponentialRampToValueAtTime(1, t0 + duration));
+        }
+
+        modulations.filter(m => m.type === 'cc' || (m.type === 'aftertouch' && toneHints.aftertouch)).forEach((mod, i, arr) => {
+            const tm = modulationTime(mod.time);
+            const hint = toneHints[mod.type === 'aftertouch' ? 'aftertouch' : `cc${mod.controller}`] || {};
+            const norm = mod.value / 127;
+            const effect = hint.target ? nodes.get(hint.target) : null;
+
+            // Effect node targets: set the parameter, ramping linearly to the next value of the same controller
+            if (effect && effect.isEffect) {
+                const parameter = hint.parameter || 'frequency';
+                const param = effect.params[parameter];
+                if (!param) {
+                    console.warn(`⚠️  Effect ${hint.target}.${parameter} parameter not found or not controllable`);
+                    return;
+                }
+
+                const [minVal, maxVal] = hint.depthRange || [0, 1];
+                param.setValueAtTime(minVal + (maxVal - minVal) * norm, tm);
+
+                const nextMod = arr[i + 1];
+                if (nextMod && nextMod.controller === mod.controller) {
+                    const nextHint = toneHints[nextMod.type === 'aftertouch' ? 'aftertouch' : `cc${nextMod.controller}`] || {};
+                    if (nextHint.target === hint.target && nextHint.parameter === parameter) {
+                        const nextValue = minVal + (maxVal - minVal) * nextMod.value / 127;
+                        param.linearRampToValueAtTime(nextValue, modulationTime(nextMod.time));
+                    }
+                }
+                return;
+            }
+
+            switch (hint.target) {
+                case 'vibrato': {
+                    const [mn = -50, mx = 50] = hint.depthRange || [-50, 50];
+                    voices.forEach(voice => {
+                        voice.vibrato = { frequency: hint.frequency || 6, min: mn, max: mx, start: tm, stop: t0 + duration };
+                    });
+                    break;
+                }
+                case 'tremolo':
+                case 'filter':
+                    console.warn(`⚠️  Legacy '${hint.target}' target is deprecated. Use specific effect node IDs instead.`);
+                    break;
+                default:
+                    if (!hint.target) {
+                        console.warn(`CC${mod.controller} has no target defined in converterHints, defaulting to volume control`);
+                        node.volume.setValueAtTime(-20 + norm * 20, tm);
+                    } else {
+                        console.warn(`⚠️  Unknown modulation target: ${hint.target}`);
+                    }
+            }
+        });
+    }
+
+    /**
+     * Render sources and run effects in connection order, mixing everything that reaches a destination (helper function)
+     * Targets are "master" or Destination nodes; connections that close a cycle are skipped with a warning.
+     * @param {Object} composition - Normalized jmon composition
+     * @param {Map} nodes - Renderer nodes by id
+     * @param {Object} context - Render context
+     * @returns {Array<Float32Array>} Stereo master output
+     */
+    static _processGraph(composition, nodes, context) {
+        const isDestination = id => id === 'master' || nodes.get(id)?.type === 'Destination';
+        const outgoing = new Map();
+        const incoming = new Map();
+
+        composition.connections.forEach((connection, index) => {
+            if (!Array.isArray(connection) || connection.length !== 2) {
+                console.warn(`Invalid connection ${index}: ${JSON.stringify(connection)}`);
+                return;
+            }
+
+            const [sourceId, targetId] = connection;
+            if (!nodes.has(sourceId) || isDestination(sourceId)) {
+                console.warn(`Source node not found: ${sourceId}`);
+                return;
+            }
+            if (!isDestination(targetId) && !nodes.get(targetId)?.isEffect) {
+                console.warn(`Target node not found: ${targetId}`);
+                return;
+            }
+
+            if (!outgoing.has(sourceId)) outgoing.set(sourceId, []);
+            outgoing.get(sourceId).push(targetId);
+            if (!isDestination(targetId)) incoming.set(targetId, (incoming.get(targetId) || 0) + 1);
+        });
+
+        const silence = () => [new Float32Array(context.length), new Float32Array(context.length)];
+        const master = silence();
+        const inputs = new Map();
+        const mixInto = (target, signal) => {
+            for (let channel = 0; channel < 2; channel++) {
+                const destination = target[channel];
+                const source = signal[channel];
+                for (let i = 0; i < context.length; i++) destination[i] += source[i];
+            }
+        };
+
+        // Kahn's algorithm: a node runs once all of its inputs have been mixed
+        const ready = [...nodes.keys()].filter(id => !isDestination(id) && !incoming.get(id));
+        const done = new Set();
+        while (ready.length > 0) {
+            const id = ready.shift();
+            const node = nodes.get(id);
+            done.add(id);
+
+            let output;
+            if (node.isSource) {
+                output = node.render(context);
+            } else {
+                output = inputs.has(id) ? node.process(inputs.get(id), context) : null;
+                inputs.delete(id);
+            }
+
+            (outgoing.get(id) || []).forEach(targetId => {
+                if (isDestination(targetId)) {
+                    if (output) mixInto(master, output);
+                    return;
+                }
+                if (output) {
+                    if (!inputs.has(targetId)) inputs.set(targetId, silence());
+                    mixInto(inputs.get(targetId), output);
+                }
+                incoming.set(targetId, incoming.get(targetId) - 1);
+                if (incoming.get(targetId) === 0) ready.push(targetId);
+            });
+        }
+
+        const skipped = [...nodes.keys()].filter(id => !isDestination(id) && !done.has(id));
+        if (skipped.length > 0) {
+            console.warn(`⚠️  Connection cycle through ${skipped.join(', ')}: these nodes are not rendered`);
+        }
+
+        return master;
+    }
+
+    /**
+     * Read a file with Node's fs module (helper function)
+     * @param {string} path - File path
+     * @returns {Uint8Array} File bytes
+     */
+    static _readFile(path) {
+        const fs = typeof process !== 'undefined' && typeof process.getBuiltinModule === 'function'
+            ? process.getBuiltinModule('fs')
+            : (typeof require === 'function' ? require('fs') : null);
+        if (!fs) {
+            throw new Error('No file system access: pass options.readFile to load Sampler samples');
+        }
+        return fs.readFileSync(path);
+    }
+}
+
+/**
+ * Automatable parameter with Web Audio scheduling semantics: set values and linear or exponential
+ * ramps that start from the previous event.
+ */
+class DspParam {
+    /**
+     * @param {number} value - Value before the first event
+     */
+    constructor(value) {
+        this.value = value;
+        this.events = [];
+    }
+
+    /**
+     * Whether any events were scheduled
+     * @returns {boolean} True when the value changes over time
+     */
+    get automated() {
+        return this.events.length > 0;
+    }
+
+    /**
+     * Jump to a value
+     * @param {number} value - New value
+     * @param {number} time - Time in seconds
+     */
+    setValueAtTime(value, time) {
+        this._insert({ type: 'set', value, time });
+    }
+
+    /**
+     * Ramp linearly from the previous event to a value
+     * @param {number} value - Target value
+     * @param {number} time - Time the target is reached, in seconds
+     */
+    linearRampToValueAtTime(value, time) {
+        this._insert({ type: 'linear', value, time });
+    }
+
+    /**
+     * Ramp exponentially from the previous event to a value
+     * @param {number} value - Target value (same sign as the previous value)
+     * @param {number} time - Time the target is reached, in seconds
+     */
+    exponentialRampToValueAtTime(value, time) {
+        this._insert({ type: 'exponential', value, time });
+    }
+
+    /**
+     * Value at a time
+     * @param {number} time - Time in seconds
+     * @returns {number} Parameter value
+     */
+    valueAt(time) {
+        let previous = { time: 0, value: this.value };
+        for (const event of this.events) {
+            if (event.time <= time) {
+                previous = event;
+                continue;
+            }
+            if (event.type === 'set') break;
+
+            const progress = (time - previous.time) / (event.time - previous.time);
+            if (event.type === 'linear') {
+                return previous.value + (event.value - previous.value) * progress;
+            }
+            return previous.value * event.value > 0
+                ? previous.value * Math.pow(event.value / previous.value, progress)
+                : previous.value;
+        }
+        return previous.value;
+    }
+
+    /**
+     * Per-sample reader, constant when nothing is scheduled
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Function} Sample index => value
+     */
+    reader(sampleRate) {
+        if (!this.automated) {
+            const value = this.value;
+            return () => value;
+        }
+        return i => this.valueAt(i / sampleRate);
+    }
+
+    /**
+     * Insert an event after those at the same or earlier times (helper function)
+     * @param {Object} event - Scheduled event
+     */
+    _insert(event) {
+        const index = this.events.findIndex(other => other.time > event.time);
+        this.events.splice(index === -1 ? this.events.length : index, 0, event);
+    }
+}
+
+/**
+ * Oscillator synth: Synth and PolySynth, AMSynth, FMSynth, and MonoSynth with its filter envelope.
+ * Synth, AMSynth, FMSynth and MonoSynth are monophonic like their Tone.js counterparts: a new note
+ * cuts the previous one short.
+ */
+class DspSynth {
+    /**
+     * @param {string} type - Synth type
+     * @param {Object} options - Tone.js synth options
+     */
+    constructor(type, options) {
+        const defaults = JmonDsp.SYNTH_DEFAULTS[type] || JmonDsp.SYNTH_DEFAULTS.Synth;
+        const merge = key => ({ ...defaults[key], ...(options[key] || {}) });
+
+        this.isSource = true;
+        this.type = type;
+        this.monophonic = type !== 'PolySynth';
+        this.oscillatorType = DspSynth.waveformName(merge('oscillator').type);
+        this.envelope = merge('envelope');
+        this.detune = options.detune || 0;
+        this.volume = new DspParam(options.volume || 0);
+        this.harmonicity = options.harmonicity ?? defaults.harmonicity;
+        this.modulationIndex = options.modulationIndex ?? defaults.modulationIndex;
+        if (defaults.modulation) {
+            this.modulationType = DspSynth.waveformName(merge('modulation').type);
+            this.modulationEnvelope = merge('modulationEnvelope');
+        }
+        if (defaults.filter) {
+            this.filter = merge('filter');
+            this.filterEnvelope = merge('filterEnvelope');
+        }
+        this.voices = [];
+    }
+
+    /**
+     * Start the voices of one note (one per chord pitch)
+     * @param {Object} note - jmon note
+     * @param {number} start - Start in seconds
+     * @param {number} duration - Gate duration in seconds
+     * @param {Object} tuning - Resolved tuning (null for 12-tone equal temperament)
+     * @returns {Array} Voices, for modulations to attach to
+     */
+    trigger(note, start, duration, tuning = null) {
+        const pitches = [].concat(jmonTone._drumPiecesToNoteNames(note.note));
+        const voices = pitches.map(pitch => ({
+            frequency: DspSynth.frequency(pitch, tuning, note.microtuning),
+            start,
+            duration,
+            velocity: note.velocity ?? 1,
+            rate: new DspParam(1),
+            vibrato: null,
+            cut: Infinity
+        }));
+        this.voices.push(...voices);
+        return voices;
+    }
+
+    /**
+     * Render all voices
+     * @param {Object} context - Render context
+     * @returns {Array<Float32Array>} Stereo output
+     */
+    render(context) {
+        const { sampleRate, length } = context;
+        const output = new Float32Array(length);
+
+        if (this.monophonic) DspSynth.cutOverlaps(this.voices);
+        this.voices.forEach(voice => this._renderVoice(voice, output, context));
+
+        DspSynth.applyVolume(output, this.volume, sampleRate);
+        return [output, Float32Array.from(output)];
+    }
+
+    /**
+     * Render one voice into the output (helper function)
+     * @param {Object} voice - Voice from trigger()
+     * @param {Float32Array} output - Mono output buffer
+     * @param {Object} context - Render context
+     */
+    _renderVoice(voice, output, context) {
+        const { sampleRate, length } = context;
+        const end = Math.min(voice.start + voice.duration + this.envelope.release, voice.cut + DspSynth.CUT_FADE);
+        const first = Math.max(0, Math.ceil(voice.start * sampleRate));
+        const last = Math.min(length, Math.ceil(end * sampleRate));
+        const rate = voice.rate.reader(sampleRate);
+        const biquad = this.filter ? new DspBiquad(this.filter.type, this.filter.rolloff) : null;
+        let phase = 0;
+        let modulationPhase = 0;
+
+        for (let i = first; i < last; i++) {
+            const time = i / sampleRate;
+            const elapsed = time - voice.start;
+            const cents = this.detune + DspSynth.vibratoCents(voice.vibrato, time);
+            const frequency = voice.frequency * rate(i) * Math.pow(2, cents / 1200);
+            let sample = DspSynth.waveform(this.oscillatorType, phase);
+            let phaseIncrement = frequency / sampleRate;
+
+            if (this.type === 'AMSynth') {
+                const modulation = (DspSynth.waveform(this.modulationType, modulationPhase) + 1) / 2;
+                const depth = DspSynth.envelopeLevel(this.modulationEnvelope, elapsed, voice.duration);
+                sample *= 1 - depth * (1 - modulation);
+                modulationPhase += frequency * this.harmonicity / sampleRate;
+            } else if (this.type === 'FMSynth') {
+                const modulation = DspSynth.waveform(this.modulationType, modulationPhase)
+                    * DspSynth.envelopeLevel(this.modulationEnvelope, elapsed, voice.duration);
+                phaseIncrement = (frequency + modulation * frequency * this.modulationIndex) / sampleRate;
+                modulationPhase += frequency * this.harmonicity / sampleRate;
+            }
+
+            if (biquad) {
+                if ((i - first) % DspSynth.CONTROL_INTERVAL === 0) {
+                    const { baseFrequency, octaves, exponent } = this.filterEnvelope;
+                    const level = Math.pow(DspSynth.envelopeLevel(this.filterEnvelope, elapsed, voice.duration), exponent);
+                    const cutoff = baseFrequency + (baseFrequency * Math.pow(2, octaves) - baseFrequency) * level;
+                    biquad.setCoefficients(cutoff, this.filter.Q, 0, sampleRate);
+                }
+                sample = biquad.process(sample, 0);
+            }
+
+            const fade = time > voice.cut ? Math.max(0, 1 - (time - voice.cut) / DspSynth.CUT_FADE) : 1;
+            output[i] += sample * DspSynth.envelopeLevel(this.envelope, elapsed, voice.duration) * voice.velocity * fade;
+
+            phase += phaseIncrement;
+            phase -= Math.floor(phase);
+            modulationPhase -= Math.floor(modulationPhase);
+        }
+    }
+
+    /**
+     * Samples between filter coefficient updates
+     */
+    static CONTROL_INTERVAL = 16;
+
+    /**
+     * Fade applied when a monophonic note is cut by the next one, in seconds
+     */
+    static CUT_FADE = 0.005;
+
+    /**
+     * Cut each voice of a monophonic synth where the next note starts (chord pitches share a start)
+     * @param {Array} voices - Voices of one synth
+     */
+    static cutOverlaps(voices) {
+        const starts = [...new Set(voices.map(voice => voice.start))].sort((a, b) => a - b);
+        voices.forEach(voice => {
+            const next = starts.find(start => start > voice.start);
+            if (next !== undefined) voice.cut = next;
+        });
+    }
+
+    /**
+     * Apply a synth's volume parameter (dB) to its output
+     * @param {Float32Array} output - Output buffer, scaled in place
+     * @param {DspParam} volume - Volume in dB
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    static applyVolume(output, volume, sampleRate) {
+        if (!volume.automated && volume.value === 0) return;
+        const read = volume.reader(sampleRate);
+        for (let i = 0; i < output.length; i++) output[i] *= Math.pow(10, read(i) / 20);
+    }
+
+    /**
+     * ADSR level: linear attack, exponential decay and release
+     * @param {Object} envelope - { attack, decay, sustain, release } in seconds
+     * @param {number} elapsed - Seconds since the note started
+     * @param {number} gate - Seconds the note is held
+     * @returns {number} Level 0-1
+     */
+    static envelopeLevel(envelope, elapsed, gate) {
+        const { attack, decay, sustain, release } = envelope;
+        const held = time => {
+            if (time < attack) return time / attack;
+            return decay > 0 ? sustain + (1 - sustain) * Math.exp(-(time - attack) * DECAY_CONSTANT / decay) : sustain;
+        };
+
+        if (elapsed < 0) return 0;
+        if (elapsed < gate) return held(elapsed);
+        return release > 0 ? held(gate) * Math.exp(-(elapsed - gate) * DECAY_CONSTANT / release) : 0;
+    }
+
+    /**
+     * Vibrato offset in cents, as the Tone.js LFO on detune
+     * @param {Object|null} vibrato - { frequency, min, max, start, stop }
+     * @param {number} time - Time in seconds
+     * @returns {number} Cents
+     */
+    static vibratoCents(vibrato, time) {
+        if (!vibrato || time < vibrato.start || time >= vibrato.stop) return 0;
+        const { frequency, min, max, start } = vibrato;
+        return min + (max - min) * (Math.sin(2 * Math.PI * frequency * (time - start)) + 1) / 2;
+    }
+
+    /**
+     * Basic waveform of a Tone.js oscillator type ("fatsawtooth" → "sawtooth", "pulse" → "square")
+     * @param {string} type - Tone.js oscillator type
+     * @returns {string} sine, square, triangle or sawtooth
+     */
+    static waveformName(type = 'sine') {
+        const base = type.replace(/^(fat|am|fm)/, '').replace(/\d+$/, '');
+        if (base === 'pulse' || base === 'pwm') return 'square';
+        return ['sine', 'square', 'triangle', 'sawtooth'].includes(base) ? base : 'sine';
+    }
+
+    /**
+     * Waveform value at a phase
+     * @param {string} type - sine, square, triangle or sawtooth
+     * @param {number} phase - Phase 0-1
+     * @returns {number} Sample -1..1
+     */
+    static waveform(type, phase) {
+        switch (type) {
+            case 'square': return phase < 0.5 ? 1 : -1;
+            case 'sawtooth': return phase < 0.5 ? 2 * phase : 2 * phase - 2;
+            case 'triangle': return phase < 0.25 ? 4 * phase : (phase < 0.75 ? 2 - 4 * phase : 4 * phase - 4);
+            default: return Math.sin(2 * Math.PI * phase);
+        }
+    }
+
+    /**
+     * Frequency of a note name or MIDI note number
+     * @param {string|number} pitch - Note
+     * @param {Object} tuning - Resolved tuning (null for 12-tone equal temperament)
+     * @param {number} microtuning - Extra offset in semitones
+     * @returns {number} Frequency in Hz
+     */
+    static frequency(pitch, tuning = null, microtuning = 0) {
+        return jmonTone.noteToFrequency(pitch, tuning, microtuning || 0);
+    }
+}
+
+/**
+ * Sample player: repitches the nearest loaded sample, with the Tone.js player's attack and
+ * a release of 30% of the note duration.
+ */
+class DspSampler {
+    /**
+     * @param {string} id - Node id, for messages
+     * @param {Object} options - Sampler options (urls, baseUrl, envelope, volume)
+     * @param {Object} globalEnvelope - synthConfig envelope
+     * @param {Object} context - Render context (baseDir, readFile)
+     */
+    constructor(id, options, globalEnvelope, context) {
+        const envelope = { attack: 0.01, release: 0.3, ...globalEnvelope, ...(options.envelope || {}) };
+
+        this.isSource = true;
+        this.attack = envelope.attack;
+        this.volume = new DspParam(options.volume || 0);
+        this.voices = [];
+        this.samples = [];
+
+        Object.entries(options.urls).forEach(([noteName, url]) => {
+            const path = DspSampler.resolvePath(`${options.baseUrl || ''}${url}`, context.baseDir);
+            try {
+                const { sampleRate, channelData } = JmonDsp.decodeWav(context.readFile(path));
+                this.samples.push({ midi: jmonTone.noteNameToMidiNote(noteName), sampleRate, channelData });
+            } catch (error) {
+                console.warn(`⚠️  Sampler ${id}: could not load ${path} (${error.message})`);
+            }
+        });
+    }
+
+    /**
+     * Start the voices of one note (one per chord pitch)
+     * @param {Object} note - jmon note
+     * @param {number} start - Start in seconds
+     * @param {number} duration - Gate duration in seconds
+     * @param {Object} tuning - Resolved tuning (null for 12-tone equal temperament)
+     * @returns {Array} Voices, for modulations to attach to
+     */
+    trigger(note, start, duration, tuning = null) {
+        const pitches = [].concat(jmonTone._drumPiecesToNoteNames(note.note));
+        const voices = pitches.map(pitch => {
+            // Fractional MIDI pitch of the tuned note: samples are repitched by the difference
+            const midi = jmonTone.frequencyToMidi(DspSynth.frequency(pitch, tuning, note.microtuning));
+            const sample = this.samples.reduce((best, candidate) =>
+                Math.abs(candidate.midi - midi) < Math.abs(best.midi - midi) ? candidate : best);
+            return {
+                sample,
+                semitones: midi - sample.midi,
+                start,
+                duration,
+                velocity: note.velocity ?? 1,
+                rate: new DspParam(1),
+                vibrato: null
+            };
+        });
+        this.voices.push(...voices);
+        return voices;
+    }
+
+    /**
+     * Render all voices
+     * @param {Object} context - Render context
+     * @returns {Array<Float32Array>} Stereo output
+     */
+    render(context) {
+        const output = [new Float32Array(context.length), new Float32Array(context.length)];
+        this.voices.forEach(voice => this._renderVoice(voice, output, context));
+        output.forEach(channel => DspSynth.applyVolume(channel, this.volume, context.sampleRate));
+        return output;
+    }
+
+    /**
+     * Render one voice into the output (helper function)
+     * @param {Object} voice - Voice from trigger()
+     * @param {Array<Float32Array>} output - Stereo output buffers
+     * @param {Object} context - Render context
+     */
+    _renderVoice(voice, output, context) {
+        const { sampleRate, length } = context;
+        const { channelData } = voice.sample;
+        const frames = channelData[0].length;
+        // The player sets the release to 30% of the note duration
+        const envelope = { attack: this.attack, decay: 0, sustain: 1, release: voice.duration * 0.3 };
+        const baseRate = Math.pow(2, voice.semitones / 12) * voice.sample.sampleRate / sampleRate;
+        const rate = voice.rate.reader(sampleRate);
+        const first = Math.max(0, Math.ceil(voice.start * sampleRate));
+        const last = Math.min(length, Math.ceil((voice.start + voice.duration + envelope.release) * sampleRate));
+        let position = 0;
+
+        for (let i = first; i < last && position < frames - 1; i++) {
+            const time = i / sampleRate;
+            const gain = DspSynth.envelopeLevel(envelope, time - voice.start, voice.duration) * voice.velocity;
+            const index = Math.floor(position);
+            const fraction = position - index;
+
+            for (let channel = 0; channel < 2; channel++) {
+                const samples = channelData[Math.min(channel, channelData.length - 1)];
+                output[channel][i] += (samples[index] + (samples[index + 1] - samples[index]) * fraction) * gain;
+            }
+
+            position += baseRate * rate(i) * Math.pow(2, DspSynth.vibratoCents(voice.vibrato, time) / 1200);
+        }
+    }
+
+    /**
+     * Resolve a sample path against a base directory (absolute paths and URLs are kept)
+     * @param {string} path - Sample path
+     * @param {string} baseDir - Base directory
+     * @returns {string} Resolved path
+     */
+    static resolvePath(path, baseDir) {
+        if (!baseDir || /^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) return path;
+        return `${baseDir.replace(/\/+$/, '')}/${path}`;
+    }
+}
+
+/**
+ * Biquad filter section (Web Audio BiquadFilterNode formulas), cascaded for steeper rolloffs.
+ */
+class DspBiquad {
+    /**
+     * @param {string} type - lowpass, highpass, bandpass, notch, allpass or peaking
+     * @param {number} rolloff - -12, -24, -48 or -96 dB/octave
+     */
+    constructor(type, rolloff = -12) {
+        if (!['lowpass', 'highpass', 'bandpass', 'notch', 'allpass', 'peaking'].includes(type)) {
+            console.warn(`⚠️  Filter type ${type} is not supported by the DSP renderer, using lowpass`);
+            type = 'lowpass';
+        }
+        this.type = type;
+        this.stages = Array.from({ length: Math.max(1, Math.round(Math.abs(rolloff) / 12)) }, () => [
+            [0, 0, 0, 0], [0, 0, 0, 0]
+        ]);
+        this.coefficients = [1, 0, 0, 0, 0];
+    }
+
+    /**
+     * Update the filter coefficients
+     * @param {number} frequency - Cutoff or center frequency in Hz
+     * @param {number} Q - Q (in dB for lowpass and highpass, as in Web Audio)
+     * @param {number} gain - Gain in dB (peaking)
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    setCoefficients(frequency, Q, gain, sampleRate) {
+        const w0 = 2 * Math.PI * Math.min(Math.max(frequency, 10), sampleRate * 0.49) / sampleRate;
+        const cos = Math.cos(w0);
+        const resonance = this.type === 'lowpass' || this.type === 'highpass' ? Math.pow(10, Q / 20) : Math.max(Q, 0.0001);
+        const alpha = Math.sin(w0) / (2 * resonance);
+        const A = Math.pow(10, gain / 40);
+        let b0, b1, b2, a0, a1, a2;
+
+        switch (this.type) {
+            case 'highpass':
+                [b0, b1, b2] = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+                [a0, a1, a2] = [1 + alpha, -2 * cos, 1 - alpha];
+                break;
+            case 'bandpass':
+                [b0, b1, b2] = [alpha, 0, -alpha];
+                [a0, a1, a2] = [1 + alpha, -2 * cos, 1 - alpha];
+                break;
+            case 'notch':
+                [b0, b1, b2] = [1, -2 * cos, 1];
+                [a0, a1, a2] = [1 + alpha, -2 * cos, 1 - alpha];
+                break;
+            case 'allpass':
+                [b0, b1, b2] = [1 - alpha, -2 * cos, 1 + alpha];
+                [a0, a1, a2] = [1 + alpha, -2 * cos, 1 - alpha];
+                break;
+            case 'peaking':
+                [b0, b1, b2] = [1 + alpha * A, -2 * cos, 1 - alpha * A];
+                [a0, a1, a2] = [1 + alpha / A, -2 * cos, 1 - alpha / A];
+                break;
+            default:
+                [b0, b1, b2] = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+                [a0, a1, a2] = [1 + alpha, -2 * cos, 1 - alpha];
+        }
+
+        this.coefficients = [b0 / a0, b1 / a0, b2 / a0, a1 / a0, a2 / a0];
+    }
+
+    /**
+     * Filter one sample
+     * @param {number} input - Input sample
+     * @param {number} channel - Channel index (0 or 1), each keeps its own state
+     * @returns {number} Output sample
+     */
+    process(input, channel) {
+        const [b0, b1, b2, a1, a2] = this.coefficients;
+        let sample = input;
+        for (const stage of this.stages) {
+            const state = stage[channel];
+            const output = b0 * sample + b1 * state[0] + b2 * state[1] - a1 * state[2] - a2 * state[3];
+            state[1] = state[0];
+            state[0] = sample;
+            state[3] = state[2];
+            state[2] = output;
+            sample = output;
+        }
+        return sample;
+    }
+}
+
+/**
+ * Filter effect (frequency, Q and gain are automatable).
+ */
+class DspFilter {
+    /**
+     * @param {Object} options - { frequency, type, rolloff, Q, gain }
+     */
+    constructor(options) {
+        this.isEffect = true;
+        this.biquad = new DspBiquad(options.type, options.rolloff);
+        this.params = {
+            frequency: new DspParam(options.frequency),
+            Q: new DspParam(options.Q),
+            gain: new DspParam(options.gain)
+        };
+    }
+
+    /**
+     * Filter the input
+     * @param {Array<Float32Array>} input - Stereo input
+     * @param {Object} context - Render context
+     * @returns {Array<Float32Array>} Stereo output
+     */
+    process(input, context) {
+        const { sampleRate, length } = context;
+        const frequency = this.params.frequency.reader(sampleRate);
+        const Q = this.params.Q.reader(sampleRate);
+        const gain = this.params.gain.reader(sampleRate);
+        const output = [new Float32Array(length), new Float32Array(length)];
+
+        for (let i = 0; i < length; i++) {
+            if (i % DspSynth.CONTROL_INTERVAL === 0) {
+                this.biquad.setCoefficients(frequency(i), Q(i), gain(i), sampleRate);
+            }
+            output[0][i] = this.biquad.process(input[0][i], 0);
+            output[1][i] = this.biquad.process(input[1][i], 1);
+        }
+        return output;
+    }
+}
+
+/**
+ * Delay and FeedbackDelay: a plain Delay outputs only the delayed signal, a FeedbackDelay
+ * feeds its output back and crossfades it with the dry input.
+ */
+class DspDelay {
+    /**
+     * @param {Object} options - { delayTime, maxDelay, feedback, wet } (wet null for a plain Delay)
+     * @param {Object} context - Render context
+     */
+    constructor(options, context) {
+        this.isEffect = true;
+        this.mixed = options.wet !== null;
+        this.size = Math.ceil(options.maxDelay * context.sampleRate) + 2;
+        this.params = {
+            delayTime: new DspParam(options.delayTime),
+            feedback: new DspParam(options.feedback)
+        };
+        if (this.mixed) this.params.wet = new DspParam(options.wet);
+    }
+
+    /**
+     * Delay the input
+     * @param {Array<Float32Array>} input - Stereo input
+     * @param {Object} context - Render context
+     * @returns {Array<Float32Array>} Stereo output
+     */
+    process(input, context) {
+        const { sampleRate, length } = context;
+        const delayTime = this.params.delayTime.reader(sampleRate);
+        const feedback = this.params.feedback.reader(sampleRate);
+        const wet = this.mixed ? this.params.wet.reader(sampleRate) : null;
+
+        return input.map(channel => {
+            const buffer = new Float32Array(this.size);
+            const output = new Float32Array(length);
+            const at = position => position < 0 ? 0 : buffer[position % this.size];
+            for (let i = 0; i < length; i++) {
+                const delay = Math.min(Math.max(delayTime(i) * sampleRate, 1), this.size - 2);
+                const readPosition = i - delay;
+                const index = Math.floor(readPosition);
+                const fraction = readPosition - index;
+                const delayed = at(index) + (at(index + 1) - at(index)) * fraction;
+
+                buffer[i % this.size] = channel[i] + delayed * feedback(i);
+                output[i] = wet ? DspReverb.crossfade(channel[i], delayed, wet(i)) : delayed;
+            }
+            return output;
+        });
+    }
+}
+
+/**
+ * Algorithmic reverb (Freeverb combs and allpasses) tuned so the tail decays by 60 dB over `decay`
+ * seconds, after `preDelay`. Deterministic, unlike Tone.Reverb's noise impulse response.
+ */
+class DspReverb {
+    /**
+     * @param {Object} options - { decay, preDelay, wet }
+     */
+    constructor(options) {
+        this.isEffect = true;
+        this.decay = options.decay;
+        this.preDelay = options.preDelay;
+        this.params = { wet: new DspParam(options.wet) };
+    }
+
+    /**
+     * Add reverb to the input
+     * @param {Array<Float32Array>} input - Stereo input
+     * @param {Object} context - Render context
+     * @returns {Array<Float32Array>} Stereo output
+     */
+    process(input, context) {
+        const { sampleRate, length } = context;
+        const scale = sampleRate / 44100;
+        const preDelay = Math.round(this.preDelay * sampleRate);
+        const wet = this.params.wet.reader(sampleRate);
+
+        return input.map((channel, channelIndex) => {
+            const spread = channelIndex * STEREO_SPREAD;
+            const combs = COMB_TUNING.map(size => {
+                const buffer = new Float32Array(Math.max(1, Math.round((size + spread) * scale)));
+                return { buffer, index: 0, store: 0, feedback: Math.pow(10, -3 * buffer.length / sampleRate / this.decay) };
+            });
+            const allpasses = ALLPASS_TUNING.map(size => ({
+                buffer: new Float32Array(Math.max(1, Math.round((size + spread) * scale))),
+                index: 0
+            }));
+            const output = new Float32Array(length);
+
+            for (let i = 0; i < length; i++) {
+                const dry = i >= preDelay ? channel[i - preDelay] * REVERB_INPUT_GAIN : 0;
+                let sample = 0;
+
+                for (const comb of combs) {
+                    const delayed = comb.buffer[comb.index];
+                    comb.store = delayed * (1 - REVERB_DAMPING) + comb.store * REVERB_DAMPING;
+                    comb.buffer[comb.index] = dry + comb.store * comb.feedback;
+                    comb.index = (comb.index + 1) % comb.buffer.length;
+                    sample += delayed;
+                }
+                for (const allpass of allpasses) {
+                    const delayed = allpass.buffer[allpass.index];
+                    allpass.buffer[allpass.index] = sample + delayed * 0.5;
+                    allpass.index = (allpass.index + 1) % allpass.buffer.length;
+                    sample = delayed - sample;
+                }
+
+                output[i] = DspReverb.crossfade(channel[i], sample, wet(i));
+            }
+            return output;
+        });
+    }
+
+    /**
+     * Equal-power dry/wet crossfade, as Tone.js effects mix
+     * @param {number} dry - Dry sample
+     * @param {number} wetSample - Processed sample
+     * @param {number} wet - Wet amount 0-1
+     * @returns {number} Mixed sample
+     */
+    static crossfade(dry, wetSample, wet) {
+        return dry * Math.cos(wet * Math.PI / 2) + wetSample * Math.sin(wet * Math.PI / 2);
+    }
+}
+
+/**
+ * Stereo-linked peak compressor with a soft knee (Web Audio DynamicsCompressorNode parameters).
+ */
+class DspCompressor {
+    /**
+     * @param {Object} options - { threshold, ratio, attack, release, knee }
+     */
+    constructor(options) {
+        this.isEffect = true;
+        this.params = {};
+        ['threshold', 'ratio', 'attack', 'release', 'knee'].forEach(name => {
+            this.params[name] = new DspParam(options[name]);
+        });
+    }
+
+    /**
+     * Compress the input
+     * @param {Array<Float32Array>} input - Stereo input
+     * @param {Object} context - Render context
+     * @returns {Array<Float32Array>} Stereo output
+     */
+    process(input, context) {
+        const { sampleRate, length } = context;
+        const read = {};
+        Object.entries(this.params).forEach(([name, param]) => { read[name] = param.reader(sampleRate); });
+        const smoothing = time => time > 0 ? Math.exp(-1 / (time * sampleRate)) : 0;
+        const output = [new Float32Array(length), new Float32Array(length)];
+        let reduction = 0;
+
+        for (let i = 0; i < length; i++) {
+            const level = Math.max(Math.abs(input[0][i]), Math.abs(input[1][i]));
+            const over = 20 * Math.log10(Math.max(level, 1e-9)) - read.threshold(i);
+            const knee = read.knee(i);
+            const slope = 1 / Math.max(read.ratio(i), 1) - 1;
+
+            let target = 0;
+            if (knee > 0 && Math.abs(over) <= knee / 2) {
+                target = slope * Math.pow(over + knee / 2, 2) / (2 * knee);
+            } else if (over > 0) {
+                target = slope * over;
+            }
+
+            const coefficient = smoothing(target < reduction ? read.attack(i) : read.release(i));
+            reduction = target + (reduction - target) * coefficient;
+
+            const gain = Math.pow(10, reduction / 20);
+            output[0][i] = input[0][i] * gain;
+            output[1][i] = input[1][i] * gain;
+        }
+        return output;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JmonDsp;
+}
+
+// Export for browsers (global) - avoid redeclaration
+if (typeof window !== 'undefined') {
+    window.JmonDsp = window.JmonDsp || JmonDsp;
+}
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
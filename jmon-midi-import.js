@@ -0,0 +1,516 @@
+/**
+ * jmon-midi-import.js - Convert Standard MIDI Files to jmon
+ *
+ * Parses SMF format 0 and 1 files without Tone.js and builds a jmon composition.
+ * Tempo, time signature and key signature meta events become tempoMap, timeSignatureMap
+ * and keySignatureMap; tracks become sequences; program changes become General MIDI
+ * instruments; controllers become note modulations; text and lyric events become annotations.
+ */
+
+(function(global) {
+    'use strict';
+
+    // Check if already loaded
+    if (global.MidiToJmon) {
+        return;
+    }
+
+class MidiToJmon {
+    /**
+     * Convert a Standard MIDI File to a jmon composition
+     * @param {Uint8Array|ArrayBuffer|Array} data - Raw .mid file bytes
+     * @param {Object} options - Conversion options
+     * @param {string} options.name - Composition name (defaults to the conductor track name)
+     * @returns {Object} jmon composition
+     */
+    static convert(data, options = {}) {
+        if (typeof jmonTone === 'undefined') {
+            throw new Error('jmonTone library is required. Make sure jmon-tone.js is loaded.');
+        }
+
+        const midi = this.parseMidi(data);
+        const ppq = midi.ticksPerBeat;
+        const allEvents = midi.tracks.flatMap((events, track) => events.map(event => ({ ...event, track })));
+        const byTicks = (a, b) => a.ticks - b.ticks;
+
+        const composition = {
+            format: jmonTone.FORMAT_IDENTIFIER,
+            version: '1.0',
+            bpm: 120,
+            metadata: {}
+        };
+
+        // Meter first: every other position is written as bars:beats:ticks against it
+        const timeSignatures = allEvents.filter(event => event.type === 'timeSignature').sort(byTicks);
+        timeSignatures.forEach(event => {
+            const timeSignature = `${event.numerator}/${event.denominator}`;
+            if (event.ticks === 0) {
+                composition.timeSignature = timeSignature;
+                return;
+            }
+
+            const map = composition.timeSignatureMap || (composition.timeSignatureMap = []);
+            const current = map.length > 0 ? map[map.length - 1].timeSignature : (composition.timeSignature || '4/4');
+            if (current !== timeSignature) {
+                map.push({ time: jmonTone.beatsToBarsBeatsTicks(composition, event.ticks / ppq), timeSignature });
+            }
+        });
+
+        const meterOnly = jmonTone.createTimeline(composition);
+        const position = ticks => jmonTone.beatsToBarsBeatsTicks(meterOnly, ticks / ppq);
+
+        allEvents.filter(event => event.type === 'tempo').sort(byTicks).forEach(event => {
+            if (event.ticks === 0) {
+                composition.bpm = event.bpm;
+            } else {
+                (composition.tempoMap || (composition.tempoMap = [])).push({ time: position(event.ticks), bpm: event.bpm });
+            }
+        });
+
+        allEvents.filter(event => event.type === 'keySignature').sort(byTicks).forEach(event => {
+            const keySignature = this.keySignatureName(event.key, event.scale);
+            if (event.ticks === 0) {
+                composition.keySignature = keySignature;
+            } else {
+                (composition.keySignatureMap || (composition.keySignatureMap = [])).push({ time: position(event.ticks), keySignature });
+            }
+        });
+
+        // Tracks become sequences, one per MIDI channel used in the track
+        const sequences = [];
+        const automation = {};
+        midi.tracks.forEach((events, trackIndex) => {
+            const trackName = events.find(event => event.type === 'trackName')?.text;
+            const channels = [...new Set(events.filter(event => event.channel !== undefined).map(event => event.channel))].sort((a, b) => a - b);
+            const playedChannels = channels.filter(channel =>
+                events.some(event => event.type === 'noteOn' && event.channel === channel));
+
+            playedChannels.forEach(channel => {
+                const label = (trackName || `Track ${trackIndex + 1}`) +
+                    (playedChannels.length > 1 || (!trackName && midi.format === 0) ? ` (ch ${channel + 1})` : '');
+                const channelEvents = events.filter(event => event.channel === channel);
+                const endTicks = events.length > 0 ? events[events.length - 1].ticks : 0;
+                const sequence = this._buildSequence(channelEvents, channel, label, endTicks, ppq, position, automation);
+                sequences.push(sequence);
+            });
+
+            // A track without notes names the whole piece (format 1 conductor track)
+            if (trackName && playedChannels.length === 0 && !composition.metadata.name) {
+                composition.metadata.name = trackName;
+            }
+        });
+
+        composition.metadata.name = options.name || composition.metadata.name || 'Imported MIDI';
+        const copyright = allEvents.find(event => event.type === 'copyright');
+        if (copyright) {
+            composition.metadata.copyright = copyright.text;
+        }
+
+        // One default synth per sequence, all routed to the master output: percussion channel parts get a
+        // DrumKit, since their notes are kit piece names
+        composition.audioGraph = sequences.map((sequence, index) => {
+            const drums = sequence.midiChannel === jmonTone.GM_DRUM_CHANNEL || sequence.midiInstrument?.drums === true;
+            return { id: `track${index + 1}`, type: drums ? 'DrumKit' : 'PolySynth', options: {} };
+        });
+        composition.audioGraph.push({ id: 'master', type: 'Destination', options: {} });
+        composition.connections = sequences.map((sequence, index) => [`track${index + 1}`, 'master']);
+        composition.sequences = sequences.map((sequence, index) => ({ ...sequence, synthRef: `track${index + 1}` }));
+
+        // Title-block text written by JmonToMidi goes back into metadata
+        const metadataPrefixes = { 'Composer: ': 'author', 'Description: ': 'description' };
+        const isMetadataText = event => event.type === 'text' && event.ticks === 0 &&
+            Object.entries(metadataPrefixes).some(([prefix, field]) => {
+                if (!event.text.startsWith(prefix)) return false;
+                composition.metadata[field] = composition.metadata[field] || event.text.slice(prefix.length);
+                return true;
+            });
+
+        const annotationTypes = { text: 'comment', lyric: 'lyric', marker: 'marker', cuePoint: 'cue' };
+        const annotations = allEvents
+            .filter(event => annotationTypes[event.type] && event.text.trim() !== '' && !isMetadataText(event))
+            .sort(byTicks)
+            .map(event => ({ text: event.text, time: position(event.ticks), type: annotationTypes[event.type] }));
+        if (annotations.length > 0) {
+            composition.annotations = annotations;
+        }
+
+        if (Object.keys(automation).length > 0) {
+            composition.automation = { sequences: automation };
+        }
+
+        console.log(`🎹 MidiToJmon: Imported SMF format ${midi.format} with ${sequences.length} sequences`);
+        return composition;
+    }
+
+    /**
+     * Build one sequence from the events of a single channel (helper function)
+     * @param {Array} events - Channel events sorted by ticks
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string} label - Sequence label
+     * @param {number} endTicks - Track end, used to close hanging notes
+     * @param {number} ppq - Ticks per quarter note of the file
+     * @param {Function} position - Converts absolute ticks to bars:beats:ticks
+     * @param {Object} automation - Sequence automation channels, filled in place
+     * @returns {Object} jmon sequence (without synthRef)
+     */
+    static _buildSequence(events, channel, label, endTicks, ppq, position, automation) {
+        const notes = [];
+        const open = new Map();
+
+        events.forEach(event => {
+            if (event.type === 'noteOn') {
+                if (!open.has(event.note)) open.set(event.note, []);
+                open.get(event.note).push({ start: event.ticks, velocity: event.velocity, note: event.note });
+            } else if (event.type === 'noteOff') {
+                const pending = open.get(event.note);
+                if (pending && pending.length > 0) {
+                    const started = pending.shift();
+                    notes.push({ ...started, end: event.ticks });
+                }
+            }
+        });
+
+        open.forEach(pending => pending.forEach(started => notes.push({ ...started, end: Math.max(endTicks, started.start) })));
+        notes.sort((a, b) => a.start - b.start || a.note - b.note);
+        notes.forEach(note => { note.modulations = []; });
+
+        // Controllers attach to the note they sound under; the rest become sequence automation
+        const isBankSelect = event => event.type === 'controlChange' && (event.controller === 0 || event.controller === 32);
+        const unattached = {};
+        events.filter(event => ['controlChange', 'pitchBend', 'channelAftertouch', 'polyAftertouch'].includes(event.type) && !isBankSelect(event)).forEach(event => {
+            const candidates = notes.filter(note =>
+                note.start <= event.ticks && event.ticks < note.end &&
+                (event.type !== 'polyAftertouch' || note.note === event.note));
+            const modulation = { type: event.type === 'controlChange' ? 'cc' : (event.type === 'pitchBend' ? 'pitchBend' : 'aftertouch') };
+            if (event.type === 'controlChange') modulation.controller = event.controller;
+            modulation.value = event.value;
+
+            if (candidates.length > 0) {
+                const target = candidates.reduce((best, note) => (note.end > best.end ? note : best));
+                target.modulations.push({ ...modulation, time: this.ticksToDuration(event.ticks - target.start, ppq, true) });
+            } else {
+                const key = modulation.type === 'cc' ? `cc${modulation.controller}` : modulation.type;
+                (unattached[key] || (unattached[key] = [])).push({ ticks: event.ticks, value: event.value });
+            }
+        });
+
+        Object.entries(unattached).forEach(([key, points]) => {
+            // Hold each value until the next one: paired anchors make linear interpolation step
+            const anchorPoints = [];
+            points.forEach((point, index) => {
+                if (index > 0) anchorPoints.push({ time: position(point.ticks), value: points[index - 1].value });
+                anchorPoints.push({ time: position(point.ticks), value: point.value });
+            });
+            (automation[label] || (automation[label] = [])).push({
+                id: `${label}-${key}`,
+                target: `midi.${key}`,
+                level: 'sequence',
+                sequenceId: label,
+                interpolation: 'linear',
+                anchorPoints
+            });
+        });
+
+        // Percussion channel notes come back as kit piece names
+        const drums = channel === jmonTone.GM_DRUM_CHANNEL;
+        const noteName = midiNote => (drums && jmonTone.drumPieceName(midiNote)) || jmonTone.midiNoteToNoteName(midiNote);
+
+        const sequence = { label, midiChannel: channel };
+        const midiInstrument = this._readInstrument(events, channel);
+        if (midiInstrument) sequence.midiInstrument = midiInstrument;
+
+        return {
+            ...sequence,
+            notes: notes.map(note => {
+                const converted = {
+                    note: noteName(note.note),
+                    time: position(note.start),
+                    duration: this.ticksToDuration(note.end - note.start, ppq),
+                    velocity: Math.round(note.velocity / 127 * 1000) / 1000
+                };
+                if (note.modulations.length > 0) converted.modulations = note.modulations;
+                return converted;
+            })
+        };
+    }
+
+    /**
+     * Read the General MIDI instrument of a channel from its first program change (helper function)
+     * Bank select controllers sent before the program change set the bank.
+     * @param {Array} events - Channel events sorted by ticks
+     * @param {number} channel - MIDI channel (0-15), channel 9 is percussion
+     * @returns {Object|null} jmon midiInstrument { program, bank, drums }, or null without a program change
+     */
+    static _readInstrument(events, channel) {
+        const programIndex = events.findIndex(event => event.type === 'programChange');
+        if (programIndex === -1) return null;
+
+        const drums = channel === jmonTone.GM_DRUM_CHANNEL;
+        const program = events[programIndex].program;
+        const instrument = { program: jmonTone.gmProgramName(program, drums) };
+
+        let msb = null;
+        let lsb = null;
+        events.slice(0, programIndex).forEach(event => {
+            if (event.type !== 'controlChange') return;
+            if (event.controller === 0) msb = event.value;
+            if (event.controller === 32) lsb = event.value;
+        });
+        if (msb !== null || lsb !== null) {
+            instrument.bank = ((msb || 0) << 7) | (lsb || 0);
+        }
+
+        if (drums) instrument.drums = true;
+        return instrument;
+    }
+
+    /**
+     * Parse a Standard MIDI File into its header and per-track events
+     * @param {Uint8Array|ArrayBuffer|Array} data - Raw .mid file bytes
+     * @returns {Object} { format, ticksPerBeat, tracks } with events in absolute ticks
+     */
+    static parseMidi(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const readString = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+        const read32 = offset => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+        const read16 = offset => (bytes[offset] << 8) | bytes[offset + 1];
+
+        if (bytes.length < 14 || readString(0, 4) !== 'MThd') {
+            throw new Error('Invalid MIDI file: missing MThd header');
+        }
+
+        const headerLength = read32(4);
+        const format = read16(8);
+        const trackCount = read16(10);
+        const division = read16(12);
+
+        if (division & 0x8000) {
+            throw new Error('MIDI files with SMPTE time division are not supported');
+        }
+        if (format > 1) {
+            console.warn(`⚠️  MidiToJmon: SMF format ${format} is read like format 1`);
+        }
+
+        const tracks = [];
+        let offset = 8 + headerLength;
+        while (offset + 8 <= bytes.length && tracks.length < trackCount) {
+            const chunkType = readString(offset, 4);
+            const chunkLength = read32(offset + 4);
+            const start = offset + 8;
+            const end = Math.min(start + chunkLength, bytes.length);
+
+            if (chunkType === 'MTrk') {
+                tracks.push(this._readTrack(bytes, start, end));
+            }
+            offset = start + chunkLength;
+        }
+
+        if (tracks.length < trackCount) {
+            console.warn(`⚠️  MidiToJmon: Header announces ${trackCount} tracks, found ${tracks.length}`);
+        }
+
+        return { format, ticksPerBeat: division, tracks };
+    }
+
+    /**
+     * Read the events of one MTrk chunk (helper function)
+     * @param {Uint8Array} bytes - File bytes
+     * @param {number} start - First byte of the track data
+     * @param {number} end - End of the track data
+     * @returns {Array} Events with absolute ticks
+     */
+    static _readTrack(bytes, start, end) {
+        const events = [];
+        let offset = start;
+        let ticks = 0;
+        let runningStatus = null;
+
+        while (offset < end) {
+            const delta = this._readVariableLength(bytes, offset);
+            offset += delta.length;
+            ticks += delta.value;
+
+            let status = bytes[offset];
+            if (status < 0x80) {
+                // Running status: reuse the previous channel status byte
+                if (runningStatus === null) {
+                    throw new Error(`Invalid MIDI data at byte ${offset}: data byte without status`);
+                }
+                status = runningStatus;
+            } else {
+                offset++;
+            }
+
+            if (status === 0xFF) {
+                const metaType = bytes[offset++];
+                const length = this._readVariableLength(bytes, offset);
+                offset += length.length;
+                const payload = bytes.subarray(offset, offset + length.value);
+                offset += length.value;
+
+                const meta = this._readMetaEvent(metaType, payload);
+                if (meta) events.push({ ticks, ...meta });
+                if (metaType === 0x2F) break;
+                continue;
+            }
+
+            if (status === 0xF0 || status === 0xF7) {
+                const length = this._readVariableLength(bytes, offset);
+                offset += length.length + length.value;
+                runningStatus = null;
+                continue;
+            }
+
+            runningStatus = status;
+            const channel = status & 0x0F;
+            const data1 = bytes[offset++];
+
+            switch (status & 0xF0) {
+                case 0x80:
+                    events.push({ ticks, type: 'noteOff', channel, note: data1, velocity: bytes[offset++] });
+                    break;
+                case 0x90: {
+                    const velocity = bytes[offset++];
+                    // Note-on with velocity 0 is a note-off
+                    events.push(velocity > 0 ?
+                        { ticks, type: 'noteOn', channel, note: data1, velocity } :
+                        { ticks, type: 'noteOff', channel, note: data1, velocity: 0 });
+                    break;
+                }
+                case 0xA0:
+                    events.push({ ticks, type: 'polyAftertouch', channel, note: data1, value: bytes[offset++] });
+                    break;
+                case 0xB0:
+                    events.push({ ticks, type: 'controlChange', channel, controller: data1, value: bytes[offset++] });
+                    break;
+                case 0xC0:
+                    events.push({ ticks, type: 'programChange', channel, program: data1 });
+                    break;
+                case 0xD0:
+                    events.push({ ticks, type: 'channelAftertouch', channel, value: data1 });
+                    break;
+                case 0xE0: {
+                    const data2 = bytes[offset++];
+                    events.push({ ticks, type: 'pitchBend', channel, value: ((data2 << 7) | data1) - 8192 });
+                    break;
+                }
+                default:
+                    // System common/realtime bytes have no place in a file; skip them
+                    runningStatus = null;
+                    break;
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Decode a meta event payload (helper function)
+     * @param {number} metaType - Meta event type byte
+     * @param {Uint8Array} payload - Meta event data
+     * @returns {Object|null} Decoded event, or null for meta events jmon does not use
+     */
+    static _readMetaEvent(metaType, payload) {
+        const textTypes = { 0x01: 'text', 0x02: 'copyright', 0x03: 'trackName', 0x04: 'instrumentName', 0x05: 'lyric', 0x06: 'marker', 0x07: 'cuePoint' };
+
+        if (textTypes[metaType]) {
+            return { type: textTypes[metaType], text: this._decodeText(payload) };
+        }
+
+        switch (metaType) {
+            case 0x2F:
+                return { type: 'endOfTrack' };
+            case 0x51: {
+                const microsecondsPerBeat = (payload[0] << 16) | (payload[1] << 8) | payload[2];
+                return { type: 'tempo', bpm: Math.round(60000000 / microsecondsPerBeat * 1000) / 1000 };
+            }
+            case 0x58:
+                return { type: 'timeSignature', numerator: payload[0], denominator: Math.pow(2, payload[1]) };
+            case 0x59:
+                // Sharps (positive) or flats (negative), and 0 = major / 1 = minor
+                return { type: 'keySignature', key: (payload[0] << 24) >> 24, scale: payload[1] };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Decode meta event text as UTF-8, falling back to Latin-1 (helper function)
+     * @param {Uint8Array} payload - Text bytes
+     * @returns {string} Decoded text
+     */
+    static _decodeText(payload) {
+        if (typeof TextDecoder !== 'undefined') {
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(payload);
+            } catch (error) {
+                // Not UTF-8: older files use Latin-1
+            }
+        }
+        return String.fromCharCode(...payload);
+    }
+
+    /**
+     * Read a variable-length quantity (helper function)
+     * @param {Uint8Array} bytes - File bytes
+     * @param {number} offset - Position of the first byte
+     * @returns {Object} { value, length } where length is the number of bytes read
+     */
+    static _readVariableLength(bytes, offset) {
+        let value = 0;
+        let length = 0;
+        let byte;
+        do {
+            byte = bytes[offset + length];
+            value = (value * 128) + (byte & 0x7F);
+            length++;
+        } while (byte & 0x80 && length < 4);
+        return { value, length };
+    }
+
+    /**
+     * Name a MIDI key signature
+     * @param {number} sharps - Number of sharps (positive) or flats (negative), -7 to 7
+     * @param {number} scale - 0 for major, 1 for minor
+     * @returns {string} jmon key signature (e.g., "Bb", "F#m")
+     */
+    static keySignatureName(sharps, scale = 0) {
+        const major = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+        const minor = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+        const index = Math.max(-7, Math.min(7, sharps)) + 7;
+        return scale === 1 ? `${minor[index]}m` : major[index];
+    }
+
+    /**
+     * Express a tick length as a jmon duration: a note value when exact, ticks otherwise
+     * @param {number} ticks - Length in file ticks
+     * @param {number} ppq - Ticks per quarter note of the file
+     * @param {boolean} ticksOnly - Always use bars:beats:ticks (for modulation offsets)
+     * @returns {string} Duration such as "4n", "8t" or "0:0:360"
+     */
+    static ticksToDuration(ticks, ppq, ticksOnly = false) {
+        const jmonTicks = Math.round(ticks / ppq * jmonTone.TICKS_PER_BEAT);
+
+        if (!ticksOnly && jmonTicks > 0) {
+            for (const value of [1, 2, 4, 8, 16, 32, 64]) {
+                const straight = jmonTone.TICKS_PER_BEAT * 4 / value;
+                if (jmonTicks === straight) return `${value}n`;
+                if (jmonTicks === straight * 2 / 3) return `${value}t`;
+            }
+        }
+
+        return `0:0:${jmonTicks}`;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MidiToJmon;
+}
+
+// Export for browsers (global) - avoid redeclaration
+if (typeof window !== 'undefined') {
+    window.MidiToJmon = window.MidiToJmon || MidiToJmon;
+}
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
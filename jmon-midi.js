@@ -1,7 +1,8 @@
 /**
  * jmon-to-midi.js - Convert jmon format to MIDI using Tone.js Midi
  * 
- * Converts jmon compositions to MIDI format using Tone.js's Midi library.
+ * Converts jmon compositions to MIDI format, either as a Tone.js Midi object or as
+ * Standard MIDI File bytes written without any dependency (toMidiBytes).
  * Supports multi-track sequences, modulations, tempo changes, and time signatures.
  */
 
@@ -14,6 +15,11 @@
     }
 
 class JmonToMidi {
+    /**
+     * Pitch bend range in semitones used for tuned notes (set with RPN 0 on their channels)
+     */
+    static TUNING_BEND_RANGE = 2;
+
     /**
      * Convert a jmon composition to MIDI format
      * @param {Object} composition - jmon composition object
@@ -81,50 +87,10 @@ class JmonToMidi {
             return midi.header || midi._jmonHeader;
         };
         
-        // Helper function to parse time strings (replaces private _parseTimeString)
-        const parseTime = (timeStr, bpm) => {
-            if (typeof timeStr === 'number') return timeStr;
-            if (typeof timeStr !== 'string') return 0;
-            
-            // Try to use jmonTone's public method if available
-            if (jmonTone.parseTimeString) {
-                return jmonTone.parseTimeString(timeStr, bpm);
-            }
-            
-            // Enhanced bars:beats:ticks format support (e.g., "2:1:240")
-            if (timeStr.includes(':')) {
-                const parts = timeStr.split(':').map(parseFloat);
-                const bars = parts[0] || 0;
-                const beats = parts[1] || 0;
-                const ticks = parts[2] || 0;
-                
-                const beatValue = 60 / bpm; // seconds per beat
-                const beatsPerBar = 4; // Assume 4/4 for simplicity
-                const ticksPerBeat = 480; // Standard MIDI ticks per quarter note
-                
-                return bars * beatsPerBar * beatValue + 
-                       beats * beatValue + 
-                       ticks * (beatValue / ticksPerBeat);
-            }
-            
-            // Handle Tone.js note values and triplets
-            if (timeStr.match(/^\d+[nthqm]$/)) {
-                const noteValue = parseInt(timeStr);
-                const noteType = timeStr.slice(-1);
-                const beatValue = 60 / bpm;
-                
-                switch (noteType) {
-                    case 'n': return beatValue * (4 / noteValue); // note values
-                    case 't': return beatValue * (4 / noteValue) * (2/3); // triplets
-                    case 'h': return beatValue * 2; // half note
-                    case 'q': return beatValue; // quarter note
-                    case 'm': return beatValue * 4 * noteValue; // measures
-                    default: return beatValue;
-                }
-            }
-            
-            return parseFloat(timeStr) || 0;
-        };
+        // Resolve musical times against the composition's meter (timeSignature/timeSignatureMap)
+        const timeline = jmonTone.createTimeline(normalizedComposition);
+        const parseTime = (time) => jmonTone.timeToSeconds(timeline, time);
+        const tuning = jmonTone.createTuning(normalizedComposition.tuning);
         
         // Helper function to convert note names to MIDI note numbers
         const noteNameToMidi = (noteName) => {
@@ -161,44 +127,19 @@ class JmonToMidi {
         
         // Set basic properties
         const header = getHeader(midi);
-        header.tempos = [{
-            time: 0,
-            bpm: normalizedComposition.bpm || 120
-        }];
-
-        // Add tempo map if present
-        if (normalizedComposition.tempoMap && normalizedComposition.tempoMap.length > 0) {
-            normalizedComposition.tempoMap.forEach(tempoChange => {
-                const time = parseTime(tempoChange.time, normalizedComposition.bpm || 120);
-                
-                header.tempos.push({
-                    time: time,
-                    bpm: tempoChange.bpm
-                });
-            });
-        }
+        // Tempo map as MIDI set-tempo events; linear ramps become a staircase of steps
+        header.tempos = jmonTone.getTempoSteps(timeline).map(step => ({
+            ticks: Math.round(step.beats * (header.ppq || jmonTone.TICKS_PER_BEAT)),
+            time: step.seconds,
+            bpm: step.bpm
+        }));
 
-        // Add time signatures
-        if (normalizedComposition.timeSignature) {
-            const [numerator, denominator] = normalizedComposition.timeSignature.split('/').map(Number);
-            getHeader(midi).timeSignatures = [{
-                time: 0,
-                timeSignature: [numerator, denominator]
-            }];
-        }
-
-        // Add time signature map if present
-        if (normalizedComposition.timeSignatureMap && normalizedComposition.timeSignatureMap.length > 0) {
-            normalizedComposition.timeSignatureMap.forEach(timeSigChange => {
-                const time = parseTime(timeSigChange.time, normalizedComposition.bpm || 120);
-                
-                const [numerator, denominator] = timeSigChange.timeSignature.split('/').map(Number);
-                
-                getHeader(midi).timeSignatures.push({
-                    time: time,
-                    timeSignature: [numerator, denominator]
-                });
-            });
+        // Add time signatures from the meter map, so they land on the same barlines as the notes
+        if (normalizedComposition.timeSignature || normalizedComposition.timeSignatureMap?.length > 0) {
+            getHeader(midi).timeSignatures = timeline.meterMap.map(segment => ({
+                time: jmonTone.beatsToSeconds(timeline, segment.beats),
+                timeSignature: [segment.numerator, segment.denominator]
+            }));
         }
 
         // Add key signature if present
@@ -212,7 +153,7 @@ class JmonToMidi {
         // Add key signature map if present
         if (normalizedComposition.keySignatureMap && normalizedComposition.keySignatureMap.length > 0) {
             normalizedComposition.keySignatureMap.forEach(keyChange => {
-                const time = parseTime(keyChange.time, normalizedComposition.bpm || 120);
+                const time = parseTime(keyChange.time);
                 
                 getHeader(midi).keySignatures.push({
                     time: time,
@@ -228,47 +169,39 @@ class JmonToMidi {
                 midi.tracks = [];
             }
             
+            const { program, bank, drums } = JmonToMidi.getMidiProgram(normalizedComposition, sequence);
+
+            // Set default MIDI channel
+            const defaultChannel = sequence.midiChannel !== undefined ? sequence.midiChannel :
+                                 drums ? jmonTone.GM_DRUM_CHANNEL :
+                                 normalizedComposition.converterHints?.midi?.channel || 0;
+
             // Create a new track object
             const track = {
                 name: sequence.label || `Track ${index + 1}`,
                 notes: [],
                 controlChanges: {},
                 pitchBends: [],
-                channel: sequence.midiChannel || 0
+                channel: defaultChannel
             };
             
             midi.tracks.push(track);
             
-            // Set default MIDI channel
-            const defaultChannel = sequence.midiChannel || 
-                                 normalizedComposition.converterHints?.midi?.channel || 0;
-            
-            // Add instrument/program change if synth type is specified
-            if (sequence.synth && sequence.synth.type) {
-                const programNumber = JmonToMidi.synthTypeToMidiProgram(sequence.synth.type);
-                
-                // Initialize controlChanges array for this controller if needed
-                if (!track.controlChanges[0]) {
-                    track.controlChanges[0] = [];
-                }
-                
-                track.controlChanges[0].push({
-                    time: 0,
-                    value: 0 // Bank Select MSB
-                });
-                
-                // Add program change (for now, we'll store this as a note property)
-                track.programChange = {
-                    time: 0,
-                    number: programNumber,
-                    channel: defaultChannel
-                };
+            // Add instrument/program change if declared or guessable from the synth type
+            if (program !== null) {
+                track.instrument = { number: program, percussion: drums };
+            }
+
+            if (bank !== null) {
+                track.controlChanges[0] = [{ time: 0, value: (bank >> 7) & 0x7F }]; // Bank Select MSB
+                track.controlChanges[32] = [{ time: 0, value: bank & 0x7F }]; // Bank Select LSB
             }
 
             // Convert notes
             sequence.notes.forEach(note => {
-                const startTime = parseTime(note.time, normalizedComposition.bpm || 120);
-                const duration = parseTime(note.duration, normalizedComposition.bpm || 120);
+                const timing = jmonTone.resolveNoteTiming(timeline, note);
+                const startTime = timing.startSeconds;
+                const duration = timing.durationSeconds;
 
                 const velocity = note.velocity ? Math.round(note.velocity * 127) : 100;
                 const channel = note.channel !== undefined ? note.channel : defaultChannel;
@@ -287,10 +220,14 @@ class JmonToMidi {
                         return;
                     }
 
-                    // Apply microtuning if present
-                    if (note.microtuning) {
-                        // MIDI doesn't support microtuning directly, but we can add pitch bend
-                        const pitchBendValue = Math.round((note.microtuning / 2) * 8192); // ±2 semitones range
+                    // Tuned notes and microtuning: play the nearest key and bend the channel by the rest
+                    let pitchBendValue = 0;
+                    if (!drums && (tuning || note.microtuning)) {
+                        const pitch = jmonTone.frequencyToMidi(jmonTone.noteToFrequency(n, tuning, note.microtuning || 0));
+                        midiNote = Math.round(pitch);
+                        pitchBendValue = Math.round((pitch - midiNote) / JmonToMidi.TUNING_BEND_RANGE * 8192);
+                    }
+                    if (pitchBendValue !== 0) {
                         track.pitchBends.push({
                             time: startTime,
                             value: pitchBendValue,
@@ -307,8 +244,8 @@ class JmonToMidi {
                         channel: channel
                     });
 
-                    // Reset pitch bend after note if microtuning was applied
-                    if (note.microtuning) {
+                    // Reset pitch bend after the note
+                    if (pitchBendValue !== 0) {
                         track.pitchBends.push({
                             time: startTime + duration,
                             value: 0,
@@ -320,7 +257,7 @@ class JmonToMidi {
                 // Add modulation events
                 if (note.modulations && Array.isArray(note.modulations)) {
                     note.modulations.forEach(mod => {
-                        const modTime = startTime + parseTime(mod.time, normalizedComposition.bpm || 120);
+                        const modTime = startTime + jmonTone.durationToSeconds(timeline, mod.time, timing.startBeats);
 
                         switch (mod.type) {
                             case 'cc':
@@ -366,7 +303,7 @@ class JmonToMidi {
                 normalizedComposition.automation.global.forEach(channel => {
                     if (channel.anchorPoints && Array.isArray(channel.anchorPoints)) {
                         channel.anchorPoints.forEach(point => {
-                            const time = parseTime(point.time, normalizedComposition.bpm || 120);
+                            const time = parseTime(point.time);
                             
                             // Parse automation target to determine MIDI message type
                             if (channel.target.startsWith('midi.cc')) {
@@ -405,7 +342,7 @@ class JmonToMidi {
             // Handle legacy automation format for backwards compatibility
             if (normalizedComposition.automation.events && Array.isArray(normalizedComposition.automation.events)) {
                 normalizedComposition.automation.events.forEach(auto => {
-                    const time = parseTime(auto.time, normalizedComposition.bpm || 120);
+                    const time = parseTime(auto.time);
 
                     if (auto.target.startsWith('midi.cc')) {
                         const ccNumber = parseInt(auto.target.replace('midi.cc', ''));
@@ -430,7 +367,7 @@ class JmonToMidi {
         // Add text events from annotations
         if (normalizedComposition.annotations && normalizedComposition.annotations.length > 0) {
             normalizedComposition.annotations.forEach(annotation => {
-                const time = parseTime(annotation.time, normalizedComposition.bpm || 120);
+                const time = parseTime(annotation.time);
 
                 // Add to first track
                 const track = midi.tracks[0];
@@ -510,6 +447,386 @@ class JmonToMidi {
         return midi;
     }
 
+    /**
+     * Write a jmon composition as a Standard MIDI File without Tone.js
+     * Builds on jmonTone.render, so loops, swing, meter and tempo map match playback.
+     * Format 1 files get a conductor track (tempo, meter, keys, markers) plus one track per sequence.
+     * @param {Object} composition - jmon composition object or any compatible format
+     * @param {Object} options - Writer options
+     * @param {number} options.format - SMF format, 1 (default) or 0 (everything in one track)
+     * @returns {Uint8Array} MIDI file bytes
+     */
+    static toMidiBytes(composition, options = {}) {
+        if (typeof jmonTone === 'undefined') {
+            throw new Error('jmonTone library is required. Make sure jmon-tone.js is loaded.');
+        }
+
+        const normalizedComposition = jmonTone.normalize(composition);
+        const format = options.format === 0 ? 0 : 1;
+        const ppq = jmonTone.TICKS_PER_BEAT;
+        const rendered = jmonTone.render(normalizedComposition);
+        const timeline = jmonTone.createTimeline(normalizedComposition);
+        const sequences = normalizedComposition.sequences || [];
+        const metadata = normalizedComposition.metadata || {};
+
+        // Conductor track: title, tempo map, meter, keys and annotations
+        const conductor = [];
+        const meta = (ticks, type, data, order = 0) => conductor.push({ ticks, order, bytes: [0xFF, type, ...this.encodeVariableLength(data.length), ...data] });
+
+        if (metadata.name) meta(0, 0x03, this.encodeText(metadata.name));
+        if (metadata.copyright) meta(0, 0x02, this.encodeText(metadata.copyright));
+        if (metadata.author) meta(0, 0x01, this.encodeText(`Composer: ${metadata.author}`));
+        if (metadata.description) meta(0, 0x01, this.encodeText(`Description: ${metadata.description}`));
+
+        jmonTone.getTempoSteps(timeline).forEach(step => {
+            meta(Math.round(step.beats * ppq), 0x51, this.numberToBytes(Math.round(60000000 / step.bpm), 3), 1);
+        });
+
+        rendered.timeSignatures.forEach(segment => {
+            const denominatorPower = Math.round(Math.log2(segment.denominator));
+            meta(segment.ticks, 0x58, [segment.numerator, denominatorPower, Math.round(96 / segment.denominator), 8], 1);
+        });
+
+        const keyChanges = [];
+        if (normalizedComposition.keySignature) {
+            keyChanges.push({ ticks: 0, key: normalizedComposition.keySignature });
+        }
+        (normalizedComposition.keySignatureMap || []).forEach(change => {
+            keyChanges.push({ ticks: Math.round(jmonTone.timeToBeats(timeline, change.time) * ppq), key: change.keySignature });
+        });
+        keyChanges.forEach(change => {
+            const key = this.keySignatureToMidi(change.key);
+            if (key) meta(change.ticks, 0x59, [key.sharps & 0xFF, key.minor ? 1 : 0], 1);
+        });
+
+        const annotationTypes = { lyric: 0x05, marker: 0x06, rehearsal: 0x06, cue: 0x07 };
+        (normalizedComposition.annotations || []).forEach(annotation => {
+            const ticks = Math.round(jmonTone.timeToBeats(timeline, annotation.time || 0) * ppq);
+            meta(ticks, annotationTypes[annotation.type] || 0x01, this.encodeText(annotation.text || ''), 2);
+        });
+
+        // One track per sequence, on its own channel unless it declares one; drum kits go to channel 10
+        const programs = sequences.map(sequence => this.getMidiProgram(normalizedComposition, sequence));
+        const channels = sequences.map((sequence, index) => {
+            if (sequence.midiChannel !== undefined) return sequence.midiChannel;
+            if (programs[index].drums) return jmonTone.GM_DRUM_CHANNEL;
+            return index < 9 ? index : index + 1; // Skip channel 10 (drums)
+        });
+        // Past the 16th channel, take one no sequence uses; with none left, share the least used melodic channel
+        channels.forEach((channel, index) => {
+            if (channel < 16) return;
+            const melodic = [...Array(16).keys()].filter(c => c !== jmonTone.GM_DRUM_CHANNEL);
+            const users = c => channels.filter((other, i) => i !== index && other === c).length;
+            const free = melodic.find(c => users(c) === 0);
+            if (free !== undefined) {
+                channels[index] = free;
+                return;
+            }
+            const shared = melodic.reduce((best, c) => (users(c) < users(best) ? c : best));
+            channels[index] = shared;
+            console.warn(`⚠️  JmonToMidi: No free MIDI channel for track ${index + 1}; it shares channel ${shared + 1} with track ${channels.indexOf(shared) + 1}, and their program changes override each other`);
+        });
+
+        const tracks = sequences.map((sequence, index) => {
+            const channel = channels[index];
+            const { program, bank } = programs[index];
+            const events = [];
+            const push = (ticks, order, bytes) => events.push({ ticks, order, bytes });
+
+            push(0, 0, [0xFF, 0x03, ...this.encodeVariableLength(this.encodeText(sequence.label || `Track ${index + 1}`).length), ...this.encodeText(sequence.label || `Track ${index + 1}`)]);
+
+            // Bank select (MSB, LSB) must precede the program change
+            if (bank !== null) {
+                push(0, 1, [0xB0 | channel, 0x00, (bank >> 7) & 0x7F]);
+                push(0, 1, [0xB0 | channel, 0x20, bank & 0x7F]);
+            }
+            if (program !== null) {
+                push(0, 1, [0xC0 | channel, program]);
+            }
+
+            return { channel, channels: [channel], events, push };
+        });
+
+        const dataByte = value => Math.max(0, Math.min(127, Math.round(value)));
+        const pitchBendBytes = value => {
+            const bend = Math.max(0, Math.min(16383, Math.round(value) + 8192));
+            return [bend & 0x7F, (bend >> 7) & 0x7F];
+        };
+
+        // Tuned notes (composition tuning or microtuning) play the nearest key, bent by the rest of the interval
+        const tunedPitch = event => {
+            if (event.frequency === undefined) return { key: event.note, bend: 0 };
+            const pitch = jmonTone.frequencyToMidi(event.frequency);
+            const key = Math.round(pitch);
+            return { key, bend: Math.round((pitch - key) / this.TUNING_BEND_RANGE * 8192) };
+        };
+
+        // Pitch bend moves a whole channel: tracks with tuned notes share out the channels no track uses,
+        // so overlapping notes with different bends sound on different channels
+        const tunedTracks = tracks.filter((track, index) => rendered.events.some(event =>
+            event.type === 'noteOn' && event.sequence === index && tunedPitch(event).bend !== 0));
+        const spareChannels = Array.from({ length: 16 }, (_, channel) => channel)
+            .filter(channel => channel !== jmonTone.GM_DRUM_CHANNEL && !channels.includes(channel));
+
+        spareChannels.forEach((channel, index) => {
+            if (tunedTracks.length > 0) tunedTracks[index % tunedTracks.length].channels.push(channel);
+        });
+        tunedTracks.forEach(track => {
+            const index = tracks.indexOf(track);
+            const { program, bank } = programs[index];
+            track.voices = new Map(track.channels.map(channel => [channel, { bend: 0, sounding: 0, since: 0 }]));
+            track.sounding = new Map();
+
+            track.channels.forEach(channel => {
+                if (channel !== track.channel) {
+                    if (bank !== null) {
+                        track.push(0, 1, [0xB0 | channel, 0x00, (bank >> 7) & 0x7F]);
+                        track.push(0, 1, [0xB0 | channel, 0x20, bank & 0x7F]);
+                    }
+                    if (program !== null) track.push(0, 1, [0xC0 | channel, program]);
+                }
+                // RPN 0 (pitch bend sensitivity), then the null RPN
+                [[0x65, 0], [0x64, 0], [0x06, this.TUNING_BEND_RANGE], [0x26, 0], [0x65, 0x7F], [0x64, 0x7F]]
+                    .forEach(([controller, value]) => track.push(0, 1, [0xB0 | channel, controller, value]));
+            });
+        });
+
+        // Pick the channel for a tuned note: one already bent the same way, else the longest idle one
+        const tunedChannel = (track, event, bend) => {
+            const voices = [...track.voices.entries()];
+            const shared = voices.find(([, voice]) => voice.sounding > 0 && voice.bend === bend);
+            const idle = voices.filter(([, voice]) => voice.sounding === 0)
+                .sort(([, a], [, b]) => (a.bend !== bend) - (b.bend !== bend) || a.since - b.since)[0];
+            const [channel, voice] = shared || idle || [track.channel, track.voices.get(track.channel)];
+
+            if (!shared && !idle && !track.overlapWarned) {
+                track.overlapWarned = true;
+                console.warn(`⚠️  JmonToMidi: Not enough channels for the tuned notes of track ${tracks.indexOf(track) + 1}; overlapping notes share a pitch bend`);
+            }
+            if (voice.bend !== bend) {
+                track.push(event.ticks, 2, [0xE0 | channel, ...pitchBendBytes(bend)]);
+                voice.bend = bend;
+            }
+            voice.sounding++;
+            return channel;
+        };
+
+        // Notes are given their channel before the modulations that start with them
+        // (the written order at equal ticks comes from each event's order)
+        const processing = { noteOff: 0, noteOn: 1 };
+        const channelEvents = rendered.events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => a.event.ticks - b.event.ticks ||
+                (processing[a.event.type] ?? 2) - (processing[b.event.type] ?? 2) ||
+                a.index - b.index)
+            .map(({ event }) => event);
+
+        channelEvents.forEach(event => {
+            if (event.type === 'automation') return;
+
+            const track = tracks[event.sequence];
+            if (!track) return;
+            const noteId = `${event.noteIndex}:${event.repeat || 0}`;
+            let channel = event.channel !== undefined ? event.channel : track.channel;
+
+            // Tuned tracks: notes and their modulations stay on the channel the note was given
+            const tuned = track.voices && channel === track.channel;
+            if (tuned && event.type !== 'noteOn' && event.type !== 'noteOff' && track.sounding.has(noteId)) {
+                channel = track.sounding.get(noteId).channel;
+            }
+
+            switch (event.type) {
+                case 'noteOn': {
+                    const velocity = Math.max(1, dataByte(event.velocity * 127));
+                    const { key, bend } = tunedPitch(event);
+                    if (tuned) {
+                        channel = tunedChannel(track, event, bend);
+                        const sounding = track.sounding.get(noteId) || { channel, bend, keys: {} };
+                        sounding.keys[event.note] = [...(sounding.keys[event.note] || []), { key, channel }];
+                        track.sounding.set(noteId, sounding);
+                    }
+                    track.push(event.ticks, 3, [0x90 | channel, dataByte(key), velocity]);
+                    break;
+                }
+                case 'noteOff': {
+                    let key = event.note;
+                    const sounding = tuned && track.sounding.get(noteId);
+                    if (sounding && sounding.keys[event.note]?.length) {
+                        ({ key, channel } = sounding.keys[event.note].shift());
+                        const voice = track.voices.get(channel);
+                        voice.sounding--;
+                        voice.since = event.ticks;
+                        if (Object.values(sounding.keys).every(keys => keys.length === 0)) track.sounding.delete(noteId);
+                    }
+                    track.push(event.ticks, 0, [0x80 | channel, dataByte(key), 0x40]);
+                    break;
+                }
+                case 'cc':
+                    track.push(event.ticks, 2, [0xB0 | channel, dataByte(event.controller), dataByte(event.value)]);
+                    break;
+                case 'pitchBend': {
+                    // Bends of tuned notes are relative to their tuning
+                    const sounding = tuned && track.sounding.get(noteId);
+                    const value = event.value + (sounding ? sounding.bend : 0);
+                    if (tuned) track.voices.get(channel).bend = value;
+                    track.push(event.ticks, 2, [0xE0 | channel, ...pitchBendBytes(value)]);
+                    break;
+                }
+                case 'aftertouch':
+                    track.push(event.ticks, 2, [0xD0 | channel, dataByte(event.value)]);
+                    break;
+            }
+        });
+
+        // MIDI automation channels: sequence-level ones go to their sequence, global ones to every track
+        rendered.events.filter(event => event.type === 'automation' && /^midi\./.test(event.target || '')).forEach(point => {
+            const targets = point.sequenceId !== undefined ?
+                tracks.filter((track, index) => sequences[index].label === point.sequenceId || sequences[index].id === point.sequenceId) :
+                tracks;
+            const controller = point.target.match(/^midi\.cc(\d+)$/);
+
+            targets.forEach(track => track.channels.forEach(channel => {
+                if (controller) {
+                    const [min, max] = point.range || [0, 127];
+                    const value = max !== min ? (point.value - min) / (max - min) * 127 : point.value;
+                    track.push(point.ticks, 1, [0xB0 | channel, dataByte(parseInt(controller[1], 10)), dataByte(value)]);
+                } else if (point.target === 'midi.pitchBend') {
+                    track.push(point.ticks, 1, [0xE0 | channel, ...pitchBendBytes(point.value)]);
+                } else if (point.target === 'midi.aftertouch') {
+                    track.push(point.ticks, 1, [0xD0 | channel, dataByte(point.value)]);
+                }
+            }));
+        });
+
+        let chunks = [conductor, ...tracks.map(track => track.events)];
+        if (format === 0) {
+            chunks = [chunks.flat()];
+        }
+
+        const endTicks = rendered.duration.ticks;
+        const trackChunks = chunks.map(events => this.encodeTrack(events, endTicks));
+        const header = [
+            0x4D, 0x54, 0x68, 0x64, // "MThd"
+            ...this.numberToBytes(6, 4),
+            ...this.numberToBytes(format, 2),
+            ...this.numberToBytes(trackChunks.length, 2),
+            ...this.numberToBytes(ppq, 2)
+        ];
+
+        const bytes = new Uint8Array(header.length + trackChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        bytes.set(header, 0);
+        let offset = header.length;
+        trackChunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        console.log(`✅ JmonToMidi: Wrote SMF format ${format}, ${trackChunks.length} tracks, ${bytes.length} bytes`);
+        return bytes;
+    }
+
+    /**
+     * Encode events as an MTrk chunk, sorted by time and written with running status
+     * @param {Array} events - Events with ticks, order (tie-break at equal ticks) and raw bytes
+     * @param {number} endTicks - Earliest position for the end-of-track event
+     * @returns {Uint8Array} Track chunk
+     */
+    static encodeTrack(events, endTicks = 0) {
+        const sorted = events
+            .map((event, index) => ({ ...event, index }))
+            .sort((a, b) => a.ticks - b.ticks || a.order - b.order || a.index - b.index);
+
+        const data = [];
+        let lastTicks = 0;
+        let runningStatus = null;
+
+        sorted.forEach(event => {
+            const ticks = Math.max(0, Math.round(event.ticks));
+            data.push(...this.encodeVariableLength(ticks - lastTicks));
+            lastTicks = ticks;
+
+            const status = event.bytes[0];
+            if (status >= 0xF0) {
+                // Meta and SysEx events cancel running status
+                runningStatus = null;
+                data.push(...event.bytes);
+            } else if (status === runningStatus) {
+                data.push(...event.bytes.slice(1));
+            } else {
+                runningStatus = status;
+                data.push(...event.bytes);
+            }
+        });
+
+        data.push(...this.encodeVariableLength(Math.max(0, Math.round(endTicks) - lastTicks)), 0xFF, 0x2F, 0x00);
+
+        return new Uint8Array([
+            0x4D, 0x54, 0x72, 0x6B, // "MTrk"
+            ...this.numberToBytes(data.length, 4),
+            ...data
+        ]);
+    }
+
+    /**
+     * Convert a jmon key signature to MIDI key signature values
+     * @param {string} keySignature - Key such as "Bb", "F#m" or "C major"
+     * @returns {Object|null} { sharps, minor } or null if the key is not recognised
+     */
+    static keySignatureToMidi(keySignature) {
+        const match = String(keySignature).trim().match(/^([A-G])(#|b)?\s*(m|min|minor|maj|major)?$/);
+        if (!match) {
+            console.warn(`⚠️  JmonToMidi: Unknown key signature "${keySignature}"`);
+            return null;
+        }
+
+        const tonic = match[1] + (match[2] || '');
+        const minor = ['m', 'min', 'minor'].includes(match[3]);
+        const majorKeys = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+        const minorKeys = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+        let index = (minor ? minorKeys : majorKeys).indexOf(tonic);
+
+        if (index === -1) {
+            // Theoretical keys (e.g. D# major): use the enharmonic key
+            const enharmonic = { 'A#': 'Bb', 'D#': 'Eb', 'G#': 'Ab', 'Db': 'C#', 'Gb': 'F#', 'Cb': 'B', 'Fb': 'E', 'E#': 'F', 'B#': 'C' };
+            index = (minor ? minorKeys : majorKeys).indexOf(enharmonic[tonic]);
+        }
+        if (index === -1) return null;
+
+        return { sharps: index - 7, minor };
+    }
+
+    /**
+     * Encode text for meta events as UTF-8
+     * @param {string} text - Text to encode
+     * @returns {Array} Bytes
+     */
+    static encodeText(text) {
+        if (typeof TextEncoder !== 'undefined') {
+            return Array.from(new TextEncoder().encode(String(text)));
+        }
+        return Array.from(String(text)).map(char => char.charCodeAt(0) & 0xFF);
+    }
+
+    /**
+     * Resolve the MIDI program, bank and percussion flag of a sequence
+     * A declared General MIDI instrument wins; otherwise the program is guessed from the synth type.
+     * @param {Object} composition - jmon composition
+     * @param {Object} sequence - Sequence of the composition
+     * @returns {Object} { program, bank, drums } - program and bank are null when not set
+     */
+    static getMidiProgram(composition, sequence) {
+        const instrument = jmonTone.getMidiInstrument(composition, sequence);
+        if (instrument && (instrument.program !== null || instrument.drums)) {
+            return { ...instrument, program: instrument.program !== null ? instrument.program : 0 };
+        }
+
+        return {
+            program: sequence.synth && sequence.synth.type ? this.synthTypeToMidiProgram(sequence.synth.type) : null,
+            bank: instrument ? instrument.bank : null,
+            drums: false
+        };
+    }
+
     /**
      * Map jmon synth types to MIDI program numbers
      * @param {string} synthType - jmon synth type
@@ -525,6 +842,8 @@ class JmonToMidi {
             'DuoSynth': 84,        // Lead 5 (charang)
             'PluckSynth': 24,      // Acoustic Guitar (nylon)
             'NoiseSynth': 120,     // Reverse Cymbal
+            'MembraneSynth': 117,  // Melodic Tom
+            'MetalSynth': 112,     // Tinkle Bell
             'Sampler': 0           // Acoustic Grand Piano (default)
         };
         
@@ -533,146 +852,46 @@ class JmonToMidi {
 
     /**
      * Export MIDI as base64 string
-     * @param {Object} midi - Tone.js Midi object
+     * @param {Object|Uint8Array} midi - jmon composition, MIDI bytes or Tone.js Midi object
      * @returns {string} Base64 encoded MIDI data
      */
     static exportMidiAsBase64(midi) {
-        const arrayBuffer = midi.toArray();
-        const uint8Array = new Uint8Array(arrayBuffer);
+        const uint8Array = this.toBytes(midi);
         const binaryString = Array.from(uint8Array).map(byte => String.fromCharCode(byte)).join('');
         return btoa(binaryString);
     }
 
     /**
-     * Export MIDI object as downloadable file
-     * @param {Object} midi - Tone.js Midi object
+     * Get MIDI file bytes from a jmon composition, raw bytes or a Tone.js Midi object
+     * @param {Object|Uint8Array|ArrayBuffer} midi - MIDI source
+     * @returns {Uint8Array} MIDI file bytes
+     */
+    static toBytes(midi) {
+        if (midi instanceof Uint8Array) return midi;
+        if (midi instanceof ArrayBuffer) return new Uint8Array(midi);
+        if (midi && Array.isArray(midi.sequences)) return this.toMidiBytes(midi);
+        if (midi && typeof midi.toArray === 'function') return new Uint8Array(midi.toArray());
+
+        throw new Error('Unsupported MIDI source: pass a jmon composition, MIDI bytes or a Tone.js Midi object');
+    }
+
+    /**
+     * Export MIDI as a downloadable file in the browser, or return the bytes in Node
+     * @param {Object|Uint8Array} midi - jmon composition, MIDI bytes or Tone.js Midi object
      * @param {string} filename - Filename for download
+     * @returns {Uint8Array} MIDI file bytes
      */
     static exportMidiAsFile(midi, filename = 'composition.mid') {
         try {
-            let arrayBuffer;
-            
-            console.log('🎵 Exporting MIDI file:', filename);
-            
-            // Check for various export methods in Tone.js
-            let exportMethodWorked = false;
-            
-            if (midi.toMidi && typeof midi.toMidi === 'function') {
-                console.log('✅ Trying midi.toMidi() method');
-                const midiData = midi.toMidi();
-                console.log('📊 midi.toMidi() returned:', typeof midiData, midiData);
-                
-                // Handle different return types from toMidi()
-                if (midiData instanceof Uint8Array) {
-                    arrayBuffer = midiData;
-                    exportMethodWorked = true;
-                } else if (midiData instanceof ArrayBuffer) {
-                    arrayBuffer = new Uint8Array(midiData);
-                    exportMethodWorked = true;
-                } else if (Array.isArray(midiData)) {
-                    arrayBuffer = new Uint8Array(midiData);
-                    exportMethodWorked = true;
-                } else if (typeof midiData === 'string' && midiData.length > 0) {
-                    // If it's a base64 string, decode it
-                    try {
-                        const binaryString = atob(midiData);
-                        arrayBuffer = new Uint8Array(binaryString.length);
-                        for (let i = 0; i < binaryString.length; i++) {
-                            arrayBuffer[i] = binaryString.charCodeAt(i);
-                        }
-                        exportMethodWorked = true;
-                    } catch (e) {
-                        console.warn('⚠️ Could not decode MIDI data string');
-                    }
-                } else if (midiData && typeof midiData === 'object') {
-                    // If it's an object, it might have a data property or be a different structure
-                    console.log('🔍 MIDI data object structure:', Object.keys(midiData));
-                    if (midiData.data instanceof Uint8Array) {
-                        arrayBuffer = midiData.data;
-                        exportMethodWorked = true;
-                    } else if (midiData.buffer instanceof ArrayBuffer) {
-                        arrayBuffer = new Uint8Array(midiData.buffer);
-                        exportMethodWorked = true;
-                    }
-                }
-                
-                if (!exportMethodWorked) {
-                    console.warn('⚠️ midi.toMidi() returned unusable data, trying other methods');
-                }
-            }
-            
-            if (!exportMethodWorked && midi.toArray && typeof midi.toArray === 'function') {
-                console.log('✅ Trying midi.toArray() method');
-                try {
-                    arrayBuffer = midi.toArray();
-                    exportMethodWorked = true;
-                } catch (e) {
-                    console.warn('⚠️ midi.toArray() failed');
-                }
-            }
-            
-            if (!exportMethodWorked && midi.toUint8Array && typeof midi.toUint8Array === 'function') {
-                console.log('✅ Trying midi.toUint8Array() method');
-                try {
-                    arrayBuffer = midi.toUint8Array();
-                    exportMethodWorked = true;
-                } catch (e) {
-                    console.warn('⚠️ midi.toUint8Array() failed');
-                }
-            }
-            
-            if (!exportMethodWorked && midi.toBytes && typeof midi.toBytes === 'function') {
-                console.log('✅ Trying midi.toBytes() method');
-                try {
-                    arrayBuffer = midi.toBytes();
-                    exportMethodWorked = true;
-                } catch (e) {
-                    console.warn('⚠️ midi.toBytes() failed');
-                }
-            }
-            
-            if (!exportMethodWorked && midi.data && midi.data instanceof Uint8Array) {
-                console.log('✅ Using midi.data property');
-                arrayBuffer = midi.data.slice(); // Make a copy
-                exportMethodWorked = true;
-            }
-            
-            if (!exportMethodWorked && midi.toArrayBuffer && typeof midi.toArrayBuffer === 'function') {
-                console.log('✅ Trying midi.toArrayBuffer() method');
-                try {
-                    arrayBuffer = new Uint8Array(midi.toArrayBuffer());
-                    exportMethodWorked = true;
-                } catch (e) {
-                    console.warn('⚠️ midi.toArrayBuffer() failed');
-                }
-            }
-            
-            if (!exportMethodWorked) {
-                // Last resort: Create MIDI file manually from tracks
-                console.warn('⚠️ No working export methods found, creating MIDI file manually from tracks');
-                console.log('📊 MIDI object has', midi.tracks?.length || 0, 'tracks');
-                
-                if (midi.tracks && midi.tracks.length > 0) {
-                    arrayBuffer = this.createMidiFromTracks(midi);
-                } else {
-                    throw new Error('No MIDI tracks available and no export methods working');
-                }
-            }
-            
-            // Ensure we have a proper Uint8Array
-            if (!(arrayBuffer instanceof Uint8Array)) {
-                if (Array.isArray(arrayBuffer)) {
-                    arrayBuffer = new Uint8Array(arrayBuffer);
-                } else if (arrayBuffer instanceof ArrayBuffer) {
-                    arrayBuffer = new Uint8Array(arrayBuffer);
-                } else {
-                    throw new Error('Could not convert MIDI data to proper format');
-                }
+            const bytes = this.toBytes(midi);
+            console.log(`📁 MIDI data prepared: ${bytes.length} bytes`);
+
+            // Node.js and workers: hand the bytes back (e.g. for fs.writeFileSync)
+            if (typeof document === 'undefined' || typeof Blob === 'undefined') {
+                return bytes;
             }
-            
-            console.log(`📁 MIDI data prepared: ${arrayBuffer.length} bytes`);
-            
-            const blob = new Blob([arrayBuffer], { type: 'audio/midi' });
+
+            const blob = new Blob([bytes], { type: 'audio/midi' });
             
             // Create download link
             const url = URL.createObjectURL(blob);
@@ -685,6 +904,7 @@ class JmonToMidi {
             URL.revokeObjectURL(url);
             
             console.log(`✅ MIDI file "${filename}" downloaded successfully`);
+            return bytes;
             
         } catch (error) {
             console.error('❌ MIDI export error:', error);
@@ -718,113 +938,6 @@ class JmonToMidi {
         return new Uint8Array([...header, ...track]);
     }
 
-    /**
-     * Create MIDI file from tracks (more advanced fallback)
-     * @param {Object} midi - Tone.js Midi object with tracks
-     * @returns {Uint8Array} MIDI file data
-     */
-    static createMidiFromTracks(midi) {
-        console.log('🔧 Creating MIDI file manually from tracks:', midi.tracks.length);
-        
-        // Basic MIDI file structure
-        const tracks = midi.tracks || [];
-        const header = midi.header || {};
-        const ticksPerQuarter = header.ticksPerQuarter || 480;
-        const bpm = (header.tempos && header.tempos[0]) ? header.tempos[0].bpm : 120;
-        
-        console.log('📊 MIDI parameters: bpm=', bpm, 'ticksPerQuarter=', ticksPerQuarter);
-        
-        // Create MIDI header chunk
-        const headerData = new Uint8Array([
-            // MThd chunk
-            0x4D, 0x54, 0x68, 0x64, // "MThd"
-            0x00, 0x00, 0x00, 0x06, // Header length (6 bytes)
-            0x00, 0x01,             // Format 1 (multi-track)
-            ...this.numberToBytes(tracks.length, 2), // Number of tracks
-            ...this.numberToBytes(ticksPerQuarter, 2) // Ticks per quarter note
-        ]);
-        
-        // Create track chunks
-        const trackChunks = [];
-        
-        for (let i = 0; i < tracks.length; i++) {
-            const track = tracks[i];
-            console.log(`🎵 Processing track ${i} with ${track.notes?.length || 0} notes`);
-            
-            const trackEvents = [];
-            
-            // Add tempo event at the beginning of first track
-            if (i === 0) {
-                const microsecondsPerQuarter = Math.round(60000000 / bpm);
-                trackEvents.push(
-                    0x00, // Delta time
-                    0xFF, 0x51, 0x03, // Tempo meta event
-                    ...this.numberToBytes(microsecondsPerQuarter, 3)
-                );
-            }
-            
-            // Process notes
-            let lastTime = 0;
-            for (const note of track.notes || []) {
-                const startTime = Math.round((note.time || 0) * ticksPerQuarter);
-                const duration = Math.round((note.duration || 0.5) * ticksPerQuarter);
-                const deltaTime = startTime - lastTime;
-                const velocity = Math.round((note.velocity || 0.8) * 127);
-                
-                // Convert note name to MIDI number
-                let midiNote = note.midi || this.noteNameToMidiNumber(note.name || note.note || 'C4');
-                
-                // Note On event
-                trackEvents.push(
-                    ...this.encodeVariableLength(deltaTime),
-                    0x90 | (track.channel || 0), // Note on, channel 0
-                    midiNote,
-                    velocity
-                );
-                
-                // Note Off event
-                trackEvents.push(
-                    ...this.encodeVariableLength(duration),
-                    0x80 | (track.channel || 0), // Note off, channel 0
-                    midiNote,
-                    0x00
-                );
-                
-                lastTime = startTime + duration;
-            }
-            
-            // End of track
-            trackEvents.push(0x00, 0xFF, 0x2F, 0x00);
-            
-            // Create track chunk
-            const trackData = new Uint8Array(trackEvents);
-            const trackChunk = new Uint8Array([
-                // MTrk chunk
-                0x4D, 0x54, 0x72, 0x6B, // "MTrk"
-                ...this.numberToBytes(trackData.length, 4), // Track length
-                ...trackData
-            ]);
-            
-            trackChunks.push(trackChunk);
-        }
-        
-        // Combine header and tracks
-        const totalLength = headerData.length + trackChunks.reduce((sum, chunk) => sum + chunk.length, 0);
-        const midiFile = new Uint8Array(totalLength);
-        
-        let offset = 0;
-        midiFile.set(headerData, offset);
-        offset += headerData.length;
-        
-        for (const chunk of trackChunks) {
-            midiFile.set(chunk, offset);
-            offset += chunk.length;
-        }
-        
-        console.log(`✅ Created MIDI file: ${midiFile.length} bytes`);
-        return midiFile;
-    }
-    
     /**
      * Convert number to bytes (big-endian)
      */
@@ -883,13 +996,15 @@ class JmonToMidi {
      * Convert jmon composition to MIDI and download
      * @param {Object} composition - jmon composition
      * @param {string} filename - Optional filename
+     * @returns {Uint8Array} MIDI file bytes
      */
     static convertAndDownload(composition, filename) {
         try {
-            const midi = this.convertToMidi(composition);
+            const bytes = this.toMidiBytes(composition);
             const downloadName = filename || `${composition.metadata?.name || 'composition'}.mid`;
-            this.exportMidiAsFile(midi, downloadName);
+            this.exportMidiAsFile(bytes, downloadName);
             console.log(`✅ MIDI file "${downloadName}" exported successfully`);
+            return bytes;
         } catch (error) {
             console.error('❌ Error converting to MIDI:', error);
             throw error;
@@ -0,0 +1,885 @@
+/**
+ * jmon-musicxml-import.js - Convert MusicXML to jmon
+ *
+ * Parses partwise MusicXML documents and compressed .mxl archives without a DOM or Tone.js
+ * and builds a jmon composition. Parts become sequences; time signatures, key signatures and
+ * tempo marks become timeSignatureMap, keySignatureMap and tempoMap; lyrics, rehearsal marks
+ * and text directions become annotations; dynamics set velocities.
+ */
+
+(function(global) {
+    'use strict';
+
+    // Check if already loaded
+    if (global.MusicXmlToJmon) {
+        return;
+    }
+
+class MusicXmlToJmon {
+    /**
+     * Velocities (0-127) of the dynamics marks
+     */
+    static DYNAMICS = {
+        pppppp: 4, ppppp: 8, pppp: 12, ppp: 16, pp: 33, p: 49, mp: 64,
+        mf: 80, f: 96, ff: 112, fff: 127, ffff: 127, fffff: 127, ffffff: 127
+    };
+
+    /**
+     * MusicXML notations and the jmon articulation names they become
+     */
+    static ARTICULATIONS = {
+        staccato: 'staccato', staccatissimo: 'staccatissimo', spiccato: 'spiccato', accent: 'accent',
+        'strong-accent': 'marcato', tenuto: 'tenuto', 'detached-legato': 'detached-legato', fermata: 'fermata',
+        'trill-mark': 'trill', mordent: 'mordent', 'inverted-mordent': 'mordent', turn: 'turn', 'inverted-turn': 'turn'
+    };
+
+    /**
+     * Length in quarter notes of MusicXML note types (for metronome beat units)
+     */
+    static NOTE_TYPE_BEATS = {
+        breve: 8, whole: 4, half: 2, quarter: 1, eighth: 0.5, '16th': 0.25, '32nd': 0.125
+    };
+
+    /**
+     * Convert a MusicXML document to a jmon composition
+     * @param {string|Uint8Array|ArrayBuffer} data - MusicXML text, or the bytes of a .musicxml/.xml or compressed .mxl file
+     * @param {Object} options - Conversion options
+     * @param {string} options.name - Composition name (defaults to the work or movement title)
+     * @returns {Object} jmon composition
+     */
+    static convert(data, options = {}) {
+        if (typeof jmonTone === 'undefined') {
+            throw new Error('jmonTone library is required. Make sure jmon-tone.js is loaded.');
+        }
+
+        const document = this.parseXml(this.readText(data));
+        const score = document.children.find(element => element.name.startsWith('score-'));
+        if (!score) {
+            throw new Error('Invalid MusicXML: missing score-partwise element');
+        }
+        if (score.name !== 'score-partwise') {
+            throw new Error(`Unsupported MusicXML document: ${score.name} (only score-partwise is supported)`);
+        }
+
+        const partList = this._readPartList(score);
+        const parts = this._children(score, 'part').map((part, index) =>
+            this._readPart(part, partList[part.attributes.id] || { name: `Part ${index + 1}`, instruments: {} }));
+        if (parts.length === 0) {
+            throw new Error('Invalid MusicXML: score has no parts');
+        }
+
+        const composition = {
+            format: jmonTone.FORMAT_IDENTIFIER,
+            version: '1.0',
+            bpm: 120,
+            metadata: {}
+        };
+
+        // Meter first (from the first part): every other position is written as bars:beats:ticks against it
+        parts[0].times.forEach(change => {
+            if (change.beats === 0) {
+                composition.timeSignature = change.timeSignature;
+                return;
+            }
+
+            const map = composition.timeSignatureMap || (composition.timeSignatureMap = []);
+            const current = map.length > 0 ? map[map.length - 1].timeSignature : (composition.timeSignature || '4/4');
+            if (current !== change.timeSignature) {
+                map.push({ time: jmonTone.beatsToBarsBeatsTicks(composition, change.beats), timeSignature: change.timeSignature });
+            }
+        });
+
+        const meterOnly = jmonTone.createTimeline(composition);
+        const position = beats => jmonTone.beatsToBarsBeatsTicks(meterOnly, beats);
+        const byBeats = (a, b) => a.beats - b.beats;
+
+        // Tempo marks from any part; accel./rit. before a faster/slower mark ramps into it
+        const tempos = parts.flatMap(part => part.tempos).sort(byBeats)
+            .filter((tempo, index, all) => index === 0 || tempo.beats > all[index - 1].beats);
+        const ramps = parts.flatMap(part => part.ramps);
+        tempos.forEach((tempo, index) => {
+            if (tempo.beats === 0) {
+                composition.bpm = tempo.bpm;
+                return;
+            }
+
+            const change = { time: position(tempo.beats), bpm: tempo.bpm };
+            const previous = index > 0 ? tempos[index - 1] : { beats: 0, bpm: composition.bpm };
+            const ramp = ramps.find(candidate => !candidate.used && candidate.beats >= previous.beats && candidate.beats < tempo.beats &&
+                candidate.faster === tempo.bpm > previous.bpm && tempo.bpm !== previous.bpm);
+            if (ramp) {
+                ramp.used = true;
+                change.interpolation = 'linear';
+            }
+            (composition.tempoMap || (composition.tempoMap = [])).push(change);
+        });
+
+        // Keys from the first pitched part
+        const keyPart = parts.find(part => !part.drums) || parts[0];
+        keyPart.keys.forEach((change, index) => {
+            if (change.beats === 0) {
+                composition.keySignature = change.keySignature;
+            } else if (change.keySignature !== (index > 0 ? keyPart.keys[index - 1].keySignature : composition.keySignature)) {
+                (composition.keySignatureMap || (composition.keySignatureMap = [])).push({ time: position(change.beats), keySignature: change.keySignature });
+            }
+        });
+
+        const sequences = parts.map(part => this._buildSequence(part, position));
+
+        composition.metadata.name = options.name || this._text(this._child(score, 'work'), 'work-title') ||
+            this._text(score, 'movement-title') || 'Imported MusicXML';
+        const identification = this._child(score, 'identification');
+        const composer = this._children(identification, 'creator').find(creator => creator.attributes.type === 'composer');
+        if (composer && composer.text.trim()) {
+            composition.metadata.author = composer.text.trim();
+        }
+        const rights = this._text(identification, 'rights');
+        if (rights) {
+            composition.metadata.copyright = rights;
+        }
+        const description = this._children(this._child(identification, 'miscellaneous'), 'miscellaneous-field')
+            .find(field => field.attributes.name === 'description');
+        if (description && description.text.trim()) {
+            composition.metadata.description = description.text.trim();
+        }
+
+        // One default synth per sequence, all routed to the master output
+        composition.audioGraph = sequences.map((sequence, index) => ({ id: `part${index + 1}`, type: 'PolySynth', options: {} }));
+        composition.audioGraph.push({ id: 'master', type: 'Destination', options: {} });
+        composition.connections = sequences.map((sequence, index) => [`part${index + 1}`, 'master']);
+        composition.sequences = sequences.map((sequence, index) => ({ ...sequence, synthRef: `part${index + 1}` }));
+
+        // Marks repeated on every part are kept once
+        const seen = new Set();
+        // Tempo words that do not lead into a tempo change stay as text
+        const unusedRamps = ramps.filter(ramp => !ramp.used).map(ramp => ({ beats: ramp.beats, type: 'marker', text: ramp.text }));
+        const annotations = [...parts.flatMap(part => part.annotations), ...unusedRamps].sort(byBeats)
+            .filter(annotation => {
+                const key = annotation.type === 'lyric' ? null : `${annotation.type}:${annotation.beats}:${annotation.text}`;
+                if (key && seen.has(key)) return false;
+                if (key) seen.add(key);
+                return true;
+            })
+            .map(annotation => ({ text: annotation.text, time: position(annotation.beats), type: annotation.type }));
+        if (annotations.length > 0) {
+            composition.annotations = annotations;
+        }
+
+        console.log(`🎼 MusicXmlToJmon: Imported ${sequences.length} parts`);
+        return composition;
+    }
+
+    /**
+     * Read the part list: names and MIDI instruments of each part (helper function)
+     * @param {Object} score - score-partwise element
+     * @returns {Object} Part id -> { name, channel, program, bank, instruments: { id: unpitched MIDI note } }
+     */
+    static _readPartList(score) {
+        const parts = {};
+        this._children(this._child(score, 'part-list'), 'score-part').forEach((scorePart, index) => {
+            const info = {
+                name: this._text(scorePart, 'part-name') || this._text(scorePart, 'part-abbreviation') || `Part ${index + 1}`,
+                instruments: {}
+            };
+
+            this._children(scorePart, 'midi-instrument').forEach(midi => {
+                const number = name => {
+                    const text = this._text(midi, name);
+                    return text ? parseInt(text, 10) - 1 : undefined;
+                };
+                if (info.channel === undefined) info.channel = number('midi-channel');
+                if (info.program === undefined) info.program = number('midi-program');
+                if (info.bank === undefined) info.bank = number('midi-bank');
+                if (number('midi-unpitched') !== undefined) info.instruments[midi.attributes.id] = number('midi-unpitched');
+            });
+
+            parts[scorePart.attributes.id] = info;
+        });
+        return parts;
+    }
+
+    /**
+     * Read the measures of one part into notes and score events in quarter notes (helper function)
+     * @param {Object} part - part element
+     * @param {Object} info - Part list entry from _readPartList()
+     * @returns {Object} { info, drums, notes, times, keys, tempos, ramps, annotations }
+     */
+    static _readPart(part, info) {
+        const result = { info, drums: info.channel === jmonTone.GM_DRUM_CHANNEL, notes: [], times: [], keys: [], tempos: [], ramps: [], annotations: [] };
+        const ties = new Map();
+        let divisions = 1;
+        let transpose = { chromatic: 0, diatonic: 0 };
+        let velocity = null;
+        let barLength = 4;
+        let measureStart = 0;
+        let skippedGraceNotes = 0;
+        let repeats = false;
+
+        this._children(part, 'measure').forEach(measure => {
+            let position = 0;
+            let furthest = 0;
+            let chordStart = 0;
+            const at = offset => measureStart + (position + offset) / divisions;
+
+            measure.children.forEach(element => {
+                switch (element.name) {
+                    case 'attributes': {
+                        divisions = parseFloat(this._text(element, 'divisions')) || divisions;
+                        // Transposing instruments: notes and keys are written, jmon stores sounding pitch
+                        const transposeElement = this._child(element, 'transpose');
+                        if (transposeElement) {
+                            const octaves = parseInt(this._text(transposeElement, 'octave-change'), 10) || 0;
+                            transpose = {
+                                chromatic: (parseInt(this._text(transposeElement, 'chromatic'), 10) || 0) + 12 * octaves,
+                                diatonic: (parseInt(this._text(transposeElement, 'diatonic'), 10) || 0) + 7 * octaves
+                            };
+                        }
+                        const key = this._child(element, 'key');
+                        if (key && this._text(key, 'fifths') !== null) {
+                            let fifths = parseInt(this._text(key, 'fifths'), 10) + this._transposeFifths(transpose.chromatic);
+                            if (Math.abs(fifths) > 7) fifths -= Math.sign(fifths) * 12;
+                            result.keys.push({ beats: at(0), keySignature: this.keySignatureName(fifths, this._text(key, 'mode')) });
+                        }
+                        const time = this._child(element, 'time');
+                        if (time && this._text(time, 'beats')) {
+                            // Composite meters such as 3+2/8 add up
+                            const numerator = this._text(time, 'beats').split('+').reduce((sum, value) => sum + (parseInt(value, 10) || 0), 0);
+                            const denominator = parseInt(this._text(time, 'beat-type'), 10) || 4;
+                            barLength = numerator * 4 / denominator;
+                            result.times.push({ beats: at(0), timeSignature: `${numerator}/${denominator}` });
+                        }
+                        break;
+                    }
+                    case 'backup':
+                        position -= parseFloat(this._text(element, 'duration')) || 0;
+                        break;
+                    case 'forward':
+                        position += parseFloat(this._text(element, 'duration')) || 0;
+                        furthest = Math.max(furthest, position);
+                        break;
+                    case 'direction':
+                        velocity = this._readDirection(element, at(parseFloat(this._text(element, 'offset')) || 0), result, velocity);
+                        break;
+                    case 'sound':
+                        velocity = this._readSound(element, at(0), result, velocity);
+                        break;
+                    case 'barline':
+                        repeats = repeats || this._child(element, 'repeat') !== null || this._child(element, 'ending') !== null;
+                        break;
+                    case 'note': {
+                        if (this._child(element, 'grace') || this._child(element, 'cue')) {
+                            // Grace and cue notes take no time in the measure
+                            skippedGraceNotes++;
+                            break;
+                        }
+
+                        const duration = parseFloat(this._text(element, 'duration')) || 0;
+                        const isChord = this._child(element, 'chord') !== null;
+                        if (!isChord) {
+                            chordStart = position;
+                            position += duration;
+                            furthest = Math.max(furthest, position);
+                        }
+                        if (this._child(element, 'rest')) break;
+
+                        const start = measureStart + chordStart / divisions;
+                        this._readNote(element, {
+                            start,
+                            end: start + duration / divisions,
+                            velocity: element.attributes.dynamics !== undefined ? this._soundDynamics(element.attributes.dynamics) : velocity,
+                            transpose,
+                            ties,
+                            info,
+                            result
+                        });
+                        break;
+                    }
+                }
+            });
+
+            // A pickup measure ends where the first full bar begins, keeping bar numbers aligned
+            const length = furthest / divisions;
+            if (measureStart === 0 && measure.attributes.implicit === 'yes' && length > 0 && length < barLength) {
+                const pickup = barLength - length;
+                result.notes.forEach(note => { note.start += pickup; note.end += pickup; });
+                result.annotations.forEach(annotation => { annotation.beats += pickup; });
+                result.tempos.forEach(tempo => { if (tempo.beats > 0) tempo.beats += pickup; });
+                result.ramps.forEach(ramp => { ramp.beats += pickup; });
+                measureStart = pickup;
+            }
+
+            // Empty measures (and multi-measure rest placeholders) last a full bar
+            measureStart += length > 0 ? length : barLength;
+        });
+
+        if (skippedGraceNotes > 0) {
+            console.warn(`⚠️  MusicXmlToJmon: ${skippedGraceNotes} grace/cue note(s) in "${info.name}" skipped`);
+        }
+        if (repeats) {
+            console.warn(`⚠️  MusicXmlToJmon: Repeats and endings in "${info.name}" are read as written, not expanded`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read one pitched or unpitched note, joining it to a tied note before it (helper function)
+     * @param {Object} element - note element
+     * @param {Object} context - { start, end (quarter notes), velocity, transpose, ties, info, result }
+     */
+    static _readNote(element, { start, end, velocity, transpose, ties, info, result }) {
+        const steps = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        const pitch = this._child(element, 'pitch');
+        const unpitched = this._child(element, 'unpitched');
+        let midi;
+        let name = null;
+
+        if (pitch) {
+            const letters = 'CDEFGAB';
+            const written = this._text(pitch, 'step');
+            const octaveWritten = parseInt(this._text(pitch, 'octave'), 10);
+            midi = (octaveWritten + 1) * 12 + steps[written] + Math.round(parseFloat(this._text(pitch, 'alter')) || 0) + transpose.chromatic;
+
+            // Spell the sounding pitch by moving the written step diatonically
+            const stepIndex = octaveWritten * 7 + letters.indexOf(written) + transpose.diatonic;
+            const step = letters[((stepIndex % 7) + 7) % 7];
+            const octave = Math.floor(stepIndex / 7);
+            const alter = midi - ((octave + 1) * 12 + steps[step]);
+            if ([-1, 0, 1].includes(alter)) {
+                name = `${step}${alter === 1 ? '#' : (alter === -1 ? 'b' : '')}${octave}`;
+            }
+        } else if (unpitched) {
+            const instrument = this._child(element, 'instrument');
+            midi = instrument ? info.instruments[instrument.attributes.id] : undefined;
+            if (midi === undefined) {
+                midi = (parseInt(this._text(unpitched, 'display-octave'), 10) + 1) * 12 + steps[this._text(unpitched, 'display-step')];
+            } else {
+                result.drums = true;
+            }
+        } else {
+            return;
+        }
+        if (!Number.isFinite(midi)) return;
+
+        const notations = this._children(element, 'notations');
+        const tieTypes = [
+            ...this._children(element, 'tie'),
+            ...notations.flatMap(notation => this._children(notation, 'tied'))
+        ].map(tie => tie.attributes.type);
+
+        // A tie stop continues the open note of the same pitch
+        const open = ties.get(midi);
+        if (tieTypes.includes('stop') && open && Math.abs(open.end - start) < 1e-6) {
+            open.end = end;
+            if (!tieTypes.includes('start')) ties.delete(midi);
+            return;
+        }
+
+        const note = { start, end, midi, name, velocity, articulation: this._readArticulation(notations) };
+        result.notes.push(note);
+        if (tieTypes.includes('start')) ties.set(midi, note);
+
+        if (this._child(element, 'chord') === null) {
+            const lyrics = this._children(element, 'lyric');
+            const lyric = lyrics.find(candidate => (candidate.attributes.number || '1') === '1') || lyrics[0];
+            const text = lyric ? this._children(lyric, 'text').map(part => part.text).join('') : '';
+            if (text) {
+                const syllabic = this._text(lyric, 'syllabic');
+                // A trailing '-' joins the syllable to the next one, as in JmonToMusicXml
+                result.annotations.push({ beats: start, type: 'lyric', text: syllabic === 'begin' || syllabic === 'middle' ? `${text}-` : text });
+            }
+        }
+    }
+
+    /**
+     * Collect the articulations, ornaments and fermatas of a note (helper function)
+     * @param {Array} notations - notations elements of the note
+     * @returns {string|undefined} Space-separated jmon articulation names
+     */
+    static _readArticulation(notations) {
+        const names = [];
+        notations.forEach(notation => notation.children.forEach(child => {
+            const marks = ['articulations', 'ornaments'].includes(child.name) ? child.children : [child];
+            marks.forEach(mark => {
+                if (mark.name === 'other-articulation' && mark.text.trim()) {
+                    names.push(mark.text.trim());
+                } else if (this.ARTICULATIONS[mark.name]) {
+                    names.push(this.ARTICULATIONS[mark.name]);
+                }
+            });
+        }));
+        return names.length > 0 ? [...new Set(names)].join(' ') : undefined;
+    }
+
+    /**
+     * Read a direction: dynamics, tempo marks, rehearsal marks and words (helper function)
+     * @param {Object} element - direction element
+     * @param {number} beats - Position in quarter notes
+     * @param {Object} result - Part result, filled in place
+     * @param {number|null} velocity - Current velocity
+     * @returns {number|null} Velocity for the following notes
+     */
+    static _readDirection(element, beats, result, velocity) {
+        let tempo = null;
+
+        this._children(element, 'direction-type').forEach(directionType => directionType.children.forEach(child => {
+            switch (child.name) {
+                case 'dynamics': {
+                    const mark = child.children.find(dynamic => this.DYNAMICS[dynamic.name] !== undefined);
+                    if (mark) velocity = Math.round(this.DYNAMICS[mark.name] / 127 * 1000) / 1000;
+                    break;
+                }
+                case 'metronome': {
+                    const unit = this.NOTE_TYPE_BEATS[this._text(child, 'beat-unit')];
+                    const perMinute = parseFloat(this._text(child, 'per-minute'));
+                    if (unit && perMinute > 0) {
+                        const dots = this._children(child, 'beat-unit-dot').length;
+                        tempo = perMinute * unit * (2 - Math.pow(0.5, dots));
+                    }
+                    break;
+                }
+                case 'rehearsal':
+                    if (child.text.trim()) result.annotations.push({ beats, type: 'rehearsal', text: child.text.trim() });
+                    break;
+                case 'words': {
+                    const text = child.text.trim();
+                    if (/^(accel|rit|rall|string|allarg)/i.test(text)) {
+                        result.ramps.push({ beats, text, faster: /^(accel|string)/i.test(text) });
+                    } else if (text) {
+                        result.annotations.push({ beats, type: 'marker', text });
+                    }
+                    break;
+                }
+            }
+        }));
+
+        const sound = this._child(element, 'sound');
+        if (sound && sound.attributes.tempo !== undefined) tempo = null;
+        if (tempo) result.tempos.push({ beats, bpm: Math.round(tempo * 1000) / 1000 });
+        return sound ? this._readSound(sound, beats, result, velocity) : velocity;
+    }
+
+    /**
+     * Read the tempo and dynamics of a sound element (helper function)
+     * @param {Object} element - sound element
+     * @param {number} beats - Position in quarter notes
+     * @param {Object} result - Part result, filled in place
+     * @param {number|null} velocity - Current velocity
+     * @returns {number|null} Velocity for the following notes
+     */
+    static _readSound(element, beats, result, velocity) {
+        const tempo = parseFloat(element.attributes.tempo);
+        if (tempo > 0) result.tempos.push({ beats, bpm: Math.round(tempo * 1000) / 1000 });
+        return element.attributes.dynamics !== undefined ? this._soundDynamics(element.attributes.dynamics) : velocity;
+    }
+
+    /**
+     * Key signature change, in fifths, of a chromatic transposition (helper function)
+     * @param {number} semitones - Written-to-sounding transposition in semitones
+     * @returns {number} Fifths to add, -5 to 6
+     */
+    static _transposeFifths(semitones) {
+        const fifths = (((semitones * 7) % 12) + 12) % 12;
+        return fifths > 6 ? fifths - 12 : fifths;
+    }
+
+    /**
+     * Convert a MusicXML dynamics percentage (of the forte velocity 90) to a jmon velocity (helper function)
+     * @param {string} value - dynamics attribute
+     * @returns {number} Velocity 0-1
+     */
+    static _soundDynamics(value) {
+        return Math.round(Math.min(1, Math.max(0, parseFloat(value) * 90 / 100 / 127)) * 1000) / 1000;
+    }
+
+    /**
+     * Build the jmon sequence of a part, with notes starting and ending together as chords (helper function)
+     * @param {Object} part - Part result from _readPart()
+     * @param {Function} position - Converts quarter notes to bars:beats:ticks
+     * @returns {Object} jmon sequence (without synthRef)
+     */
+    static _buildSequence(part, position) {
+        const { info, drums } = part;
+        const noteName = note => (drums && jmonTone.drumPieceName(note.midi)) || note.name || jmonTone.midiNoteToNoteName(note.midi);
+        const chords = [];
+
+        part.notes
+            .sort((a, b) => a.start - b.start || a.midi - b.midi)
+            .forEach(note => {
+                const chord = chords[chords.length - 1];
+                if (chord && chord.start === note.start && chord.end === note.end &&
+                    chord.velocity === note.velocity && chord.articulation === note.articulation) {
+                    chord.names.push(noteName(note));
+                } else {
+                    chords.push({ ...note, names: [noteName(note)] });
+                }
+            });
+
+        const sequence = { label: info.name };
+        if (info.channel !== undefined) {
+            sequence.midiChannel = info.channel;
+        } else if (drums) {
+            sequence.midiChannel = jmonTone.GM_DRUM_CHANNEL;
+        }
+        if (info.program !== undefined) {
+            sequence.midiInstrument = { program: jmonTone.gmProgramName(info.program, drums) };
+            if (info.bank) sequence.midiInstrument.bank = info.bank;
+            if (drums) sequence.midiInstrument.drums = true;
+        }
+
+        sequence.notes = chords.map(chord => {
+            const converted = {
+                note: chord.names.length === 1 ? chord.names[0] : chord.names,
+                time: position(chord.start),
+                duration: this.beatsToDuration(chord.end - chord.start)
+            };
+            if (chord.velocity !== null) converted.velocity = chord.velocity;
+            if (chord.articulation) converted.articulation = chord.articulation;
+            return converted;
+        });
+        return sequence;
+    }
+
+    /**
+     * Name a MusicXML key signature
+     * @param {number} fifths - Number of sharps (positive) or flats (negative), -7 to 7
+     * @param {string|null} mode - 'major', 'minor' or another mode (read as major)
+     * @returns {string} jmon key signature (e.g., "Bb", "F#m")
+     */
+    static keySignatureName(fifths, mode) {
+        const major = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+        const minor = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+        const index = Math.max(-7, Math.min(7, fifths || 0)) + 7;
+        return mode === 'minor' ? `${minor[index]}m` : major[index];
+    }
+
+    /**
+     * Express a length as a jmon duration: a note value when exact, ticks otherwise
+     * @param {number} beats - Length in quarter notes
+     * @returns {string} Duration such as "4n", "8t" or "0:0:720"
+     */
+    static beatsToDuration(beats) {
+        const ticks = Math.round(beats * jmonTone.TICKS_PER_BEAT);
+
+        if (ticks > 0) {
+            for (const value of [1, 2, 4, 8, 16, 32, 64]) {
+                const straight = jmonTone.TICKS_PER_BEAT * 4 / value;
+                if (ticks === straight) return `${value}n`;
+                if (ticks === straight * 2 / 3) return `${value}t`;
+            }
+        }
+
+        return `0:0:${ticks}`;
+    }
+
+    /**
+     * Get the XML text of MusicXML input: plain text, UTF-8/UTF-16 bytes, or a compressed .mxl archive
+     * @param {string|Uint8Array|ArrayBuffer} data - Input
+     * @returns {string} XML text
+     */
+    static readText(data) {
+        if (typeof data === 'string') return data;
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
+            return this.readMxl(bytes);
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    /**
+     * Extract the score from a compressed MusicXML (.mxl) archive
+     * The root file is named in META-INF/container.xml; without one, the first .musicxml/.xml file is used.
+     * @param {Uint8Array} bytes - .mxl file bytes
+     * @returns {string} XML text of the score
+     */
+    static readMxl(bytes) {
+        const files = this._readZip(bytes);
+        let path = null;
+
+        if (files['META-INF/container.xml']) {
+            const container = this.parseXml(this.readText(files['META-INF/container.xml']()));
+            const find = element => element.name === 'rootfile' ? element : element.children.map(find).find(Boolean);
+            const rootfile = find(container);
+            path = rootfile ? rootfile.attributes['full-path'] : null;
+        }
+        if (!path || !files[path]) {
+            path = Object.keys(files).find(name => !name.startsWith('META-INF/') && /\.(musicxml|xml)$/i.test(name));
+        }
+        if (!path) {
+            throw new Error('Invalid .mxl file: no MusicXML score in the archive');
+        }
+
+        return this.readText(files[path]());
+    }
+
+    /**
+     * List the files of a zip archive from its central directory (helper function)
+     * @param {Uint8Array} bytes - Archive bytes
+     * @returns {Object} File name -> function returning the file's bytes
+     */
+    static _readZip(bytes) {
+        const read16 = offset => bytes[offset] | (bytes[offset + 1] << 8);
+        const read32 = offset => (read16(offset) | (read16(offset + 2) << 16)) >>> 0;
+
+        // End of central directory record, searched backwards past an optional comment
+        let end = -1;
+        for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 65535); offset--) {
+            if (read32(offset) === 0x06054B50) {
+                end = offset;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('Invalid .mxl file: zip directory not found');
+        }
+
+        const files = {};
+        const decoder = new TextDecoder('utf-8');
+        let offset = read32(end + 16);
+        for (let entry = 0; entry < read16(end + 10) && read32(offset) === 0x02014B50; entry++) {
+            const method = read16(offset + 10);
+            const compressedSize = read32(offset + 20);
+            const nameLength = read16(offset + 28);
+            const localOffset = read32(offset + 42);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            files[name] = () => {
+                const dataStart = localOffset + 30 + read16(localOffset + 26) + read16(localOffset + 28);
+                const data = bytes.subarray(dataStart, dataStart + compressedSize);
+                if (method === 0) return data;
+                if (method === 8) return this._inflate(data);
+                throw new Error(`Unsupported .mxl compression method ${method} for ${name}`);
+            };
+            offset += 46 + nameLength + read16(offset + 30) + read16(offset + 32);
+        }
+        return files;
+    }
+
+    /**
+     * Decompress raw DEFLATE data (RFC 1951) (helper function)
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Uint8Array} Decompressed bytes
+     */
+    static _inflate(data) {
+        const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+        const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+        const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        let output = new Uint8Array(Math.max(1024, data.length * 4));
+        let length = 0;
+        let position = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const bits = count => {
+            while (bitCount < count) {
+                if (position >= data.length) throw new Error('Invalid .mxl file: compressed data ends early');
+                bitBuffer |= data[position++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        };
+        const write = byte => {
+            if (length === output.length) {
+                const grown = new Uint8Array(output.length * 2);
+                grown.set(output);
+                output = grown;
+            }
+            output[length++] = byte;
+        };
+
+        // Canonical Huffman tables: code counts per length and symbols in code order
+        const table = lengths => {
+            const counts = new Array(16).fill(0);
+            lengths.forEach(codeLength => counts[codeLength]++);
+            counts[0] = 0;
+            const offsets = [0, 0];
+            for (let codeLength = 1; codeLength < 15; codeLength++) offsets[codeLength + 1] = offsets[codeLength] + counts[codeLength];
+            const symbols = [];
+            lengths.forEach((codeLength, symbol) => {
+                if (codeLength) symbols[offsets[codeLength]++] = symbol;
+            });
+            return { counts, symbols };
+        };
+        const decode = ({ counts, symbols }) => {
+            let code = 0;
+            let first = 0;
+            let index = 0;
+            for (let codeLength = 1; codeLength < 16; codeLength++) {
+                code |= bits(1);
+                const count = counts[codeLength];
+                if (code - count < first) return symbols[index + (code - first)];
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('Invalid .mxl file: bad Huffman code');
+        };
+
+        let final = 0;
+        while (!final) {
+            final = bits(1);
+            const type = bits(2);
+
+            if (type === 0) {
+                // Stored block: byte-aligned length, its complement, then raw bytes
+                bitBuffer = 0;
+                bitCount = 0;
+                const size = data[position] | (data[position + 1] << 8);
+                position += 4;
+                for (let i = 0; i < size; i++) write(data[position++]);
+                continue;
+            }
+            if (type === 3) {
+                throw new Error('Invalid .mxl file: bad deflate block type');
+            }
+
+            let literals;
+            let distances;
+            if (type === 1) {
+                const fixed = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+                literals = table(fixed);
+                distances = table(new Array(30).fill(5));
+            } else {
+                const literalCount = bits(5) + 257;
+                const distanceCount = bits(5) + 1;
+                const codeLengthCount = bits(4) + 4;
+                const codeLengths = new Array(19).fill(0);
+                for (let i = 0; i < codeLengthCount; i++) codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+                const codeLengthTable = table(codeLengths);
+
+                const lengths = [];
+                while (lengths.length < literalCount + distanceCount) {
+                    const symbol = decode(codeLengthTable);
+                    if (symbol < 16) {
+                        lengths.push(symbol);
+                    } else if (symbol === 16) {
+                        const previous = lengths[lengths.length - 1];
+                        for (let repeat = 3 + bits(2); repeat > 0; repeat--) lengths.push(previous);
+                    } else {
+                        for (let repeat = symbol === 17 ? 3 + bits(3) : 11 + bits(7); repeat > 0; repeat--) lengths.push(0);
+                    }
+                }
+                literals = table(lengths.slice(0, literalCount));
+                distances = table(lengths.slice(literalCount, literalCount + distanceCount));
+            }
+
+            for (let symbol = decode(literals); symbol !== 256; symbol = decode(literals)) {
+                if (symbol < 256) {
+                    write(symbol);
+                    continue;
+                }
+                const copyLength = LENGTH_BASE[symbol - 257] + bits(LENGTH_EXTRA[symbol - 257]);
+                const distanceSymbol = decode(distances);
+                const distance = DISTANCE_BASE[distanceSymbol] + bits(DISTANCE_EXTRA[distanceSymbol]);
+                for (let i = 0; i < copyLength; i++) write(output[length - distance]);
+            }
+        }
+
+        return output.subarray(0, length);
+    }
+
+    /**
+     * Parse XML into a light element tree
+     * Enough for MusicXML: elements, attributes, text, CDATA and character references; no namespaces or DTD processing.
+     * @param {string} text - XML text
+     * @returns {Object} Document node { name: '#document', attributes, children, text }
+     */
+    static parseXml(text) {
+        const document = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [document];
+        const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = token.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            const [, cdata, closing, opening, attributes, selfClosing, content] = match;
+
+            if (cdata !== undefined) {
+                current.text += cdata;
+            } else if (closing !== undefined) {
+                if (stack.length > 1 && current.name === closing) stack.pop();
+            } else if (opening !== undefined) {
+                const element = { name: opening, attributes: {}, children: [], text: '' };
+                let pair;
+                attribute.lastIndex = 0;
+                while ((pair = attribute.exec(attributes)) !== null) {
+                    element.attributes[pair[1]] = this._decodeEntities(pair[2] !== undefined ? pair[2] : pair[3]);
+                }
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+            } else if (content !== undefined && stack.length > 1) {
+                current.text += this._decodeEntities(content);
+            }
+        }
+
+        return document;
+    }
+
+    /**
+     * Decode XML entity and character references (helper function)
+     * @param {string} text - Raw text
+     * @returns {string} Decoded text
+     */
+    static _decodeEntities(text) {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (reference, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            }
+            return named[name] !== undefined ? named[name] : reference;
+        });
+    }
+
+    /**
+     * First child element with a name (helper function)
+     * @param {Object|null} element - Parent element
+     * @param {string} name - Child name
+     * @returns {Object|null} Child element
+     */
+    static _child(element, name) {
+        return element ? element.children.find(child => child.name === name) || null : null;
+    }
+
+    /**
+     * Child elements with a name (helper function)
+     * @param {Object|null} element - Parent element
+     * @param {string} name - Child name
+     * @returns {Array} Child elements
+     */
+    static _children(element, name) {
+        return element ? element.children.filter(child => child.name === name) : [];
+    }
+
+    /**
+     * Trimmed text of the first child element with a name (helper function)
+     * @param {Object|null} element - Parent element
+     * @param {string} name - Child name
+     * @returns {string|null} Text, or null without such a child
+     */
+    static _text(element, name) {
+        const child = this._child(element, name);
+        return child ? child.text.trim() : null;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MusicXmlToJmon;
+}
+
+// Export for browsers (global) - avoid redeclaration
+if (typeof window !== 'undefined') {
+    window.MusicXmlToJmon = window.MusicXmlToJmon || MusicXmlToJmon;
+}
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
@@ -0,0 +1,829 @@
+/**
+ * jmon-musicxml.js - Convert jmon format to MusicXML
+ *
+ * Writes MusicXML 4.0 partwise scores for notation software (MuseScore, Finale, Dorico, Sibelius).
+ * One part per sequence, measures laid out from the meter map, key, time and tempo changes,
+ * ties across barlines, chords, tuplets, dynamics from velocity, articulations, lyrics and
+ * rehearsal marks from annotations, and percussion staves for drum parts.
+ */
+
+(function(global) {
+    'use strict';
+
+    // Check if already loaded
+    if (global.JmonToMusicXml) {
+        return;
+    }
+
+class JmonToMusicXml {
+    /**
+     * MusicXML note types with their length in ticks (jmonTone.TICKS_PER_BEAT per quarter note)
+     */
+    static NOTE_TYPES = [
+        ['breve', 3840], ['whole', 1920], ['half', 960], ['quarter', 480],
+        ['eighth', 240], ['16th', 120], ['32nd', 60], ['64th', 30]
+    ];
+
+    /**
+     * Tuplet ratios tried for durations that are not plain or dotted values (actual notes : normal notes)
+     */
+    static TUPLET_RATIOS = [[3, 2], [5, 4], [6, 4], [7, 4]];
+
+    /**
+     * Dynamics marks and the MIDI velocity each one stands for
+     */
+    static DYNAMICS = [
+        ['ppp', 16], ['pp', 33], ['p', 49], ['mp', 64], ['mf', 80], ['f', 96], ['ff', 112], ['fff', 127]
+    ];
+
+    /**
+     * jmon articulation names and where they go in <notations>
+     */
+    static ARTICULATIONS = {
+        staccato: ['articulations', 'staccato'],
+        staccatissimo: ['articulations', 'staccatissimo'],
+        spiccato: ['articulations', 'spiccato'],
+        accent: ['articulations', 'accent'],
+        marcato: ['articulations', 'strong-accent'],
+        tenuto: ['articulations', 'tenuto'],
+        'detached-legato': ['articulations', 'detached-legato'],
+        fermata: ['fermata', null],
+        trill: ['ornaments', 'trill-mark'],
+        mordent: ['ornaments', 'mordent'],
+        turn: ['ornaments', 'turn']
+    };
+
+    /**
+     * Percussion staff positions (display step and octave) and noteheads for GM drum map notes
+     * Kick and toms in the lower spaces, snare on the third space, cymbals above the staff with x heads.
+     */
+    static PERCUSSION_STAFF = {
+        35: ['E4'], 36: ['F4'], 37: ['C5', 'x'], 38: ['C5'], 39: ['D5', 'x'], 40: ['C5', 'slash'],
+        41: ['G4'], 42: ['G5', 'x'], 43: ['A4'], 44: ['D4', 'x'], 45: ['B4'], 46: ['G5', 'circle-x'],
+        47: ['D5'], 48: ['E5'], 49: ['A5', 'x'], 50: ['F5'], 51: ['F5', 'x'], 52: ['A5', 'circle-x'],
+        53: ['F5', 'diamond'], 54: ['E5', 'triangle'], 55: ['B5', 'x'], 56: ['A4', 'triangle'],
+        57: ['B5', 'circle-x'], 59: ['D6', 'x']
+    };
+
+    /**
+     * Convert a jmon composition to MusicXML
+     * @param {Object} composition - jmon composition object or any compatible format
+     * @returns {string} MusicXML 4.0 partwise document
+     */
+    static convertToMusicXml(composition) {
+        // Smart normalize: convert various formats to jmon
+        const normalizedComposition = jmonTone ? jmonTone.normalize(composition) : composition;
+
+        // Validate normalized jmon composition
+        if (jmonTone && !jmonTone.validate(normalizedComposition).success) {
+            throw new Error('Invalid jmon composition');
+        }
+
+        const timeline = jmonTone.createTimeline(normalizedComposition);
+        const sequences = normalizedComposition.sequences || [];
+        const parts = sequences.map((sequence, index) => this.collectPartNotes(normalizedComposition, index));
+        const lastTick = Math.max(1, ...parts.flat().map(note => note.end));
+        const measures = this.getMeasures(timeline, lastTick);
+        const keys = this.getKeyChanges(normalizedComposition, timeline, measures);
+
+        let xml = '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n';
+        xml += '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">\n';
+        xml += '<score-partwise version="4.0">\n';
+        xml += this.generateHeader(normalizedComposition);
+
+        xml += '  <part-list>\n';
+        sequences.forEach((sequence, index) => {
+            xml += this.generateScorePart(normalizedComposition, sequence, index, parts[index]);
+        });
+        xml += '  </part-list>\n';
+
+        // Tempo marks, rehearsal marks and lyrics go on the first part
+        const firstDirections = this.getScoreDirections(normalizedComposition, timeline);
+        const lyricPart = sequences.findIndex(sequence => !jmonTone.isDrumSequence(normalizedComposition, sequence));
+        if (lyricPart !== -1) {
+            this.attachLyrics(normalizedComposition, timeline, parts[lyricPart]);
+        }
+
+        sequences.forEach((sequence, index) => {
+            xml += this.generatePart(normalizedComposition, sequence, index, {
+                notes: parts[index],
+                measures,
+                keys,
+                directions: index === 0 ? firstDirections : []
+            });
+        });
+
+        xml += '</score-partwise>\n';
+        return xml;
+    }
+
+    /**
+     * Generate the work and identification elements
+     * @param {Object} composition - jmon composition
+     * @returns {string} MusicXML header elements
+     */
+    static generateHeader(composition) {
+        let xml = `  <work>\n    <work-title>${this.escapeXml(composition.metadata?.name || 'Untitled')}</work-title>\n  </work>\n`;
+        xml += '  <identification>\n';
+        if (composition.metadata?.author) {
+            xml += `    <creator type="composer">${this.escapeXml(composition.metadata.author)}</creator>\n`;
+        }
+        xml += '    <encoding>\n      <software>jmon-musicxml.js</software>\n    </encoding>\n';
+        if (composition.metadata?.description) {
+            xml += `    <miscellaneous>\n      <miscellaneous-field name="description">${this.escapeXml(composition.metadata.description)}</miscellaneous-field>\n    </miscellaneous>\n`;
+        }
+        xml += '  </identification>\n';
+        return xml;
+    }
+
+    /**
+     * Generate the score-part entry of a sequence, with its MIDI instrument (one per kit piece for drums)
+     * @param {Object} composition - jmon composition
+     * @param {Object} sequence - jmon sequence
+     * @param {number} index - Part index (0-based)
+     * @param {Array} notes - Part notes from collectPartNotes()
+     * @returns {string} score-part element
+     */
+    static generateScorePart(composition, sequence, index, notes) {
+        const id = `P${index + 1}`;
+        const instrument = jmonTone.getMidiInstrument(composition, sequence);
+        const drums = jmonTone.isDrumSequence(composition, sequence);
+        const channel = sequence.midiChannel !== undefined ? sequence.midiChannel : (drums ? jmonTone.GM_DRUM_CHANNEL : undefined);
+
+        let xml = `    <score-part id="${id}">\n`;
+        xml += `      <part-name>${this.escapeXml(sequence.label || `Part ${index + 1}`)}</part-name>\n`;
+
+        if (drums) {
+            const pieces = [...new Set(notes.flatMap(note => note.pitches.map(pitch => pitch.midi)))].sort((a, b) => a - b);
+            pieces.forEach(midi => {
+                xml += `      <score-instrument id="${id}-I${midi}">\n        <instrument-name>${this.escapeXml(jmonTone.drumPieceName(midi) || `Drum ${midi}`)}</instrument-name>\n      </score-instrument>\n`;
+            });
+            pieces.forEach(midi => {
+                xml += `      <midi-instrument id="${id}-I${midi}">\n        <midi-channel>${channel + 1}</midi-channel>\n`;
+                if (instrument?.program) xml += `        <midi-program>${instrument.program + 1}</midi-program>\n`;
+                xml += `        <midi-unpitched>${midi + 1}</midi-unpitched>\n      </midi-instrument>\n`;
+            });
+        } else if (instrument || channel !== undefined) {
+            xml += `      <score-instrument id="${id}-I1">\n        <instrument-name>${this.escapeXml(instrument ? jmonTone.gmProgramName(instrument.program) : sequence.label || `Part ${index + 1}`)}</instrument-name>\n      </score-instrument>\n`;
+            xml += `      <midi-instrument id="${id}-I1">\n`;
+            if (channel !== undefined) xml += `        <midi-channel>${channel + 1}</midi-channel>\n`;
+            if (instrument) {
+                if (instrument.bank) {
+                    xml += `        <midi-bank>${instrument.bank + 1}</midi-bank>\n`;
+                }
+                xml += `        <midi-program>${instrument.program + 1}</midi-program>\n`;
+            }
+            xml += '      </midi-instrument>\n';
+        }
+
+        xml += '    </score-part>\n';
+        return xml;
+    }
+
+    /**
+     * Generate one part: its measures with attributes, directions, notes and rests
+     * @param {Object} composition - jmon composition
+     * @param {Object} sequence - jmon sequence
+     * @param {number} index - Part index (0-based)
+     * @param {Object} layout - { notes, measures, keys, directions }
+     * @returns {string} part element
+     */
+    static generatePart(composition, sequence, index, { notes, measures, keys, directions }) {
+        const id = `P${index + 1}`;
+        const drums = jmonTone.isDrumSequence(composition, sequence);
+        const clef = this.chooseClef(notes, drums);
+        const partDirections = [...directions, ...this.getDynamics(notes)].sort((a, b) => a.tick - b.tick);
+        let xml = `  <part id="${id}">\n`;
+        let noteIndex = 0;
+        let fifths = 0;
+
+        measures.forEach((measure, measureIndex) => {
+            xml += `    <measure number="${measureIndex + 1}">\n`;
+
+            // Attributes: everything on the first measure, then key and time changes
+            // Percussion staves carry no key signature
+            const key = drums ? null : keys.get(measureIndex);
+            const meterChanged = measureIndex === 0 || measure.segment !== measures[measureIndex - 1].segment;
+            if (key) fifths = key.fifths;
+            if (measureIndex === 0 || key || meterChanged) {
+                xml += '      <attributes>\n';
+                if (measureIndex === 0) xml += `        <divisions>${jmonTone.TICKS_PER_BEAT}</divisions>\n`;
+                if (key) xml += `        <key>\n          <fifths>${key.fifths}</fifths>\n          <mode>${key.mode}</mode>\n        </key>\n`;
+                if (meterChanged) xml += `        <time>\n          <beats>${measure.segment.numerator}</beats>\n          <beat-type>${measure.segment.denominator}</beat-type>\n        </time>\n`;
+                if (measureIndex === 0) xml += `        <clef>\n          <sign>${clef.sign}</sign>\n${clef.line ? `          <line>${clef.line}</line>\n` : ''}        </clef>\n`;
+                xml += '      </attributes>\n';
+            }
+
+            // Notes sounding in this measure, split at the barlines
+            const elements = [];
+            let cursor = measure.start;
+            while (noteIndex < notes.length && notes[noteIndex].end <= measure.start) noteIndex++;
+            for (let i = noteIndex; i < notes.length && notes[i].start < measure.end; i++) {
+                const note = notes[i];
+                const start = Math.max(note.start, measure.start);
+                const end = Math.min(note.end, measure.end);
+                if (start > cursor) elements.push(...this.durationPieces(start - cursor).map(piece => ({ ...piece, rest: true })));
+                this.durationPieces(end - start).forEach((piece, pieceIndex, pieces) => {
+                    elements.push({
+                        ...piece,
+                        note,
+                        tieStop: start > note.start || pieceIndex > 0,
+                        tieStart: end < note.end || pieceIndex < pieces.length - 1,
+                        first: start === note.start && pieceIndex === 0
+                    });
+                });
+                cursor = end;
+            }
+
+            if (elements.length === 0) {
+                elements.push({ ticks: measure.end - measure.start, rest: true, measureRest: true });
+            } else if (cursor < measure.end) {
+                elements.push(...this.durationPieces(measure.end - cursor).map(piece => ({ ...piece, rest: true })));
+            }
+
+            xml += this.generateMeasureContent(elements, {
+                measure,
+                fifths,
+                drums,
+                partId: id,
+                directions: partDirections.filter(direction =>
+                    direction.tick >= measure.start && (direction.tick < measure.end || measureIndex === measures.length - 1))
+            });
+            xml += '    </measure>\n';
+        });
+
+        xml += '  </part>\n';
+        return xml;
+    }
+
+    /**
+     * Serialize the elements of one measure: directions, notes, rests, tuplet brackets and accidentals
+     * @param {Array} elements - Durations in order: { ticks, type, dots, tuplet, rest | note, tieStart, tieStop, first }
+     * @param {Object} context - { measure, fifths, drums, partId, directions }
+     * @returns {string} Measure content
+     */
+    static generateMeasureContent(elements, { measure, fifths, drums, partId, directions }) {
+        // Tuplet brackets: open on the first tuplet element, close when the group's normal span is filled
+        let open = null;
+        elements.forEach(element => {
+            if (!element.tuplet) {
+                if (open) open.last.tupletStop = true;
+                open = null;
+                return;
+            }
+            if (!open) {
+                element.tupletStart = true;
+                open = { span: element.ticks * element.tuplet[0], filled: 0, last: element };
+            }
+            open.filled += element.ticks;
+            open.last = element;
+            if (open.filled >= open.span) {
+                element.tupletStop = true;
+                open = null;
+            }
+        });
+        if (open) open.last.tupletStop = true;
+
+        const accidentals = new Map();
+        const pending = [...directions];
+        let xml = '';
+        let tick = measure.start;
+
+        elements.forEach(element => {
+            // Directions that fall inside this element go right before it, offset into it
+            while (pending.length > 0 && (pending[0].tick < tick + element.ticks || element === elements[elements.length - 1])) {
+                const direction = pending.shift();
+                xml += this.generateDirection(direction, Math.max(0, direction.tick - tick));
+            }
+
+            if (element.rest) {
+                xml += this.generateRest(element);
+            } else {
+                element.note.pitches.forEach((pitch, pitchIndex) => {
+                    xml += this.generateNote(element, pitch, { chord: pitchIndex > 0, fifths, accidentals, drums, partId });
+                });
+            }
+            tick += element.ticks;
+        });
+
+        return xml;
+    }
+
+    /**
+     * Generate a rest element
+     * @param {Object} element - Rest duration piece (measureRest for a whole-measure rest)
+     * @returns {string} note element
+     */
+    static generateRest(element) {
+        let xml = '      <note>\n';
+        xml += element.measureRest ? '        <rest measure="yes"/>\n' : '        <rest/>\n';
+        xml += `        <duration>${element.ticks}</duration>\n        <voice>1</voice>\n`;
+        if (!element.measureRest) xml += this._typeXml(element);
+        if (element.tupletStart || element.tupletStop) {
+            xml += '        <notations>\n';
+            if (element.tupletStart) xml += '          <tuplet type="start" bracket="yes"/>\n';
+            if (element.tupletStop) xml += '          <tuplet type="stop"/>\n';
+            xml += '        </notations>\n';
+        }
+        xml += '      </note>\n';
+        return xml;
+    }
+
+    /**
+     * Generate one note element (one pitch of a chord)
+     * @param {Object} element - Note duration piece
+     * @param {Object} pitch - { midi, step, alter, octave }
+     * @param {Object} context - { chord, fifths, accidentals (per-measure state), drums, partId }
+     * @returns {string} note element
+     */
+    static generateNote(element, pitch, { chord, fifths, accidentals, drums, partId }) {
+        const { note } = element;
+        let xml = '      <note>\n';
+        if (chord) xml += '        <chord/>\n';
+
+        let notehead = null;
+        if (drums) {
+            const [position, head] = this.PERCUSSION_STAFF[pitch.midi] || [`${pitch.step}${pitch.octave}`];
+            notehead = head || null;
+            xml += `        <unpitched>\n          <display-step>${position[0]}</display-step>\n          <display-octave>${position.slice(1)}</display-octave>\n        </unpitched>\n`;
+        } else {
+            xml += `        <pitch>\n          <step>${pitch.step}</step>\n`;
+            if (pitch.alter) xml += `          <alter>${pitch.alter}</alter>\n`;
+            xml += `          <octave>${pitch.octave}</octave>\n        </pitch>\n`;
+        }
+
+        xml += `        <duration>${element.ticks}</duration>\n`;
+        if (element.tieStop) xml += '        <tie type="stop"/>\n';
+        if (element.tieStart) xml += '        <tie type="start"/>\n';
+        if (drums) xml += `        <instrument id="${partId}-I${pitch.midi}"/>\n`;
+        xml += '        <voice>1</voice>\n';
+        xml += this._typeXml(element);
+
+        // Accidentals hold to the end of the measure; tied continuations never show one
+        if (!drums) {
+            const position = `${pitch.step}${pitch.octave}`;
+            const current = accidentals.has(position) ? accidentals.get(position) : this.keyAlter(pitch.step, fifths);
+            if (current !== pitch.alter && !element.tieStop) {
+                xml += `        <accidental>${{ '-2': 'flat-flat', '-1': 'flat', 0: 'natural', 1: 'sharp', 2: 'double-sharp' }[pitch.alter]}</accidental>\n`;
+            }
+            accidentals.set(position, pitch.alter);
+        }
+
+        if (element.tuplet) {
+            xml += `        <time-modification>\n          <actual-notes>${element.tuplet[0]}</actual-notes>\n          <normal-notes>${element.tuplet[1]}</normal-notes>\n        </time-modification>\n`;
+        }
+        if (notehead) xml += `        <notehead>${notehead}</notehead>\n`;
+
+        const notations = [];
+        if (element.tieStop) notations.push('<tied type="stop"/>');
+        if (element.tieStart) notations.push('<tied type="start"/>');
+        if (!chord && element.tupletStart) notations.push('<tuplet type="start" bracket="yes"/>');
+        if (!chord && element.tupletStop) notations.push('<tuplet type="stop"/>');
+        if (element.first && !chord && note.articulation) notations.push(...this.articulationXml(note.articulation));
+        if (notations.length > 0) {
+            xml += `        <notations>\n${notations.map(line => `          ${line}\n`).join('')}        </notations>\n`;
+        }
+
+        if (element.first && !chord && note.lyric) {
+            xml += `        <lyric number="1">\n          <syllabic>${note.lyric.syllabic}</syllabic>\n          <text>${this.escapeXml(note.lyric.text)}</text>\n        </lyric>\n`;
+        }
+
+        xml += '      </note>\n';
+        return xml;
+    }
+
+    /**
+     * Type, dots of a duration piece (helper function)
+     * @param {Object} element - Duration piece
+     * @returns {string} type and dot elements
+     */
+    static _typeXml(element) {
+        return `        <type>${element.type}</type>\n` + '        <dot/>\n'.repeat(element.dots || 0);
+    }
+
+    /**
+     * Convert a jmon articulation to notation elements
+     * @param {string} articulation - One or more articulation names (e.g. 'staccato', 'accent tenuto')
+     * @returns {Array<string>} Elements for <notations>
+     */
+    static articulationXml(articulation) {
+        const groups = { articulations: [], ornaments: [] };
+        const notations = [];
+
+        String(articulation).split(/[\s,]+/).filter(Boolean).forEach(name => {
+            const [group, element] = this.ARTICULATIONS[name.toLowerCase()] || ['articulations', null];
+            if (group === 'fermata') {
+                notations.push('<fermata type="upright"/>');
+            } else if (element) {
+                groups[group].push(`<${element}/>`);
+            } else {
+                groups.articulations.push(`<other-articulation>${this.escapeXml(name)}</other-articulation>`);
+            }
+        });
+
+        if (groups.articulations.length > 0) notations.push(`<articulations>${groups.articulations.join('')}</articulations>`);
+        if (groups.ornaments.length > 0) notations.push(`<ornaments>${groups.ornaments.join('')}</ornaments>`);
+        return notations;
+    }
+
+    /**
+     * Generate a direction element (tempo, rehearsal mark, marker text or dynamics)
+     * @param {Object} direction - { tick, kind, ... } from getScoreDirections() or getDynamics()
+     * @param {number} offset - Ticks from the current position to the direction
+     * @returns {string} direction element
+     */
+    static generateDirection(direction, offset) {
+        const placement = direction.kind === 'dynamics' ? 'below' : 'above';
+        let xml = `      <direction placement="${placement}">\n`;
+
+        switch (direction.kind) {
+            case 'tempo':
+                if (direction.words) {
+                    xml += `        <direction-type>\n          <words>${direction.words}</words>\n        </direction-type>\n`;
+                }
+                xml += `        <direction-type>\n          <metronome>\n            <beat-unit>quarter</beat-unit>\n            <per-minute>${direction.bpm}</per-minute>\n          </metronome>\n        </direction-type>\n`;
+                break;
+            case 'rehearsal':
+                xml += `        <direction-type>\n          <rehearsal>${this.escapeXml(direction.text)}</rehearsal>\n        </direction-type>\n`;
+                break;
+            case 'dynamics':
+                xml += `        <direction-type>\n          <dynamics><${direction.mark}/></dynamics>\n        </direction-type>\n`;
+                break;
+            default:
+                xml += `        <direction-type>\n          <words>${this.escapeXml(direction.text)}</words>\n        </direction-type>\n`;
+        }
+
+        if (offset > 0) xml += `        <offset>${offset}</offset>\n`;
+        if (direction.kind === 'tempo') xml += `        <sound tempo="${direction.bpm}"/>\n`;
+        if (direction.kind === 'dynamics') xml += `        <sound dynamics="${direction.sound}"/>\n`;
+        xml += '      </direction>\n';
+        return xml;
+    }
+
+    /**
+     * Gather the notes of one sequence in ticks, loops expanded, chords grouped and overlaps trimmed
+     * @param {Object} composition - Normalized jmon composition
+     * @param {number} sequenceIndex - Sequence index
+     * @returns {Array} Notes sorted by start: { start, end, velocity, articulation, pitches: [{ midi, step, alter, octave }] }
+     */
+    static collectPartNotes(composition, sequenceIndex) {
+        const sequence = composition.sequences[sequenceIndex];
+        // Notation is written straight: no swing
+        const rendered = jmonTone.render({ ...composition, sequences: [sequence] }, { swing: 0 });
+        const keyPrefersFlats = this.getFifths(composition.keySignature || 'C') < 0;
+        const groups = new Map();
+
+        rendered.events.filter(event => event.type === 'noteOn').forEach(event => {
+            const key = `${event.noteIndex}:${event.repeat || 0}`;
+            if (!groups.has(key)) {
+                const note = sequence.notes[event.noteIndex];
+                groups.set(key, {
+                    start: event.ticks,
+                    end: event.ticks + event.duration.ticks,
+                    velocity: event.velocity,
+                    articulation: note.articulation,
+                    names: [].concat(note.note),
+                    pitches: []
+                });
+            }
+            const group = groups.get(key);
+            const name = group.names[group.pitches.length];
+            group.pitches.push(this.spellPitch(event.note, typeof name === 'string' ? name : null, keyPrefersFlats));
+        });
+
+        const notes = [...groups.values()]
+            .filter(note => note.end > note.start)
+            .sort((a, b) => a.start - b.start);
+
+        // One voice per part: a note that starts under the previous one cuts it short
+        let trimmed = 0;
+        notes.forEach((note, index) => {
+            const next = notes.slice(index + 1).find(other => other.start > note.start);
+            if (next && next.start < note.end) {
+                note.end = next.start;
+                trimmed++;
+            }
+            note.pitches.sort((a, b) => a.midi - b.midi);
+            delete note.names;
+        });
+        if (trimmed > 0) {
+            console.warn(`⚠️  JmonToMusicXml: ${trimmed} overlapping note(s) in "${sequence.label}" shortened to fit one voice`);
+        }
+
+        // Chords of notes starting together: keep the first duration
+        return notes.filter((note, index) => {
+            const previous = notes[index - 1];
+            if (previous && previous.start === note.start) {
+                previous.pitches.push(...note.pitches.filter(p => !previous.pitches.some(q => q.midi === p.midi)));
+                previous.pitches.sort((a, b) => a.midi - b.midi);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Spell a MIDI note, keeping the spelling of a written note name
+     * @param {number} midi - MIDI note number
+     * @param {string|null} name - jmon note name (e.g. 'Bb4'), if the note was written as one
+     * @param {boolean} preferFlats - Spell black keys as flats (flat keys)
+     * @returns {Object} { midi, step, alter, octave }
+     */
+    static spellPitch(midi, name, preferFlats) {
+        const match = name ? name.match(/^([A-G])(#|b)?(-?\d+)$/) : null;
+        if (match) {
+            return { midi, step: match[1], alter: match[2] === '#' ? 1 : (match[2] === 'b' ? -1 : 0), octave: parseInt(match[3]) };
+        }
+
+        const names = preferFlats
+            ? ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
+            : ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const spelled = names[((midi % 12) + 12) % 12];
+        return {
+            midi,
+            step: spelled[0],
+            alter: spelled[1] === '#' ? 1 : (spelled[1] === 'b' ? -1 : 0),
+            octave: Math.floor(midi / 12) - 1
+        };
+    }
+
+    /**
+     * Lay out measures from the meter map up to the last note
+     * @param {Object} timeline - Timeline from jmonTone.createTimeline
+     * @param {number} lastTick - End of the music in ticks
+     * @returns {Array} Measures: { start, end, segment } (ticks, meter segment)
+     */
+    static getMeasures(timeline, lastTick) {
+        const measures = [];
+        let start = 0;
+        for (let bar = 0; start < lastTick; bar++) {
+            const segment = [...timeline.meterMap].reverse().find(s => s.bar <= bar);
+            const length = Math.round(segment.barLength * jmonTone.TICKS_PER_BEAT);
+            measures.push({ start, end: start + length, segment });
+            start += length;
+        }
+        return measures;
+    }
+
+    /**
+     * Key signatures by measure index: the initial key, then keySignatureMap changes (mid-bar changes move to the next bar)
+     * @param {Object} composition - jmon composition
+     * @param {Object} timeline - Timeline from jmonTone.createTimeline
+     * @param {Array} measures - Measures from getMeasures()
+     * @returns {Map} Measure index -> { fifths, mode }
+     */
+    static getKeyChanges(composition, timeline, measures) {
+        const keys = new Map([[0, this.keyToFifths(composition.keySignature || 'C')]]);
+
+        (composition.keySignatureMap || []).forEach(change => {
+            const tick = Math.round(jmonTone.timeToBeats(timeline, change.time) * jmonTone.TICKS_PER_BEAT);
+            const index = measures.findIndex(measure => measure.start >= tick);
+            if (index !== -1) keys.set(index, this.keyToFifths(change.keySignature));
+        });
+
+        return keys;
+    }
+
+    /**
+     * Tempo marks, rehearsal marks and marker texts of the score
+     * @param {Object} composition - jmon composition
+     * @param {Object} timeline - Timeline from jmonTone.createTimeline
+     * @returns {Array} Directions { tick, kind, ... }
+     */
+    static getScoreDirections(composition, timeline) {
+        const toTick = beats => Math.round(beats * jmonTone.TICKS_PER_BEAT);
+        const directions = timeline.tempoMap.map(segment => {
+            const direction = { tick: toTick(segment.beats), kind: 'tempo', bpm: Math.round(segment.bpm * 100) / 100 };
+            if (segment.endBpm > segment.bpm) direction.words = 'accel.';
+            if (segment.endBpm < segment.bpm) direction.words = 'rit.';
+            return direction;
+        });
+
+        (composition.annotations || [])
+            .filter(annotation => ['rehearsal', 'marker'].includes(annotation.type))
+            .forEach(annotation => {
+                directions.push({
+                    tick: toTick(jmonTone.timeToBeats(timeline, annotation.time)),
+                    kind: annotation.type === 'rehearsal' ? 'rehearsal' : 'words',
+                    text: annotation.text
+                });
+            });
+
+        return directions;
+    }
+
+    /**
+     * Dynamics marks where the velocity level of a part changes
+     * @param {Array} notes - Part notes from collectPartNotes()
+     * @returns {Array} Directions { tick, kind: 'dynamics', mark, sound }
+     */
+    static getDynamics(notes) {
+        const directions = [];
+        let current = null;
+
+        notes.forEach(note => {
+            const mark = this.velocityToDynamic(note.velocity);
+            if (mark === current) return;
+            current = mark;
+            // <sound dynamics> is a percentage of the forte velocity (90)
+            directions.push({ tick: note.start, kind: 'dynamics', mark, sound: Math.round(note.velocity * 127 / 90 * 100) });
+        });
+
+        return directions;
+    }
+
+    /**
+     * Nearest dynamics mark for a velocity
+     * @param {number} velocity - jmon velocity (0-1)
+     * @returns {string} Dynamics mark (ppp-fff)
+     */
+    static velocityToDynamic(velocity) {
+        const midiVelocity = velocity * 127;
+        return this.DYNAMICS.reduce((best, candidate) =>
+            Math.abs(candidate[1] - midiVelocity) < Math.abs(best[1] - midiVelocity) ? candidate : best)[0];
+    }
+
+    /**
+     * Attach lyric annotations to the notes of a part: each lyric takes the next free note starting at or after it
+     * A trailing '-' joins a syllable to the next one.
+     * @param {Object} composition - jmon composition
+     * @param {Object} timeline - Timeline from jmonTone.createTimeline
+     * @param {Array} notes - Part notes from collectPartNotes(), annotated in place
+     */
+    static attachLyrics(composition, timeline, notes) {
+        const lyrics = (composition.annotations || [])
+            .filter(annotation => annotation.type === 'lyric')
+            .map(annotation => ({ ...annotation, tick: Math.round(jmonTone.timeToBeats(timeline, annotation.time) * jmonTone.TICKS_PER_BEAT) }))
+            .sort((a, b) => a.tick - b.tick);
+
+        let continues = false;
+        lyrics.forEach(lyric => {
+            const note = notes.find(candidate => candidate.start >= lyric.tick && !candidate.lyric);
+            if (!note) {
+                console.warn(`⚠️  JmonToMusicXml: No note for lyric "${lyric.text}" at ${lyric.time}`);
+                return;
+            }
+
+            const hyphen = lyric.text.endsWith('-');
+            note.lyric = {
+                text: hyphen ? lyric.text.slice(0, -1) : lyric.text,
+                syllabic: continues ? (hyphen ? 'middle' : 'end') : (hyphen ? 'begin' : 'single')
+            };
+            continues = hyphen;
+        });
+    }
+
+    /**
+     * Split a duration into note values: a single plain, dotted or tuplet value when one fits,
+     * otherwise tied plain and dotted values (then tuplet values) from longest to shortest
+     * @param {number} ticks - Duration in ticks
+     * @returns {Array} Pieces { ticks, type, dots, tuplet: [actual, normal] | null } summing to ticks
+     */
+    static durationPieces(ticks) {
+        const plain = [];
+        this.NOTE_TYPES.forEach(([type, length]) => {
+            plain.push({ ticks: length * 1.75, type, dots: 2, tuplet: null });
+            plain.push({ ticks: length * 1.5, type, dots: 1, tuplet: null });
+            plain.push({ ticks: length, type, dots: 0, tuplet: null });
+        });
+        const tuplets = [];
+        this.TUPLET_RATIOS.forEach(([actual, normal]) => {
+            this.NOTE_TYPES.forEach(([type, length]) => {
+                const tupletTicks = length * normal / actual;
+                if (Number.isInteger(tupletTicks)) tuplets.push({ ticks: tupletTicks, type, dots: 0, tuplet: [actual, normal] });
+            });
+        });
+        plain.sort((a, b) => b.ticks - a.ticks);
+        tuplets.sort((a, b) => b.ticks - a.ticks);
+
+        const exact = plain.find(piece => piece.ticks === ticks) || tuplets.find(piece => piece.ticks === ticks);
+        if (exact) return [{ ...exact }];
+
+        const pieces = [];
+        let remaining = ticks;
+        [plain, tuplets].forEach(candidates => candidates.forEach(candidate => {
+            while (remaining >= candidate.ticks) {
+                pieces.push({ ...candidate });
+                remaining -= candidate.ticks;
+            }
+        }));
+
+        // Leftover ticks finer than a 64th stretch the last value
+        if (remaining > 0) {
+            if (pieces.length === 0) pieces.push({ ticks: 0, type: '64th', dots: 0, tuplet: null });
+            pieces[pieces.length - 1].ticks += remaining;
+        }
+        return pieces;
+    }
+
+    /**
+     * Choose a clef from the part's range
+     * @param {Array} notes - Part notes
+     * @param {boolean} drums - Percussion part
+     * @returns {Object} { sign, line }
+     */
+    static chooseClef(notes, drums) {
+        if (drums) return { sign: 'percussion', line: null };
+        const pitches = notes.flatMap(note => note.pitches.map(pitch => pitch.midi));
+        const average = pitches.reduce((sum, midi) => sum + midi, 0) / Math.max(1, pitches.length);
+        return pitches.length > 0 && average < 55 ? { sign: 'F', line: 4 } : { sign: 'G', line: 2 };
+    }
+
+    /**
+     * Convert a jmon key signature to MusicXML fifths and mode
+     * @param {string} keySignature - jmon key signature (e.g., 'C', 'Am', 'F#')
+     * @returns {Object} { fifths, mode }
+     */
+    static keyToFifths(keySignature) {
+        const minor = /m$/.test(keySignature);
+        return { fifths: this.getFifths(keySignature), mode: minor ? 'minor' : 'major' };
+    }
+
+    /**
+     * Number of sharps (positive) or flats (negative) of a key
+     * @param {string} keySignature - jmon key signature
+     * @returns {number} Fifths -7..7
+     */
+    static getFifths(keySignature) {
+        const major = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+        const minor = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+        const isMinor = /m$/.test(keySignature);
+        const index = (isMinor ? minor : major).indexOf(isMinor ? keySignature.slice(0, -1) : keySignature);
+        return index === -1 ? 0 : index - 7;
+    }
+
+    /**
+     * Alteration the key signature gives a step
+     * @param {string} step - Note letter
+     * @param {number} fifths - Key fifths
+     * @returns {number} -1, 0 or 1
+     */
+    static keyAlter(step, fifths) {
+        if (fifths > 0) return 'FCGDAEB'.indexOf(step) < fifths ? 1 : 0;
+        if (fifths < 0) return 'BEADGCF'.indexOf(step) < -fifths ? -1 : 0;
+        return 0;
+    }
+
+    /**
+     * Escape text for XML content
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Export MusicXML as downloadable file
+     * @param {string} xml - MusicXML document
+     * @param {string} filename - filename for download
+     */
+    static exportMusicXmlAsFile(xml, filename = 'composition.musicxml') {
+        const blob = new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+
+        // Create download link
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Convert jmon composition to MusicXML and download
+     * @param {Object} composition - jmon composition
+     * @param {string} filename - Optional filename
+     * @returns {string} MusicXML document
+     */
+    static convertAndDownload(composition, filename) {
+        try {
+            const xml = this.convertToMusicXml(composition);
+            const downloadName = filename || `${composition.metadata?.name || 'composition'}.musicxml`;
+            this.exportMusicXmlAsFile(xml, downloadName);
+            console.log(`✅ MusicXML file "${downloadName}" exported successfully`);
+            return xml;
+        } catch (error) {
+            console.error('❌ Error converting to MusicXML:', error);
+            throw error;
+        }
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JmonToMusicXml;
+}
+
+// Export for browsers (global) - avoid redeclaration
+if (typeof window !== 'undefined') {
+    window.JmonToMusicXml = window.JmonToMusicXml || JmonToMusicXml;
+}
+
+})(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
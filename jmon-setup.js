@@ -4,10 +4,10 @@
  * Cell 1 - Load modules:
  * loadJmon = {
  *   const jmonTone = await import(
- *     "https://cdn.jsdelivr.net/gh/jmonlabs/jmon-format@main/jmon-tone.js"
+ *     "https://cdn.jsdelivr.net/gh/jmonlabs/jmon-format@main/jmon-tone.mjs"
  *   );
  *   const jmonAbc = await import(
- *     "https://cdn.jsdelivr.net/gh/jmonlabs/jmon-format@main/jmon-abc.js"
+ *     "https://cdn.jsdelivr.net/gh/jmonlabs/jmon-format@main/jmon-abc.mjs"
  *   );
  *   const jmonDisplay = await import(
  *     "https://cdn.jsdelivr.net/gh/jmonlabs/jmon-format@main/jmon-display.js"
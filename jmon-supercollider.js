@@ -20,36 +20,79 @@ class JmonToSuperCollider {
             throw new Error('Invalid jmon composition');
         }
 
+        // Playback region, control envelopes from modulations and automation, and audio routing from the connections
+        const playback = this.getPlayback(normalizedComposition);
+        const controls = this.collectControls(normalizedComposition, playback);
+        const routing = this.resolveRouting(normalizedComposition);
+
         let sc = '';
         
         // Header comments
         sc += this.generateHeader(normalizedComposition);
         
         // Server setup and cleanup
-        sc += this.generateServerSetup();
+        sc += this.generateServerSetup(normalizedComposition);
         
         // SynthDef definitions
-        sc += this.generateSynthDefs(normalizedComposition);
+        sc += this.generateSynthDefs(normalizedComposition, controls);
         
         // Effects definitions
-        sc += this.generateEffectDefs(normalizedComposition);
+        sc += this.generateEffectDefs(normalizedComposition, routing);
+        
+        // Groups and buses
+        sc += this.generateRouting(controls, routing);
         
         // Pattern definitions
-        sc += this.generatePatterns(normalizedComposition);
+        sc += this.generatePatterns(normalizedComposition, controls, routing, playback);
         
         // Main execution block
-        sc += this.generateMainExecution(normalizedComposition);
+        sc += this.generateMainExecution(normalizedComposition, controls, routing, playback);
         
         return sc;
     }
 
+    /**
+     * Convert a jmon composition to a SuperCollider Non-Realtime score, for rendering with scsynth -N
+     * @param {Object} composition - jmon composition object or any compatible format
+     * @param {Object} options - Score options
+     * @param {string} options.format - 'text' for a Score file read by Score.newFromFile (default), 'osc' for a binary OSC score
+     * @param {string} options.synthDefDir - Directory the binary score loads its SynthDefs from (default 'synthdefs')
+     * @param {number} options.tail - Seconds after the playback region (default: estimated release and effect tails)
+     * @returns {string|Object} Score file, or { score: Uint8Array, synthDefs: string } where synthDefs is the
+     *   sclang script that writes the SynthDefs to synthDefDir
+     */
+    static convertToScore(composition, options = {}) {
+        const normalizedComposition = jmonTone ? jmonTone.normalize(composition) : composition;
+        
+        if (jmonTone && !jmonTone.validate(normalizedComposition).success) {
+            throw new Error('Invalid jmon composition');
+        }
+        
+        const format = options.format || 'text';
+        if (format !== 'text' && format !== 'osc') {
+            throw new Error(`Unknown score format: ${format} (use 'text' or 'osc')`);
+        }
+        
+        const score = this.generateScore(normalizedComposition, options);
+        if (format === 'text') {
+            return this.scoreToText(score, normalizedComposition);
+        }
+        
+        const synthDefDir = options.synthDefDir || 'synthdefs';
+        return {
+            score: this.scoreToOsc(score, synthDefDir),
+            synthDefs: this.generateSynthDefFiles(score, synthDefDir)
+        };
+    }
+
     /**
      * Generate SuperCollider header and comments
      * @param {Object} composition - jmon composition
+     * @param {string} kind - what the file is ('script' or 'Non-Realtime score')
      * @returns {string} Header section
      */
-    static generateHeader(composition) {
-        let header = `// SuperCollider script generated from jmon format\n`;
+    static generateHeader(composition, kind = 'script') {
+        let header = `// SuperCollider ${kind} generated from jmon format\n`;
         header += `// Generated on: ${new Date().toISOString()}\n`;
         
         if (composition.metadata) {
@@ -68,6 +111,11 @@ class JmonToSuperCollider {
         header += `// Key: ${composition.keySignature || 'C'}\n`;
         header += `// Time Signature: ${composition.timeSignature || '4/4'}\n`;
         
+        const tuning = jmonTone.createTuning(composition.tuning);
+        if (tuning) {
+            header += `// Tuning: ${tuning.name}\n`;
+        }
+        
         // Add tempo changes if present
         if (composition.tempoMap && composition.tempoMap.length > 0) {
             header += `// Tempo changes: ${composition.tempoMap.length} points\n`;
@@ -99,12 +147,17 @@ class JmonToSuperCollider {
 
     /**
      * Generate server setup code
+     * @param {Object} composition - jmon composition
      * @returns {string} Server setup code
      */
-    static generateServerSetup() {
+    static generateServerSetup(composition = {}) {
+        // Sample paths are relative to the script, whose path is only known outside the boot routine
+        const samplers = (composition.audioGraph || []).some(node => node.type === 'Sampler' && node.options?.urls);
+        const sampleDir = samplers ? `~sampleDir = thisProcess.nowExecutingPath !? { |path| path.dirname } ?? { File.getcwd };\n` : '';
+        
         return `// Server setup
 (
-s.waitForBoot({
+${sampleDir}s.waitForBoot({
     // Clear any existing synths
     s.freeAll;
     
@@ -114,6 +167,11 @@ s.waitForBoot({
     ~synths = ();
     ~effects = ();
     ~patterns = ();
+    ~players = ();
+    ~controls = ();
+    ~groups = ();
+    ~sends = ();
+    ~buffers = ();
     
     // Wait for SynthDefs to load
     s.sync;
@@ -124,14 +182,19 @@ s.waitForBoot({
     /**
      * Generate SynthDef definitions from audio graph
      * @param {Object} composition - jmon composition
+     * @param {Array} controls - controls from collectControls
      * @returns {string} SynthDef code
      */
-    static generateSynthDefs(composition) {
+    static generateSynthDefs(composition, controls = this.collectControls(composition)) {
         let synthDefs = `    // SynthDef definitions\n`;
         
+        if (controls.length > 0) {
+            synthDefs += `    ${this.generateControlSynthDef(controls)}.add;\n\n`;
+        }
+        
         // Default synth if no audio graph
         if (!composition.audioGraph || composition.audioGraph.length === 0) {
-            synthDefs += this.generateDefaultSynthDef();
+            synthDefs += `    ${this.generateDefaultSynthDef()}.add;\n\n`;
             return synthDefs;
         }
 
@@ -141,41 +204,192 @@ s.waitForBoot({
         );
 
         synthNodes.forEach(node => {
-            synthDefs += this.generateSynthDefFromNode(node);
+            if (node.type === 'Sampler' && node.options?.urls) {
+                synthDefs += this.generateSampleBuffers(node);
+            }
+            synthDefs += `    ${this.generateSynthDefFromNode(node)}.add;\n\n`;
         });
 
         return synthDefs;
     }
 
+    /**
+     * Generate the SynthDef that plays a control envelope on a control bus
+     * @param {Array} controls - controls from collectControls
+     * @returns {string} SynthDef expression
+     */
+    static generateControlSynthDef(controls) {
+        const segments = Math.max(...controls.map(control => control.points.length));
+        return `SynthDef(\\jmonControl, { |out=0|
+        Out.kr(out, EnvGen.kr(\\env.kr(Env.newClear(${segments}).asArray)));
+    })`;
+    }
+
+    /**
+     * Generate the SynthDef that copies a fan-out bus to one of its targets
+     * @returns {string} SynthDef expression
+     */
+    static generateRouteSynthDef() {
+        return `SynthDef(\\jmonRoute, { |in, out=0|
+        Out.ar(out, In.ar(in, 2));
+    })`;
+    }
+
     /**
      * Generate effects definitions
      * @param {Object} composition - jmon composition
+     * @param {Object} routing - routing from resolveRouting
      * @returns {string} Effects code
      */
-    static generateEffectDefs(composition) {
+    static generateEffectDefs(composition, routing = this.resolveRouting(composition)) {
         let effects = `    // Effect definitions\n`;
         
         if (!composition.audioGraph) {
             return effects;
         }
 
-        const effectNodes = composition.audioGraph.filter(node => 
-            this.isEffectNode(node.type)
-        );
+        const effectNodes = composition.audioGraph.filter(node => this.isProcessorNode(node));
 
         effectNodes.forEach(node => {
             effects += this.generateEffectFromNode(node);
         });
 
+        // Copies a fan-out bus to one of its targets
+        if (routing.routes.length > 0) {
+            effects += `    ${this.generateRouteSynthDef()}.add;\n\n`;
+        }
+
         return effects;
     }
 
+    /**
+     * Resolve the audio graph connections to SuperCollider buses
+     * Like the player, targets are "master" or Destination nodes and effects. A node with several targets
+     * writes to a send bus copied to each of them, several sources of one effect mix on its input bus,
+     * and effects run in signal order; effects in a connection cycle are skipped.
+     * @param {Object} composition - jmon composition
+     * @returns {Object} { outputs: out bus code by node id, sends, routes, effects (in signal order), silence }
+     */
+    static resolveRouting(composition) {
+        const graph = composition.audioGraph || [];
+        const connections = composition.connections || [];
+        const nodes = new Map(graph.map(node => [node.id, node]));
+        const isDestination = id => id === 'master' || nodes.get(id)?.type === 'Destination';
+        const isEffect = id => nodes.has(id) && this.isProcessorNode(nodes.get(id));
+        const isSource = id => nodes.has(id) && (this.isSynthNode(nodes.get(id).type) || isEffect(id));
+        const outgoing = new Map();
+
+        // Like the DSP renderer, node types without an SC equivalent pass their audio through
+        graph.filter(node => isEffect(node.id) && !this.isEffectNode(node.type)).forEach(node => {
+            console.warn(`⚠️  ${node.type} is not supported by the SuperCollider exporter, passing ${node.id} through`);
+        });
+
+        connections.forEach((connection, index) => {
+            if (!Array.isArray(connection) || connection.length !== 2) {
+                console.warn(`Invalid connection ${index}: ${JSON.stringify(connection)}`);
+                return;
+            }
+
+            const [sourceId, targetId] = connection;
+            if (!isSource(sourceId)) {
+                console.warn(`Source node not found: ${sourceId}`);
+                return;
+            }
+            if (!isDestination(targetId) && !isEffect(targetId)) {
+                console.warn(`Target node not found: ${targetId}`);
+                return;
+            }
+
+            if (!outgoing.has(sourceId)) outgoing.set(sourceId, []);
+            if (!outgoing.get(sourceId).includes(targetId)) outgoing.get(sourceId).push(targetId);
+        });
+
+        // Kahn's algorithm over effect-to-effect connections: an effect runs after every effect feeding it
+        const effectIds = graph.filter(node => isEffect(node.id)).map(node => node.id);
+        const incoming = new Map(effectIds.map(id => [id, 0]));
+        effectIds.forEach(id => (outgoing.get(id) || []).filter(isEffect).forEach(targetId => {
+            incoming.set(targetId, incoming.get(targetId) + 1);
+        }));
+        const ready = effectIds.filter(id => incoming.get(id) === 0);
+        const effects = [];
+        while (ready.length > 0) {
+            const id = ready.shift();
+            effects.push(id);
+            (outgoing.get(id) || []).filter(isEffect).forEach(targetId => {
+                incoming.set(targetId, incoming.get(targetId) - 1);
+                if (incoming.get(targetId) === 0) ready.push(targetId);
+            });
+        }
+
+        const skipped = effectIds.filter(id => !effects.includes(id));
+        if (skipped.length > 0) {
+            console.warn(`⚠️  Connection cycle through ${skipped.join(', ')}: these nodes are not rendered`);
+        }
+
+        const busOf = id => isDestination(id) ? '0' : `~busses.${this.sanitizeName(id)}.index`;
+        const outputs = new Map();
+        const sends = [];
+        const routes = [];
+        let silence = false;
+
+        graph.filter(node => isSource(node.id)).forEach(node => {
+            const name = this.sanitizeName(node.id);
+            const targets = outgoing.get(node.id) || [];
+
+            if (connections.length === 0) {
+                // No connections at all: everything plays on the hardware output
+                outputs.set(node.id, '0');
+            } else if (targets.length === 0) {
+                console.warn(`⚠️  ${node.id} is not connected to a destination and is silent`);
+                outputs.set(node.id, '~silence.index');
+                silence = true;
+            } else if (targets.length === 1) {
+                outputs.set(node.id, busOf(targets[0]));
+            } else {
+                sends.push(name);
+                outputs.set(node.id, `~sends.${name}.index`);
+                targets.forEach(targetId => routes.push({ source: node.id, name: `${name}_${this.sanitizeName(targetId)}`, out: busOf(targetId) }));
+            }
+        });
+
+        return { outputs, sends, routes, effects, silence };
+    }
+
+    /**
+     * Generate the node groups and the send and control buses
+     * Groups run in order: controls, then sources (patterns), then effects.
+     * @param {Array} controls - controls from collectControls
+     * @param {Object} routing - routing from resolveRouting
+     * @returns {string} Routing code
+     */
+    static generateRouting(controls, routing) {
+        let code = `    // Groups and buses\n`;
+        code += `    ~groups.controls = Group.tail(s);\n`;
+        code += `    ~groups.sources = Group.tail(s);\n`;
+        code += `    ~groups.effects = Group.tail(s);\n`;
+        
+        routing.sends.forEach(name => {
+            code += `    ~sends.${name} = Bus.audio(s, 2);\n`;
+        });
+        if (routing.silence) {
+            code += `    ~silence = Bus.audio(s, 2);\n`;
+        }
+        controls.forEach(control => {
+            code += `    ~controls.${control.name} = Bus.control(s, 1);\n`;
+        });
+        
+        return code + `\n`;
+    }
+
     /**
      * Generate pattern definitions from sequences
      * @param {Object} composition - jmon composition
+     * @param {Array} controls - controls from collectControls
+     * @param {Object} routing - routing from resolveRouting
+     * @param {Object} playback - playback region from getPlayback
      * @returns {string} Pattern code
      */
-    static generatePatterns(composition) {
+    static generatePatterns(composition, controls = this.collectControls(composition), routing = this.resolveRouting(composition), playback = this.getPlayback(composition)) {
         let patterns = `    // Pattern definitions\n`;
         
         if (!composition.sequences) {
@@ -183,7 +397,7 @@ s.waitForBoot({
         }
 
         composition.sequences.forEach((sequence, index) => {
-            patterns += this.generatePatternFromSequence(sequence, index, composition);
+            patterns += this.generatePatternFromSequence(sequence, index, composition, controls, routing, playback);
         });
 
         return patterns;
@@ -192,20 +406,82 @@ s.waitForBoot({
     /**
      * Generate main execution block
      * @param {Object} composition - jmon composition
+     * @param {Array} controls - controls from collectControls
+     * @param {Object} routing - routing from resolveRouting
+     * @param {Object} playback - playback region from getPlayback
      * @returns {string} Main execution code
      */
-    static generateMainExecution(composition) {
+    static generateMainExecution(composition, controls = this.collectControls(composition), routing = this.resolveRouting(composition), playback = this.getPlayback(composition)) {
         let main = `    // Main execution\n`;
-        main += `    ~tempo.tempo = ${(composition.bpm || 120) / 60};\n\n`;
+        main += `    // Wait for SynthDefs to load\n`;
+        main += `    s.sync;\n\n`;
         
-        // Start patterns
-        if (composition.sequences) {
-            main += `    // Start all patterns\n`;
-            composition.sequences.forEach((sequence, index) => {
-                const patternName = this.sanitizeName(sequence.label || `pattern${index}`);
-                main += `    ~patterns.${patternName}.play(~tempo);\n`;
+        // Effects at the tail of their group in signal order, each followed by the copies of its send bus
+        const routesFrom = id => routing.routes.filter(route => route.source === id).map(route =>
+            `    ~synths.${route.name} = Synth(\\jmonRoute, [\\in, ~sends.${this.sanitizeName(id)}.index, \\out, ${route.out}], ~groups.effects, \\addToTail);\n`
+        ).join('');
+        const effectSources = new Set(routing.effects);
+        const synthRoutes = routing.routes.filter(route => !effectSources.has(route.source));
+        if (routing.effects.length > 0 || synthRoutes.length > 0) {
+            main += `    // Effects and routing\n`;
+            [...new Set(synthRoutes.map(route => route.source))].forEach(id => {
+                main += routesFrom(id);
+            });
+            routing.effects.forEach(id => {
+                const name = this.sanitizeName(id);
+                main += `    ~effects.${name} = Synth(\\${name}, [\\in, ~busses.${name}.index, \\out, ${routing.outputs.get(id)}], ~groups.effects, \\addToTail);\n`;
+                main += routesFrom(id);
+            });
+            controls.filter(control => control.effect && effectSources.has(control.effect)).forEach(control => {
+                main += `    ~effects.${this.sanitizeName(control.effect)}.map(\\${control.param}, ~controls.${control.name});\n`;
+            });
+            main += `\n`;
+        }
+        
+        // The conductor starts the control envelopes and the patterns together and follows the tempo map;
+        // linear tempo ramps become a staircase of steps
+        const round = value => +value.toFixed(6);
+        const { loop, startBeats, endBeats, startSeconds } = playback;
+        const tempoSteps = jmonTone.getTempoSteps(composition);
+        const startTempo = tempoSteps.filter(step => step.beats <= startBeats + 1e-9).pop();
+        const body = [`~tempo.tempo = ${round(startTempo.bpm / 60)};`];
+        
+        if (controls.length > 0) {
+            body.push(`s.bind {`);
+            body.push(`    controls.do(_.free);`);
+            body.push(`    controls = [`);
+            controls.forEach((control, i) => {
+                const separator = i < controls.length - 1 ? ',' : '';
+                body.push(`        Synth(\\jmonControl, [\\out, ~controls.${control.name}.index, \\env, ${this.generateControlEnvelope(control, startSeconds)}], ~groups.controls)${separator}`);
             });
+            body.push(`    ];`);
+            body.push(`};`);
+        }
+        body.push(`~patterns.keysValuesDo { |name, pattern| ~players[name] = pattern.play(~tempo) };`);
+        
+        let position = startBeats;
+        tempoSteps.filter(step => step.beats > startBeats + 1e-9 && step.beats < endBeats - 1e-9).forEach(step => {
+            body.push(`${round(step.beats - position)}.wait;`);
+            body.push(`~tempo.tempo = ${round(step.bpm / 60)};`);
+            position = step.beats;
+        });
+        
+        main += loop ?
+            `    // Conductor: controls, patterns and tempo changes, looping from beat ${round(startBeats)} to beat ${round(endBeats)}\n` :
+            `    // Conductor: controls, patterns and tempo changes${startBeats > 0 ? `, from beat ${round(startBeats)}` : ''}\n`;
+        main += `    ~conductor = Routine({\n`;
+        if (controls.length > 0) {
+            main += `        var controls = [];\n`;
+        }
+        if (loop) {
+            body.push(`${round(endBeats - position)}.wait;`);
+            main += `        loop {\n`;
+            main += body.map(line => `            ${line}\n`).join('');
+            main += `        };\n`;
+        } else {
+            main += body.map(line => `        ${line}\n`).join('');
         }
+        main += `    }).play(~tempo);\n`;
         
         main += `\n    "Composition started".postln;\n`;
         main += `});\n`;
@@ -214,7 +490,8 @@ s.waitForBoot({
         // Stop function
         main += `// Stop all patterns\n`;
         main += `(\n`;
-        main += `~patterns.do(_.stop);\n`;
+        main += `~conductor.stop;\n`;
+        main += `~players.do(_.stop);\n`;
         main += `s.freeAll;\n`;
         main += `"Composition stopped".postln;\n`;
         main += `)\n`;
@@ -222,57 +499,399 @@ s.waitForBoot({
         return main;
     }
 
+    /**
+     * First audio bus of the Non-Realtime score's private buses, past scsynth's default 8 outputs and 8 inputs
+     */
+    static NRT_FIRST_PRIVATE_BUS = 16;
+
+    /**
+     * Build the Non-Realtime score of a composition: the SynthDefs and the timestamped OSC bundles that play it
+     * The score mirrors the interactive script: groups for controls, sources and effects, effects in signal order,
+     * control envelopes, and one /s_new per note voice released with /n_set gate 0. Times are seconds from
+     * transport.startOffset; a globalLoop region plays once. The last bundle frees the groups.
+     * @param {Object} composition - normalized jmon composition
+     * @param {Object} options - Score options
+     * @param {number} options.tail - Seconds after the playback region (default: estimated release and effect tails)
+     * @returns {Object} { synthDefs (SynthDef expressions), bundles ([seconds, [command, ...args]] in time order), duration }
+     */
+    static generateScore(composition, options = {}) {
+        const playback = this.getPlayback(composition);
+        const controls = this.collectControls(composition, playback);
+        const routing = this.resolveRouting(composition);
+        const graph = composition.audioGraph || [];
+        const round = value => +value.toFixed(6);
+        const bundles = [];
+        const at = (seconds, message) => bundles.push([round(Math.max(0, seconds)), message]);
+        
+        // SynthDefs, as in the interactive script
+        const synthDefs = [];
+        if (controls.length > 0) {
+            synthDefs.push(this.generateControlSynthDef(controls));
+        }
+        if (graph.length === 0) {
+            synthDefs.push(this.generateDefaultSynthDef());
+        }
+        graph.filter(node => this.isSynthNode(node.type)).forEach(node => synthDefs.push(this.generateSynthDefFromNode(node)));
+        graph.filter(node => this.isProcessorNode(node)).forEach(node => synthDefs.push(this.generateEffectSynthDef(node)));
+        if (routing.routes.length > 0) {
+            synthDefs.push(this.generateRouteSynthDef());
+        }
+        
+        // Sample buffers, numbered from 0 in audio graph and urls order
+        const buffers = new Map();
+        let bufnum = 0;
+        graph.filter(node => node.type === 'Sampler' && node.options?.urls).forEach(node => {
+            buffers.set(node.id, this.getSamplerSamples(node, true).map(({ path }) => {
+                at(0, ['/b_allocReadChannel', bufnum, path, 0, 0, 0]);
+                return bufnum++;
+            }));
+        });
+        
+        // Stereo buses of effect inputs, sends and the silent output, keyed by their code in the interactive script
+        const buses = new Map([['0', 0]]);
+        const allocate = code => buses.set(code, this.NRT_FIRST_PRIVATE_BUS + 2 * (buses.size - 1));
+        graph.filter(node => this.isProcessorNode(node)).forEach(node => allocate(`~busses.${this.sanitizeName(node.id)}.index`));
+        routing.sends.forEach(name => allocate(`~sends.${name}.index`));
+        if (routing.silence) {
+            allocate('~silence.index');
+        }
+        const busOf = code => buses.get(code ?? '0');
+        const controlBus = new Map(controls.map((control, i) => [control.name, i]));
+        
+        // Groups run in order: controls, then sources, then effects
+        const groups = { controls: 1000, sources: 1001, effects: 1002 };
+        Object.values(groups).forEach(group => at(0, ['/g_new', group, 1, 0]));
+        let nextNode = 1003;
+        
+        // Effects at the tail of their group in signal order, each followed by the copies of its send bus
+        const effectNodes = new Map();
+        const routesFrom = id => routing.routes.filter(route => route.source === id).forEach(route => {
+            at(0, ['/s_new', 'jmonRoute', nextNode++, 1, groups.effects, 'in', busOf(`~sends.${this.sanitizeName(id)}.index`), 'out', busOf(route.out)]);
+        });
+        const effectSources = new Set(routing.effects);
+        [...new Set(routing.routes.filter(route => !effectSources.has(route.source)).map(route => route.source))].forEach(routesFrom);
+        routing.effects.forEach(id => {
+            const name = this.sanitizeName(id);
+            effectNodes.set(id, nextNode);
+            at(0, ['/s_new', name, nextNode++, 1, groups.effects, 'in', busOf(`~busses.${name}.index`), 'out', busOf(routing.outputs.get(id))]);
+            routesFrom(id);
+        });
+        controls.filter(control => effectNodes.has(control.effect)).forEach(control => {
+            at(0, ['/n_map', effectNodes.get(control.effect), control.param, controlBus.get(control.name)]);
+        });
+        
+        // Control envelopes start with playback
+        controls.forEach(control => {
+            const envelope = this.envelopeToArray(this.getControlEnvelope(control, playback.startSeconds));
+            at(0, ['/s_new', 'jmonControl', nextNode++, 1, groups.controls, 'out', controlBus.get(control.name), 'env', envelope]);
+        });
+        
+        // Notes: one synth per voice, with the arguments the patterns give them
+        (composition.sequences || []).forEach((sequence, index) => {
+            const synthName = sequence.synthRef ? this.sanitizeName(sequence.synthRef) : 'defaultSynth';
+            const out = busOf(routing.outputs.get(sequence.synthRef));
+            const mapped = controls.filter(control => control.sequences?.includes(index));
+            
+            this.collectNoteEvents(sequence, index, composition, playback).forEach(event => {
+                const start = event.seconds - playback.startSeconds;
+                event.pitches.forEach((midi, voice) => {
+                    const node = nextNode++;
+                    const args = ['freq', round(440 * Math.pow(2, (midi - 69) / 12)), 'amp', event.amp, 'out', out];
+                    if (event.samples) {
+                        args.push('buf', buffers.get(sequence.synthRef)[event.samples[voice].index], 'rate', event.samples[voice].rate);
+                    }
+                    if (event.bendEnv) {
+                        args.push('bendEnv', this.envelopeToArray(event.bendEnv));
+                    }
+                    if (event.vibrato) {
+                        const { rate, low, high, start: vibratoStart } = event.vibrato;
+                        args.push('vibratoRate', rate, 'vibratoLow', low, 'vibratoHigh', high, 'vibratoStart', vibratoStart);
+                    }
+                    mapped.forEach(control => args.push(control.param, `c${controlBus.get(control.name)}`));
+                    
+                    at(start, ['/s_new', synthName, node, 1, groups.sources, ...args]);
+                    at(start + event.durationSeconds, ['/n_set', node, 'gate', 0]);
+                });
+            });
+        });
+        
+        const tail = options.tail !== undefined ? options.tail : jmonTone._estimateTail(composition, playback.timeline);
+        const duration = round(playback.endSeconds - playback.startSeconds + tail);
+        at(duration, ['/n_free', ...Object.values(groups)]);
+        
+        // Stable sort keeps the setup order of bundles at the same time
+        bundles.sort((a, b) => a[0] - b[0]);
+        
+        return { synthDefs, bundles, duration };
+    }
+
+    /**
+     * Write a score as a SuperCollider Score file: an array of bundles that Score.newFromFile reads,
+     * with the SynthDefs sent by /d_recv at time 0
+     * @param {Object} score - score from generateScore
+     * @param {Object} composition - jmon composition, for the header
+     * @returns {string} Score file
+     */
+    static scoreToText(score, composition) {
+        // Arrays use sclang's OSC array markers, names are symbols and paths strings
+        const argument = value => {
+            if (Array.isArray(value)) return `$[, ${value.map(argument).join(', ')}, $]`;
+            if (typeof value === 'string') return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(value) ? `\\${value}` : JSON.stringify(value);
+            return `${value}`;
+        };
+        const time = seconds => Number.isInteger(seconds) ? seconds.toFixed(1) : `${seconds}`;
+        
+        const entries = [
+            ...score.synthDefs.map(synthDef => `    [0.0, [\\d_recv, ${synthDef}.asBytes]]`),
+            ...score.bundles.map(([seconds, [command, ...args]]) =>
+                `    [${time(seconds)}, [${[`\\${command.slice(1)}`, ...args.map(argument)].join(', ')}]]`)
+        ];
+        
+        let text = this.generateHeader(composition, 'Non-Realtime score');
+        text += `// Duration: ${score.duration} seconds. Render with\n`;
+        text += `// Score.newFromFile("score.scd").recordNRT(outputFilePath: "score.wav", headerFormat: "WAV", sampleFormat: "int24",\n`;
+        text += `//     options: ServerOptions.new.numOutputBusChannels_(2), duration: ${score.duration});\n`;
+        text += `[\n${entries.join(',\n')}\n]\n`;
+        
+        return text;
+    }
+
+    /**
+     * Write a score as a binary OSC file for scsynth -N: each bundle prefixed by its size
+     * The SynthDefs are loaded with /d_loadDir from the directory generateSynthDefFiles writes them to.
+     * @param {Object} score - score from generateScore
+     * @param {string} synthDefDir - directory of the compiled SynthDefs
+     * @returns {Uint8Array} OSC score
+     */
+    static scoreToOsc(score, synthDefDir = 'synthdefs') {
+        const bundles = [[0, ['/d_loadDir', synthDefDir]], ...score.bundles];
+        const chunks = bundles.map(([seconds, message]) => {
+            const content = this.encodeOscMessage(message);
+            const bundle = new Uint8Array(16 + 4 + content.length);
+            const view = new DataView(bundle.buffer);
+            bundle.set(new TextEncoder().encode('#bundle'));
+            // OSC time tag: seconds and 1/2^32 fractions
+            view.setUint32(8, Math.floor(seconds));
+            view.setUint32(12, Math.round((seconds - Math.floor(seconds)) * 0xffffffff));
+            view.setInt32(16, content.length);
+            bundle.set(content, 20);
+            return bundle;
+        });
+        
+        const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + 4 + chunk.length, 0));
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            view.setInt32(offset, chunk.length);
+            bytes.set(chunk, offset + 4);
+            offset += 4 + chunk.length;
+        });
+        
+        return bytes;
+    }
+
+    /**
+     * Encode one OSC message: integers as int32, other numbers as float32, strings, and arrays of these (helper function)
+     * @param {Array} message - [address, ...args]
+     * @returns {Uint8Array} Message bytes
+     */
+    static encodeOscMessage([address, ...args]) {
+        const string = value => {
+            const encoded = new TextEncoder().encode(value);
+            const padded = new Uint8Array((encoded.length + 4) & ~3);
+            padded.set(encoded);
+            return padded;
+        };
+        const number = value => {
+            const bytes = new Uint8Array(4);
+            const view = new DataView(bytes.buffer);
+            if (Number.isInteger(value)) {
+                view.setInt32(0, value);
+            } else {
+                view.setFloat32(0, value);
+            }
+            return bytes;
+        };
+        
+        let tags = ',';
+        const data = [];
+        const add = value => {
+            if (Array.isArray(value)) {
+                tags += '[';
+                value.forEach(add);
+                tags += ']';
+            } else if (typeof value === 'string') {
+                tags += 's';
+                data.push(string(value));
+            } else {
+                tags += Number.isInteger(value) ? 'i' : 'f';
+                data.push(number(value));
+            }
+        };
+        args.forEach(add);
+        
+        const parts = [string(address), string(tags), ...data];
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+        
+        return bytes;
+    }
+
+    /**
+     * Generate the sclang script that compiles the SynthDefs of a binary OSC score into a directory
+     * @param {Object} score - score from generateScore
+     * @param {string} synthDefDir - directory the score loads the SynthDefs from
+     * @returns {string} SuperCollider script
+     */
+    static generateSynthDefFiles(score, synthDefDir = 'synthdefs') {
+        let code = `// SynthDefs of the Non-Realtime score generated from jmon format\n`;
+        code += `(\n`;
+        code += `File.mkdir(${JSON.stringify(synthDefDir)});\n`;
+        code += `[\n`;
+        code += score.synthDefs.map(synthDef => `    ${synthDef}`).join(',\n');
+        code += `\n].do { |def| def.writeDefFile(${JSON.stringify(synthDefDir.replace(/\/?$/, '/'))}) };\n`;
+        code += `)\n`;
+        
+        return code;
+    }
+
     /**
      * Generate default SynthDef
-     * @returns {string} Default SynthDef code
+     * @returns {string} Default SynthDef expression
      */
     static generateDefaultSynthDef() {
-        return `    SynthDef(\\defaultSynth, { |freq=440, amp=0.5, gate=1, out=0|
-        var env = EnvGen.kr(Env.adsr(0.01, 0.1, 0.8, 0.3), gate, doneAction: 2);
-        var sig = SinOsc.ar(freq, 0, amp * env);
-        Out.ar(out, sig ! 2);
-    }).add;
-    
-`;
+        return this.generateSynthDefFromNode({ id: 'defaultSynth', type: 'Synth', options: {} });
     }
 
     /**
      * Generate SynthDef from audio graph node
      * @param {Object} node - audio graph node
-     * @returns {string} SynthDef code
+     * @returns {string} SynthDef expression
      */
     static generateSynthDefFromNode(node) {
         const synthName = this.sanitizeName(node.id);
-        let synthDef = `    SynthDef(\\${synthName}, { |freq=440, amp=0.5, gate=1, out=0`;
-        
-        // Add parameters based on node options
         const options = node.options || {};
-        
-        // Add envelope parameters
-        if (options.envelope) {
-            synthDef += `, attack=${options.envelope.attack || 0.01}`;
-            synthDef += `, decay=${options.envelope.decay || 0.1}`;
-            synthDef += `, sustain=${options.envelope.sustain || 0.8}`;
-            synthDef += `, release=${options.envelope.release || 0.3}`;
-        }
-        
-        // Add oscillator parameters
-        if (options.oscillator) {
-            if (options.oscillator.detune) {
-                synthDef += `, detune=${options.oscillator.detune}`;
-            }
-        }
-        
-        synthDef += `|\n`;
+        // Like the Tone.js player, a Sampler without samples plays as a plain synth
+        const type = node.type === 'Sampler' && !options.urls ? 'Synth' : node.type;
+        const parameters = this.getSynthParameters(type, options)
+            .map(([name, value]) => `${name}=${value}`)
+            .join(', ');
+
+        let synthDef = `SynthDef(\\${synthName}, { |${parameters}|\n`;
         
         // Generate synthesis code based on type
-        synthDef += this.generateSynthesisCode(node.type, options);
+        synthDef += this.generateSynthesisCode(type, options);
         
-        synthDef += `    }).add;\n\n`;
+        synthDef += `    })`;
         
         return synthDef;
     }
 
+    /**
+     * Get the samples of a Sampler node: its urls (prefixed with baseUrl) by MIDI note
+     * Paths lose their file:// scheme and ./ segments.
+     * @param {Object} node - Sampler node
+     * @param {boolean} warn - report URLs SuperCollider cannot read
+     * @returns {Array} [{ midi, path }] in urls order
+     */
+    static getSamplerSamples(node, warn = false) {
+        const options = node.options || {};
+        return Object.entries(options.urls || {}).map(([noteName, url]) => {
+            const path = `${options.baseUrl || ''}${url}`;
+            if (warn && /^[a-z][a-z0-9+.-]*:/i.test(path) && !/^file:/i.test(path)) {
+                console.warn(`⚠️  Sampler ${node.id}: SuperCollider cannot read ${path}, download it next to the script`);
+            }
+            return {
+                midi: typeof noteName === 'number' || /^\d+$/.test(noteName) ? +noteName : jmonTone.noteNameToMidiNote(noteName),
+                path: path.replace(/^file:\/\//i, '').replace(/(^|\/)(\.\/)+/g, '$1')
+            };
+        });
+    }
+
+    /**
+     * Generate the code that loads a Sampler's samples into ~buffers.<node id>, in urls order.
+     * Relative paths are resolved against the directory of the .scd file (~sampleDir).
+     * Only the first channel is read, since the SynthDef plays mono buffers.
+     * @param {Object} node - Sampler node
+     * @returns {string} Buffer loading code
+     */
+    static generateSampleBuffers(node) {
+        const buffers = this.getSamplerSamples(node, true).map(({ path }) => {
+            const resolved = path.startsWith('/') ? `"${path}"` : `~sampleDir +/+ "${path}"`;
+            return `        Buffer.readChannel(s, ${resolved}, channels: [0])`;
+        });
+        
+        return `    // Samples: ${node.id}\n    ~buffers.${this.sanitizeName(node.id)} = [\n${buffers.join(',\n')}\n    ];\n\n`;
+    }
+
+    /**
+     * Maximum number of segments of the per-note pitch bend envelope (\bendEnv) of every SynthDef
+     */
+    static BEND_SEGMENTS = 16;
+
+    /**
+     * SynthDef arguments controlled by modulation hint and automation targets
+     */
+    static SYNTH_TARGETS = {
+        'volume': 'volume',
+        'detune': 'detune',
+        'bend': 'bend',
+        'filter.frequency': 'cutoff',
+        'filter.Q': 'resonance',
+        'harmonicity': 'harmonicity',
+        'modulationIndex': 'modulationIndex',
+        'envelope.attack': 'attack',
+        'envelope.decay': 'decay',
+        'envelope.sustain': 'sustainLevel',
+        'envelope.release': 'release'
+    };
+
+    /**
+     * Get the arguments of a synth's SynthDef with their defaults from the node options.
+     * Besides the note arguments, every synth takes bend (semitones), detune (cents), volume (dB)
+     * and vibrato, which modulations and automation control. The envelope's sustain level is sustainLevel,
+     * since patterns pass the note length as the Event's \sustain.
+     * @param {string} type - synth type
+     * @param {Object} options - synth options
+     * @returns {Array} [name, default] pairs
+     */
+    static getSynthParameters(type, options) {
+        const envelope = options.envelope || {};
+        const parameters = [
+            ['freq', 440], ['amp', 0.5], ['gate', 1], ['out', 0],
+            ['attack', envelope.attack ?? 0.01],
+            ['decay', envelope.decay ?? 0.1],
+            ['sustainLevel', envelope.sustain ?? 0.8],
+            ['release', envelope.release ?? 0.3],
+            ['detune', options.detune ?? options.oscillator?.detune ?? 0],
+            ['bend', 0],
+            ['volume', options.volume ?? 0],
+            ['vibratoRate', 6], ['vibratoLow', 0], ['vibratoHigh', 0], ['vibratoStart', 0]
+        ];
+
+        if (type === 'FMSynth') {
+            parameters.push(['harmonicity', options.harmonicity ?? options.modulation?.ratio ?? 2]);
+            parameters.push(['modulationIndex', options.modulationIndex ?? options.modulation?.index ?? 10]);
+        } else if (type === 'AMSynth') {
+            parameters.push(['harmonicity', options.harmonicity ?? 0.5]);
+        }
+
+        if (type === 'Sampler') {
+            parameters.push(['buf', 0], ['rate', 1]);
+        }
+
+        if (options.filter) {
+            parameters.push(['cutoff', options.filter.frequency ?? 1000]);
+            parameters.push(['resonance', options.filter.Q ?? 1]);
+        }
+
+        return parameters;
+    }
+
     /**
      * Generate synthesis code based on synth type
      * @param {string} type - synth type
@@ -282,35 +901,37 @@ s.waitForBoot({
     static generateSynthesisCode(type, options) {
         let code = '';
         
+        // Pitch: bend (argument and per-note \bendEnv, semitones), detune and vibrato (cents)
+        code += `        var vibrato = SinOsc.kr(vibratoRate).range(vibratoLow, vibratoHigh) * EnvGen.kr(Env([0, 0, 1], [vibratoStart, 0]));\n`;
+        code += `        var bendEnv = EnvGen.kr(\\bendEnv.kr(Env.newClear(${this.BEND_SEGMENTS}).asArray));\n`;
+        code += `        var pitch = freq * (bend + bendEnv + ((detune + vibrato) / 100)).midiratio;\n`;
+        
         // Envelope
-        const env = options.envelope || {};
-        code += `        var env = EnvGen.kr(Env.adsr(attack, decay, sustain, release), gate, doneAction: 2);\n`;
+        code += `        var env = EnvGen.kr(Env.adsr(attack, decay, sustainLevel, release), gate, doneAction: 2);\n`;
         
         // Oscillator(s)
         switch (type) {
             case 'Synth':
                 const oscType = options.oscillator?.type || 'sine';
                 const oscMethod = this.getOscillatorMethod(oscType);
-                code += `        var osc = ${oscMethod}.ar(freq, 0, amp * env);\n`;
+                code += `        var osc = ${oscMethod}.ar(pitch, 0, amp * env);\n`;
                 break;
                 
             case 'AMSynth':
-                code += `        var carrier = SinOsc.ar(freq, 0, 1);\n`;
-                code += `        var modulator = SinOsc.ar(freq * 0.5, 0, 0.5);\n`;
+                code += `        var carrier = SinOsc.ar(pitch, 0, 1);\n`;
+                code += `        var modulator = SinOsc.ar(pitch * harmonicity, 0, 0.5);\n`;
                 code += `        var osc = carrier * modulator * amp * env;\n`;
                 break;
                 
             case 'FMSynth':
-                const modRatio = options.modulation?.ratio || 2;
-                const modIndex = options.modulation?.index || 10;
-                code += `        var modFreq = freq * ${modRatio};\n`;
-                code += `        var modulator = SinOsc.ar(modFreq, 0, modFreq * ${modIndex});\n`;
-                code += `        var osc = SinOsc.ar(freq + modulator, 0, amp * env);\n`;
+                code += `        var modFreq = pitch * harmonicity;\n`;
+                code += `        var modulator = SinOsc.ar(modFreq, 0, modFreq * modulationIndex);\n`;
+                code += `        var osc = SinOsc.ar(pitch + modulator, 0, amp * env);\n`;
                 break;
                 
             case 'PluckSynth':
                 code += `        var trigger = Impulse.kr(0);\n`;
-                code += `        var osc = Pluck.ar(WhiteNoise.ar(0.1), trigger, 0.2, freq.reciprocal, 10, 0.5) * amp * env;\n`;
+                code += `        var osc = Pluck.ar(WhiteNoise.ar(0.1), trigger, 0.2, pitch.reciprocal, 10, 0.5) * amp * env;\n`;
                 break;
                 
             case 'NoiseSynth':
@@ -319,35 +940,61 @@ s.waitForBoot({
                 code += `        var osc = ${noiseMethod}.ar(amp * env);\n`;
                 break;
                 
+            case 'MembraneSynth':
+                // Sine drum: the pitch falls from pitch * octaves to pitch
+                const octaves = options.octaves || 10;
+                const pitchDecay = options.pitchDecay || 0.05;
+                code += `        var sweep = XLine.kr(pitch * ${octaves}, pitch, ${pitchDecay});\n`;
+                code += `        var osc = SinOsc.ar(sweep, 0, amp * env);\n`;
+                break;
+                
+            case 'MetalSynth':
+                // Inharmonic square partials through a highpass, like Tone.MetalSynth
+                const resonance = options.resonance || 4000;
+                code += `        var partials = Mix(Pulse.ar(pitch * [1, 1.483, 1.932, 2.546, 2.63, 3.897], 0.5, 0.2));\n`;
+                code += `        var osc = HPF.ar(partials, ${resonance}) * amp * env;\n`;
+                break;
+                
+            case 'DrumKit':
+                // GM drum map: the note picks the voice (kick/toms, snares/claps, or metal)
+                code += `        var note = freq.cpsmidi.round;\n`;
+                code += `        var isMembrane = (note <= 36) + (InRange.kr(note, 41, 50) * Select.kr((note - 41).clip(0, 9), [1, 0, 1, 0, 1, 0, 1, 1, 0, 1]));\n`;
+                code += `        var isNoise = InRange.kr(note, 37, 40);\n`;
+                code += `        var hit = EnvGen.kr(Env.perc(0.001, Select.kr(note >= 49, [0.2, 1.2])));\n`;
+                code += `        var membrane = SinOsc.ar(XLine.kr(pitch * 6, pitch, 0.05)) * isMembrane;\n`;
+                code += `        var noise = BPF.ar(WhiteNoise.ar, 1800, 1.5) * isNoise;\n`;
+                code += `        var metal = HPF.ar(Mix(Pulse.ar(400 * [1, 1.483, 1.932, 2.546, 2.63, 3.897], 0.5, 0.2)), 6000) * (1 - isMembrane - isNoise).max(0);\n`;
+                code += `        var osc = (membrane + noise + metal) * hit * amp * env;\n`;
+                break;
+                
             case 'Sampler':
-                // For Sampler, we'll use PlayBuf or similar
-                code += `        var osc = SinOsc.ar(freq, 0, amp * env); // Placeholder for sampler\n`;
+                // The pattern picks the nearest sample (buf) and its repitching rate; bend, detune
+                // and vibrato change the playback rate on top of it
+                code += `        var osc = PlayBuf.ar(1, buf, BufRateScale.kr(buf) * rate * (pitch / freq)) * amp * env;\n`;
                 break;
                 
             default:
-                code += `        var osc = SinOsc.ar(freq, 0, amp * env);\n`;
+                code += `        var osc = SinOsc.ar(pitch, 0, amp * env);\n`;
         }
         
-        // Filter if present
+        // Filter if present: cutoff and resonance (Q) are arguments
         if (options.filter) {
-            const filterFreq = options.filter.frequency || 1000;
-            const filterQ = options.filter.Q || 1;
             const filterType = options.filter.type || 'lowpass';
             
             switch (filterType) {
                 case 'lowpass':
-                    code += `        osc = LPF.ar(osc, ${filterFreq}, ${filterQ});\n`;
+                    code += `        osc = RLPF.ar(osc, cutoff, resonance.reciprocal);\n`;
                     break;
                 case 'highpass':
-                    code += `        osc = HPF.ar(osc, ${filterFreq}, ${filterQ});\n`;
+                    code += `        osc = RHPF.ar(osc, cutoff, resonance.reciprocal);\n`;
                     break;
                 case 'bandpass':
-                    code += `        osc = BPF.ar(osc, ${filterFreq}, ${filterQ});\n`;
+                    code += `        osc = BPF.ar(osc, cutoff, resonance.reciprocal);\n`;
                     break;
             }
         }
         
-        code += `        Out.ar(out, osc ! 2);\n`;
+        code += `        Out.ar(out, osc * volume.dbamp ! 2);\n`;
         
         return code;
     }
@@ -381,15 +1028,59 @@ s.waitForBoot({
         effect += `    ~busses.${effectName} = Bus.audio(s, 2);\n`;
         
         // Generate effect SynthDef
-        effect += `    SynthDef(\\${effectName}, { |in, out=0|\n`;
-        effect += `        var sig = In.ar(in, 2);\n`;
-        effect += this.generateEffectCode(node.type, node.options || {});
-        effect += `        Out.ar(out, sig);\n`;
-        effect += `    }).add;\n\n`;
+        effect += `    ${this.generateEffectSynthDef(node)}.add;\n\n`;
         
         return effect;
     }
 
+    /**
+     * Generate the SynthDef of an effect node; its settings are arguments so controls can be mapped to them
+     * @param {Object} node - effect node
+     * @returns {string} SynthDef expression
+     */
+    static generateEffectSynthDef(node) {
+        const options = node.options || {};
+        const parameters = this.getEffectParameters(node.type, options)
+            .map(([name, value]) => `, ${name}=${value}`)
+            .join('');
+        let synthDef = `SynthDef(\\${this.sanitizeName(node.id)}, { |in, out=0${parameters}|\n`;
+        synthDef += `        var sig = In.ar(in, 2);\n`;
+        synthDef += this.generateEffectCode(node.type, options);
+        synthDef += `        Out.ar(out, sig);\n`;
+        synthDef += `    })`;
+        
+        return synthDef;
+    }
+
+    /**
+     * Get the arguments of an effect's SynthDef, named after the Tone.js options, with their defaults
+     * @param {string} type - effect type
+     * @param {Object} options - effect options
+     * @returns {Array} [name, default] pairs
+     */
+    static getEffectParameters(type, options) {
+        switch (type) {
+            case 'Reverb':
+                return [['roomSize', options.roomSize || 0.5], ['dampening', options.dampening || 0.3], ['wet', options.wet || 0.5]];
+            case 'Delay':
+                return [['delayTime', options.delayTime || 0.25], ['feedback', options.feedback || 0.4], ['wet', options.wet || 0.5]];
+            case 'Filter':
+                return [['frequency', options.frequency || 1000], ['Q', options.Q || 1]];
+            case 'Distortion':
+                return [['distortion', options.distortion || 0.4]];
+            case 'Chorus':
+                return [['frequency', options.frequency || 1.5], ['depth', options.depth || 0.7]];
+            case 'Tremolo':
+                return [['frequency', options.frequency || 10], ['depth', options.depth ?? 0.5]];
+            case 'Vibrato':
+                return [['frequency', options.frequency || 5], ['depth', options.depth ?? 0.1]];
+            case 'Compressor':
+                return [['threshold', options.threshold || -24], ['ratio', options.ratio || 4]];
+            default:
+                return [];
+        }
+    }
+
     /**
      * Generate effect processing code
      * @param {string} type - effect type
@@ -401,59 +1092,54 @@ s.waitForBoot({
         
         switch (type) {
             case 'Reverb':
-                const roomSize = options.roomSize || 0.5;
-                const dampening = options.dampening || 0.3;
-                const wet = options.wet || 0.5;
-                code += `        sig = FreeVerb.ar(sig, ${wet}, ${roomSize}, ${dampening});\n`;
+                code += `        sig = FreeVerb.ar(sig, wet, roomSize, dampening);\n`;
                 break;
                 
             case 'Delay':
-                const delayTime = options.delayTime || 0.25;
-                const feedback = options.feedback || 0.4;
-                const delayWet = options.wet || 0.5;
-                code += `        var delayed = DelayL.ar(sig, 1.0, ${delayTime});\n`;
-                code += `        delayed = delayed + (delayed * ${feedback});\n`;
-                code += `        sig = (sig * (1 - ${delayWet})) + (delayed * ${delayWet});\n`;
+                code += `        var delayed = DelayL.ar(sig, 1.0, delayTime);\n`;
+                code += `        delayed = delayed + (delayed * feedback);\n`;
+                code += `        sig = (sig * (1 - wet)) + (delayed * wet);\n`;
                 break;
                 
             case 'Filter':
-                const frequency = options.frequency || 1000;
-                const Q = options.Q || 1;
                 const filterType = options.type || 'lowpass';
                 
                 switch (filterType) {
                     case 'lowpass':
-                        code += `        sig = LPF.ar(sig, ${frequency}, ${Q});\n`;
+                        code += `        sig = RLPF.ar(sig, frequency, Q.reciprocal);\n`;
                         break;
                     case 'highpass':
-                        code += `        sig = HPF.ar(sig, ${frequency}, ${Q});\n`;
+                        code += `        sig = RHPF.ar(sig, frequency, Q.reciprocal);\n`;
                         break;
                     case 'bandpass':
-                        code += `        sig = BPF.ar(sig, ${frequency}, ${Q});\n`;
+                        code += `        sig = BPF.ar(sig, frequency, Q.reciprocal);\n`;
                         break;
                 }
                 break;
                 
             case 'Distortion':
-                const distortion = options.distortion || 0.4;
-                code += `        sig = (sig * ${distortion * 10}).tanh;\n`;
+                code += `        sig = (sig * distortion * 10).tanh;\n`;
                 break;
                 
             case 'Chorus':
-                const chorusFreq = options.frequency || 1.5;
-                const chorusDepth = options.depth || 0.7;
-                code += `        var mod = SinOsc.kr(${chorusFreq}, 0, ${chorusDepth * 0.01});\n`;
+                code += `        var mod = SinOsc.kr(frequency, 0, depth * 0.01);\n`;
                 code += `        sig = DelayL.ar(sig, 0.02, 0.01 + mod);\n`;
                 break;
                 
+            case 'Tremolo':
+                code += `        sig = sig * SinOsc.kr(frequency).range(1 - depth, 1);\n`;
+                break;
+                
+            case 'Vibrato':
+                code += `        sig = DelayC.ar(sig, 0.01, SinOsc.kr(frequency).range(0, depth * 0.005));\n`;
+                break;
+                
             case 'Compressor':
-                const threshold = options.threshold || -24;
-                const ratio = options.ratio || 4;
-                code += `        sig = Compander.ar(sig, sig, ${Math.pow(10, threshold/20)}, 1, 1/${ratio});\n`;
+                code += `        sig = Compander.ar(sig, sig, threshold.dbamp, 1, ratio.reciprocal);\n`;
                 break;
                 
             default:
-                code += `        // ${type} effect not implemented\n`;
+                code += `        // ${type} is not supported: audio passes through\n`;
         }
         
         return code;
@@ -464,83 +1150,471 @@ s.waitForBoot({
      * @param {Object} sequence - jmon sequence
      * @param {number} index - sequence index
      * @param {Object} composition - full composition
+     * @param {Array} controls - controls from collectControls
+     * @param {Object} routing - routing from resolveRouting
+     * @param {Object} playback - playback region from getPlayback
      * @returns {string} Pattern code
      */
-    static generatePatternFromSequence(sequence, index, composition) {
+    static generatePatternFromSequence(sequence, index, composition, controls = this.collectControls(composition), routing = this.resolveRouting(composition), playback = this.getPlayback(composition)) {
         const patternName = this.sanitizeName(sequence.label || `pattern${index}`);
         const synthName = sequence.synthRef ? this.sanitizeName(sequence.synthRef) : 'defaultSynth';
+        const round = value => +value.toFixed(6);
         
         let pattern = `    // Pattern: ${sequence.label || `Pattern ${index + 1}`}\n`;
         
-        // Sort notes by time
-        const sortedNotes = [...sequence.notes].sort((a, b) => {
-            const timeA = typeof a.time === 'string' ? 
-                jmonTone.parseTimeString(a.time, composition.bpm || 120) : a.time;
-            const timeB = typeof b.time === 'string' ? 
-                jmonTone.parseTimeString(b.time, composition.bpm || 120) : b.time;
-            return timeA - timeB;
-        });
+        const { startBeats } = playback;
+        const events = this.collectNoteEvents(sequence, index, composition, playback);
+        if (events.length === 0) {
+            return pattern + `    // (no notes in the playback region)\n\n`;
+        }
+        const sampler = events[0].samples !== null;
 
-        // Generate note events
+        // Generate note events: \dur is the time to the next onset, \sustain the note's own length,
+        // so overlapping and simultaneous notes keep their timing
         const notes = [];
         const durs = [];
+        const sustains = [];
         const amps = [];
+        const bendEnvs = [];
+        const vibratos = [];
+        const bufs = [];
+        const rates = [];
         
-        let lastTime = 0;
+        const rest = beats => {
+            notes.push('\\rest');
+            durs.push(round(beats));
+            sustains.push(0);
+            amps.push(0);
+            bendEnvs.push(0);
+            vibratos.push(null);
+            bufs.push(0);
+            rates.push(1);
+        };
         
-        sortedNotes.forEach(note => {
-            const noteTime = typeof note.time === 'string' ? 
-                jmonTone.parseTimeString(note.time, composition.bpm || 120) : note.time;
-            const duration = typeof note.duration === 'string' ? 
-                jmonTone.parseTimeString(note.duration, composition.bpm || 120) : note.duration;
-            
-            // Add rest if needed
-            if (noteTime > lastTime) {
-                const restDuration = noteTime - lastTime;
-                notes.push('\\rest');
-                durs.push(this.secondsToBeats(restDuration, composition.bpm || 120));
-                amps.push(0);
-            }
+        if (events[0].beats > startBeats + 1e-9) {
+            rest(events[0].beats - startBeats);
+        }
+        
+        // Chords play an array of values, single notes a value
+        const value = (event, values) => event.chord ? `[${values.join(', ')}]` : values[0];
+        
+        events.forEach((event, i) => {
+            const next = events[i + 1];
             
-            // Convert note
-            if (Array.isArray(note.note)) {
-                // Chord
-                const midiNotes = note.note.map(n => 
-                    typeof n === 'number' ? n : jmonTone.noteNameToMidiNote(n)
-                );
-                notes.push(`[${midiNotes.map(n => `${n}.midicps`).join(', ')}]`);
-            } else {
-                // Single note
-                const midiNote = typeof note.note === 'number' ? 
-                    note.note : jmonTone.noteNameToMidiNote(note.note);
-                notes.push(`${midiNote}.midicps`);
+            notes.push(value(event, event.pitches.map(midi => `${midi}.midicps`)));
+            if (sampler) {
+                bufs.push(value(event, event.samples.map(sample => `~buffers.${synthName}[${sample.index}]`)));
+                rates.push(value(event, event.samples.map(sample => sample.rate)));
             }
             
-            durs.push(this.secondsToBeats(duration, composition.bpm || 120));
-            amps.push(note.velocity || 0.8);
+            durs.push(round(next ? next.beats - event.beats : event.durationBeats));
+            sustains.push(round(event.durationBeats));
+            amps.push(event.amp);
             
-            lastTime = noteTime + duration;
+            const { bendEnv } = event;
+            bendEnvs.push(bendEnv ? `[Env([${bendEnv.levels.join(', ')}], [${bendEnv.times.join(', ')}]).asArray]` : 0);
+            vibratos.push(event.vibrato);
         });
         
-        // Create Pbind pattern
+        // Create Pbind pattern: one pass, restarted by the conductor
         pattern += `    ~patterns.${patternName} = Pbind(\n`;
         pattern += `        \\instrument, \\${synthName},\n`;
-        pattern += `        \\freq, Pseq([${notes.join(', ')}], inf),\n`;
-        pattern += `        \\dur, Pseq([${durs.join(', ')}], inf),\n`;
-        pattern += `        \\amp, Pseq([${amps.join(', ')}], inf)\n`;
+        pattern += `        \\group, ~groups.sources,\n`;
+        pattern += `        \\out, ${routing.outputs.get(sequence.synthRef) ?? 0},\n`;
+        pattern += `        \\freq, Pseq([${notes.join(', ')}]),\n`;
+        pattern += `        \\dur, Pseq([${durs.join(', ')}]),\n`;
+        pattern += `        \\sustain, Pseq([${sustains.join(', ')}]),\n`;
+        pattern += `        \\amp, Pseq([${amps.join(', ')}])`;
+        
+        // Sample and playback rate of each note
+        if (sampler) {
+            pattern += `,\n        \\buf, Pseq([${bufs.join(', ')}])`;
+            pattern += `,\n        \\rate, Pseq([${rates.join(', ')}])`;
+        }
         
-        // Add modulation parameters if present
-        const hasModulations = sequence.notes.some(note => note.modulations && note.modulations.length > 0);
-        if (hasModulations) {
-            pattern += `        // Note: Modulations supported (MIDI CC, pitch bend, aftertouch)\n`;
-            pattern += `        // TODO: Implement real-time parameter control for modulations\n`;
+        // Per-note modulations
+        if (bendEnvs.some(bendEnv => bendEnv !== 0)) {
+            pattern += `,\n        \\bendEnv, Pseq([${bendEnvs.join(', ')}])`;
+        }
+        if (vibratos.some(Boolean)) {
+            const column = (key, neutral) => vibratos.map(vibrato => vibrato ? vibrato[key] : neutral).join(', ');
+            pattern += `,\n        \\vibratoRate, Pseq([${column('rate', 6)}])`;
+            pattern += `,\n        \\vibratoLow, Pseq([${column('low', 0)}])`;
+            pattern += `,\n        \\vibratoHigh, Pseq([${column('high', 0)}])`;
+            pattern += `,\n        \\vibratoStart, Pseq([${column('start', 0)}])`;
         }
         
-        pattern += `    );\n\n`;
+        // Synth arguments driven by control buses
+        controls.filter(control => control.sequences?.includes(index)).forEach(control => {
+            pattern += `,\n        \\${control.param}, ~controls.${control.name}.asMap`;
+        });
+        
+        pattern += `\n    );\n\n`;
         
         return pattern;
     }
 
+    /**
+     * Collect the notes a sequence plays inside the playback region (loops and swing applied), by onset
+     * Sampler sequences pick the nearest sample for each pitch and repitch it by the difference.
+     * @param {Object} sequence - jmon sequence
+     * @param {number} index - sequence index
+     * @param {Object} composition - full composition
+     * @param {Object} playback - playback region from getPlayback
+     * @returns {Array} Events with beats, seconds, durationBeats, durationSeconds, amp, chord, pitches (MIDI),
+     *   samples ({ index, rate } per pitch, null when the synth is not a Sampler), bendEnv and vibrato
+     */
+    static collectNoteEvents(sequence, index, composition, playback = this.getPlayback(composition)) {
+        const { timeline, rendered, startBeats, endBeats } = playback;
+        const tuning = jmonTone.createTuning(composition.tuning);
+        const drums = jmonTone.isDrumSequence(composition, sequence);
+        const hints = composition.converterHints?.tone || {};
+        const round = value => +value.toFixed(6);
+        
+        // MIDI pitch of a note, fractional when the composition is tuned or the note has microtuning
+        const midiPitch = (n, note) => {
+            if (drums || (!tuning && !note.microtuning)) {
+                return typeof n === 'number' ? n : jmonTone.noteNameToMidiNote(n);
+            }
+            return +jmonTone.frequencyToMidi(jmonTone.noteToFrequency(n, tuning, note.microtuning || 0)).toFixed(4);
+        };
+        
+        const node = (composition.audioGraph || []).find(candidate => candidate.id === sequence.synthRef);
+        const samples = node?.type === 'Sampler' && node.options?.urls ? this.getSamplerSamples(node) : [];
+        const sample = midi => {
+            const nearest = samples.reduce((best, candidate) =>
+                Math.abs(candidate.midi - midi) < Math.abs(best.midi - midi) ? candidate : best);
+            return { index: samples.indexOf(nearest), rate: round(Math.pow(2, (midi - nearest.midi) / 12)) };
+        };
+        
+        return jmonTone._playableNotes(composition, rendered)
+            .filter(event => event.sequence === index && event.beats >= startBeats - 1e-9 && event.beats < endBeats - 1e-9)
+            .map(event => {
+                const { note } = event;
+                const pitches = [].concat(note.note).map(n => midiPitch(n, note));
+                
+                // Per-note pitch bend envelope and vibrato
+                const timing = { startBeats: event.beats, durationSeconds: event.duration.seconds };
+                const { bendEnv, vibrato } = this.getNoteModulationArgs(note, timeline, timing, hints);
+                
+                return {
+                    beats: event.beats,
+                    seconds: event.seconds,
+                    durationBeats: event.duration.beats,
+                    durationSeconds: event.duration.seconds,
+                    amp: note.velocity || 0.8,
+                    chord: Array.isArray(note.note),
+                    pitches,
+                    samples: samples.length > 0 ? pitches.map(sample) : null,
+                    bendEnv,
+                    vibrato
+                };
+            });
+    }
+
+    /**
+     * Resolve the playback region from the transport settings
+     * Playback starts at transport.startOffset. With transport.globalLoop the region from there to
+     * transport.globalLoopEnd (default: the end of the piece) repeats.
+     * @param {Object} composition - jmon composition
+     * @returns {Object} { timeline, rendered, loop, startBeats, endBeats, startSeconds, endSeconds }
+     */
+    static getPlayback(composition) {
+        const timeline = jmonTone.createTimeline(composition);
+        const transport = composition.transport || {};
+        const loop = transport.globalLoop === true;
+        const rendered = jmonTone.render(composition, loop && transport.globalLoopEnd ? { until: transport.globalLoopEnd } : {});
+        
+        // Legacy numeric start offsets are in beats
+        let startBeats = typeof transport.startOffset === 'number' ?
+            transport.startOffset : jmonTone.timeToBeats(timeline, transport.startOffset || 0);
+        const endBeats = loop && transport.globalLoopEnd ?
+            jmonTone.timeToBeats(timeline, transport.globalLoopEnd) : rendered.duration.beats;
+        
+        if (startBeats >= endBeats && startBeats > 0) {
+            console.warn(`⚠️  transport.startOffset is at or after the end of the piece, playing from the start`);
+            startBeats = 0;
+        }
+        
+        return {
+            timeline,
+            rendered,
+            loop,
+            startBeats,
+            endBeats,
+            startSeconds: jmonTone.beatsToSeconds(timeline, startBeats),
+            endSeconds: jmonTone.beatsToSeconds(timeline, endBeats)
+        };
+    }
+
+    /**
+     * Pitch bend and vibrato arguments of one note, from its modulations
+     * Mirrors the Tone.js player: bends step to the first value, glide between the next ones and return at the note end;
+     * a vibrato CC starts an LFO on detune until the note ends.
+     * @param {Object} note - jmon note
+     * @param {Object} timeline - timeline from jmonTone.createTimeline
+     * @param {Object} timing - note timing from jmonTone.resolveNoteTiming
+     * @param {Object} hints - converterHints.tone
+     * @returns {Object} { bendEnv ({ levels, times }), vibrato } (null when the note has none)
+     */
+    static getNoteModulationArgs(note, timeline, timing, hints = {}) {
+        const modulations = note.modulations || [];
+        // Modulation times are relative to the note start
+        const offset = mod => jmonTone.durationToSeconds(timeline, mod.time || 0, timing.startBeats);
+        const round = value => +value.toFixed(6);
+
+        let bends = modulations.filter(mod => mod.type === 'pitchBend');
+        if (bends.length > this.BEND_SEGMENTS - 2) {
+            console.warn(`⚠️  Note ${note.note} has ${bends.length} pitch bends, only the first ${this.BEND_SEGMENTS - 2} are exported`);
+            bends = bends.slice(0, this.BEND_SEGMENTS - 2);
+        }
+
+        let bendEnv = null;
+        if (bends.length > 0) {
+            // Semitones, with the same full range as the Tone.js player (8192 = 1200 cents)
+            const times = bends.map(offset);
+            const levels = [0, 0, ...bends.map(bend => round(bend.value / 8192 * 12)), 0];
+            const durations = [
+                round(times[0]), 0,
+                ...times.slice(1).map((time, i) => round(Math.max(0, time - times[i]))),
+                round(Math.max(0, timing.durationSeconds - times[times.length - 1]))
+            ];
+            bendEnv = { levels, times: durations };
+        }
+
+        let vibrato = null;
+        const vibratoMod = modulations.find(mod => this.getModulationHint(hints, mod)?.target === 'vibrato');
+        if (vibratoMod) {
+            const hint = this.getModulationHint(hints, vibratoMod);
+            const [low = -50, high = 50] = hint.depthRange || [-50, 50];
+            vibrato = { rate: hint.frequency || 6, low, high, start: round(offset(vibratoMod)) };
+        }
+
+        return { bendEnv, vibrato };
+    }
+
+    /**
+     * Get the converterHints.tone entry of a CC or aftertouch modulation
+     * @param {Object} hints - converterHints.tone
+     * @param {Object} mod - modulation with type, controller and value
+     * @returns {Object|null} Hint ({} for a CC without one), null when the modulation is not mapped
+     */
+    static getModulationHint(hints, mod) {
+        if (mod.type === 'cc') {
+            return hints[`cc${mod.controller}`] || {};
+        }
+        if (mod.type === 'aftertouch') {
+            return hints.aftertouch || null;
+        }
+        return null;
+    }
+
+    /**
+     * Collect the control envelopes driven by CC and aftertouch modulations and by automation
+     * Each control is a control bus written by a \jmonControl synth and mapped onto an effect parameter
+     * or onto a synth argument of some sequences.
+     * @param {Object} composition - jmon composition
+     * @param {Object} playback - playback region from getPlayback
+     * @returns {Array} Controls with name, effect or sequences, param, initial value and points ({ seconds, value, curve })
+     */
+    static collectControls(composition, playback = this.getPlayback(composition)) {
+        const { rendered, timeline } = playback;
+        const hints = composition.converterHints?.tone || {};
+        const graph = composition.audioGraph || [];
+        const sequences = composition.sequences || [];
+        const allSequences = sequences.map((sequence, index) => index);
+        const controls = new Map();
+        const warned = new Set();
+
+        const warnOnce = message => {
+            if (!warned.has(message)) {
+                warned.add(message);
+                console.warn(message);
+            }
+        };
+        const patternName = index => this.sanitizeName(sequences[index].label || `pattern${index}`);
+        const synthNode = index => graph.find(node => node.id === sequences[index].synthRef) || { type: 'Synth', options: {} };
+        const curveOf = interpolation => ({ linear: 'lin', quadratic: 2, cubic: 'sin', daw: 'sin' })[interpolation] ?? 'lin';
+
+        // Add a point to the control of an effect parameter
+        const addEffectPoint = (effectId, parameter, point) => {
+            const effect = graph.find(node => node.id === effectId);
+            const defaults = new Map(this.getEffectParameters(effect.type, effect.options || {}));
+            if (!defaults.has(parameter)) {
+                warnOnce(`⚠️  Effect ${effectId}.${parameter} parameter not found or not controllable`);
+                return;
+            }
+            const name = `${this.sanitizeName(effectId)}_${parameter}`;
+            if (!controls.has(name)) {
+                controls.set(name, { name, effect: effectId, param: parameter, initial: defaults.get(parameter), points: [] });
+            }
+            controls.get(name).points.push(point);
+        };
+
+        // Add a point to the control of a synth argument, for the given sequences
+        const addSynthPoint = (scope, indices, target, point) => {
+            const param = this.SYNTH_TARGETS[target];
+            const playing = indices.filter(index => param && new Map(this.getSynthParameters(synthNode(index).type, synthNode(index).options || {})).has(param));
+            if (playing.length === 0) {
+                warnOnce(`⚠️  Unknown modulation target: ${target}`);
+                return;
+            }
+            const name = `${scope}_${param}`;
+            if (!controls.has(name)) {
+                const node = synthNode(playing[0]);
+                const initial = new Map(this.getSynthParameters(node.type, node.options || {})).get(param);
+                controls.set(name, { name, sequences: new Set(), param, initial, points: [] });
+            }
+            playing.forEach(index => controls.get(name).sequences.add(index));
+            controls.get(name).points.push(point);
+        };
+
+        // Map a CC-like value (0-1) through its hint, like the Tone.js player
+        const addHintedPoint = (hint, norm, scope, indices, seconds, curve) => {
+            const [min, max] = hint.depthRange || [0, 1];
+            const value = +(min + (max - min) * norm).toFixed(6);
+
+            if (hint.target && graph.some(node => node.id === hint.target && this.isEffectNode(node.type))) {
+                addEffectPoint(hint.target, hint.parameter || 'frequency', { seconds, value, curve });
+            } else if (!hint.target) {
+                // No target: volume from -20 to 0 dB
+                addSynthPoint(scope, indices, 'volume', { seconds, value: +(-20 + norm * 20).toFixed(6), curve: 'hold' });
+            } else if (hint.target === 'tremolo' || hint.target === 'filter') {
+                warnOnce(`⚠️  Legacy '${hint.target}' target is deprecated. Use specific effect node IDs instead.`);
+            } else if (hint.target !== 'vibrato') {
+                addSynthPoint(scope, indices, hint.target, { seconds, value, curve });
+            }
+        };
+
+        // Note modulations: a CC ramps to the next one of the note when it has the same controller
+        jmonTone._playableNotes(composition, rendered).forEach(event => {
+            const modulations = (event.note.modulations || []).filter(mod => this.getModulationHint(hints, mod));
+            modulations.forEach((mod, i) => {
+                const next = modulations[i + 1];
+                const ramp = next && next.type === mod.type && next.controller === mod.controller;
+                // Modulation times are relative to the note start
+                const seconds = event.seconds + jmonTone.durationToSeconds(timeline, mod.time || 0, event.beats);
+                addHintedPoint(this.getModulationHint(hints, mod), mod.value / 127, patternName(event.sequence), [event.sequence], seconds, ramp ? 'lin' : 'hold');
+            });
+        });
+
+        // Automation: sequence channels apply to their sequence, the others to every sequence
+        rendered.events.filter(event => event.type === 'automation' && event.target).forEach(point => {
+            const indices = point.sequenceId !== undefined ?
+                allSequences.filter(index => sequences[index].label === point.sequenceId || sequences[index].id === point.sequenceId) :
+                allSequences;
+            const scope = indices.length === 1 ? patternName(indices[0]) : 'all';
+            const curve = curveOf(point.interpolation);
+            const [head, ...rest] = point.target.split('.');
+            const parameter = rest.join('.');
+
+            if (head === 'midi') {
+                const controller = parameter.match(/^cc(\d+)$/);
+                if (controller) {
+                    const [min, max] = point.range || [0, 127];
+                    const norm = max !== min ? (point.value - min) / (max - min) : point.value / 127;
+                    addHintedPoint(hints[parameter] || {}, norm, scope, indices, point.seconds, curve);
+                } else if (parameter === 'pitchBend') {
+                    addSynthPoint(scope, indices, 'bend', { seconds: point.seconds, value: +(point.value / 8192 * 12).toFixed(6), curve });
+                } else if (parameter === 'aftertouch' && hints.aftertouch) {
+                    addHintedPoint(hints.aftertouch, point.value / 127, scope, indices, point.seconds, curve);
+                }
+            } else if (graph.some(node => node.id === head && this.isEffectNode(node.type))) {
+                addEffectPoint(head, parameter, { seconds: point.seconds, value: point.value, curve });
+            } else if (head === 'synth') {
+                addSynthPoint(scope, indices, parameter, { seconds: point.seconds, value: point.value, curve });
+            } else if (graph.some(node => node.id === head && this.isSynthNode(node.type))) {
+                const playing = indices.filter(index => sequences[index].synthRef === head);
+                addSynthPoint(this.sanitizeName(head), playing, parameter, { seconds: point.seconds, value: point.value, curve });
+            } else {
+                warnOnce(`⚠️  Unknown automation target: ${point.target}`);
+            }
+        });
+
+        return [...controls.values()].map(control => ({
+            ...control,
+            sequences: control.sequences && [...control.sequences],
+            points: control.points.sort((a, b) => a.seconds - b.seconds)
+        }));
+    }
+
+    /**
+     * Write a control as an SC envelope starting at the beginning of playback
+     * @param {Object} control - control from collectControls
+     * @param {number} startSeconds - start of playback in seconds
+     * @returns {string} Env code
+     */
+    static generateControlEnvelope(control, startSeconds = 0) {
+        const shape = curve => typeof curve === 'number' ? curve : `\\${curve}`;
+        const { levels, times, curves } = this.getControlEnvelope(control, startSeconds);
+        return `Env([${levels.join(', ')}], [${times.join(', ')}], [${curves.map(shape).join(', ')}])`;
+    }
+
+    /**
+     * Envelope of a control from the beginning of playback
+     * The control keeps its initial value until the first point; each point's curve shapes the segment to the next one.
+     * @param {Object} control - control from collectControls
+     * @param {number} startSeconds - start of playback in seconds
+     * @returns {Object} { levels, times, curves } (curves are SC shape names or curvatures)
+     */
+    static getControlEnvelope(control, startSeconds = 0) {
+        const round = value => +value.toFixed(6);
+        
+        // Value and curve of the control where playback starts
+        const passed = control.points.filter(point => point.seconds <= startSeconds + 1e-9).length;
+        const points = control.points.slice(passed);
+        let initial = control.initial;
+        let curve = 'hold';
+        if (passed > 0) {
+            const previous = control.points[passed - 1];
+            initial = points.length > 0 ? this.interpolateControl(previous, points[0], startSeconds) : previous.value;
+            curve = previous.curve;
+        }
+        if (points.length === 0) {
+            return { levels: [initial, initial], times: [0], curves: ['lin'] };
+        }
+        
+        const levels = [round(initial), ...points.map(point => point.value)];
+        const times = points.map((point, i) => round(point.seconds - (i > 0 ? points[i - 1].seconds : startSeconds)));
+        const curves = [curve, ...points.slice(0, -1).map(point => point.curve)];
+        return { levels, times, curves };
+    }
+
+    /**
+     * Flatten an envelope the way SC's Env.asArray does, for OSC messages
+     * @param {Object} envelope - { levels, times, curves } (curves default to linear)
+     * @returns {Array<number>} Envelope array
+     */
+    static envelopeToArray({ levels, times, curves = [] }) {
+        const shapes = { step: 0, lin: 1, exp: 2, sin: 3, welch: 4, sqr: 6, cub: 7, hold: 8 };
+        const array = [levels[0], times.length, -99, -99];
+        times.forEach((time, i) => {
+            const curve = curves[i] ?? 'lin';
+            array.push(levels[i + 1], time, typeof curve === 'number' ? 5 : shapes[curve], typeof curve === 'number' ? curve : 0);
+        });
+        return array;
+    }
+
+    /**
+     * Value of a control envelope segment at a time, following SC's segment shapes (helper function)
+     * @param {Object} from - point starting the segment, whose curve shapes it
+     * @param {Object} to - point ending the segment
+     * @param {number} seconds - time inside the segment
+     * @returns {number} Value
+     */
+    static interpolateControl(from, to, seconds) {
+        const length = to.seconds - from.seconds;
+        const x = length > 0 ? Math.min(1, Math.max(0, (seconds - from.seconds) / length)) : 1;
+        const change = to.value - from.value;
+        
+        if (from.curve === 'hold') return from.value;
+        if (from.curve === 'sin') return from.value + change * (1 - Math.cos(Math.PI * x)) / 2;
+        if (typeof from.curve === 'number' && Math.abs(from.curve) > 1e-3) {
+            return from.value + change * (1 - Math.exp(from.curve * x)) / (1 - Math.exp(from.curve));
+        }
+        return from.value + change * x;
+    }
+
     /**
      * Convert seconds to beats
      * @param {number} seconds - duration in seconds
@@ -559,7 +1633,7 @@ s.waitForBoot({
     static isSynthNode(type) {
         const synthTypes = [
             'Synth', 'PolySynth', 'MonoSynth', 'AMSynth', 'FMSynth', 
-            'DuoSynth', 'PluckSynth', 'NoiseSynth', 'Sampler'
+            'DuoSynth', 'PluckSynth', 'NoiseSynth', 'MembraneSynth', 'MetalSynth', 'DrumKit', 'Sampler'
         ];
         return synthTypes.includes(type);
     }
@@ -572,12 +1646,22 @@ s.waitForBoot({
     static isEffectNode(type) {
         const effectTypes = [
             'Filter', 'AutoFilter', 'Reverb', 'FeedbackDelay', 'PingPongDelay', 'Delay',
-            'Chorus', 'Phaser', 'Tremolo', 'AutoWah', 'Distortion', 'Chebyshev', 
+            'Chorus', 'Phaser', 'Tremolo', 'Vibrato', 'AutoWah', 'Distortion', 'Chebyshev', 
             'BitCrusher', 'Compressor', 'Limiter', 'Gate'
         ];
         return effectTypes.includes(type);
     }
 
+    /**
+     * Check if a node processes audio between sources and destinations: effects, and any other
+     * node that is not a synth or a destination, which passes audio through
+     * @param {Object} node - audio graph node
+     * @returns {boolean} true if the node gets an input bus and an effect synth
+     */
+    static isProcessorNode(node) {
+        return !this.isSynthNode(node.type) && node.type !== 'Destination' && node.id !== 'master';
+    }
+
     /**
      * Sanitize name for SuperCollider identifier
      * @param {string} name - original name
@@ -676,7 +1760,6 @@ s.waitForBoot({
         
         if (composition.tempoMap && composition.tempoMap.length > 0) {
             report.features.push('Tempo changes');
-            report.warnings.push('Tempo changes require manual implementation in SuperCollider');
         }
 
         return report;
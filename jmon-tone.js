@@ -16,40 +16,16 @@
     }
 
 /**
- * Note: JmonPlayer class has been moved to a separate repository for better modularity.
- * For advanced playback features, use JmonPlayer from the jmon-daw package.
- * 
- * Basic playback functionality remains available through jmonTone.playComposition()
- */
-
-/**
- * Helper function to create synths
+ * Playback: JmonPlayer (below the jmonTone class, also exposed as jmonTone.Player) schedules
+ * compositions on Tone.Transport. Use jmonTone.createPlayer() or jmonTone.playComposition().
  */
-jmonTone.createSynth = function(type, options = {}) {
-    try {
-        switch (type) {
-            case 'Synth': return new Tone.Synth(options);
-            case 'PolySynth': return new Tone.PolySynth(options);
-            case 'MonoSynth': return new Tone.MonoSynth(options);
-            case 'AMSynth': return new Tone.AMSynth(options);
-            case 'FMSynth': return new Tone.FMSynth(options);
-            case 'DuoSynth': return new Tone.DuoSynth(options);
-            case 'PluckSynth': return new Tone.PluckSynth(options);
-            case 'NoiseSynth': return new Tone.NoiseSynth(options);
-            default:
-                console.warn(`Unknown synth type: ${type}, using Synth`);
-                return new Tone.Synth(options);
-        }
-    } catch (error) {
-        console.error(`Error creating ${type}:`, error);
-        return new Tone.Synth(); // Fallback
-    }
-};
 
 class jmonTone {
     static VERSION = "1.0";
     static FORMAT_IDENTIFIER = "jmonTone";
-    
+    static TICKS_PER_BEAT = 480; // Standard MIDI ticks per quarter note
+    static schema = null; // Parsed jmon-schema.json used by validateSchema()
+
     /**
      * Convert MIDI note number to note name (e.g., 60 -> "C4")
      * @param {number} midiNote - MIDI note number (0-127)
@@ -69,30 +45,25 @@ class jmonTone {
     }
 
     /**
-     * Convert note name to MIDI note number (e.g., "C4" -> 60)
-     * @param {string} noteName - Note name (e.g., "C4", "A#3")
+     * Convert note name to MIDI note number (e.g., "C4" -> 60, "kick" -> 36)
+     * Quarter-tone accidentals and ups/downs are left out: use noteToFrequency for the exact pitch.
+     * @param {string} noteName - Note name (e.g., "C4", "A#3") or GM drum kit piece
      * @returns {number} MIDI note number (0-127)
      */
     static noteNameToMidiNote(noteName) {
         try {
             // Manual conversion for framework independence
-            const noteRegex = /^([A-G])(#|b)?(-?\d+)$/;
-            const match = noteName.match(noteRegex);
-            
-            if (!match) {
+            const pitch = this.parsePitch(noteName);
+
+            if (!pitch) {
+                // Drum parts name kit pieces ("kick", "snare") from the GM drum map
+                const drumNote = this.drumNoteNumber(noteName);
+                if (drumNote !== null) return drumNote;
                 console.warn(`Invalid note name: ${noteName}`);
                 return 60; // Default to C4
             }
-            
-            const [, note, accidental, octave] = match;
-            const noteValues = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
-            
-            let midiNote = noteValues[note] + (parseInt(octave) + 1) * 12;
-            
-            if (accidental === '#') midiNote += 1;
-            else if (accidental === 'b') midiNote -= 1;
-            
-            return Math.max(0, Math.min(127, midiNote));
+
+            return Math.max(0, Math.min(127, pitch.key));
         } catch (error) {
             console.warn(`Error converting note name ${noteName}:`, error);
             return 60; // Default to C4
@@ -117,6 +88,263 @@ class jmonTone {
         }
     }
 
+    /**
+     * Pitch classes of the natural note names
+     */
+    static LETTER_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+    /**
+     * Position of the natural note names on the chain of fifths, counted from C
+     */
+    static LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+
+    /**
+     * Accidentals of note names, in chromatic semitones (sharps).
+     * + and d are the quarter-tone sharp and flat, #+ and db three quarters.
+     */
+    static ACCIDENTALS = {
+        '': 0, '#': 1, '##': 2, 'x': 2, 'b': -1, 'bb': -2,
+        '+': 0.5, 'd': -0.5, '#+': 1.5, 'db': -1.5
+    };
+
+    /**
+     * Parse a note name into letter, accidental and octave
+     * Leading ^ or v marks raise or lower the note by one step of the tuning (ups and downs).
+     * @param {string} noteName - Note name (e.g., "C4", "F#+3", "^Eb4")
+     * @returns {Object|null} { letter, alteration, ups, octave, key } or null if not a note name;
+     *   alteration is in chromatic semitones and key is the MIDI key of the name without
+     *   its quarter tones and ups/downs
+     */
+    static parsePitch(noteName) {
+        if (typeof noteName !== 'string') return null;
+        const match = noteName.trim().match(/^(\^+|v+)?([A-G])(#\+|##|x|#|\+|db|bb|d|b)?(-?\d+)$/);
+        if (!match) return null;
+
+        const [, marks = '', letter, accidental = '', octaveText] = match;
+        const alteration = this.ACCIDENTALS[accidental];
+        const octave = parseInt(octaveText, 10);
+
+        return {
+            letter,
+            alteration,
+            ups: marks.startsWith('v') ? -marks.length : marks.length,
+            octave,
+            key: this.LETTER_PITCHES[letter] + Math.trunc(alteration) + (octave + 1) * 12
+        };
+    }
+
+    /**
+     * Parse a Scala scale file (.scl)
+     * @param {string} text - File contents
+     * @returns {Object} { description, steps, period } with steps in cents from the first degree (0)
+     *   and period the interval the scale repeats at (the last pitch of the file)
+     */
+    static parseScala(text) {
+        const lines = String(text).split(/\r?\n/).filter(line => !line.startsWith('!'));
+        const description = (lines[0] || '').trim();
+        const count = parseInt(lines[1], 10);
+        const pitches = lines.slice(2).map(line => line.trim()).filter(Boolean).slice(0, count);
+
+        if (!(count > 0) || pitches.length < count) {
+            throw new Error(`Invalid Scala scale "${description}": expected ${lines[1]} pitches, found ${pitches.length}`);
+        }
+
+        const cents = pitches.map(line => {
+            const value = line.split(/\s+/)[0];
+            if (value.includes('.')) return parseFloat(value);
+
+            const [numerator, denominator = '1'] = value.split('/');
+            const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+            if (!(ratio > 0)) {
+                throw new Error(`Invalid Scala pitch "${line}" in "${description}"`);
+            }
+            return 1200 * Math.log2(ratio);
+        });
+
+        return { description, steps: [0, ...cents.slice(0, -1)], period: cents[cents.length - 1] };
+    }
+
+    /**
+     * Parse a Scala keyboard mapping file (.kbm)
+     * @param {string} text - File contents
+     * @returns {Object} { size, first, last, middleNote, referenceNote, referenceFrequency, octaveDegree, map };
+     *   map lists the scale degree of each key of the mapping (null where unmapped), or is null for a linear mapping
+     */
+    static parseKeyboardMapping(text) {
+        const values = String(text).split(/\r?\n/)
+            .filter(line => !line.startsWith('!'))
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(Boolean);
+
+        const number = index => parseFloat(values[index]);
+        const size = parseInt(values[0], 10);
+        if (!(size >= 0) || values.length < 7) {
+            throw new Error('Invalid Scala keyboard mapping: expected size, key range, middle note, reference and octave degree');
+        }
+
+        return {
+            size,
+            first: number(1),
+            last: number(2),
+            middleNote: number(3),
+            referenceNote: number(4),
+            referenceFrequency: number(5),
+            octaveDegree: number(6),
+            map: size > 0 ?
+                Array.from({ length: size }, (_, index) => {
+                    const degree = parseInt(values[7 + index], 10);
+                    return isNaN(degree) ? null : degree;
+                }) :
+                null
+        };
+    }
+
+    /**
+     * Resolve the tuning of a composition.
+     * Accepts an equal division of the octave ({ edo: 31 }), a Scala scale with an optional
+     * keyboard mapping ({ scl, kbm } as file contents) or a cents table ({ cents: [0, 204, 386, ...], period: 1200 }).
+     * Every form takes referenceNote and referenceFrequency (A4 = 440 Hz by default); scales and
+     * cents tables take middleNote, the MIDI key of their first degree (60 by default).
+     * Build it once and pass it instead of the composition when converting many notes.
+     * @param {Object} tuning - Tuning definition, or a composition with a tuning
+     * @returns {Object|null} Resolved tuning, or null for standard 12-tone equal temperament
+     */
+    static createTuning(tuning) {
+        if (!tuning || tuning.isTuning) return tuning || null;
+        if (tuning.format === this.FORMAT_IDENTIFIER || tuning.sequences) return this.createTuning(tuning.tuning);
+
+        let resolved;
+        if (tuning.edo !== undefined) {
+            const size = tuning.edo;
+            const period = tuning.period || 1200;
+            if (!(size > 0) || size % 1 !== 0) {
+                throw new Error(`Invalid tuning: edo must be a positive integer, got ${size}`);
+            }
+
+            // Note names follow the chain of fifths: the best fifth of the division and the sharp it makes
+            const fifth = Math.round(size * Math.log2(1.5) * 1200 / period);
+            resolved = {
+                type: 'edo',
+                name: `${size}-EDO`,
+                size,
+                period,
+                steps: Array.from({ length: size }, (_, step) => step * period / size),
+                fifth,
+                sharp: 7 * fifth - 4 * size,
+                middleNote: 60,
+                map: null
+            };
+        } else if (tuning.scl !== undefined || Array.isArray(tuning.cents)) {
+            const scale = tuning.scl !== undefined ?
+                this.parseScala(tuning.scl) :
+                { description: '', steps: tuning.cents, period: tuning.period || 1200 };
+            const mapping = tuning.kbm !== undefined ? this.parseKeyboardMapping(tuning.kbm) : {};
+
+            resolved = {
+                type: 'scale',
+                name: scale.description || `${scale.steps.length}-note scale`,
+                size: scale.steps.length,
+                period: scale.period,
+                steps: scale.steps,
+                middleNote: tuning.middleNote ?? mapping.middleNote ?? 60,
+                map: mapping.map || null,
+                octaveDegree: mapping.octaveDegree || scale.steps.length,
+                range: mapping.first !== undefined ? [mapping.first, mapping.last] : null
+            };
+            if (mapping.referenceNote !== undefined) {
+                tuning = { referenceNote: mapping.referenceNote, referenceFrequency: mapping.referenceFrequency, ...tuning };
+            }
+        } else {
+            throw new Error('Invalid tuning: expected edo, scl or cents');
+        }
+
+        resolved.isTuning = true;
+        resolved.referenceFrequency = tuning.referenceFrequency || 440;
+        resolved.referenceCents = this._tuningCents(resolved, tuning.referenceNote ?? 'A4');
+        if (resolved.referenceCents === null) {
+            throw new Error(`Invalid tuning: reference note ${tuning.referenceNote} is not mapped`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Convert a note to its frequency in a tuning.
+     * Note names are spelled on the chain of fifths in EDO tunings and read as MIDI keys in
+     * scales; MIDI numbers are keys (one key per step in EDO tunings, middle C = 60).
+     * @param {string|number|Array} note - Note name, MIDI number, GM drum kit piece or chord
+     * @param {Object} tuning - Tuning definition, resolved tuning or composition (default: 12-tone equal temperament, A4 = 440 Hz)
+     * @param {number} microtuning - Extra offset in semitones
+     * @returns {number|Array} Frequency in Hz (one per chord note)
+     */
+    static noteToFrequency(note, tuning = null, microtuning = 0) {
+        const resolved = this.createTuning(tuning);
+        if (Array.isArray(note)) return note.map(n => this.noteToFrequency(n, resolved, microtuning));
+
+        const standard = this._standardTuning || (this._standardTuning = this.createTuning({ edo: 12 }));
+        const active = resolved || standard;
+        let cents = this._tuningCents(active, note);
+
+        if (cents === null) {
+            console.warn(`⚠️  Note ${note} is not mapped by the ${active.name} tuning, using 12-tone equal temperament`);
+            return this.noteToFrequency(note, standard, microtuning);
+        }
+
+        cents += (microtuning || 0) * 100;
+        return active.referenceFrequency * Math.pow(2, (cents - active.referenceCents) / 1200);
+    }
+
+    /**
+     * Convert a frequency to a (fractional) MIDI note number
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} MIDI note number, e.g. 60.5 for a quarter tone above middle C
+     */
+    static frequencyToMidi(frequency) {
+        return 69 + 12 * Math.log2(frequency / 440);
+    }
+
+    /**
+     * Pitch of a note in cents above the tuning's middle note (helper function)
+     * @param {Object} tuning - Resolved tuning
+     * @param {string|number} note - Note name, MIDI number or GM drum kit piece
+     * @returns {number|null} Cents, or null if the key is not mapped
+     */
+    static _tuningCents(tuning, note) {
+        const pitch = typeof note === 'number' ? { key: note, alteration: 0, ups: 0 } : this.parsePitch(note);
+        if (!pitch) {
+            const drumNote = this.drumNoteNumber(note);
+            if (drumNote === null) {
+                console.warn(`Invalid note name: ${note}`);
+                return this._tuningCents(tuning, 60);
+            }
+            return this._tuningCents(tuning, drumNote);
+        }
+
+        if (tuning.type === 'edo') {
+            const { size, fifth, sharp } = tuning;
+            const step = pitch.letter ?
+                ((this.LETTER_FIFTHS[pitch.letter] * fifth) % size + size) % size + pitch.alteration * sharp + pitch.ups + (pitch.octave - 4) * size :
+                pitch.key - tuning.middleNote;
+            return step * tuning.period / size;
+        }
+
+        // Scales: keys map to degrees, quarter tones stay quarter tones of 12-tone equal temperament
+        const key = pitch.key + pitch.ups;
+        if (tuning.range && (key < tuning.range[0] || key > tuning.range[1])) return null;
+
+        let degree = key - tuning.middleNote;
+        if (tuning.map) {
+            const repeats = Math.floor(degree / tuning.map.length);
+            const mapped = tuning.map[degree - repeats * tuning.map.length];
+            if (mapped === null || mapped === undefined) return null;
+            degree = repeats * tuning.octaveDegree + mapped;
+        }
+
+        const periods = Math.floor(degree / tuning.size);
+        const cents = periods * tuning.period + tuning.steps[degree - periods * tuning.size];
+        return cents + (pitch.alteration - Math.trunc(pitch.alteration)) * 100;
+    }
+
     /**
      * Smart conversion of various input formats to jmon format
      * @param {object|array} input - Various input formats
@@ -274,9 +502,16 @@ class jmonTone {
     /**
      * Validate a jmonTone composition object against the new schema
      * @param {object} composition - jmonTone composition to validate
+     * @param {object} options - Validation options
+     * @param {string} options.mode - 'basic' (default) for the built-in checks, 'schema' for full JSON Schema validation
+     * @param {object} options.schema - Parsed jmon-schema.json for schema mode
      * @returns {object} Validation result with success flag and errors
      */
-    static validate(composition) {
+    static validate(composition, options = {}) {
+        if (options.mode === 'schema') {
+            return this.validateSchema(composition, options.schema);
+        }
+
         const errors = [];
         const warnings = [];
 
@@ -313,7 +548,7 @@ class jmonTone {
                 // Validate node type against schema enum
                 const validNodeTypes = [
                     "Synth", "PolySynth", "MonoSynth", "AMSynth", "FMSynth", "DuoSynth", 
-                    "PluckSynth", "NoiseSynth", "Sampler", "Filter", "AutoFilter", "Reverb", 
+                    "PluckSynth", "NoiseSynth", "MembraneSynth", "MetalSynth", "DrumKit", "Sampler", "Filter", "AutoFilter", "Reverb", 
                     "FeedbackDelay", "PingPongDelay", "Delay", "Chorus", "Phaser", "Tremolo", 
                     "Vibrato", "AutoWah", "Distortion", "Chebyshev", "BitCrusher", "Compressor", 
                     "Limiter", "Gate", "FrequencyShifter", "PitchShift", "JCReverb", "Freeverb", 
@@ -400,6 +635,10 @@ class jmonTone {
                 if (seq.midiChannel !== undefined && (seq.midiChannel < 0 || seq.midiChannel > 15)) {
                     errors.push(`Sequence ${index}: MIDI channel must be 0-15`);
                 }
+                const program = seq.midiInstrument?.program;
+                if (program !== undefined && this.gmProgramNumber(program, seq.midiInstrument.drums === true) === null) {
+                    warnings.push(`Sequence ${index}: Unknown General MIDI program "${program}"`);
+                }
             });
         }
 
@@ -411,12 +650,15 @@ class jmonTone {
         // NEW: Validate tempo map if present
         if (composition.tempoMap && Array.isArray(composition.tempoMap)) {
             composition.tempoMap.forEach((tempoChange, index) => {
-                if (!tempoChange.time) {
+                if (tempoChange.time === undefined) {
                     errors.push(`TempoMap ${index}: Missing time field`);
                 }
                 if (!tempoChange.bpm || tempoChange.bpm < 20 || tempoChange.bpm > 400) {
                     errors.push(`TempoMap ${index}: Invalid BPM value`);
                 }
+                if (tempoChange.interpolation !== undefined && !['step', 'linear'].includes(tempoChange.interpolation)) {
+                    errors.push(`TempoMap ${index}: Invalid interpolation "${tempoChange.interpolation}" (expected "step" or "linear")`);
+                }
             });
         }
 
@@ -427,26 +669,324 @@ class jmonTone {
         };
     }
 
+    /**
+     * Validate a composition against the full JSON Schema (jmon-schema.json), offline.
+     * Supports the draft-07 keywords the jmon schema uses: type, enum, const, required,
+     * properties, additionalProperties, patternProperties, items, min/max constraints,
+     * pattern, oneOf/anyOf/allOf/not, if/then/else and local $ref.
+     * @param {object} composition - jmonTone composition to validate
+     * @param {object} schema - Parsed jmon-schema.json (defaults to jmonTone.schema or ./jmon-schema.json in Node)
+     * @returns {object} Validation result with success flag, error messages and structured issues
+     */
+    static validateSchema(composition, schema = null) {
+        const rootSchema = this._loadSchema(schema);
+        const issues = this._checkSchema(composition, rootSchema, '', rootSchema);
+
+        return {
+            success: issues.length === 0,
+            errors: issues.map(issue => `${issue.path || '/'}: ${issue.message}`),
+            warnings: [],
+            issues
+        };
+    }
+
+    /**
+     * Find the jmon schema to validate against (helper function)
+     * @param {object} schema - Schema passed by the caller
+     * @returns {object} Parsed schema
+     */
+    static _loadSchema(schema) {
+        if (schema) return schema;
+        if (this.schema) return this.schema;
+
+        if (typeof require === 'function') {
+            try {
+                this.schema = require('./jmon-schema.json');
+                return this.schema;
+            } catch (error) {
+                // Fall through to the error below
+            }
+        }
+
+        throw new Error('jmonTone: jmon-schema.json is not loaded. Pass it to validateSchema() or set jmonTone.schema');
+    }
+
+    /**
+     * Check a value against a schema node and collect issues (helper function)
+     * @param {*} value - Value to check
+     * @param {object|boolean} schema - Schema node
+     * @param {string} path - JSON pointer of the value
+     * @param {object} rootSchema - Root schema for $ref resolution
+     * @returns {Array} Issues with path, keyword, message, expected and value
+     */
+    static _checkSchema(value, schema, path, rootSchema) {
+        const issues = [];
+        const issue = (keyword, message, expected, at = path, offending = value) =>
+            issues.push({ path: at, keyword, message, expected, value: offending });
+
+        if (schema === true || schema === undefined) return issues;
+        if (schema === false) {
+            issue('false', 'no value is allowed here', 'nothing');
+            return issues;
+        }
+
+        if (schema.$ref) {
+            const target = this._resolveSchemaRef(schema.$ref, rootSchema);
+            if (!target) {
+                throw new Error(`jmonTone: Cannot resolve schema reference ${schema.$ref}`);
+            }
+            return this._checkSchema(value, target, path, rootSchema);
+        }
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this._schemaTypeMatches(value, type))) {
+                issue('type', `expected ${types.join(' or ')}, got ${this._schemaTypeOf(value)}`, types.join(' | '));
+                return issues;
+            }
+        }
+
+        if (schema.const !== undefined && !this._schemaEqual(value, schema.const)) {
+            issue('const', `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`, schema.const);
+        }
+
+        if (schema.enum && !schema.enum.some(option => this._schemaEqual(value, option))) {
+            issue('enum', `expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`, schema.enum);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                issue('minimum', `must be >= ${schema.minimum}, got ${value}`, `>= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                issue('maximum', `must be <= ${schema.maximum}, got ${value}`, `<= ${schema.maximum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                issue('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}, got ${value}`, `> ${schema.exclusiveMinimum}`);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                issue('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}, got ${value}`, `< ${schema.exclusiveMaximum}`);
+            }
+            if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+                issue('multipleOf', `must be a multiple of ${schema.multipleOf}, got ${value}`, `multiple of ${schema.multipleOf}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                issue('minLength', `must be at least ${schema.minLength} characters`, `length >= ${schema.minLength}`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                issue('maxLength', `must be at most ${schema.maxLength} characters`, `length <= ${schema.maxLength}`);
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+                issue('pattern', `expected string matching ${schema.pattern}, got ${JSON.stringify(value)}`, schema.pattern);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                issue('minItems', `must have at least ${schema.minItems} items, got ${value.length}`, `>= ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                issue('maxItems', `must have at most ${schema.maxItems} items, got ${value.length}`, `<= ${schema.maxItems} items`);
+            }
+            if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => this._schemaEqual(item, other)) !== i)) {
+                issue('uniqueItems', 'items must be unique', 'unique items');
+            }
+            if (Array.isArray(schema.items)) {
+                value.forEach((item, i) => {
+                    const itemSchema = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+                    issues.push(...this._checkSchema(item, itemSchema, `${path}/${i}`, rootSchema));
+                });
+            } else if (schema.items !== undefined) {
+                value.forEach((item, i) => {
+                    issues.push(...this._checkSchema(item, schema.items, `${path}/${i}`, rootSchema));
+                });
+            }
+        }
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    issue('required', `missing required property "${key}"`, key, `${path}/${this._escapePointer(key)}`, undefined);
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                const childPath = `${path}/${this._escapePointer(key)}`;
+                let matched = false;
+
+                if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+                    matched = true;
+                    issues.push(...this._checkSchema(value[key], schema.properties[key], childPath, rootSchema));
+                }
+
+                Object.entries(schema.patternProperties || {}).forEach(([pattern, patternSchema]) => {
+                    if (new RegExp(pattern, 'u').test(key)) {
+                        matched = true;
+                        issues.push(...this._checkSchema(value[key], patternSchema, childPath, rootSchema));
+                    }
+                });
+
+                if (!matched && schema.additionalProperties !== undefined) {
+                    if (schema.additionalProperties === false) {
+                        const allowed = Object.keys(schema.properties || {});
+                        issue('additionalProperties', `unexpected property "${key}"`, allowed, childPath, value[key]);
+                    } else {
+                        issues.push(...this._checkSchema(value[key], schema.additionalProperties, childPath, rootSchema));
+                    }
+                }
+            });
+        }
+
+        (schema.allOf || []).forEach(subschema => {
+            issues.push(...this._checkSchema(value, subschema, path, rootSchema));
+        });
+
+        if (schema.anyOf) {
+            const results = schema.anyOf.map(subschema => this._checkSchema(value, subschema, path, rootSchema));
+            if (!results.some(result => result.length === 0)) {
+                issues.push(...this._closestAlternative(results, schema.anyOf, value, path, 'anyOf'));
+            }
+        }
+
+        if (schema.oneOf) {
+            const results = schema.oneOf.map(subschema => this._checkSchema(value, subschema, path, rootSchema));
+            const passing = results.filter(result => result.length === 0).length;
+            if (passing === 0) {
+                issues.push(...this._closestAlternative(results, schema.oneOf, value, path, 'oneOf'));
+            } else if (passing > 1) {
+                issue('oneOf', `matches ${passing} alternatives, expected exactly one`, 'exactly one alternative');
+            }
+        }
+
+        if (schema.not !== undefined && this._checkSchema(value, schema.not, path, rootSchema).length === 0) {
+            issue('not', 'matches a schema it must not match', 'not matching');
+        }
+
+        if (schema.if !== undefined) {
+            const branch = this._checkSchema(value, schema.if, path, rootSchema).length === 0 ? schema.then : schema.else;
+            if (branch !== undefined) {
+                issues.push(...this._checkSchema(value, branch, path, rootSchema));
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Report why no oneOf/anyOf alternative matched (helper function)
+     * When every alternative fails at the value itself, list what was expected;
+     * otherwise report the alternative that came closest.
+     * @param {Array} results - Issues for each alternative
+     * @param {Array} alternatives - Alternative schemas
+     * @param {*} value - Checked value
+     * @param {string} path - JSON pointer of the value
+     * @param {string} keyword - 'oneOf' or 'anyOf'
+     * @returns {Array} Issues
+     */
+    static _closestAlternative(results, alternatives, value, path, keyword) {
+        const shallow = results.every(result => result.every(issue =>
+            issue.path === path && ['type', 'pattern', 'enum', 'const'].includes(issue.keyword)));
+
+        if (shallow) {
+            const expected = alternatives.map(alternative => alternative.pattern ?
+                `string matching ${alternative.pattern}` :
+                (alternative.enum ? `one of ${alternative.enum.join(', ')}` : [].concat(alternative.type || 'value').join(' or ')));
+            return [{
+                path,
+                keyword,
+                message: `expected ${expected.join(', or ')}, got ${JSON.stringify(value)}`,
+                expected,
+                value
+            }];
+        }
+
+        return results.reduce((best, result) => (result.length < best.length ? result : best));
+    }
+
+    /**
+     * Resolve a local "#/..." schema reference (helper function)
+     * @param {string} ref - Reference string
+     * @param {object} rootSchema - Root schema
+     * @returns {object|undefined} Referenced schema
+     */
+    static _resolveSchemaRef(ref, rootSchema) {
+        if (!ref.startsWith('#')) return undefined;
+        return ref.slice(1).split('/').filter(Boolean).reduce((node, part) =>
+            node === undefined ? undefined : node[part.replace(/~1/g, '/').replace(/~0/g, '~')], rootSchema);
+    }
+
+    /**
+     * Check a value against a JSON Schema type name (helper function)
+     * @param {*} value - Value to check
+     * @param {string} type - JSON Schema type
+     * @returns {boolean} Whether the value has the type
+     */
+    static _schemaTypeMatches(value, type) {
+        switch (type) {
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'array': return Array.isArray(value);
+            case 'null': return value === null;
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * Get the JSON Schema type name of a value (helper function)
+     * @param {*} value - Value
+     * @returns {string} Type name
+     */
+    static _schemaTypeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Deep equality for enum and const checks (helper function)
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} Whether the values are equal
+     */
+    static _schemaEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Escape a property name for a JSON pointer (helper function)
+     * @param {string} key - Property name
+     * @returns {string} Escaped pointer segment
+     */
+    static _escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
     /**
      * Expand notes with loop repetitions for visualization/export
      * @param {object} sequence - jmonTone sequence object
      * @param {number} totalDuration - Total composition duration in seconds
+     * @param {object} composition - Composition (or timeline) used to resolve musical times
      * @returns {array} Expanded notes array with loop repetitions
      */
-    static expandNotesWithLoop(sequence, totalDuration) {
+    static expandNotesWithLoop(sequence, totalDuration, composition = {}) {
         const expandedNotes = [...sequence.notes];
 
         if (sequence.loop && sequence.loop !== false) {
+            const timeline = jmonTone._getTimeline(composition);
             let loopEndTime;
 
             if (typeof sequence.loop === 'string') {
-                loopEndTime = jmonTone._parseTimeString(sequence.loop, 120);
+                loopEndTime = jmonTone.durationToSeconds(timeline, sequence.loop, 0);
             } else if (sequence.loop === true) {
                 // Calculate from notes
                 const lastNoteTime = Math.max(...sequence.notes.map(n => {
-                    const noteTime = typeof n.time === 'string' ? jmonTone._parseTimeString(n.time, 120) : n.time;
-                    const noteDuration = typeof n.duration === 'string' ? jmonTone._parseTimeString(n.duration, 120) : n.duration;
-                    return noteTime + noteDuration;
+                    const timing = jmonTone.resolveNoteTiming(timeline, n);
+                    return timing.startSeconds + timing.durationSeconds;
                 }));
                 loopEndTime = lastNoteTime;
             }
@@ -459,8 +999,7 @@ class jmonTone {
                 const loopOffset = loopIndex * originalDuration;
 
                 sequence.notes.forEach(originalNote => {
-                    const noteTime = typeof originalNote.time === 'string' ? 
-                        jmonTone._parseTimeString(originalNote.time, 120) : originalNote.time;
+                    const noteTime = jmonTone.timeToSeconds(timeline, originalNote.time || 0);
                     
                     const loopedNote = {
                         ...originalNote,
@@ -484,21 +1023,19 @@ class jmonTone {
      * @returns {number} Duration in seconds
      */
     static calculateDuration(composition) {
+        const timeline = jmonTone.createTimeline(composition);
         let maxDuration = 0;
 
         composition.sequences.forEach(seq => {
             let sequenceDuration = 0;
 
             if (seq.loop && seq.loop !== false && typeof seq.loop === 'string') {
-                sequenceDuration = jmonTone._parseTimeString(seq.loop, composition.bpm || 120);
+                sequenceDuration = jmonTone.durationToSeconds(timeline, seq.loop, 0);
             } else {
                 // Calculate from notes
                 seq.notes.forEach(note => {
-                    const noteTime = typeof note.time === 'string' ? 
-                        jmonTone._parseTimeString(note.time, composition.bpm || 120) : note.time;
-                    const noteDuration = typeof note.duration === 'string' ? 
-                        jmonTone._parseTimeString(note.duration, composition.bpm || 120) : note.duration;
-                    const noteEnd = noteTime + noteDuration;
+                    const timing = jmonTone.resolveNoteTiming(timeline, note);
+                    const noteEnd = timing.startSeconds + timing.durationSeconds;
                     sequenceDuration = Math.max(sequenceDuration, noteEnd);
                 });
             }
@@ -510,7 +1047,7 @@ class jmonTone {
         let longestLoop = 0;
         composition.sequences.forEach(seq => {
             if (seq.loop && seq.loop !== false && typeof seq.loop === 'string') {
-                const loopTime = jmonTone._parseTimeString(seq.loop, composition.bpm || 120);
+                const loopTime = jmonTone.durationToSeconds(timeline, seq.loop, 0);
                 longestLoop = Math.max(longestLoop, loopTime);
             }
         });
@@ -531,6 +1068,9 @@ class jmonTone {
             throw new Error('Invalid jmonTone format: missing sequences array');
         }
 
+        // Resolve note and modulation times against meter and tempo map
+        const timeline = this.createTimeline(jsonData);
+
         // Convert to format expected by ToneDAW
         const toneFormat = {
             bpm: jsonData.bpm || 120,
@@ -564,9 +1104,10 @@ class jmonTone {
                     loopEnd: seq.loopEnd,
                     // NEW: MIDI channel support
                     midiChannel: seq.midiChannel,
+                    midiInstrument: seq.midiInstrument,
                     synthRef: seq.synthRef, // Only store the reference
                     effects: this.processEffectsChain(seq.effects || convertedSynth.effects),
-                    notes: seq.notes.map(note => this.convertNoteFormat(note))
+                    notes: seq.notes.map(note => this.convertNoteFormat(note, timeline))
                 };
             })
         };
@@ -584,9 +1125,10 @@ class jmonTone {
     /**
      * Convert note format to ensure compatibility (NEW: with MIDI and modulation support)
      * @param {Object} note - Note object from JSON
+     * @param {Object} composition - Composition or timeline used to resolve times
      * @returns {Object} Tone.js compatible note
      */
-    static convertNoteFormat(note) {
+    static convertNoteFormat(note, composition = {}) {
         const converted = {
             note: this.processNoteInput(note.note),
             time: note.time || 0,
@@ -625,9 +1167,8 @@ class jmonTone {
             converted.toneModulations = toneModulations;
             
             // Generate automation events for Tone.js
-            const noteStartTime = typeof converted.time === 'string' ? 
-                this._parseTimeString(converted.time) : converted.time;
-            converted.automationEvents = this.generateToneAutomationFromMIDI(toneModulations, noteStartTime);
+            const noteStartTime = this.timeToSeconds(composition, converted.time);
+            converted.automationEvents = this.generateToneAutomationFromMIDI(toneModulations, noteStartTime, composition);
         }
 
         return converted;
@@ -702,6 +1243,10 @@ class jmonTone {
                 processed.presetRef = node.presetRef;
             }
 
+            if (node.midiInstrument) {
+                processed.midiInstrument = node.midiInstrument;
+            }
+
             return processed;
         });
     }
@@ -731,9 +1276,10 @@ class jmonTone {
     /**
      * Process automation events (NEW: for automation support)
      * @param {Array} automation - Array of automation events
+     * @param {Object} composition - Composition or timeline used to resolve times
      * @returns {Array} Processed automation events
      */
-    static processAutomation(automation) {
+    static processAutomation(automation, composition = {}) {
         if (!automation || !Array.isArray(automation)) return [];
         
         console.log('🤖 jmonTone: Processing', automation.length, 'automation events');
@@ -742,18 +1288,17 @@ class jmonTone {
             target: event.target,
             time: event.time,
             value: event.value,
-            // Convert time if it's a string
-            timeSeconds: typeof event.time === 'string' ? 
-                this._parseTimeString(event.time) : event.time
+            timeSeconds: this.timeToSeconds(composition, event.time || 0)
         }));
     }
 
     /**
      * Process annotations (NEW: for annotation support)
      * @param {Array} annotations - Array of annotation objects
+     * @param {Object} composition - Composition or timeline used to resolve times
      * @returns {Array} Processed annotations
      */
-    static processAnnotations(annotations) {
+    static processAnnotations(annotations, composition = {}) {
         if (!annotations || !Array.isArray(annotations)) return [];
         
         console.log('📝 jmonTone: Processing', annotations.length, 'annotations');
@@ -763,9 +1308,7 @@ class jmonTone {
             time: annotation.time,
             type: annotation.type || 'comment',
             duration: annotation.duration,
-            // Convert time if it's a string
-            timeSeconds: typeof annotation.time === 'string' ? 
-                this._parseTimeString(annotation.time) : annotation.time
+            timeSeconds: this.timeToSeconds(composition, annotation.time || 0)
         }));
     }
 
@@ -775,14 +1318,7 @@ class jmonTone {
      * @returns {number} Duration in seconds
      */
     static calculateDurationWithTempoMap(composition) {
-        // If there's a tempo map, we need more sophisticated calculation
-        if (composition.tempoMap && composition.tempoMap.length > 0) {
-            // This would require more complex tempo-aware duration calculation
-            // For now, fall back to basic calculation
-            console.log('⏱️ jmonTone: Tempo map detected, using enhanced duration calculation');
-        }
-        
-        // Use existing duration calculation as fallback
+        // calculateDuration resolves every time through the tempo map
         return this.calculateDuration(composition);
     }
 
@@ -791,28 +1327,14 @@ class jmonTone {
      * @param {Array} tempoMap - Tempo map array
      * @param {number} time - Time in seconds
      * @param {number} defaultBpm - Default BPM if no tempo map
-     * @returns {number} BPM at the given time
+     * @returns {number} BPM at the given time (interpolated inside linear ramps)
      */
     static getTempoAtTime(tempoMap, time, defaultBpm = 120) {
         if (!tempoMap || tempoMap.length === 0) {
             return defaultBpm;
         }
 
-        // Find the most recent tempo change before or at the given time
-        let effectiveTempo = defaultBpm;
-        
-        for (const tempoChange of tempoMap) {
-            const changeTime = typeof tempoChange.time === 'string' ? 
-                this._parseTimeString(tempoChange.time) : tempoChange.time;
-            
-            if (changeTime <= time) {
-                effectiveTempo = tempoChange.bpm;
-            } else {
-                break;
-            }
-        }
-
-        return effectiveTempo;
+        return this.getTempoAt({ bpm: defaultBpm, tempoMap }, time);
     }
 
     /**
@@ -820,9 +1342,10 @@ class jmonTone {
      * @param {Array} keySignatureMap - Key signature map array
      * @param {number} time - Time in seconds
      * @param {string} defaultKey - Default key signature
+     * @param {Object} composition - Composition or timeline used to resolve change times (meters and tempo map)
      * @returns {string} Key signature at the given time
      */
-    static getKeySignatureAtTime(keySignatureMap, time, defaultKey = "C") {
+    static getKeySignatureAtTime(keySignatureMap, time, defaultKey = "C", composition = {}) {
         if (!keySignatureMap || keySignatureMap.length === 0) {
             return defaultKey;
         }
@@ -831,8 +1354,7 @@ class jmonTone {
         let effectiveKey = defaultKey;
         
         for (const keyChange of keySignatureMap) {
-            const changeTime = typeof keyChange.time === 'string' ? 
-                this._parseTimeString(keyChange.time) : keyChange.time;
+            const changeTime = this.timeToSeconds(composition, keyChange.time);
             
             if (changeTime <= time) {
                 effectiveKey = keyChange.keySignature;
@@ -896,6 +1418,7 @@ class jmonTone {
             label: sequenceOptions.label || `Sequence ${composition.sequences.length + 1}`,
             notes: sequenceOptions.notes || [],
             midiChannel: sequenceOptions.midiChannel,
+            midiInstrument: sequenceOptions.midiInstrument,
             loop: sequenceOptions.loop || false,
             loopEnd: sequenceOptions.loopEnd,
             effects: sequenceOptions.effects || []
@@ -942,6 +1465,10 @@ class jmonTone {
             node.presetRef = nodeOptions.presetRef;
         }
 
+        if (nodeOptions.midiInstrument) {
+            node.midiInstrument = nodeOptions.midiInstrument;
+        }
+
         composition.audioGraph.push(node);
         return composition;
     }
@@ -999,19 +1526,21 @@ class jmonTone {
     /**
      * Generate automation events for Tone.js from MIDI modulations
      * @param {Array} toneModulations - Mapped tone modulations
-     * @param {number} noteStartTime - Start time of the note
+     * @param {number} noteStartTime - Start time of the note in seconds
+     * @param {Object} composition - Composition or timeline used to resolve modulation times
      * @returns {Array} Array of automation events for Tone.js
      */
-    static generateToneAutomationFromMIDI(toneModulations, noteStartTime) {
+    static generateToneAutomationFromMIDI(toneModulations, noteStartTime, composition = {}) {
         if (!toneModulations || !Array.isArray(toneModulations)) {
             return [];
         }
         
+        const startBeats = this.secondsToBeats(composition, noteStartTime);
+        
         return toneModulations.map(mod => ({
             target: mod.toneTarget,
             value: mod.toneValue,
-            time: noteStartTime + (typeof mod.time === 'string' ? 
-                this._parseTimeString(mod.time) : mod.time),
+            time: noteStartTime + this.durationToSeconds(composition, mod.time || 0, startBeats),
             frequency: mod.toneFrequency // For LFO-based modulations
         }));
     }
@@ -1181,43 +1710,345 @@ class jmonTone {
     }
 
     /**
-     * Parse musical time string to seconds (public method)
-     * @param {string} timeString - Musical time notation (e.g., "1:2:0", "4n", "2m")
-     * @param {number} bpm - Beats per minute for conversion
-     * @returns {number} Time in seconds
+     * Lint rules: rule code -> default severity and description
      */
-    static parseTimeString(timeString, bpm = 120) {
-        return this._parseTimeString(timeString, bpm);
-    }
+    static LINT_RULES = {
+        'synth-ref-target': { severity: 'error', description: 'synthRef must point to an existing synth or Sampler node' },
+        'connection-cycle': { severity: 'error', description: 'connections must not form a cycle' },
+        'no-destination': { severity: 'warning', description: 'every node needs a path to a Destination' },
+        'mono-overlap': { severity: 'warning', description: 'notes on a monophonic synth must not overlap' },
+        'sampler-range': { severity: 'warning', description: 'Sampler notes should stay within reach of the loaded samples' },
+        'dangling-preset-ref': { severity: 'error', description: 'presetRef must name a customPresets entry' },
+        'modulation-after-note': { severity: 'warning', description: 'modulation times should fall within the note duration' }
+    };
 
     /**
-     * Parse musical time string to seconds (helper function)
-     * @param {string} timeString - Musical time notation (e.g., "1:2:0", "4n", "2m")
-     * @param {number} bpm - Beats per minute for conversion
-     * @returns {number} Time in seconds
+     * Lint a composition for logical mistakes that structural validation does not catch
+     * @param {Object} composition - jmon composition
+     * @param {Object} options - Lint options
+     * @param {Object} options.rules - Per-rule overrides: false/'off' disables a rule, a severity string changes it
+     * @param {number} options.samplerRange - Semitones a Sampler may repitch beyond its outermost samples (default 12)
+     * @returns {Object} { success, diagnostics, errors, warnings } where each diagnostic has rule, severity, message and path
      */
-    static _parseTimeString(timeString, bpm = 120) {
-        if (typeof timeString === 'number') {
-            return timeString;
-        }
-        
-        if (typeof timeString !== 'string') {
-            console.warn(`Invalid time string: ${timeString}, defaulting to 0`);
-            return 0;
-        }
+    static lint(composition, options = {}) {
+        const overrides = options.rules || {};
+        const diagnostics = [];
 
-        try {
-            // Handle note values (4n, 8n, 1m, etc.)
-            if (timeString.match(/^\d+[nmhqwst]$/)) {
-                const noteValue = timeString.slice(0, -1);
-                const noteType = timeString.slice(-1);
-                
-                const beatLength = 60 / bpm; // seconds per beat
-                
-                switch (noteType) {
-                    case 'n': // note (quarter note = 1 beat)
-                        return beatLength * (4 / parseInt(noteValue));
-                    case 'm': // measure (4 beats)
+        const audioGraph = composition.audioGraph || [];
+        const nodes = new Map(audioGraph.map(node => [node.id, node]));
+        const context = {
+            composition,
+            audioGraph,
+            nodes,
+            connections: (composition.connections || []).filter(connection => Array.isArray(connection) && connection.length === 2),
+            samplerRange: options.samplerRange !== undefined ? options.samplerRange : 12
+        };
+
+        const checks = {
+            'synth-ref-target': this._lintSynthRefs,
+            'connection-cycle': this._lintConnectionCycles,
+            'no-destination': this._lintDestinationPaths,
+            'mono-overlap': this._lintMonoOverlaps,
+            'sampler-range': this._lintSamplerRanges,
+            'dangling-preset-ref': this._lintPresetRefs,
+            'modulation-after-note': this._lintModulationTimes
+        };
+
+        Object.entries(checks).forEach(([rule, check]) => {
+            const override = overrides[rule];
+            if (override === false || override === 'off') return;
+
+            const severity = typeof override === 'string' ? override : this.LINT_RULES[rule].severity;
+            const report = (message, path = '') => diagnostics.push({ rule, severity, message, path });
+            check.call(this, context, report);
+        });
+
+        return {
+            success: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+            diagnostics,
+            errors: diagnostics.filter(d => d.severity === 'error').map(d => `[${d.rule}] ${d.message}`),
+            warnings: diagnostics.filter(d => d.severity === 'warning').map(d => `[${d.rule}] ${d.message}`)
+        };
+    }
+
+    /**
+     * Check whether an audio graph node type plays notes
+     * @param {string} type - Node type
+     * @returns {boolean} True for synths and Samplers
+     */
+    static isSynthNode(type) {
+        return ['Synth', 'PolySynth', 'MonoSynth', 'AMSynth', 'FMSynth', 'DuoSynth', 'PluckSynth', 'NoiseSynth',
+            'MembraneSynth', 'MetalSynth', 'DrumKit', 'Sampler'].includes(type);
+    }
+
+    /**
+     * Lint rule: synthRef points to a node that can play notes (helper function)
+     * @param {Object} context - Lint context
+     * @param {Function} report - Diagnostic reporter
+     */
+    static _lintSynthRefs(context, report) {
+        if (context.audioGraph.length === 0) return;
+
+        (context.composition.sequences || []).forEach((sequence, index) => {
+            if (!sequence.synthRef) return;
+
+            const node = context.nodes.get(sequence.synthRef);
+            if (!node) {
+                report(`Sequence "${sequence.label}" references unknown node "${sequence.synthRef}"`, `/sequences/${index}/synthRef`);
+            } else if (!this.isSynthNode(node.type)) {
+                const kind = node.type === 'Destination' ? 'a Destination' : `effect node (${node.type})`;
+                report(`Sequence "${sequence.label}" uses ${kind} "${node.id}" as its synth`, `/sequences/${index}/synthRef`);
+            }
+        });
+    }
+
+    /**
+     * Lint rule: connections contain no cycles (helper function)
+     * @param {Object} context - Lint context
+     * @param {Function} report - Diagnostic reporter
+     */
+    static _lintConnectionCycles(context, report) {
+        const outgoing = this._connectionMap(context.connections);
+        const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+        const stack = [];
+        const reported = new Set();
+
+        const visit = id => {
+            state.set(id, 1);
+            stack.push(id);
+
+            (outgoing.get(id) || []).forEach(next => {
+                if (state.get(next) === 1) {
+                    const cycle = [...stack.slice(stack.indexOf(next)), next];
+                    const key = [...cycle.slice(0, -1)].sort().join('|');
+                    if (!reported.has(key)) {
+                        reported.add(key);
+                        const index = context.connections.findIndex(([source, target]) => source === id && target === next);
+                        report(`Connections form a cycle: ${cycle.join(' -> ')}`, `/connections/${index}`);
+                    }
+                } else if (state.get(next) === undefined) {
+                    visit(next);
+                }
+            });
+
+            stack.pop();
+            state.set(id, 2);
+        };
+
+        [...outgoing.keys()].forEach(id => {
+            if (state.get(id) === undefined) visit(id);
+        });
+    }
+
+    /**
+     * Lint rule: every node can reach a Destination (helper function)
+     * @param {Object} context - Lint context
+     * @param {Function} report - Diagnostic reporter
+     */
+    static _lintDestinationPaths(context, report) {
+        if (context.audioGraph.length === 0) return;
+
+        const outgoing = this._connectionMap(context.connections);
+        // "master" is the player's name for Tone.Destination, even without a node
+        const isDestination = id => id === 'master' || context.nodes.get(id)?.type === 'Destination';
+
+        context.audioGraph.forEach((node, index) => {
+            if (isDestination(node.id)) return;
+
+            const seen = new Set([node.id]);
+            const queue = [node.id];
+            let reachable = false;
+
+            while (queue.length > 0 && !reachable) {
+                (outgoing.get(queue.shift()) || []).forEach(next => {
+                    if (isDestination(next)) reachable = true;
+                    if (!seen.has(next)) {
+                        seen.add(next);
+                        queue.push(next);
+                    }
+                });
+            }
+
+            if (!reachable) {
+                report(`Node "${node.id}" (${node.type}) has no path to a Destination and will be silent`, `/audioGraph/${index}`);
+            }
+        });
+    }
+
+    /**
+     * Lint rule: notes on monophonic synths do not overlap (helper function)
+     * @param {Object} context - Lint context
+     * @param {Function} report - Diagnostic reporter
+     */
+    static _lintMonoOverlaps(context, report) {
+        const polyphonic = ['PolySynth', 'Sampler', 'DrumKit'];
+        const isMono = id => {
+            const node = context.nodes.get(id);
+            return node && this.isSynthNode(node.type) && !polyphonic.includes(node.type);
+        };
+
+        const { events } = this.render(context.composition);
+        const bySynth = new Map();
+        events.filter(event => event.type === 'noteOn' && isMono(event.synthRef)).forEach(event => {
+            if (!bySynth.has(event.synthRef)) bySynth.set(event.synthRef, []);
+            bySynth.get(event.synthRef).push(event);
+        });
+
+        const reported = new Set();
+        bySynth.forEach((notes, synthRef) => {
+            let previous = null;
+            notes.forEach(note => {
+                if (previous && note.beats < previous.beats + previous.duration.beats - 1e-9) {
+                    const key = `${previous.sequence}:${previous.noteIndex}|${note.sequence}:${note.noteIndex}`;
+                    if (!reported.has(key)) {
+                        reported.add(key);
+                        const what = previous.beats === note.beats ? 'starts together with' : 'overlaps';
+                        report(
+                            `Note ${note.noteName} at ${this.beatsToBarsBeatsTicks(context.composition, note.beats)} ${what} ` +
+                            `${previous.noteName} on monophonic ${context.nodes.get(synthRef).type} "${synthRef}"`,
+                            `/sequences/${note.sequence}/notes/${note.noteIndex}`
+                        );
+                    }
+                }
+                if (!previous || note.beats + note.duration.beats > previous.beats + previous.duration.beats) {
+                    previous = note;
+                }
+            });
+        });
+    }
+
+    /**
+     * Lint rule: Sampler notes stay near the loaded samples (helper function)
+     * @param {Object} context - Lint context
+     * @param {Function} report - Diagnostic reporter
+     */
+    static _lintSamplerRanges(context, report) {
+        (context.composition.sequences || []).forEach((sequence, sequenceIndex) => {
+            const node = context.nodes.get(sequence.synthRef);
+            if (!node || node.type !== 'Sampler' || !node.options?.urls) return;
+
+            const samples = Object.keys(node.options.urls)
+                .map(name => (/^\d+$/.test(name) ? parseInt(name, 10) : this.noteNameToMidiNote(name)));
+            if (samples.length === 0) return;
+
+            const low = Math.max(0, Math.min(...samples) - context.samplerRange);
+            const high = Math.min(127, Math.max(...samples) + context.samplerRange);
+
+            (sequence.notes || []).forEach((note, noteIndex) => {
+                [].concat(note.note).forEach(pitch => {
+                    const midi = typeof pitch === 'number' ? pitch : this.noteNameToMidiNote(String(pitch));
+                    if (midi < low || midi > high) {
+                        report(
+                            `Note ${this.midiNoteToNoteName(Math.max(0, Math.min(127, midi)))} is outside Sampler "${node.id}" range ` +
+                            `${this.midiNoteToNoteName(low)}-${this.midiNoteToNoteName(high)}`,
+                            `/sequences/${sequenceIndex}/notes/${noteIndex}/note`
+                        );
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Lint rule: presetRef values name a custom preset (helper function)
+     * @param {Object} context - Lint context
+     * @param {Function} report - Diagnostic reporter
+     */
+    static _lintPresetRefs(context, report) {
+        const presets = new Set((context.composition.customPresets || []).map(preset => preset.id));
+        const check = (presetRef, path) => {
+            if (presetRef !== undefined && !presets.has(presetRef)) {
+                report(`presetRef "${presetRef}" does not match any customPresets entry`, path);
+            }
+        };
+
+        context.audioGraph.forEach((node, index) => check(node.presetRef, `/audioGraph/${index}/presetRef`));
+        (context.composition.sequences || []).forEach((sequence, index) => {
+            if (sequence.synth) check(sequence.synth.presetRef, `/sequences/${index}/synth/presetRef`);
+            (sequence.effects || []).forEach((effect, effectIndex) =>
+                check(effect.presetRef, `/sequences/${index}/effects/${effectIndex}/presetRef`));
+        });
+    }
+
+    /**
+     * Lint rule: modulation times fall inside the note (helper function)
+     * @param {Object} context - Lint context
+     * @param {Function} report - Diagnostic reporter
+     */
+    static _lintModulationTimes(context, report) {
+        const timeline = this.createTimeline(context.composition);
+
+        (context.composition.sequences || []).forEach((sequence, sequenceIndex) => {
+            (sequence.notes || []).forEach((note, noteIndex) => {
+                if (!Array.isArray(note.modulations) || note.modulations.length === 0) return;
+
+                const timing = this.resolveNoteTiming(timeline, note);
+                note.modulations.forEach((mod, modIndex) => {
+                    const offset = this.durationToBeats(timeline, mod.time || 0, timing.startBeats);
+                    if (offset > timing.durationBeats + 1e-9) {
+                        report(
+                            `Modulation at ${mod.time} starts after the note ends (note lasts ${+timing.durationSeconds.toFixed(3)}s)`,
+                            `/sequences/${sequenceIndex}/notes/${noteIndex}/modulations/${modIndex}/time`
+                        );
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Build an adjacency map from connections (helper function)
+     * @param {Array} connections - [source, target] pairs
+     * @returns {Map} Source id -> target ids
+     */
+    static _connectionMap(connections) {
+        const outgoing = new Map();
+        connections.forEach(([source, target]) => {
+            if (!outgoing.has(source)) outgoing.set(source, []);
+            outgoing.get(source).push(target);
+        });
+        return outgoing;
+    }
+
+    /**
+     * Parse musical time string to seconds (public method)
+     * Bars are 4/4 here: timeToSeconds() follows a composition's meters and tempo map.
+     * @param {string} timeString - Musical time notation (e.g., "1:2:0", "4n", "2m")
+     * @param {number} bpm - Beats per minute for conversion
+     * @returns {number} Time in seconds
+     */
+    static parseTimeString(timeString, bpm = 120) {
+        return this._parseTimeString(timeString, bpm);
+    }
+
+    /**
+     * Parse musical time string to seconds (helper function)
+     * @param {string} timeString - Musical time notation (e.g., "1:2:0", "4n", "2m")
+     * @param {number} bpm - Beats per minute for conversion
+     * @returns {number} Time in seconds
+     */
+    static _parseTimeString(timeString, bpm = 120) {
+        if (typeof timeString === 'number') {
+            return timeString;
+        }
+        
+        if (typeof timeString !== 'string') {
+            console.warn(`Invalid time string: ${timeString}, defaulting to 0`);
+            return 0;
+        }
+
+        try {
+            // Handle note values (4n, 8n, 1m, etc.)
+            if (timeString.match(/^\d+[nmhqwst]$/)) {
+                const noteValue = timeString.slice(0, -1);
+                const noteType = timeString.slice(-1);
+                
+                const beatLength = 60 / bpm; // seconds per beat
+                
+                switch (noteType) {
+                    case 'n': // note (quarter note = 1 beat)
+                        return beatLength * (4 / parseInt(noteValue));
+                    case 'm': // measure (4 beats)
                         return beatLength * 4 * parseInt(noteValue);
                     case 'h': // half note
                         return beatLength * 2 * parseInt(noteValue);
@@ -1247,20 +2078,923 @@ class jmonTone {
                 
                 return bars * barLength + beats * beatLength + ticks * tickLength;
             }
-            
-            // Try parsing as a number
-            const parsed = parseFloat(timeString);
-            if (!isNaN(parsed)) {
-                return parsed;
+            
+            // Try parsing as a number
+            const parsed = parseFloat(timeString);
+            if (!isNaN(parsed)) {
+                return parsed;
+            }
+            
+            console.warn(`Unable to parse time string: ${timeString}, defaulting to 0`);
+            return 0;
+            
+        } catch (error) {
+            console.warn(`Error parsing time string ${timeString}:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Parse a time signature string into numerator and denominator
+     * @param {string} timeSignature - Time signature (e.g., "4/4", "6/8")
+     * @returns {Object} { numerator, denominator } (4/4 if invalid)
+     */
+    static parseTimeSignature(timeSignature) {
+        const match = typeof timeSignature === 'string' ? timeSignature.match(/^(\d+)\/(\d+)$/) : null;
+
+        if (!match || parseInt(match[1]) === 0 || parseInt(match[2]) === 0) {
+            console.warn(`Invalid time signature: ${timeSignature}, using 4/4`);
+            return { numerator: 4, denominator: 4 };
+        }
+
+        return { numerator: parseInt(match[1]), denominator: parseInt(match[2]) };
+    }
+
+    /**
+     * Build the meter map of a composition from timeSignature and timeSignatureMap.
+     * Meter changes take effect on a barline: a change written mid-bar starts at the next bar.
+     * @param {Object} composition - jmon composition
+     * @returns {Array} Meter segments sorted by position, each with
+     *   bar (0-based), beats (quarter notes from the start), numerator, denominator,
+     *   beatLength (quarter notes per meter beat) and barLength (quarter notes per bar)
+     */
+    static getMeterMap(composition = {}) {
+        const createSegment = (bar, beats, timeSignature) => {
+            const { numerator, denominator } = this.parseTimeSignature(timeSignature);
+            const beatLength = 4 / denominator;
+            return { bar, beats, numerator, denominator, beatLength, barLength: numerator * beatLength };
+        };
+
+        const meterMap = [createSegment(0, 0, composition.timeSignature || '4/4')];
+        const pending = (composition.timeSignatureMap || []).filter(change => change && change.timeSignature);
+
+        // Place changes one at a time: the position of a change given in seconds
+        // or note values depends on the meters that precede it
+        while (pending.length > 0) {
+            const bpm = composition.bpm || 120;
+            const timeline = { isTimeline: true, bpm, ticksPerBeat: this.TICKS_PER_BEAT, meterMap, tempoMap: [{ beats: 0, seconds: 0, bpm, endBpm: bpm }] };
+            let nextIndex = 0;
+            let nextBar = Infinity;
+
+            pending.forEach((change, index) => {
+                let bar;
+                if (typeof change.time === 'string' && change.time.includes(':')) {
+                    const [bars = 0, beats = 0, ticks = 0] = change.time.split(':').map(p => parseFloat(p) || 0);
+                    bar = Math.floor(bars) + (beats > 0 || ticks > 0 || bars % 1 > 0 ? 1 : 0);
+                } else {
+                    // Changes given in seconds are placed with the base tempo
+                    const beats = this.timeToBeats(timeline, change.time === undefined ? 0 : change.time);
+                    const segment = this._findSegment(meterMap, 'beats', beats);
+                    bar = segment.bar + Math.ceil((beats - segment.beats) / segment.barLength - 1e-9);
+                }
+
+                if (bar < nextBar) {
+                    nextBar = bar;
+                    nextIndex = index;
+                }
+            });
+
+            const [change] = pending.splice(nextIndex, 1);
+            const beats = this._barsBeatsTicksToBeats(meterMap, nextBar, 0, 0);
+            const segment = createSegment(nextBar, beats, change.timeSignature);
+
+            // A later change on the same bar replaces the earlier one
+            if (meterMap[meterMap.length - 1].bar === nextBar) {
+                meterMap[meterMap.length - 1] = segment;
+            } else {
+                meterMap.push(segment);
+            }
+        }
+
+        return meterMap;
+    }
+
+    /**
+     * Build the tempo map of a composition from bpm and tempoMap.
+     * An entry with interpolation "linear" ramps the tempo (accelerando/ritardando)
+     * from the previous entry to its own bpm; other entries change tempo immediately.
+     * @param {Object} composition - jmon composition
+     * @param {Array} meterMap - Meter map used to place bars:beats:ticks entries
+     * @returns {Array} Tempo segments sorted by position, each with beats and seconds at
+     *   its start, bpm at its start and endBpm reached at the next segment
+     */
+    static getTempoMap(composition = {}, meterMap = this.getMeterMap(composition)) {
+        const tempoMap = [{ beats: 0, seconds: 0, bpm: composition.bpm || 120, endBpm: composition.bpm || 120 }];
+        const pending = (composition.tempoMap || []).filter(change => change && typeof change.bpm === 'number' && change.bpm > 0);
+
+        // Place changes one at a time: the position of a change given in seconds
+        // depends on the tempo segments that precede it
+        while (pending.length > 0) {
+            const timeline = { isTimeline: true, bpm: tempoMap[0].bpm, ticksPerBeat: this.TICKS_PER_BEAT, meterMap, tempoMap };
+            let nextIndex = 0;
+            let nextBeats = Infinity;
+
+            pending.forEach((change, index) => {
+                const beats = Math.max(0, this.timeToBeats(timeline, change.time === undefined ? 0 : change.time));
+                if (beats < nextBeats) {
+                    nextBeats = beats;
+                    nextIndex = index;
+                }
+            });
+
+            const [change] = pending.splice(nextIndex, 1);
+            const previous = tempoMap[tempoMap.length - 1];
+
+            if (change.interpolation === 'linear' && nextBeats > previous.beats) {
+                previous.endBpm = change.bpm;
+            }
+
+            const segment = {
+                beats: nextBeats,
+                seconds: previous.seconds + this._segmentSeconds(previous, nextBeats - previous.beats, nextBeats - previous.beats),
+                bpm: change.bpm,
+                endBpm: change.bpm
+            };
+
+            // A later change at the same position replaces the earlier one
+            if (Math.abs(previous.beats - nextBeats) < 1e-9) {
+                tempoMap[tempoMap.length - 1] = segment;
+            } else {
+                tempoMap.push(segment);
+            }
+        }
+
+        return tempoMap;
+    }
+
+    /**
+     * Create a timeline that resolves musical times for a composition.
+     * Build it once and pass it instead of the composition when resolving many times.
+     * @param {Object} composition - jmon composition
+     * @returns {Object} Timeline with bpm, ticksPerBeat, meterMap and tempoMap
+     */
+    static createTimeline(composition = {}) {
+        const meterMap = this.getMeterMap(composition);
+
+        return {
+            isTimeline: true,
+            bpm: composition.bpm || 120,
+            ticksPerBeat: this.TICKS_PER_BEAT,
+            meterMap,
+            tempoMap: this.getTempoMap(composition, meterMap)
+        };
+    }
+
+    /**
+     * Get the meter segment in effect at a position
+     * @param {Object} composition - jmon composition or timeline
+     * @param {number} beats - Position in quarter notes
+     * @returns {Object} Meter segment (see getMeterMap)
+     */
+    static getMeterAt(composition, beats = 0) {
+        return this._findSegment(this._getTimeline(composition).meterMap, 'beats', beats);
+    }
+
+    /**
+     * Resolve a musical time to an absolute position.
+     * Accepts bars:beats:ticks ("2:1:240"), note values ("4n", "1m") counted from the start,
+     * and numbers (seconds, as everywhere else in the library).
+     * Beats in bars:beats:ticks count in the meter's denominator (eighth notes in 6/8);
+     * ticks are MIDI ticks (480 per quarter note).
+     * @param {Object} composition - jmon composition or timeline
+     * @param {string|number} time - Time to resolve
+     * @returns {Object} { beats, seconds, ticks, barsBeatsTicks } with beats in quarter notes
+     */
+    static resolveTime(composition, time) {
+        const timeline = this._getTimeline(composition);
+        const beats = this.timeToBeats(timeline, time);
+
+        return {
+            beats,
+            seconds: this.beatsToSeconds(timeline, beats),
+            ticks: Math.round(beats * timeline.ticksPerBeat),
+            barsBeatsTicks: this.beatsToBarsBeatsTicks(timeline, beats)
+        };
+    }
+
+    /**
+     * Resolve the start and duration of a note
+     * @param {Object} composition - jmon composition or timeline
+     * @param {Object} note - jmon note with time and duration
+     * @returns {Object} { startBeats, durationBeats, startSeconds, durationSeconds }
+     */
+    static resolveNoteTiming(composition, note) {
+        const timeline = this._getTimeline(composition);
+        const startBeats = this.timeToBeats(timeline, note.time || 0);
+        const durationBeats = this.durationToBeats(timeline, note.duration || '4n', startBeats);
+        const startSeconds = this.beatsToSeconds(timeline, startBeats);
+
+        return {
+            startBeats,
+            durationBeats,
+            startSeconds,
+            durationSeconds: this.beatsToSeconds(timeline, startBeats + durationBeats) - startSeconds
+        };
+    }
+
+    /**
+     * Convert an absolute musical time to quarter-note beats
+     * @param {Object} composition - jmon composition or timeline
+     * @param {string|number} time - bars:beats:ticks, note value or seconds
+     * @returns {number} Position in quarter notes
+     */
+    static timeToBeats(composition, time) {
+        const timeline = this._getTimeline(composition);
+
+        if (typeof time === 'number') {
+            return this.secondsToBeats(timeline, time);
+        }
+
+        if (typeof time !== 'string') {
+            console.warn(`Invalid time: ${time}, defaulting to 0`);
+            return 0;
+        }
+
+        if (time.includes(':')) {
+            const [bars = 0, beats = 0, ticks = 0] = time.split(':').map(p => parseFloat(p) || 0);
+            return this._barsBeatsTicksToBeats(timeline.meterMap, bars, beats, ticks);
+        }
+
+        // Measures as absolute times start that bar, across meter changes
+        const measures = time.match(/^(\d+(?:\.\d+)?)m$/);
+        if (measures) {
+            return this._barsBeatsTicksToBeats(timeline.meterMap, parseFloat(measures[1]), 0, 0);
+        }
+
+        // Note values as absolute times are counted from the start
+        return this.durationToBeats(timeline, time, 0);
+    }
+
+    /**
+     * Convert an absolute musical time to seconds
+     * @param {Object} composition - jmon composition or timeline
+     * @param {string|number} time - bars:beats:ticks, note value or seconds
+     * @returns {number} Time in seconds
+     */
+    static timeToSeconds(composition, time) {
+        const timeline = this._getTimeline(composition);
+        return this.beatsToSeconds(timeline, this.timeToBeats(timeline, time));
+    }
+
+    /**
+     * Convert a duration to quarter-note beats.
+     * "1m" and bars:beats:ticks durations use the meter in effect where the duration starts.
+     * @param {Object} composition - jmon composition or timeline
+     * @param {string|number} duration - Note value, bars:beats:ticks or seconds
+     * @param {number} atBeats - Start position of the duration in quarter notes
+     * @returns {number} Duration in quarter notes
+     */
+    static durationToBeats(composition, duration, atBeats = 0) {
+        const timeline = this._getTimeline(composition);
+
+        if (typeof duration === 'number') {
+            const startSeconds = this.beatsToSeconds(timeline, atBeats);
+            return this.secondsToBeats(timeline, startSeconds + duration) - atBeats;
+        }
+
+        if (typeof duration !== 'string') {
+            console.warn(`Invalid duration: ${duration}, defaulting to 0`);
+            return 0;
+        }
+
+        const meter = this._findSegment(timeline.meterMap, 'beats', atBeats);
+
+        const noteValue = duration.match(/^(\d+(?:\.\d+)?)([nmhqwst])$/);
+        if (noteValue) {
+            const value = parseFloat(noteValue[1]);
+            switch (noteValue[2]) {
+                case 'n': return 4 / value;
+                case 't': return (4 / value) * (2 / 3);
+                case 'm': return meter.barLength * value;
+                case 'h': return 2 * value;
+                case 'q': return value;
+                case 'w': return 4 * value;
+                case 's': return value / 4;
+            }
+        }
+
+        if (duration.includes(':')) {
+            const [bars = 0, beats = 0, ticks = 0] = duration.split(':').map(p => parseFloat(p) || 0);
+            return bars * meter.barLength + beats * meter.beatLength + ticks / timeline.ticksPerBeat;
+        }
+
+        const seconds = parseFloat(duration);
+        if (!isNaN(seconds)) {
+            return this.durationToBeats(timeline, seconds, atBeats);
+        }
+
+        console.warn(`Unable to parse duration: ${duration}, defaulting to 0`);
+        return 0;
+    }
+
+    /**
+     * Convert a duration to seconds
+     * @param {Object} composition - jmon composition or timeline
+     * @param {string|number} duration - Note value, bars:beats:ticks or seconds
+     * @param {number} atBeats - Start position of the duration in quarter notes
+     * @returns {number} Duration in seconds
+     */
+    static durationToSeconds(composition, duration, atBeats = 0) {
+        const timeline = this._getTimeline(composition);
+        const beats = this.durationToBeats(timeline, duration, atBeats);
+        return this.beatsToSeconds(timeline, atBeats + beats) - this.beatsToSeconds(timeline, atBeats);
+    }
+
+    /**
+     * Convert a quarter-note position to seconds
+     * @param {Object} composition - jmon composition or timeline
+     * @param {number} beats - Position in quarter notes
+     * @returns {number} Time in seconds
+     */
+    static beatsToSeconds(composition, beats) {
+        const { tempoMap } = this._getTimeline(composition);
+        const index = this._findSegmentIndex(tempoMap, 'beats', beats);
+        const segment = tempoMap[index];
+        const next = tempoMap[index + 1];
+
+        const length = next ? next.beats - segment.beats : Infinity;
+        return segment.seconds + this._segmentSeconds(segment, length, beats - segment.beats);
+    }
+
+    /**
+     * Convert seconds to a quarter-note position
+     * @param {Object} composition - jmon composition or timeline
+     * @param {number} seconds - Time in seconds
+     * @returns {number} Position in quarter notes
+     */
+    static secondsToBeats(composition, seconds) {
+        const { tempoMap } = this._getTimeline(composition);
+        const index = this._findSegmentIndex(tempoMap, 'seconds', seconds);
+        const segment = tempoMap[index];
+        const next = tempoMap[index + 1];
+
+        const offset = seconds - segment.seconds;
+        if (!next || segment.endBpm === segment.bpm) {
+            return segment.beats + offset * segment.bpm / 60;
+        }
+
+        const slope = (segment.endBpm - segment.bpm) / (next.beats - segment.beats);
+        return segment.beats + segment.bpm * (Math.exp(offset * slope / 60) - 1) / slope;
+    }
+
+    /**
+     * Get the tempo at a musical time, following ramps
+     * @param {Object} composition - jmon composition or timeline
+     * @param {string|number} time - bars:beats:ticks, note value or seconds
+     * @returns {number} Tempo in BPM
+     */
+    static getTempoAt(composition, time) {
+        const timeline = this._getTimeline(composition);
+        return this._tempoAtBeats(timeline, this.timeToBeats(timeline, time));
+    }
+
+    /**
+     * List tempo changes as immediate steps, for targets without tempo ramps (MIDI, SuperCollider).
+     * Ramps are sampled at the given resolution.
+     * @param {Object} composition - jmon composition or timeline
+     * @param {number} resolution - Step size for ramps in quarter notes
+     * @returns {Array} Steps with beats, seconds and bpm
+     */
+    static getTempoSteps(composition, resolution = 0.25) {
+        const timeline = this._getTimeline(composition);
+        const steps = [];
+
+        timeline.tempoMap.forEach((segment, index) => {
+            const next = timeline.tempoMap[index + 1];
+            steps.push({ beats: segment.beats, seconds: segment.seconds, bpm: segment.bpm });
+
+            if (next && segment.endBpm !== segment.bpm) {
+                // Use the mean tempo of each step so the ramp keeps its length in seconds
+                steps[steps.length - 1].bpm = this._meanTempo(timeline, segment.beats, Math.min(segment.beats + resolution, next.beats));
+
+                for (let beats = segment.beats + resolution; beats < next.beats - 1e-9; beats += resolution) {
+                    steps.push({
+                        beats,
+                        seconds: this.beatsToSeconds(timeline, beats),
+                        bpm: this._meanTempo(timeline, beats, Math.min(beats + resolution, next.beats))
+                    });
+                }
+            }
+        });
+
+        return steps;
+    }
+
+    /**
+     * Get the seconds elapsed inside one tempo segment (helper function)
+     * @param {Object} segment - Tempo segment with bpm and endBpm
+     * @param {number} length - Segment length in quarter notes
+     * @param {number} offset - Position inside the segment in quarter notes
+     * @returns {number} Seconds from the start of the segment
+     */
+    static _segmentSeconds(segment, length, offset) {
+        if (segment.endBpm === segment.bpm || !isFinite(length)) {
+            return offset * 60 / segment.bpm;
+        }
+
+        // Linear ramp in beats: integrate 60 / bpm(x) over the offset
+        const slope = (segment.endBpm - segment.bpm) / length;
+        return (60 / slope) * Math.log((segment.bpm + slope * offset) / segment.bpm);
+    }
+
+    /**
+     * Get the average tempo between two quarter-note positions (helper function)
+     * @param {Object} timeline - Timeline from createTimeline
+     * @param {number} startBeats - Start position in quarter notes
+     * @param {number} endBeats - End position in quarter notes
+     * @returns {number} Tempo in BPM
+     */
+    static _meanTempo(timeline, startBeats, endBeats) {
+        const seconds = this.beatsToSeconds(timeline, endBeats) - this.beatsToSeconds(timeline, startBeats);
+        return seconds > 0 ? (endBeats - startBeats) * 60 / seconds : this._tempoAtBeats(timeline, startBeats);
+    }
+
+    /**
+     * Get the tempo at a quarter-note position (helper function)
+     * @param {Object} timeline - Timeline from createTimeline
+     * @param {number} beats - Position in quarter notes
+     * @returns {number} Tempo in BPM
+     */
+    static _tempoAtBeats(timeline, beats) {
+        const index = this._findSegmentIndex(timeline.tempoMap, 'beats', beats);
+        const segment = timeline.tempoMap[index];
+        const next = timeline.tempoMap[index + 1];
+
+        if (!next || segment.endBpm === segment.bpm) {
+            return segment.bpm;
+        }
+
+        const progress = (beats - segment.beats) / (next.beats - segment.beats);
+        return segment.bpm + (segment.endBpm - segment.bpm) * progress;
+    }
+
+    /**
+     * Format a quarter-note position as bars:beats:ticks in the composition's meter
+     * @param {Object} composition - jmon composition or timeline
+     * @param {number} beats - Position in quarter notes
+     * @returns {string} Position such as "3:1:240"
+     */
+    static beatsToBarsBeatsTicks(composition, beats) {
+        const timeline = this._getTimeline(composition);
+        const segment = this._findSegment(timeline.meterMap, 'beats', beats);
+
+        const offset = Math.max(0, beats - segment.beats);
+        const bars = Math.floor(offset / segment.barLength + 1e-9);
+        const inBar = Math.max(0, offset - bars * segment.barLength);
+        const beat = Math.floor(inBar / segment.beatLength + 1e-9);
+        const ticks = Math.max(0, Math.round((inBar - beat * segment.beatLength) * timeline.ticksPerBeat));
+
+        return `${segment.bar + bars}:${beat}:${ticks}`;
+    }
+
+    /**
+     * Convert a bars:beats:ticks position to quarter notes (helper function)
+     * @param {Array} meterMap - Meter map from getMeterMap
+     * @returns {number} Position in quarter notes
+     */
+    static _barsBeatsTicksToBeats(meterMap, bars, beats, ticks) {
+        const segment = this._findSegment(meterMap, 'bar', bars);
+        return segment.beats +
+            (bars - segment.bar) * segment.barLength +
+            beats * segment.beatLength +
+            ticks / this.TICKS_PER_BEAT;
+    }
+
+    /**
+     * Find the last map entry whose key is at or before a value (helper function)
+     * @param {Array} map - Entries sorted by key
+     * @param {string} key - Property to compare
+     * @param {number} value - Position to look up
+     * @returns {Object} Matching entry (first entry if none precede the value)
+     */
+    static _findSegment(map, key, value) {
+        return map[this._findSegmentIndex(map, key, value)];
+    }
+
+    /**
+     * Find the index of the last map entry whose key is at or before a value (helper function)
+     * @param {Array} map - Entries sorted by key
+     * @param {string} key - Property to compare
+     * @param {number} value - Position to look up
+     * @returns {number} Index of the matching entry (0 if none precede the value)
+     */
+    static _findSegmentIndex(map, key, value) {
+        let found = 0;
+        for (let i = 0; i < map.length; i++) {
+            if (map[i][key] <= value + 1e-9) {
+                found = i;
+            } else {
+                break;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Return a timeline for a composition, or the timeline itself (helper function)
+     * @param {Object} source - jmon composition or timeline
+     * @returns {Object} Timeline
+     */
+    static _getTimeline(source) {
+        return source && source.isTimeline ? source : this.createTimeline(source || {});
+    }
+
+    /**
+     * Render a composition to a flat, time-sorted event list without Tone.js or a DOM.
+     * Loops are expanded, swing is applied to note starts, and every event carries its
+     * absolute position in ticks, quarter-note beats and seconds (tempo map and meter aware).
+     * Pitched noteOn events carry the frequency of the note in the composition's tuning.
+     * @param {Object} composition - jmon composition
+     * @param {Object} options - Render options
+     * @param {string|number} options.until - Render end (defaults to the end of the composition)
+     * @param {number} options.swing - Swing amount 0-1 (defaults to transport.swing)
+     * @param {string} options.swingSubdivision - Note value that swing applies to (default '8n')
+     * @returns {Object} Render with events, tempo and timeSignatures lists and total duration
+     */
+    static render(composition, options = {}) {
+        const timeline = this.createTimeline(composition);
+        const sequences = composition.sequences || [];
+        const swing = options.swing !== undefined ? options.swing : (composition.transport?.swing || 0);
+        const swingBeats = this.durationToBeats(timeline, options.swingSubdivision || '8n', 0);
+        const tuning = this.createTuning(composition.tuning);
+        const events = [];
+
+        const position = beats => ({
+            ticks: Math.round(beats * this.TICKS_PER_BEAT),
+            beats,
+            seconds: this.beatsToSeconds(timeline, beats)
+        });
+
+        // Tone.Transport swing: notes between subdivision pairs are pushed towards the triplet position
+        const applySwing = beats => {
+            if (swing <= 0 || swingBeats <= 0) return beats;
+            const progress = (beats % (swingBeats * 2)) / (swingBeats * 2);
+            return beats + Math.sin(progress * Math.PI) * swing * swingBeats * 2 / 3;
+        };
+
+        // Lay out every sequence once, then work out where the render ends
+        const passes = sequences.map(sequence => {
+            const notes = (sequence.notes || []).map(note => ({
+                note,
+                timing: this.resolveNoteTiming(timeline, note)
+            }));
+            const end = Math.max(0, ...notes.map(({ timing }) => timing.startBeats + timing.durationBeats));
+
+            let loopBeats = 0;
+            if (typeof sequence.loop === 'string') {
+                loopBeats = this.durationToBeats(timeline, sequence.loop, 0);
+            } else if (sequence.loop === true) {
+                loopBeats = end;
+            }
+
+            const loopEnd = loopBeats > 0 && sequence.loopEnd !== undefined ?
+                this.timeToBeats(timeline, sequence.loopEnd) : undefined;
+
+            return { sequence, notes, end, loopBeats, loopEnd, drums: this.isDrumSequence(composition, sequence) };
+        });
+
+        let endBeats;
+        if (options.until !== undefined) {
+            endBeats = this.timeToBeats(timeline, options.until);
+        } else {
+            endBeats = Math.max(0, ...passes.map(pass => {
+                if (pass.loopBeats <= 0) return pass.end;
+                return pass.loopEnd !== undefined ? pass.loopEnd : Math.max(pass.end, pass.loopBeats);
+            }));
+        }
+
+        passes.forEach(({ sequence, notes, loopBeats, loopEnd, drums }, sequenceIndex) => {
+            const repeatUntil = loopEnd !== undefined ? Math.min(loopEnd, endBeats) : endBeats;
+            const repeats = loopBeats > 0 ? Math.max(1, Math.ceil(repeatUntil / loopBeats - 1e-9)) : 1;
+            const source = {
+                sequence: sequenceIndex,
+                label: sequence.label,
+                synthRef: sequence.synthRef
+            };
+
+            for (let repeat = 0; repeat < repeats; repeat++) {
+                const offset = repeat * loopBeats;
+
+                notes.forEach(({ note, timing }, noteIndex) => {
+                    const startBeats = applySwing(timing.startBeats + offset);
+                    if (repeat > 0 && startBeats >= repeatUntil - 1e-9) return;
+
+                    const endNoteBeats = startBeats + timing.durationBeats;
+                    const channel = note.channel !== undefined ? note.channel : sequence.midiChannel;
+                    const written = [].concat(note.note);
+                    const pitches = written.map(pitch =>
+                        typeof pitch === 'number' ? pitch : this.noteNameToMidiNote(String(pitch)));
+                    const common = { ...source, noteIndex, channel };
+                    if (repeat > 0) common.repeat = repeat;
+
+                    pitches.forEach((pitch, pitchIndex) => {
+                        const noteOn = {
+                            type: 'noteOn',
+                            ...position(startBeats),
+                            ...common,
+                            note: pitch,
+                            noteName: this.midiNoteToNoteName(pitch),
+                            velocity: note.velocity !== undefined ? note.velocity : 0.8,
+                            duration: {
+                                ticks: Math.round(timing.durationBeats * this.TICKS_PER_BEAT),
+                                beats: timing.durationBeats,
+                                seconds: this.beatsToSeconds(timeline, endNoteBeats) - this.beatsToSeconds(timeline, startBeats)
+                            }
+                        };
+                        if (note.articulation) noteOn.articulation = note.articulation;
+                        if (note.microtuning !== undefined) noteOn.microtuning = note.microtuning;
+                        if (!drums) noteOn.frequency = this.noteToFrequency(written[pitchIndex], tuning, note.microtuning || 0);
+
+                        events.push(noteOn);
+                        events.push({ type: 'noteOff', ...position(endNoteBeats), ...common, note: pitch });
+                    });
+
+                    (note.modulations || []).forEach(mod => {
+                        const modBeats = startBeats + this.durationToBeats(timeline, mod.time || 0, startBeats);
+                        const event = { type: mod.type, ...position(modBeats), ...common, value: mod.value };
+                        if (mod.type === 'cc') event.controller = mod.controller;
+                        events.push(event);
+                    });
+                });
+            }
+        });
+
+        this._collectAutomationPoints(composition).forEach(point => {
+            const beats = this._automationTimeToBeats(timeline, point.time);
+            events.push({ ...point, type: 'automation', ...position(beats) });
+        });
+
+        // At equal times: note-offs first, then automation and controllers, then note-ons
+        const order = { noteOff: 0, automation: 1, noteOn: 3 };
+        events.sort((a, b) =>
+            a.ticks - b.ticks ||
+            a.beats - b.beats ||
+            (order[a.type] ?? 2) - (order[b.type] ?? 2) ||
+            (a.sequence ?? -1) - (b.sequence ?? -1));
+
+        return {
+            bpm: timeline.bpm,
+            ticksPerBeat: this.TICKS_PER_BEAT,
+            duration: position(Math.max(endBeats, ...events.map(event => event.beats))),
+            tempo: timeline.tempoMap.map(segment => ({
+                ...position(segment.beats),
+                bpm: segment.bpm,
+                endBpm: segment.endBpm
+            })),
+            timeSignatures: timeline.meterMap.map(segment => ({
+                ...position(segment.beats),
+                bar: segment.bar,
+                numerator: segment.numerator,
+                denominator: segment.denominator
+            })),
+            events
+        };
+    }
+
+    /**
+     * Gather automation points from the legacy array, legacy events and automation channels (helper function)
+     * @param {Object} composition - jmon composition
+     * @returns {Array} Points with target, time, value and channel details
+     */
+    static _collectAutomationPoints(composition) {
+        const automation = composition.automation;
+        if (!automation) return [];
+
+        // Legacy form: plain array of { target, time, value }
+        if (Array.isArray(automation)) {
+            return automation.map(event => ({ target: event.target, time: event.time || 0, value: event.value }));
+        }
+
+        if (automation.enabled === false) return [];
+
+        const points = (automation.events || []).map(event => ({
+            target: event.target,
+            time: event.time || 0,
+            value: event.value
+        }));
+
+        const channels = [...(automation.global || [])];
+        Object.entries(automation.sequences || {}).forEach(([sequenceId, list]) => {
+            (list || []).forEach(channel => channels.push({ sequenceId, ...channel }));
+        });
+
+        channels.filter(channel => channel.enabled !== false).forEach(channel => {
+            (channel.anchorPoints || []).forEach(anchor => {
+                const point = {
+                    target: channel.target,
+                    // Numeric anchor times are measures
+                    time: typeof anchor.time === 'number' ? { measures: anchor.time } : anchor.time,
+                    value: anchor.value,
+                    channelId: channel.id,
+                    interpolation: channel.interpolation || 'daw'
+                };
+                if (channel.sequenceId) point.sequenceId = channel.sequenceId;
+                if (channel.range) point.range = channel.range;
+                if (anchor.tangent !== undefined) point.tangent = anchor.tangent;
+                points.push(point);
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Resolve an automation point time to quarter notes (helper function)
+     * @param {Object} timeline - Timeline from createTimeline
+     * @param {string|number|Object} time - Musical time, seconds, or { measures } for channel anchors
+     * @returns {number} Position in quarter notes
+     */
+    static _automationTimeToBeats(timeline, time) {
+        if (time && typeof time === 'object') {
+            const bar = Math.floor(time.measures);
+            const barStart = this._barsBeatsTicksToBeats(timeline.meterMap, bar, 0, 0);
+            return barStart + (time.measures - bar) * this.getMeterAt(timeline, barStart).barLength;
+        }
+        return this.timeToBeats(timeline, time);
+    }
+
+    /**
+     * General MIDI level 1 program names, indexed by program number
+     */
+    static GM_PROGRAMS = [
+        'Acoustic Grand Piano', 'Bright Acoustic Piano', 'Electric Grand Piano', 'Honky-tonk Piano',
+        'Electric Piano 1', 'Electric Piano 2', 'Harpsichord', 'Clavinet',
+        'Celesta', 'Glockenspiel', 'Music Box', 'Vibraphone',
+        'Marimba', 'Xylophone', 'Tubular Bells', 'Dulcimer',
+        'Drawbar Organ', 'Percussive Organ', 'Rock Organ', 'Church Organ',
+        'Reed Organ', 'Accordion', 'Harmonica', 'Tango Accordion',
+        'Acoustic Guitar (nylon)', 'Acoustic Guitar (steel)', 'Electric Guitar (jazz)', 'Electric Guitar (clean)',
+        'Electric Guitar (muted)', 'Overdriven Guitar', 'Distortion Guitar', 'Guitar Harmonics',
+        'Acoustic Bass', 'Electric Bass (finger)', 'Electric Bass (pick)', 'Fretless Bass',
+        'Slap Bass 1', 'Slap Bass 2', 'Synth Bass 1', 'Synth Bass 2',
+        'Violin', 'Viola', 'Cello', 'Contrabass',
+        'Tremolo Strings', 'Pizzicato Strings', 'Orchestral Harp', 'Timpani',
+        'String Ensemble 1', 'String Ensemble 2', 'Synth Strings 1', 'Synth Strings 2',
+        'Choir Aahs', 'Voice Oohs', 'Synth Voice', 'Orchestra Hit',
+        'Trumpet', 'Trombone', 'Tuba', 'Muted Trumpet',
+        'French Horn', 'Brass Section', 'Synth Brass 1', 'Synth Brass 2',
+        'Soprano Sax', 'Alto Sax', 'Tenor Sax', 'Baritone Sax',
+        'Oboe', 'English Horn', 'Bassoon', 'Clarinet',
+        'Piccolo', 'Flute', 'Recorder', 'Pan Flute',
+        'Blown Bottle', 'Shakuhachi', 'Whistle', 'Ocarina',
+        'Lead 1 (square)', 'Lead 2 (sawtooth)', 'Lead 3 (calliope)', 'Lead 4 (chiff)',
+        'Lead 5 (charang)', 'Lead 6 (voice)', 'Lead 7 (fifths)', 'Lead 8 (bass + lead)',
+        'Pad 1 (new age)', 'Pad 2 (warm)', 'Pad 3 (polysynth)', 'Pad 4 (choir)',
+        'Pad 5 (bowed)', 'Pad 6 (metallic)', 'Pad 7 (halo)', 'Pad 8 (sweep)',
+        'FX 1 (rain)', 'FX 2 (soundtrack)', 'FX 3 (crystal)', 'FX 4 (atmosphere)',
+        'FX 5 (brightness)', 'FX 6 (goblins)', 'FX 7 (echoes)', 'FX 8 (sci-fi)',
+        'Sitar', 'Banjo', 'Shamisen', 'Koto',
+        'Kalimba', 'Bagpipe', 'Fiddle', 'Shanai',
+        'Tinkle Bell', 'Agogo', 'Steel Drums', 'Woodblock',
+        'Taiko Drum', 'Melodic Tom', 'Synth Drum', 'Reverse Cymbal',
+        'Guitar Fret Noise', 'Breath Noise', 'Seashore', 'Bird Tweet',
+        'Telephone Ring', 'Helicopter', 'Applause', 'Gunshot'
+    ];
+
+    /**
+     * GM/GS drum kit names by program number (percussion channel)
+     */
+    static GM_DRUM_KITS = {
+        0: 'Standard Kit', 8: 'Room Kit', 16: 'Power Kit', 24: 'Electronic Kit',
+        25: 'TR-808 Kit', 32: 'Jazz Kit', 40: 'Brush Kit', 48: 'Orchestra Kit', 56: 'SFX Kit'
+    };
+
+    /**
+     * GM percussion channel (channel 10, zero-based)
+     */
+    static GM_DRUM_CHANNEL = 9;
+
+    /**
+     * Look up a General MIDI program number by name or number
+     * Names match case-insensitively and ignore punctuation ("electric piano 1", "Acoustic Guitar nylon").
+     * @param {string|number} program - GM program name or number
+     * @param {boolean} drums - Look up drum kit names instead of melodic programs
+     * @returns {number|null} Program number (0-127), or null if unknown
+     */
+    static gmProgramNumber(program, drums = false) {
+        if (typeof program === 'number') {
+            return Number.isInteger(program) && program >= 0 && program <= 127 ? program : null;
+        }
+        if (typeof program !== 'string') return null;
+
+        const simplify = name => name.toLowerCase().replace(/[^a-z0-9+]/g, '');
+        const wanted = simplify(program);
+        const names = drums ?
+            Object.entries(this.GM_DRUM_KITS).map(([number, name]) => [parseInt(number, 10), name]) :
+            this.GM_PROGRAMS.map((name, number) => [number, name]);
+
+        const match = names.find(([, name]) => simplify(name) === wanted) ||
+            (drums ? names.find(([, name]) => simplify(name.replace(/ Kit$/, '')) === wanted) : null);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Get the General MIDI name of a program number
+     * @param {number} program - Program number (0-127)
+     * @param {boolean} drums - Name a drum kit instead of a melodic program
+     * @returns {string|number} GM name, or the number itself when it has no name
+     */
+    static gmProgramName(program, drums = false) {
+        if (drums) {
+            return this.GM_DRUM_KITS[program] || program;
+        }
+        return this.GM_PROGRAMS[program] || program;
+    }
+
+    /**
+     * Resolve the General MIDI instrument of a sequence
+     * The sequence's own midiInstrument wins over the one on its synthRef node; DrumKit nodes default to drums.
+     * @param {Object} composition - jmon composition
+     * @param {Object} sequence - Sequence of the composition
+     * @returns {Object|null} { program, bank, drums } with numbers, or null when nothing is declared
+     */
+    static getMidiInstrument(composition, sequence) {
+        const node = (composition.audioGraph || []).find(n => n.id === sequence.synthRef);
+        const declared = {
+            ...(node?.type === 'DrumKit' ? { drums: true } : {}),
+            ...(node?.midiInstrument || {}),
+            ...(sequence.midiInstrument || {})
+        };
+        if (Object.keys(declared).length === 0) return null;
+
+        const drums = declared.drums === true;
+        const resolved = { program: null, bank: null, drums };
+
+        if (declared.program !== undefined) {
+            resolved.program = this.gmProgramNumber(declared.program, drums);
+            if (resolved.program === null) {
+                console.warn(`⚠️  jmonTone: Unknown General MIDI ${drums ? 'drum kit' : 'program'} "${declared.program}" on sequence "${sequence.label}"`);
             }
-            
-            console.warn(`Unable to parse time string: ${timeString}, defaulting to 0`);
-            return 0;
-            
-        } catch (error) {
-            console.warn(`Error parsing time string ${timeString}:`, error);
-            return 0;
         }
+
+        if (Number.isInteger(declared.bank) && declared.bank >= 0 && declared.bank <= 16383) {
+            resolved.bank = declared.bank;
+        }
+
+        return resolved;
+    }
+
+    /**
+     * GM percussion key map: kit piece name -> MIDI note on channel 10
+     * The first name of each note is its canonical name; later ones are aliases.
+     */
+    static GM_DRUM_MAP = {
+        acousticKick: 35, kick: 36, bassDrum: 36, sideStick: 37, rimshot: 37, snare: 38, acousticSnare: 38,
+        clap: 39, handClap: 39, electricSnare: 40, lowFloorTom: 41, closedHat: 42, closedHiHat: 42, hiHat: 42,
+        highFloorTom: 43, pedalHat: 44, pedalHiHat: 44, lowTom: 45, openHat: 46, openHiHat: 46, lowMidTom: 47,
+        highMidTom: 48, crash: 49, crash1: 49, highTom: 50, ride: 51, ride1: 51, china: 52, rideBell: 53,
+        tambourine: 54, splash: 55, cowbell: 56, crash2: 57, vibraslap: 58, ride2: 59, highBongo: 60,
+        lowBongo: 61, muteHighConga: 62, openHighConga: 63, lowConga: 64, highTimbale: 65, lowTimbale: 66,
+        highAgogo: 67, lowAgogo: 68, cabasa: 69, maracas: 70, shortWhistle: 71, longWhistle: 72,
+        shortGuiro: 73, longGuiro: 74, claves: 75, highWoodBlock: 76, lowWoodBlock: 77, muteCuica: 78,
+        openCuica: 79, muteTriangle: 80, openTriangle: 81
+    };
+
+    /**
+     * Look up the GM drum map note of a kit piece
+     * Names match case-insensitively and ignore punctuation ("closed hat", "Closed-HiHat").
+     * @param {string} piece - Kit piece name (e.g., "kick", "snare", "closedHat")
+     * @returns {number|null} MIDI note number, or null if the name is not a kit piece
+     */
+    static drumNoteNumber(piece) {
+        if (typeof piece !== 'string') return null;
+        const wanted = piece.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const match = Object.keys(this.GM_DRUM_MAP).find(name => name.toLowerCase() === wanted);
+        return match ? this.GM_DRUM_MAP[match] : null;
+    }
+
+    /**
+     * Get the canonical kit piece name of a GM drum map note
+     * @param {number} midiNote - MIDI note number
+     * @returns {string|null} Kit piece name, or null outside the GM drum map (35-81)
+     */
+    static drumPieceName(midiNote) {
+        const match = Object.entries(this.GM_DRUM_MAP).find(([, number]) => number === midiNote);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Replace kit piece names with the note names of their GM drum map notes (helper function)
+     * @param {string|number|Array} note - Note, chord or kit piece(s)
+     * @returns {string|number|Array} Same shape, with kit pieces as note names
+     */
+    static _drumPiecesToNoteNames(note) {
+        if (Array.isArray(note)) return note.map(n => this._drumPiecesToNoteNames(n));
+        const drumNote = this.drumNoteNumber(note);
+        return drumNote !== null ? this.midiNoteToNoteName(drumNote) : note;
+    }
+
+    /**
+     * Check whether a sequence is a percussion part
+     * Sequences playing a DrumKit node, declaring a drums midiInstrument or sent to MIDI channel 10 are drum parts.
+     * @param {Object} composition - jmon composition
+     * @param {Object} sequence - Sequence of the composition
+     * @returns {boolean} True for drum sequences
+     */
+    static isDrumSequence(composition, sequence) {
+        if (sequence.midiChannel === this.GM_DRUM_CHANNEL) return true;
+        const instrument = this.getMidiInstrument(composition, sequence);
+        return instrument !== null && instrument.drums;
     }
 
     /**
@@ -1490,16 +3224,18 @@ class jmonTone {
 
     /**
      * Create a controllable player for a JMON composition
-     * @param {Object} composition - JMON composition (or any compatible format)
-     * @returns {Object} Player object with play/stop/pause controls
+     * @param {Object} composition - JMON composition (or any compatible format), loaded on the first play()
+     * @param {Object} options - Player options (positionInterval)
+     * @returns {JmonPlayer} Player with load/play/pause/stop/seek, loop region, tempo override and events
      */
-    static createPlayer(composition) {
-        return new JmonPlayer(composition);
+    static createPlayer(composition, options = {}) {
+        return new JmonPlayer(composition, options);
     }
 
     /**
      * Play a JMON composition using Tone.js (simple one-shot playback)
      * @param {Object} composition - JMON composition with synthConfig and converterHints (or any compatible format)
+     * @returns {Promise<JmonPlayer>} The playing player, to stop or dispose it later
      */
     static async playComposition(composition) {
         const player = this.createPlayer(composition);
@@ -1517,8 +3253,45 @@ class jmonTone {
         await Tone.start();
         console.log(`Tone.js started successfully, context state: ${Tone.context.state}`);
         
-        const { synthConfig = {}, converterHints = {} } = normalizedComposition;
+        const { converterHints = {} } = normalizedComposition;
         const toneHints = converterHints.tone || {};
+        const { synthMap, effectsMap } = await this._createAudioNodes(normalizedComposition);
+        
+        const now = Tone.now();
+        const timeline = this.createTimeline(normalizedComposition);
+        const tuning = this.createTuning(normalizedComposition.tuning);
+        
+        // Loop through sequences and notes
+        normalizedComposition.sequences.forEach(seq => {
+            // Get the synth for this sequence
+            const synth = synthMap.get(seq.synthRef);
+            
+            if (!synth) {
+                console.error(`Synth not found for synthRef: ${seq.synthRef}`);
+                return;
+            }
+            
+            seq.notes.forEach((note, index) => {
+                const timing = this.resolveNoteTiming(timeline, note);
+                const t0 = now + timing.startSeconds;
+                const duration = timing.durationSeconds;
+                // Modulation times are relative to the note start
+                const modulationTime = time => t0 + this.durationToSeconds(timeline, time, timing.startBeats);
+                
+                this._triggerNote(synth, note, t0, duration, tuning);
+                this._scheduleNoteModulations({ synth, note, t0, duration, modulationTime, toneHints, effectsMap, tuning });
+            });
+        });
+    }
+
+    /**
+     * Create the Tone.js synths and effects of a composition's audio graph and connect them (helper function)
+     * Samplers are awaited until their samples load (or time out).
+     * @param {Object} normalizedComposition - Normalized jmon composition
+     * @returns {Promise<Object>} { synthMap, effectsMap, allNodes } keyed by node id
+     */
+    static async _createAudioNodes(normalizedComposition) {
+        const { synthConfig = {} } = normalizedComposition;
         
         // Create a map of synths based on audioGraph nodes
         const synthMap = new Map();
@@ -1605,38 +3378,7 @@ class jmonTone {
             } else if (node.type !== 'Destination' && !this.isEffectNode(node.type)) {
                 // Handle other synth types (exclude effects)
                 try {
-                    let synth;
-                    const synthOptions = node.options || {};
-                    
-                    switch (node.type) {
-                        case 'Synth':
-                            synth = new Tone.Synth(synthOptions);
-                            break;
-                        case 'PolySynth':
-                            synth = new Tone.PolySynth(synthOptions);
-                            break;
-                        case 'MonoSynth':
-                            synth = new Tone.MonoSynth(synthOptions);
-                            break;
-                        case 'AMSynth':
-                            synth = new Tone.AMSynth(synthOptions);
-                            break;
-                        case 'FMSynth':
-                            synth = new Tone.FMSynth(synthOptions);
-                            break;
-                        case 'DuoSynth':
-                            synth = new Tone.DuoSynth(synthOptions);
-                            break;
-                        case 'PluckSynth':
-                            synth = new Tone.PluckSynth(synthOptions);
-                            break;
-                        case 'NoiseSynth':
-                            synth = new Tone.NoiseSynth(synthOptions);
-                            break;
-                        default:
-                            console.warn(`Unknown synth type: ${node.type}, using basic Synth`);
-                            synth = new Tone.Synth(synthOptions);
-                    }
+                    const synth = this.createSynth(node.type, node.options || {});
                     
                     synthMap.set(node.id, synth);
                     console.log(`Created ${node.type}: ${node.id}`);
@@ -1720,206 +3462,610 @@ class jmonTone {
             throw new Error('Missing audio graph connections. Please define connections in the audioGraph.');
         }
         
-        const now = Tone.now();
+        return { synthMap, effectsMap, allNodes };
+    }
+
+    /**
+     * Trigger one jmon note on a Tone.js synth (helper function)
+     * @param {Object} synth - Tone.js synth, Sampler or drum kit
+     * @param {Object} note - jmon note
+     * @param {number} t0 - Start time in audio context seconds
+     * @param {number} duration - Duration in seconds
+     * @param {Object} tuning - Resolved tuning (null for 12-tone equal temperament)
+     */
+    static _triggerNote(synth, note, t0, duration, tuning = null) {
+        // Calculate natural release time based on note duration
+        // Release should take a portion of the note duration for natural fade
+        const releasePercentage = 0.3; // Release takes 30% of note duration
+        const naturalRelease = duration * releasePercentage;
         
-        // Loop through sequences and notes
-        normalizedComposition.sequences.forEach(seq => {
-            // Get the synth for this sequence
-            const synth = synthMap.get(seq.synthRef);
+        // Set the sampler's release time for this note (if supported)
+        if (synth.release !== undefined && typeof synth.release !== 'function') {
+            synth.release = naturalRelease;
+        }
+        
+        console.log(`Natural envelope: Note ${note.note} duration=${duration.toFixed(2)}s, release=${naturalRelease.toFixed(2)}s`);
+        
+        // Kit piece names only mean something to a DrumKit; other synths play their GM drum map pitch,
+        // as frequencies when the composition is tuned or the note has microtuning
+        let pitch = synth.isDrumKit ? note.note : this._drumPiecesToNoteNames(note.note);
+        if (!synth.isDrumKit && (tuning || note.microtuning)) {
+            pitch = this.noteToFrequency(pitch, tuning, note.microtuning || 0);
+        }
+        
+        // Use triggerAttackRelease for cleaner note handling
+        try {
+            if (synth.triggerAttackRelease) {
+                synth.triggerAttackRelease(pitch, duration, t0, note.velocity);
+            } else {
+                // Fallback for synths that don't support triggerAttackRelease
+                synth.triggerAttack(pitch, t0, note.velocity);
+                if (synth.triggerRelease) {
+                    synth.triggerRelease(pitch, t0 + duration);
+                }
+            }
+        } catch (error) {
+            console.warn(`Error triggering note ${note.note}:`, error);
+        }
+    }
+
+    /**
+     * Schedule the pitch bend and CC modulations of one note (helper function)
+     * @param {Object} context - Scheduling context
+     * @param {Object} context.synth - Tone.js synth playing the note
+     * @param {Object} context.note - jmon note with modulations
+     * @param {number} context.t0 - Note start in audio context seconds
+     * @param {number} context.duration - Note duration in seconds
+     * @param {Function} context.modulationTime - Converts a modulation time (relative to the note) to audio context seconds
+     * @param {Object} context.toneHints - converterHints.tone
+     * @param {Map} context.effectsMap - Effect nodes by id
+     * @param {Object} context.tuning - Resolved tuning (null for 12-tone equal temperament)
+     * @returns {Array} Tone.LFO nodes created for vibrato, stopped at the note end but not disposed
+     */
+    static _scheduleNoteModulations({ synth, note, t0, duration, modulationTime, toneHints, effectsMap, tuning = null }) {
+        const lfos = [];
+        // Handle modulations only if the note was successfully triggered
+        if (note.modulations && Array.isArray(note.modulations)) {
+            // Pitch Bend - handle all pitch bend events sequentially
+            const bends = note.modulations.filter(m => m.type === 'pitchBend');
+            // Bends are relative to the tuned pitch of the note
+            const baseFreq = this.noteToFrequency(this._drumPiecesToNoteNames([].concat(note.note)[0]), tuning, note.microtuning || 0);
+            const isSamplerType = synth.constructor.name === 'Sampler' || synth._buffer !== undefined;
             
-            if (!synth) {
-                console.error(`Synth not found for synthRef: ${seq.synthRef}`);
-                return;
+            if (bends.length > 0 && isSamplerType) {
+                console.warn(`⚠️  Pitch bend with Samplers uses playbackRate, which affects both pitch AND playback speed. For true pitch bending without timing changes, use oscillator-based synths.`);
             }
             
-            seq.notes.forEach((note, index) => {
-                const t0 = now + note.time;
-                
-                // Calculate natural release time based on note duration
-                // Release should take a portion of the note duration for natural fade
-                const releasePercentage = 0.3; // Release takes 30% of note duration
-                const naturalRelease = note.duration * releasePercentage;
-                
-                // Set the sampler's release time for this note (if supported)
-                if (synth.release !== undefined && typeof synth.release !== 'function') {
-                    synth.release = naturalRelease;
+            bends.forEach((bend, idx) => {
+                try {
+                    const cents = (bend.value / 8192) * 1200;
+                    const bendTime = modulationTime(bend.time);
+                    
+                    console.log(`Pitch bend ${idx}: value=${bend.value}, cents=${cents.toFixed(1)}, time=${bend.time}`);
+                    
+                    // For Samplers, use playbackRate to achieve pitch bending
+                    if (synth.playbackRate) {
+                        const playbackRateMultiplier = Math.pow(2, cents / 1200);
+                        if (idx === 0) {
+                            synth.playbackRate.setValueAtTime(playbackRateMultiplier, bendTime);
+                        } else {
+                            synth.playbackRate.exponentialRampToValueAtTime(playbackRateMultiplier, bendTime);
+                        }
+                    } else if (synth.frequency) {
+                        // Fallback for regular synths
+                        const bendedFreq = baseFreq * Math.pow(2, cents / 1200);
+                        if (idx === 0) {
+                            synth.frequency.setValueAtTime(bendedFreq, bendTime);
+                        } else {
+                            synth.frequency.exponentialRampToValueAtTime(bendedFreq, bendTime);
+                        }
+                    }
+                } catch (error) {
+                    console.warn(`Error applying pitch bend:`, error);
+                }
+            });
+            
+            // Reset pitch at note end if there were any bends
+            if (bends.length > 0) {
+                try {
+                    if (synth.playbackRate) {
+                        synth.playbackRate.exponentialRampToValueAtTime(1, t0 + duration);
+                    } else if (synth.frequency) {
+                        synth.frequency.exponentialRampToValueAtTime(baseFreq, t0 + duration);
+                    }
+                } catch (error) {
+                    console.warn(`Error resetting pitch:`, error);
                 }
+            }
+        }
+        // CC variations (and aftertouch when converterHints.tone.aftertouch maps it)
+        const ccMods = (note.modulations || []).filter(m => m.type === 'cc' || (m.type === 'aftertouch' && toneHints.aftertouch));
+        if (ccMods.length > 0) {
+            console.log(`🎛️  Processing ${ccMods.length} CC modulation(s) for note ${note.note}`);
+        }
+        ccMods.forEach((mod, i, arr) => {
+                const tm = modulationTime(mod.time);
+                const hint = toneHints[mod.type === 'aftertouch' ? 'aftertouch' : `cc${mod.controller}`] || {};
+                const norm = mod.value / 127;
+                const isSamplerType = synth.constructor.name === 'Sampler' || synth._buffer !== undefined;
                 
-                console.log(`Natural envelope: Note ${note.note} duration=${note.duration.toFixed(2)}s, release=${naturalRelease.toFixed(2)}s`);
+                // If hint.target refers to an effect node ID, handle it directly
+                if (hint.target && effectsMap.has(hint.target)) {
+                    const effectNode = effectsMap.get(hint.target);
+                    const parameter = hint.parameter || 'frequency'; // default parameter
+                    const [minVal, maxVal] = hint.depthRange || [0, 1];
+                    const value = minVal + (maxVal - minVal) * norm;
+                    
+                    if (effectNode[parameter] && typeof effectNode[parameter].setValueAtTime === 'function') {
+                        effectNode[parameter].setValueAtTime(value, tm);
+                        console.log(`🎛️  CC${mod.controller} -> ${hint.target}.${parameter} = ${value.toFixed(3)} at ${tm.toFixed(2)}s`);
+                        
+                        // Handle ramping to next value of same type
+                        const nextMod = arr[i + 1];
+                        if (nextMod && nextMod.controller === mod.controller) {
+                            const nextHint = toneHints[nextMod.type === 'aftertouch' ? 'aftertouch' : `cc${nextMod.controller}`] || {};
+                            if (nextHint.target === hint.target && nextHint.parameter === parameter) {
+                                const nextNorm = nextMod.value / 127;
+                                const nextValue = minVal + (maxVal - minVal) * nextNorm;
+                                const nextTime = modulationTime(nextMod.time);
+                                effectNode[parameter].linearRampToValueAtTime(nextValue, nextTime);
+                                console.log(`🎛️  CC${mod.controller} ramping to ${nextValue.toFixed(3)} at ${nextTime.toFixed(2)}s`);
+                            }
+                        }
+                    } else {
+                        console.warn(`⚠️  Effect ${hint.target}.${parameter} parameter not found or not controllable`);
+                    }
+                    return; // Skip the legacy switch statement
+                }
                 
-                // Use triggerAttackRelease for cleaner note handling
-                try {
-                    if (synth.triggerAttackRelease) {
-                        synth.triggerAttackRelease(note.note, note.duration, t0, note.velocity);
+                switch (hint.target) {
+                    case 'vibrato': {
+                        if (isSamplerType) {
+                            // For Samplers, create vibrato using playbackRate modulation
+                            // Convert cents to playbackRate ratio (cents/1200 = semitones, 2^(semitones/12) = ratio)
+                            const [minCents = -50, maxCents = 50] = hint.depthRange || [-50, 50];
+                            const minRatio = Math.pow(2, minCents / 1200);
+                            const maxRatio = Math.pow(2, maxCents / 1200);
+                            const currentRatio = minRatio + (maxRatio - minRatio) * norm;
+                            const lfoFreq = hint.frequency || 6;
+                            
+                            // Create LFO that oscillates around the current ratio
+                            const depth = (maxRatio - minRatio) / 2;
+                            const center = (minRatio + maxRatio) / 2;
+                            if (synth.playbackRate) {
+                                const lfo = new Tone.LFO(lfoFreq, center - depth, center + depth);
+                                lfos.push(lfo);
+                                lfo.connect(synth.playbackRate);
+                                lfo.start(tm);
+                                lfo.stop(t0 + duration);
+                                console.log(`Sampler vibrato applied: freq=${lfoFreq}Hz, cents range=${minCents}-${maxCents}, playbackRate=${center.toFixed(3)}±${depth.toFixed(3)}`);
+                            }
+                        } else {
+                            // For regular synths, apply vibrato via LFO to detune
+                            const [mn = -50, mx = 50] = hint.depthRange || [-50, 50];
+                            if (synth.detune) {
+                                const lfo = new Tone.LFO(hint.frequency || 6, mn, mx);
+                                lfos.push(lfo);
+                                lfo.connect(synth.detune);
+                                lfo.start(tm);
+                                lfo.stop(t0 + duration);
+                                console.log(`Vibrato applied: freq=${hint.frequency || 6}Hz, depth=${mn}-${mx}cents`);
+                            }
+                        }
+                        break;
+                    }
+                    case 'tremolo': {
+                        console.warn(`⚠️  Legacy 'tremolo' target is deprecated. Use specific effect node IDs instead (e.g., 'tremoloEffect').`);
+                        break;
+                    }
+                    case 'filter': {
+                        console.warn(`⚠️  Legacy 'filter' target is deprecated. Use specific effect node IDs instead (e.g., 'filterEffect').`);
+                        break;
+                    }
+                    default: {
+                        // Fallback: if no specific target is defined, default to volume control
+                        if (!hint.target) {
+                            console.warn(`CC${mod.controller} has no target defined in converterHints, defaulting to volume control`);
+                            // Apply volume modulation to synth
+                            if (synth.volume) {
+                                const dbValue = -20 + (norm * 20); // -20dB to 0dB range
+                                synth.volume.setValueAtTime(dbValue, tm);
+                                console.log(`🔊 Volume set to ${dbValue.toFixed(1)}dB`);
+                            }
+                        } else {
+                            console.warn(`⚠️  Unknown modulation target: ${hint.target}`);
+                        }
+                        break;
+                    }
+                }
+            });
+        return lfos;
+    }
+
+    /**
+     * One entry per played jmon note from a render() result (helper function)
+     * render() splits chords into one noteOn per pitch; players trigger the jmon note once, chord and modulations included.
+     * @param {Object} composition - Normalized jmon composition
+     * @param {Object} rendered - Result of render(composition)
+     * @returns {Array} noteOn events (first pitch of each note, loops and swing applied) with the jmon note as `note`
+     */
+    static _playableNotes(composition, rendered) {
+        const seen = new Set();
+        return rendered.events.filter(event => {
+            if (event.type !== 'noteOn') return false;
+            const key = `${event.sequence}:${event.noteIndex}:${event.repeat || 0}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).map(event => ({ ...event, note: composition.sequences[event.sequence].notes[event.noteIndex] }));
+    }
+
+    /**
+     * Render a composition offline with Tone.js and encode it as a WAV file
+     * Uses the same audio graph, connections and modulation handling as playback, in an OfflineAudioContext.
+     * @param {Object} composition - jmon composition (or any compatible format)
+     * @param {Object} options - Render options
+     * @param {number} options.sampleRate - Sample rate in Hz (default 44100)
+     * @param {number} options.channels - 1 (mono) or 2 (stereo, default)
+     * @param {number|string} options.bitDepth - 16 (default), 24, or 32/'float' for 32-bit float
+     * @param {boolean|number} options.normalize - Scale the peak to -1 dBFS (true) or to the given dBFS
+     * @param {number} options.tail - Seconds rendered after the last note (default: estimated release and effect tails)
+     * @returns {Promise<ArrayBuffer>} WAV file
+     */
+    static async renderToWav(composition, options = {}) {
+        if (typeof Tone === 'undefined' || typeof Tone.Offline !== 'function') {
+            throw new Error('Tone.js is required for renderToWav (for Node without Web Audio, use the pure-JS renderer)');
+        }
+
+        const sampleRate = options.sampleRate || 44100;
+        const channels = options.channels === 1 ? 1 : 2;
+        const normalizedComposition = this.normalize(composition);
+        const timeline = this.createTimeline(normalizedComposition);
+        const rendered = this.render(normalizedComposition);
+        const tail = options.tail !== undefined ? options.tail : this._estimateTail(normalizedComposition, timeline);
+        const toneHints = normalizedComposition.converterHints?.tone || {};
+        const tuning = this.createTuning(normalizedComposition.tuning);
+
+        const buffer = await Tone.Offline(async () => {
+            // Note-value effect times ("8n") resolve against the transport tempo
+            Tone.Transport.bpm.value = timeline.bpm;
+
+            const { synthMap, effectsMap } = await this._createAudioNodes(normalizedComposition);
+            await Tone.loaded();
+            await Promise.all([...effectsMap.values()].map(effect => effect.ready).filter(Boolean));
+
+            this._playableNotes(normalizedComposition, rendered).forEach(event => {
+                const synth = synthMap.get(event.synthRef);
+                if (!synth) return;
+
+                const t0 = event.seconds;
+                const duration = event.duration.seconds;
+                // Modulation times are relative to the note start
+                const modulationTime = time => t0 + this.durationToSeconds(timeline, time, event.beats);
+
+                this._triggerNote(synth, event.note, t0, duration, tuning);
+                this._scheduleNoteModulations({ synth, note: event.note, t0, duration, modulationTime, toneHints, effectsMap, tuning });
+            });
+        }, rendered.duration.seconds + tail, channels, sampleRate);
+
+        let channelData = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+        if (options.normalize) {
+            channelData = this.normalizePeak(channelData, options.normalize === true ? -1 : options.normalize);
+        }
+
+        console.log(`✅ jmonTone: Rendered ${(rendered.duration.seconds + tail).toFixed(2)}s at ${sampleRate} Hz`);
+        return this.encodeWav(channelData, sampleRate, { bitDepth: options.bitDepth });
+    }
+
+    /**
+     * Estimate how long a composition keeps sounding after its last note ends (helper function)
+     * Longest synth release plus the longest reverb or delay tail.
+     * @param {Object} composition - Normalized jmon composition
+     * @param {Object} timeline - Timeline from createTimeline
+     * @returns {number} Tail in seconds
+     */
+    static _estimateTail(composition, timeline) {
+        let release = 0;
+        let effectTail = 0;
+
+        (composition.audioGraph || []).forEach(node => {
+            const options = node.options || {};
+            if (this.isSynthNode(node.type)) {
+                release = Math.max(release, options.release ?? options.envelope?.release ?? 1);
+            }
+
+            switch (node.type) {
+                case 'Reverb':
+                    effectTail = Math.max(effectTail, (options.decay || 1.5) + (options.preDelay || 0.01));
+                    break;
+                case 'JCReverb':
+                case 'Freeverb':
+                    effectTail = Math.max(effectTail, 4 * (options.roomSize || (node.type === 'JCReverb' ? 0.5 : 0.7)));
+                    break;
+                case 'Delay':
+                    effectTail = Math.max(effectTail, this.durationToSeconds(timeline, options.delayTime || 0.25, 0));
+                    break;
+                case 'FeedbackDelay':
+                case 'PingPongDelay': {
+                    const delay = this.durationToSeconds(timeline, options.delayTime || (node.type === 'FeedbackDelay' ? '8n' : '4n'), 0);
+                    const feedback = Math.min(options.feedback || (node.type === 'FeedbackDelay' ? 0.4 : 0.3), 0.99);
+                    // Repeats until the echo has dropped by 60 dB
+                    const repeats = Math.ceil(Math.log(0.001) / Math.log(feedback));
+                    effectTail = Math.max(effectTail, Math.min(delay * repeats, 30));
+                    break;
+                }
+            }
+        });
+
+        return release + effectTail;
+    }
+
+    /**
+     * Scale audio so its loudest sample hits a target level
+     * @param {Array<Float32Array>} channelData - One array of samples per channel
+     * @param {number} peakDb - Target peak in dBFS (e.g. -1)
+     * @returns {Array<Float32Array>} Scaled copies (the input is returned as-is when silent)
+     */
+    static normalizePeak(channelData, peakDb = -1) {
+        const peak = channelData.reduce((max, samples) => {
+            for (let i = 0; i < samples.length; i++) max = Math.max(max, Math.abs(samples[i]));
+            return max;
+        }, 0);
+        if (peak === 0) return channelData;
+
+        const gain = Math.pow(10, peakDb / 20) / peak;
+        return channelData.map(samples => Float32Array.from(samples, sample => sample * gain));
+    }
+
+    /**
+     * Encode audio samples as a WAV file
+     * @param {Array<Float32Array>} channelData - One array of samples (-1..1) per channel
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Encoding options
+     * @param {number|string} options.bitDepth - 16 (default), 24, or 32/'float' for 32-bit IEEE float
+     * @returns {ArrayBuffer} WAV file
+     */
+    static encodeWav(channelData, sampleRate, options = {}) {
+        const float = options.bitDepth === 'float' || options.bitDepth === 32;
+        const bitDepth = float ? 32 : (options.bitDepth === 24 ? 24 : 16);
+        const bytesPerSample = bitDepth / 8;
+        const channels = channelData.length;
+        const frames = channels > 0 ? channelData[0].length : 0;
+        const dataSize = frames * channels * bytesPerSample;
+        // Float files carry a cbSize field and a fact chunk
+        const fmtSize = float ? 18 : 16;
+        const headerSize = 12 + (8 + fmtSize) + (float ? 12 : 0) + 8;
+
+        const buffer = new ArrayBuffer(headerSize + dataSize);
+        const view = new DataView(buffer);
+        let offset = 0;
+        const writeString = text => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset++, text.charCodeAt(i));
+        };
+        const write32 = value => { view.setUint32(offset, value, true); offset += 4; };
+        const write16 = value => { view.setUint16(offset, value, true); offset += 2; };
+
+        writeString('RIFF');
+        write32(headerSize + dataSize - 8);
+        writeString('WAVE');
+
+        writeString('fmt ');
+        write32(fmtSize);
+        write16(float ? 3 : 1); // WAVE_FORMAT_IEEE_FLOAT or WAVE_FORMAT_PCM
+        write16(channels);
+        write32(sampleRate);
+        write32(sampleRate * channels * bytesPerSample);
+        write16(channels * bytesPerSample);
+        write16(bitDepth);
+        if (float) {
+            write16(0);
+            writeString('fact');
+            write32(4);
+            write32(frames);
+        }
+
+        writeString('data');
+        write32(dataSize);
+
+        for (let frame = 0; frame < frames; frame++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = channelData[channel][frame];
+                if (float) {
+                    view.setFloat32(offset, sample, true);
+                } else {
+                    const clamped = Math.max(-1, Math.min(1, sample || 0));
+                    if (bitDepth === 16) {
+                        view.setInt16(offset, Math.round(clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF), true);
                     } else {
-                        // Fallback for synths that don't support triggerAttackRelease
-                        synth.triggerAttack(note.note, t0, note.velocity);
-                        if (synth.triggerRelease) {
-                            synth.triggerRelease(note.note, t0 + note.duration);
-                        }
+                        const value = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7FFFFF);
+                        view.setUint8(offset, value & 0xFF);
+                        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                        view.setUint8(offset + 2, (value >> 16) & 0xFF);
                     }
-                } catch (error) {
-                    console.warn(`Error triggering note ${note.note}:`, error);
                 }
-                
+                offset += bytesPerSample;
+            }
+        }
 
-                
-                // Handle modulations only if the note was successfully triggered
-                if (note.modulations && Array.isArray(note.modulations)) {
-                    // Pitch Bend - handle all pitch bend events sequentially
-                    const bends = note.modulations.filter(m => m.type === 'pitchBend');
-                    const isSamplerType = synth.constructor.name === 'Sampler' || synth._buffer !== undefined;
-                    
-                    if (bends.length > 0 && isSamplerType) {
-                        console.warn(`⚠️  Pitch bend with Samplers uses playbackRate, which affects both pitch AND playback speed. For true pitch bending without timing changes, use oscillator-based synths.`);
-                    }
-                    
-                    bends.forEach((bend, idx) => {
-                        try {
-                            const cents = (bend.value / 8192) * 1200;
-                            const bendTime = t0 + (typeof bend.time === 'string' ? 
-                                this._parseTimeString(bend.time, normalizedComposition.bpm || 120) : bend.time);
-                            
-                            console.log(`Pitch bend ${idx}: value=${bend.value}, cents=${cents.toFixed(1)}, time=${bend.time}`);
-                            
-                            // For Samplers, use playbackRate to achieve pitch bending
-                            if (synth.playbackRate) {
-                                const playbackRateMultiplier = Math.pow(2, cents / 1200);
-                                if (idx === 0) {
-                                    synth.playbackRate.setValueAtTime(playbackRateMultiplier, bendTime);
-                                } else {
-                                    synth.playbackRate.exponentialRampToValueAtTime(playbackRateMultiplier, bendTime);
-                                }
-                            } else if (synth.frequency) {
-                                // Fallback for regular synths
-                                const baseFreq = Tone.Frequency(note.note).toFrequency();
-                                const bendedFreq = baseFreq * Math.pow(2, cents / 1200);
-                                if (idx === 0) {
-                                    synth.frequency.setValueAtTime(bendedFreq, bendTime);
-                                } else {
-                                    synth.frequency.exponentialRampToValueAtTime(bendedFreq, bendTime);
-                                }
-                            }
-                        } catch (error) {
-                            console.warn(`Error applying pitch bend:`, error);
-                        }
-                    });
-                    
-                    // Reset pitch at note end if there were any bends
-                    if (bends.length > 0) {
-                        try {
-                            if (synth.playbackRate) {
-                                synth.playbackRate.exponentialRampToValueAtTime(1, t0 + note.duration);
-                            } else if (synth.frequency) {
-                                const baseFreq = Tone.Frequency(note.note).toFrequency();
-                                synth.frequency.exponentialRampToValueAtTime(baseFreq, t0 + note.duration);
-                            }
-                        } catch (error) {
-                            console.warn(`Error resetting pitch:`, error);
-                        }
+        return buffer;
+    }
+
+    /**
+     * Create a Tone.js synth from a jmon synth type
+     * @param {string} type - Synth type (Synth, PolySynth, MembraneSynth, DrumKit, ...)
+     * @param {Object} options - Synth options
+     * @returns {Object} Tone.js synth instance (or drum kit for DrumKit)
+     */
+    static createSynth(type, options = {}) {
+        try {
+            switch (type) {
+                case 'Synth': return new Tone.Synth(options);
+                case 'PolySynth': return new Tone.PolySynth(options);
+                case 'MonoSynth': return new Tone.MonoSynth(options);
+                case 'AMSynth': return new Tone.AMSynth(options);
+                case 'FMSynth': return new Tone.FMSynth(options);
+                case 'DuoSynth': return new Tone.DuoSynth(options);
+                case 'PluckSynth': return new Tone.PluckSynth(options);
+                case 'NoiseSynth': return new Tone.NoiseSynth(options);
+                case 'MembraneSynth': return new Tone.MembraneSynth(options);
+                case 'MetalSynth': return new Tone.MetalSynth(options);
+                case 'DrumKit': return this.createDrumKit(options);
+                default:
+                    console.warn(`Unknown synth type: ${type}, using Synth`);
+                    return new Tone.Synth(options);
+            }
+        } catch (error) {
+            console.error(`Error creating ${type}:`, error);
+            return new Tone.Synth(); // Fallback
+        }
+    }
+
+    /**
+     * Voices of the built-in drum kit, with the GM drum map notes each one plays
+     * Note entries give the pitch the voice is triggered at (unused by NoiseSynth voices).
+     */
+    static DRUM_KIT_VOICES = {
+        kick: {
+            type: 'MembraneSynth',
+            options: { pitchDecay: 0.05, octaves: 6, envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.1 } },
+            notes: { 35: 'A0', 36: 'C1' }
+        },
+        snare: {
+            type: 'NoiseSynth',
+            options: { noise: { type: 'white' }, envelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.05 } },
+            notes: { 38: null, 40: null }
+        },
+        sideStick: {
+            type: 'NoiseSynth',
+            options: { noise: { type: 'white' }, envelope: { attack: 0.001, decay: 0.03, sustain: 0, release: 0.01 } },
+            notes: { 37: null }
+        },
+        clap: {
+            type: 'NoiseSynth',
+            options: { noise: { type: 'pink' }, envelope: { attack: 0.005, decay: 0.15, sustain: 0, release: 0.05 } },
+            notes: { 39: null }
+        },
+        tom: {
+            type: 'MembraneSynth',
+            options: { pitchDecay: 0.08, octaves: 2.5, envelope: { attack: 0.001, decay: 0.5, sustain: 0, release: 0.2 } },
+            notes: { 41: 'F1', 43: 'A1', 45: 'C2', 47: 'D2', 48: 'F2', 50: 'A2' }
+        },
+        closedHat: {
+            type: 'MetalSynth',
+            options: { harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5, envelope: { attack: 0.001, decay: 0.05, release: 0.01 } },
+            notes: { 42: 200, 44: 180 }
+        },
+        openHat: {
+            type: 'MetalSynth',
+            options: { harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5, envelope: { attack: 0.001, decay: 0.5, release: 0.2 } },
+            notes: { 46: 200 }
+        },
+        crash: {
+            type: 'MetalSynth',
+            options: { harmonicity: 5.1, modulationIndex: 40, resonance: 3000, octaves: 1.5, envelope: { attack: 0.001, decay: 1.5, release: 0.5 } },
+            notes: { 49: 300, 52: 250, 55: 400, 57: 320 }
+        },
+        ride: {
+            type: 'MetalSynth',
+            options: { harmonicity: 12, modulationIndex: 20, resonance: 5000, octaves: 1, envelope: { attack: 0.001, decay: 1, release: 0.3 } },
+            notes: { 51: 350, 53: 500, 59: 370 }
+        },
+        tambourine: {
+            type: 'MetalSynth',
+            options: { harmonicity: 8, modulationIndex: 16, resonance: 7000, octaves: 1, envelope: { attack: 0.001, decay: 0.15, release: 0.05 } },
+            notes: { 54: 600 }
+        },
+        cowbell: {
+            type: 'MetalSynth',
+            options: { harmonicity: 1.5, modulationIndex: 4, resonance: 800, octaves: 0.5, envelope: { attack: 0.001, decay: 0.3, release: 0.1 } },
+            notes: { 56: 560 }
+        },
+        percussion: {
+            // Everything else in the GM map (latin percussion, blocks, whistles): short pitched membrane hits
+            type: 'MembraneSynth',
+            options: { pitchDecay: 0.01, octaves: 1, envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.05 } },
+            notes: {}
+        }
+    };
+
+    /**
+     * Create the built-in Tone.js drum kit (DrumKit node)
+     * Notes name kit pieces or GM drum map numbers; each voice is created the first time it is played.
+     * @param {Object} options - Kit options
+     * @param {number} options.volume - Output volume in dB
+     * @param {Object} options.voices - Option overrides per voice (e.g. { kick: { octaves: 4 } })
+     * @returns {Object} Drum kit with the synth interface (triggerAttackRelease, connect, toDestination, dispose)
+     */
+    static createDrumKit(options = {}) {
+        const overrides = options.voices || {};
+        const output = new Tone.Volume(options.volume || 0);
+        const voices = new Map();
+
+        const voiceFor = midiNote => {
+            const name = Object.keys(this.DRUM_KIT_VOICES)
+                .find(key => this.DRUM_KIT_VOICES[key].notes[midiNote] !== undefined) || 'percussion';
+            if (!voices.has(name)) {
+                const recipe = this.DRUM_KIT_VOICES[name];
+                const override = overrides[name] || {};
+                const voiceOptions = {
+                    ...recipe.options,
+                    ...override,
+                    envelope: { ...recipe.options.envelope, ...(override.envelope || {}) }
+                };
+                voices.set(name, this.createSynth(recipe.type, voiceOptions).connect(output));
+            }
+            const pitch = this.DRUM_KIT_VOICES[name].notes[midiNote];
+            return { voice: voices.get(name), pitch: pitch === undefined ? this.midiNoteToNoteName(midiNote) : pitch };
+        };
+
+        const kit = {
+            isDrumKit: true,
+            output,
+            volume: output.volume,
+            voices,
+            triggerAttackRelease(note, duration, time, velocity = 1) {
+                [].concat(note).forEach(piece => {
+                    const midiNote = typeof piece === 'number' ? piece : jmonTone.noteNameToMidiNote(String(piece));
+                    const { voice, pitch } = voiceFor(midiNote);
+                    if (pitch === null) {
+                        voice.triggerAttackRelease(duration, time, velocity);
+                    } else {
+                        voice.triggerAttackRelease(pitch, duration, time, velocity);
                     }
-                }
-                // CC variations
-                const ccMods = (note.modulations || []).filter(m => m.type === 'cc');
-                if (ccMods.length > 0) {
-                    console.log(`🎛️  Processing ${ccMods.length} CC modulation(s) for note ${note.note}`);
-                }
-                ccMods.forEach((mod, i, arr) => {
-                        const tm = now + mod.time;
-                        const hint = toneHints[`cc${mod.controller}`] || {};
-                        const norm = mod.value / 127;
-                        const isSamplerType = synth.constructor.name === 'Sampler' || synth._buffer !== undefined;
-                        
-                        // If hint.target refers to an effect node ID, handle it directly
-                        if (hint.target && effectsMap.has(hint.target)) {
-                            const effectNode = effectsMap.get(hint.target);
-                            const parameter = hint.parameter || 'frequency'; // default parameter
-                            const [minVal, maxVal] = hint.depthRange || [0, 1];
-                            const value = minVal + (maxVal - minVal) * norm;
-                            
-                            if (effectNode[parameter] && typeof effectNode[parameter].setValueAtTime === 'function') {
-                                effectNode[parameter].setValueAtTime(value, tm);
-                                console.log(`🎛️  CC${mod.controller} -> ${hint.target}.${parameter} = ${value.toFixed(3)} at ${tm.toFixed(2)}s`);
-                                
-                                // Handle ramping to next value of same type
-                                const nextMod = arr[i + 1];
-                                if (nextMod && nextMod.controller === mod.controller) {
-                                    const nextHint = toneHints[`cc${nextMod.controller}`] || {};
-                                    if (nextHint.target === hint.target && nextHint.parameter === parameter) {
-                                        const nextNorm = nextMod.value / 127;
-                                        const nextValue = minVal + (maxVal - minVal) * nextNorm;
-                                        const nextTime = now + nextMod.time;
-                                        effectNode[parameter].linearRampToValueAtTime(nextValue, nextTime);
-                                        console.log(`🎛️  CC${mod.controller} ramping to ${nextValue.toFixed(3)} at ${nextTime.toFixed(2)}s`);
-                                    }
-                                }
-                            } else {
-                                console.warn(`⚠️  Effect ${hint.target}.${parameter} parameter not found or not controllable`);
-                            }
-                            return; // Skip the legacy switch statement
-                        }
-                        
-                        switch (hint.target) {
-                            case 'vibrato': {
-                                if (isSamplerType) {
-                                    // For Samplers, create vibrato using playbackRate modulation
-                                    // Convert cents to playbackRate ratio (cents/1200 = semitones, 2^(semitones/12) = ratio)
-                                    const [minCents = -50, maxCents = 50] = hint.depthRange || [-50, 50];
-                                    const minRatio = Math.pow(2, minCents / 1200);
-                                    const maxRatio = Math.pow(2, maxCents / 1200);
-                                    const currentRatio = minRatio + (maxRatio - minRatio) * norm;
-                                    const lfoFreq = hint.frequency || 6;
-                                    
-                                    // Create LFO that oscillates around the current ratio
-                                    const depth = (maxRatio - minRatio) / 2;
-                                    const center = (minRatio + maxRatio) / 2;
-                                    const lfo = new Tone.LFO(lfoFreq, center - depth, center + depth);
-                                    if (synth.playbackRate) {
-                                        lfo.connect(synth.playbackRate);
-                                        lfo.start(tm);
-                                        lfo.stop(t0 + note.duration);
-                                        console.log(`Sampler vibrato applied: freq=${lfoFreq}Hz, cents range=${minCents}-${maxCents}, playbackRate=${center.toFixed(3)}±${depth.toFixed(3)}`);
-                                    }
-                                } else {
-                                    // For regular synths, apply vibrato via LFO to detune
-                                    const [mn = -50, mx = 50] = hint.depthRange || [-50, 50];
-                                    const lfo = new Tone.LFO(hint.frequency || 6, mn, mx);
-                                    if (synth.detune) {
-                                        lfo.connect(synth.detune);
-                                        lfo.start(tm);
-                                        lfo.stop(t0 + note.duration);
-                                        console.log(`Vibrato applied: freq=${hint.frequency || 6}Hz, depth=${mn}-${mx}cents`);
-                                    }
-                                }
-                                break;
-                            }
-                            case 'tremolo': {
-                                console.warn(`⚠️  Legacy 'tremolo' target is deprecated. Use specific effect node IDs instead (e.g., 'tremoloEffect').`);
-                                break;
-                            }
-                            case 'filter': {
-                                console.warn(`⚠️  Legacy 'filter' target is deprecated. Use specific effect node IDs instead (e.g., 'filterEffect').`);
-                                break;
-                            }
-                            default: {
-                                // Fallback: if no specific target is defined, default to volume control
-                                if (!hint.target) {
-                                    console.warn(`CC${mod.controller} has no target defined in converterHints, defaulting to volume control`);
-                                    // Apply volume modulation to synth
-                                    if (synth.volume) {
-                                        const dbValue = -20 + (norm * 20); // -20dB to 0dB range
-                                        synth.volume.setValueAtTime(dbValue, tm);
-                                        console.log(`🔊 Volume set to ${dbValue.toFixed(1)}dB`);
-                                    }
-                                } else {
-                                    console.warn(`⚠️  Unknown modulation target: ${hint.target}`);
-                                }
-                                break;
-                            }
-                        }
-                    });
-            });
-        });
+                });
+                return kit;
+            },
+            triggerAttack(note, time, velocity) {
+                // Drums are one-shots: play the natural decay of the voice
+                return kit.triggerAttackRelease(note, 0.05, time, velocity);
+            },
+            triggerRelease() {
+                return kit;
+            },
+            releaseAll() {
+                return kit;
+            },
+            connect(destination) {
+                output.connect(destination);
+                return kit;
+            },
+            toDestination() {
+                output.toDestination();
+                return kit;
+            },
+            disconnect(destination) {
+                output.disconnect(destination);
+                return kit;
+            },
+            dispose() {
+                voices.forEach(voice => voice.dispose());
+                voices.clear();
+                output.dispose();
+                return kit;
+            }
+        };
+
+        return kit;
     }
 
     /**
@@ -2144,6 +4290,459 @@ class jmonTone {
     // ...existing code...
 }
 
+/**
+ * Controllable Tone.js player for jmon compositions
+ * Notes are scheduled on Tone.Transport, so pause, seek, loop regions and tempo changes follow the transport.
+ * Events: load, play, pause, stop, seek, loop, end, tempo, note, position, dispose
+ */
+class JmonPlayer {
+    /**
+     * @param {Object} composition - jmon composition (or any compatible format), loaded on the first play()
+     * @param {Object} options - Player options
+     * @param {string|number} options.positionInterval - Interval of 'position' events (Tone.js time, default '16n')
+     */
+    constructor(composition = null, options = {}) {
+        this.composition = null;
+        this.timeline = null;
+        this.state = 'stopped';
+        this.options = { positionInterval: '16n', ...options };
+
+        this._pending = composition;
+        this._listeners = new Map();
+        this._nodes = null;
+        this._scheduleIds = [];
+        this._lfos = new Set();
+        this._tempoSteps = [];
+        this._tempoOverride = null;
+        this._loopRequest = null;
+        this._loop = null;
+        this._seekTicks = null;
+        this._durationBeats = 0;
+        this._onTransportLoop = time => {
+            Tone.Transport.bpm.setValueAtTime(this._transportBpmAt(this._loop.start), time);
+            this._draw(time, () => this._emit('loop', this.position));
+        };
+    }
+
+    /**
+     * Listen to a player event
+     * @param {string} event - Event name (play, pause, stop, seek, loop, end, tempo, note, position, load, dispose)
+     * @param {Function} callback - Called with the event data
+     * @returns {JmonPlayer} This player
+     */
+    on(event, callback) {
+        if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+        this._listeners.get(event).add(callback);
+        return this;
+    }
+
+    /**
+     * Stop listening to a player event
+     * @param {string} event - Event name
+     * @param {Function} callback - Listener to remove (all listeners of the event when omitted)
+     * @returns {JmonPlayer} This player
+     */
+    off(event, callback) {
+        if (!callback) {
+            this._listeners.delete(event);
+        } else if (this._listeners.has(event)) {
+            this._listeners.get(event).delete(callback);
+        }
+        return this;
+    }
+
+    /**
+     * Listen to the next occurrence of a player event
+     * @param {string} event - Event name
+     * @param {Function} callback - Called once with the event data
+     * @returns {JmonPlayer} This player
+     */
+    once(event, callback) {
+        const wrapper = data => {
+            this.off(event, wrapper);
+            callback(data);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Load a composition: build its audio graph and schedule it on the transport
+     * Any previously loaded composition is stopped and its Tone.js nodes are disposed.
+     * @param {Object} composition - jmon composition (or any compatible format)
+     * @returns {Promise<JmonPlayer>} This player
+     */
+    async load(composition) {
+        this._teardown();
+        this._pending = null;
+
+        this.composition = jmonTone.normalize(composition);
+        this.timeline = jmonTone.createTimeline(this.composition);
+        this._tempoSteps = jmonTone.getTempoSteps(this.timeline);
+        // Set before creating nodes: note-value effect times ("8n") resolve against the transport tempo
+        Tone.Transport.bpm.value = this._transportBpmAt(0);
+        this._nodes = await jmonTone._createAudioNodes(this.composition);
+
+        this._schedule();
+        if (this._loopRequest) {
+            this.setLoop(this._loopRequest.start, this._loopRequest.end);
+        }
+
+        this._emit('load', { duration: this.duration });
+        return this;
+    }
+
+    /**
+     * Load a composition (alias of load)
+     * @param {Object} composition - jmon composition (or any compatible format)
+     * @returns {Promise<JmonPlayer>} This player
+     */
+    loadComposition(composition) {
+        return this.load(composition);
+    }
+
+    /**
+     * Start or resume playback
+     * @returns {Promise<JmonPlayer>} This player
+     */
+    async play() {
+        if (this._pending) {
+            await this.load(this._pending);
+        }
+        if (!this.composition) {
+            throw new Error('JmonPlayer: no composition loaded');
+        }
+        if (this.state === 'playing') return this;
+
+        await Tone.start();
+
+        const startTicks = this._seekTicks !== null ? this._seekTicks : (this.state === 'paused' ? null : 0);
+        this._seekTicks = null;
+        if (startTicks !== null) {
+            Tone.Transport.bpm.value = this._transportBpmAt(startTicks / Tone.Transport.PPQ);
+            Tone.Transport.start(undefined, `${startTicks}i`);
+        } else {
+            Tone.Transport.start();
+        }
+
+        this.state = 'playing';
+        this._emit('play', this.position);
+        return this;
+    }
+
+    /**
+     * Pause playback, keeping the position
+     * @returns {JmonPlayer} This player
+     */
+    pause() {
+        if (this.state !== 'playing') return this;
+
+        Tone.Transport.pause();
+        this._releaseAll();
+        this.state = 'paused';
+        this._emit('pause', this.position);
+        return this;
+    }
+
+    /**
+     * Stop playback and rewind to the start
+     * @returns {JmonPlayer} This player
+     */
+    stop() {
+        if (!this.composition) return this;
+
+        Tone.Transport.stop();
+        this._releaseAll();
+        this._seekTicks = null;
+        this.state = 'stopped';
+        this._emit('stop', this.position);
+        return this;
+    }
+
+    /**
+     * Move the playhead
+     * @param {string|number} time - Musical time ("2:0:0", "4n") or seconds
+     * @returns {JmonPlayer} This player
+     */
+    seek(time) {
+        if (!this.composition) return this;
+
+        const beats = Math.max(0, Math.min(this._durationBeats, jmonTone.timeToBeats(this.timeline, time)));
+        const ticks = Math.round(beats * Tone.Transport.PPQ);
+
+        this._releaseAll();
+        if (this.state === 'playing') {
+            Tone.Transport.ticks = ticks;
+            Tone.Transport.bpm.value = this._transportBpmAt(beats);
+        } else {
+            this._seekTicks = ticks;
+            Tone.Transport.ticks = ticks;
+        }
+
+        this._emit('seek', this.position);
+        return this;
+    }
+
+    /**
+     * Loop a region of the composition, or turn looping off
+     * @param {string|number|null} start - Loop start (musical time or seconds); null or false disables looping
+     * @param {string|number} end - Loop end (defaults to the end of the composition)
+     * @returns {JmonPlayer} This player
+     */
+    setLoop(start, end) {
+        if (start === null || start === false) {
+            this._loopRequest = null;
+            this._loop = null;
+            Tone.Transport.loop = false;
+            return this;
+        }
+
+        this._loopRequest = { start, end };
+        if (!this.composition) return this;
+
+        const startBeats = jmonTone.timeToBeats(this.timeline, start);
+        const endBeats = end !== undefined ? jmonTone.timeToBeats(this.timeline, end) : this._durationBeats;
+        if (!(endBeats > startBeats)) {
+            console.warn(`⚠️  JmonPlayer: Loop end must be after loop start, looping disabled`);
+            return this.setLoop(null);
+        }
+
+        this._loop = { start: startBeats, end: endBeats };
+        Tone.Transport.loopStart = `${Math.round(startBeats * Tone.Transport.PPQ)}i`;
+        Tone.Transport.loopEnd = `${Math.round(endBeats * Tone.Transport.PPQ)}i`;
+        Tone.Transport.loop = true;
+        return this;
+    }
+
+    /**
+     * Override the tempo; tempo map changes keep their proportions
+     * @param {number|null} bpm - Tempo at the start of the composition, or null for the composition tempo
+     * @returns {JmonPlayer} This player
+     */
+    setTempo(bpm) {
+        this._tempoOverride = bpm > 0 ? bpm : null;
+        if (this.composition) {
+            Tone.Transport.bpm.value = this._transportBpmAt(this.position.beats);
+            this._emit('tempo', { bpm: this.tempo });
+        }
+        return this;
+    }
+
+    /**
+     * Current tempo in BPM (including the override)
+     * @returns {number} Beats per minute
+     */
+    get tempo() {
+        return this.composition ? this._transportBpmAt(this.position.beats) : null;
+    }
+
+    /**
+     * Current playhead position
+     * @returns {Object} { beats, seconds, time } - seconds at the composition tempo, time as bars:beats:ticks
+     */
+    get position() {
+        if (!this.composition) return { beats: 0, seconds: 0, time: '0:0:0' };
+
+        const beats = Tone.Transport.ticks / Tone.Transport.PPQ;
+        return {
+            beats,
+            seconds: jmonTone.beatsToSeconds(this.timeline, beats),
+            time: jmonTone.beatsToBarsBeatsTicks(this.timeline, beats)
+        };
+    }
+
+    /**
+     * Length of the loaded composition
+     * @returns {Object} { beats, seconds } at the composition tempo
+     */
+    get duration() {
+        if (!this.composition) return { beats: 0, seconds: 0 };
+        return { beats: this._durationBeats, seconds: jmonTone.beatsToSeconds(this.timeline, this._durationBeats) };
+    }
+
+    /**
+     * Stop playback, dispose the Tone.js nodes and remove all listeners
+     */
+    dispose() {
+        this._teardown();
+        this._pending = null;
+        this.state = 'disposed';
+        this._emit('dispose');
+        this._listeners.clear();
+    }
+
+    /**
+     * Schedule notes, tempo changes, position events and the end of the piece (helper function)
+     */
+    _schedule() {
+        const transport = Tone.Transport;
+        const at = beats => `${Math.round(beats * transport.PPQ)}i`;
+        const rendered = jmonTone.render(this.composition);
+        const toneHints = this.composition.converterHints?.tone || {};
+        const tuning = jmonTone.createTuning(this.composition.tuning);
+        const { synthMap, effectsMap } = this._nodes;
+        const schedule = (callback, beats) => this._scheduleIds.push(transport.schedule(callback, at(beats)));
+
+        this._durationBeats = rendered.duration.beats;
+
+        (this.composition.sequences || []).forEach(sequence => {
+            if (!synthMap.has(sequence.synthRef)) {
+                console.error(`Synth not found for synthRef: ${sequence.synthRef}`);
+            }
+        });
+
+        jmonTone._playableNotes(this.composition, rendered).forEach(({ note, ...event }) => {
+            const synth = synthMap.get(event.synthRef);
+            if (!synth) return;
+
+            schedule(time => {
+                const scale = this._tempoScale();
+                const duration = event.duration.seconds / scale;
+                // Modulation times are relative to the note start
+                const modulationTime = t => time + jmonTone.durationToSeconds(this.timeline, t, event.beats) / scale;
+
+                jmonTone._triggerNote(synth, note, time, duration, tuning);
+                const lfos = jmonTone._scheduleNoteModulations({ synth, note, t0: time, duration, modulationTime, toneHints, effectsMap, tuning });
+                lfos.forEach(lfo => this._trackLfo(lfo, time + duration));
+                this._draw(time, () => this._emit('note', { ...event, note, time }));
+            }, event.beats);
+        });
+
+        this._tempoSteps.slice(1).forEach(step => {
+            schedule(time => transport.bpm.setValueAtTime(step.bpm * this._tempoScale(), time), step.beats);
+        });
+
+        this._scheduleIds.push(transport.scheduleRepeat(time => {
+            this._draw(time, () => this._emit('position', this.position));
+        }, this.options.positionInterval, 0));
+
+        schedule(time => {
+            if (transport.loop) return;
+            this._draw(time, () => {
+                this.stop();
+                this._emit('end', this.duration);
+            });
+        }, this._durationBeats);
+
+        transport.on('loop', this._onTransportLoop);
+    }
+
+    /**
+     * Stop the transport, clear this player's events and dispose its nodes (helper function)
+     */
+    _teardown() {
+        if (!this.composition) return;
+
+        const transport = Tone.Transport;
+        transport.stop();
+        this._scheduleIds.forEach(id => transport.clear(id));
+        this._scheduleIds = [];
+        transport.off('loop', this._onTransportLoop);
+        if (this._loop) transport.loop = false;
+        this._loop = null;
+
+        this._disposeLfos();
+        if (this._nodes) {
+            this._nodes.synthMap.forEach(synth => synth.dispose());
+            this._nodes.effectsMap.forEach(effect => effect.dispose());
+            this._nodes = null;
+        }
+
+        this.composition = null;
+        this.timeline = null;
+        this.state = 'stopped';
+    }
+
+    /**
+     * Ratio between the playback tempo and the composition tempo (helper function)
+     * @returns {number} Tempo scale
+     */
+    _tempoScale() {
+        return this._tempoOverride ? this._tempoOverride / this.timeline.bpm : 1;
+    }
+
+    /**
+     * Transport tempo at a position, with the override applied (helper function)
+     * @param {number} beats - Position in quarter notes
+     * @returns {number} Beats per minute
+     */
+    _transportBpmAt(beats) {
+        let bpm = this.timeline.bpm;
+        this._tempoSteps.forEach(step => {
+            if (step.beats <= beats + 1e-9) bpm = step.bpm;
+        });
+        return bpm * this._tempoScale();
+    }
+
+    /**
+     * Release every sounding note and dispose its vibrato LFOs (helper function)
+     */
+    _releaseAll() {
+        this._disposeLfos();
+        if (!this._nodes) return;
+        this._nodes.synthMap.forEach(synth => {
+            try {
+                if (typeof synth.releaseAll === 'function') {
+                    synth.releaseAll();
+                } else if (typeof synth.triggerRelease === 'function') {
+                    synth.triggerRelease();
+                }
+            } catch (error) {
+                // Monophonic synths that are not playing have nothing to release
+            }
+        });
+    }
+
+    /**
+     * Keep a vibrato LFO until its note ends, then dispose it (helper function)
+     * @param {Object} lfo - Tone.LFO from _scheduleNoteModulations()
+     * @param {number} end - Note end in audio context seconds
+     */
+    _trackLfo(lfo, end) {
+        this._lfos.add(lfo);
+        Tone.getContext().setTimeout(() => {
+            if (this._lfos.delete(lfo)) lfo.dispose();
+        }, Math.max(0, end - Tone.now()));
+    }
+
+    /**
+     * Dispose the vibrato LFOs of the notes still sounding (helper function)
+     */
+    _disposeLfos() {
+        this._lfos.forEach(lfo => lfo.dispose());
+        this._lfos.clear();
+    }
+
+    /**
+     * Run a callback in sync with the audio, on the animation frame when Tone.Draw is available (helper function)
+     * @param {number} time - Audio context time
+     * @param {Function} callback - Callback
+     */
+    _draw(time, callback) {
+        if (Tone.Draw) {
+            Tone.Draw.schedule(callback, time);
+        } else {
+            callback();
+        }
+    }
+
+    /**
+     * Call the listeners of an event (helper function)
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    _emit(event, data) {
+        (this._listeners.get(event) || []).forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.warn(`⚠️  JmonPlayer: Error in "${event}" listener:`, error);
+            }
+        });
+    }
+}
+
+jmonTone.Player = JmonPlayer;
+
 // Export for Node.js (CommonJS)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = jmonTone;
@@ -2155,6 +4754,3 @@ if (typeof window !== 'undefined') {
 }
 
 })(typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : this);
-
-// ES Module export for Observable and modern bundlers
-export default jmonTone;
@@ -0,0 +1,10 @@
+/**
+ * jmon-tone.mjs - ES module entry for Observable and modern bundlers
+ * 
+ * jmon-tone.js stays a classic script so Node.js can require() it; importing it
+ * defines window.jmonTone, which this module exports as its default.
+ */
+
+import './jmon-tone.js';
+
+export default globalThis.jmonTone;